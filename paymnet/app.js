@@ -1,6 +1,6 @@
 // Database Setup
 const DB_NAME = 'kasir_pos_db';
-const DB_VERSION = 2; // Increased version for schema updates
+const DB_VERSION = 12; // Increased version for schema updates
 
 // Store names
 const STORES = {
@@ -8,11 +8,33 @@ const STORES = {
   TRANSACTIONS: 'transactions',
   SUPPLIERS: 'suppliers',
   SETTINGS: 'settings',
-  NOTIFICATIONS: 'notifications'
+  NOTIFICATIONS: 'notifications',
+  HELD_SALES: 'held_sales',
+  PROMOTIONS: 'promotions',
+  STOCK_MOVEMENTS: 'stock_movements',
+  PURCHASE_ORDERS: 'purchase_orders',
+  STOCK_COUNTS: 'stock_counts',
+  PRODUCT_IMPORTS: 'product_imports',
+  CATEGORIES: 'categories',
+  PRODUCT_PHOTOS: 'product_photos',
+  SHIFTS: 'shifts'
 };
 
 let db;
 
+// Stores included in backups as they are; product photos are Blobs and are backed up separately
+const BACKUP_STORES = [STORES.PRODUCTS, STORES.TRANSACTIONS, STORES.SUPPLIERS, STORES.SETTINGS, STORES.PROMOTIONS, STORES.STOCK_MOVEMENTS, STORES.PURCHASE_ORDERS, STORES.STOCK_COUNTS, STORES.PRODUCT_IMPORTS, STORES.CATEGORIES, STORES.SHIFTS];
+
+// Fields that must be unique within a store, matching its key and unique indexes
+const BACKUP_UNIQUE_FIELDS = {
+  [STORES.PRODUCTS]: ['id', 'code'],
+  [STORES.TRANSACTIONS]: ['id', 'invoice'],
+  [STORES.SUPPLIERS]: ['id', 'code'],
+  [STORES.PURCHASE_ORDERS]: ['id', 'number'],
+  [STORES.STOCK_COUNTS]: ['id', 'number'],
+  [STORES.PRODUCT_PHOTOS]: ['productId']
+};
+
 // Open or create IndexedDB database
 function openDatabase() {
   return new Promise((resolve, reject) => {
@@ -65,6 +87,116 @@ function openDatabase() {
         }
       }
       
+      // Migration for version 2 to 3: held (parked) sales
+      if (oldVersion < 3) {
+        if (!db.objectStoreNames.contains(STORES.HELD_SALES)) {
+          const store = db.createObjectStore(STORES.HELD_SALES, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+      }
+      
+      // Migration for version 3 to 4: promotion rules
+      if (oldVersion < 4) {
+        if (!db.objectStoreNames.contains(STORES.PROMOTIONS)) {
+          const store = db.createObjectStore(STORES.PROMOTIONS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('type', 'type', { unique: false });
+        }
+      }
+      
+      // Migration for version 4 to 5: stock movement ledger
+      if (oldVersion < 5) {
+        if (!db.objectStoreNames.contains(STORES.STOCK_MOVEMENTS)) {
+          const store = db.createObjectStore(STORES.STOCK_MOVEMENTS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('productId', 'productId', { unique: false });
+          store.createIndex('date', 'date', { unique: false });
+          store.createIndex('type', 'type', { unique: false });
+          store.createIndex('reference', 'reference', { unique: false });
+        }
+        
+        // Existing stock becomes the opening balance of the ledger
+        if (oldVersion > 0) {
+          addOpeningMovements(event.target.transaction);
+        }
+      }
+      
+      // Migration for version 5 to 6: purchase orders
+      if (oldVersion < 6) {
+        if (!db.objectStoreNames.contains(STORES.PURCHASE_ORDERS)) {
+          const store = db.createObjectStore(STORES.PURCHASE_ORDERS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('number', 'number', { unique: true });
+          store.createIndex('supplierId', 'supplierId', { unique: false });
+          store.createIndex('status', 'status', { unique: false });
+          store.createIndex('date', 'date', { unique: false });
+        }
+      }
+      
+      // Migration for version 6 to 7: stock count (opname) sessions
+      if (oldVersion < 7) {
+        if (!db.objectStoreNames.contains(STORES.STOCK_COUNTS)) {
+          const store = db.createObjectStore(STORES.STOCK_COUNTS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('number', 'number', { unique: true });
+          store.createIndex('status', 'status', { unique: false });
+          store.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+      }
+      
+      // Migration for version 7 to 8: product variants under a parent product
+      if (oldVersion < 8) {
+        const store = event.target.transaction.objectStore(STORES.PRODUCTS);
+        if (!store.indexNames.contains('parentId')) {
+          store.createIndex('parentId', 'parentId', { unique: false });
+        }
+      }
+      
+      // Migration for version 8 to 9: product imports, kept so the latest one can be undone
+      if (oldVersion < 9) {
+        if (!db.objectStoreNames.contains(STORES.PRODUCT_IMPORTS)) {
+          const store = db.createObjectStore(STORES.PRODUCT_IMPORTS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('date', 'date', { unique: false });
+        }
+      }
+      
+      // Migration for version 9 to 10: categories as records, merging the free-text categories of products
+      if (oldVersion < 10) {
+        if (!db.objectStoreNames.contains(STORES.CATEGORIES)) {
+          const store = db.createObjectStore(STORES.CATEGORIES, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('parentId', 'parentId', { unique: false });
+        }
+        
+        const productStore = event.target.transaction.objectStore(STORES.PRODUCTS);
+        if (!productStore.indexNames.contains('categoryId')) {
+          productStore.createIndex('categoryId', 'categoryId', { unique: false });
+        }
+        
+        if (oldVersion > 0) {
+          migrateCategories(event.target.transaction);
+        }
+      }
+      
+      // Migration for version 10 to 11: product photos, kept out of the product records
+      if (oldVersion < 11) {
+        if (!db.objectStoreNames.contains(STORES.PRODUCT_PHOTOS)) {
+          db.createObjectStore(STORES.PRODUCT_PHOTOS, { keyPath: 'productId' });
+        }
+      }
+      
+      // Migration for version 11 to 12: cashier shifts, with the shift each sale was rung up and voided in
+      if (oldVersion < 12) {
+        if (!db.objectStoreNames.contains(STORES.SHIFTS)) {
+          const store = db.createObjectStore(STORES.SHIFTS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('status', 'status', { unique: false });
+          store.createIndex('openedAt', 'openedAt', { unique: false });
+        }
+        
+        const transactionStore = event.target.transaction.objectStore(STORES.TRANSACTIONS);
+        if (!transactionStore.indexNames.contains('shiftId')) {
+          transactionStore.createIndex('shiftId', 'shiftId', { unique: false });
+        }
+        if (!transactionStore.indexNames.contains('voidShiftId')) {
+          transactionStore.createIndex('voidShiftId', 'voidShiftId', { unique: false });
+        }
+      }
+      
       // Add any additional migrations for future versions here
     };
   });
@@ -80,6 +212,15 @@ async function initApp() {
     updateNotificationBadge();
     updateCurrentDate();
     generateInvoiceNumberDisplay();
+    resetTenders();
+    updateHeldSalesCount();
+    loadCartPromotions();
+    loadOperator();
+    loadUnits();
+    loadExpirySettings();
+    loadCategories().then(renderCashierCategoryTabs);
+    loadProductThumbnails();
+    loadCurrentShift();
     
     // Set up file upload display
     document.getElementById('receipt-logo').addEventListener('change', function(e) {
@@ -113,7 +254,9 @@ function generateInvoiceNumberDisplay() {
 function loadDefaultSettings() {
   const settings = [
     { id: 'store', name: 'Toko Saya', address: '', phone: '', email: '', taxId: '' },
-    { id: 'receipt', header: 'Terima kasih telah berbelanja', footer: 'Barang yang sudah dibeli tidak dapat ditukar atau dikembalikan', showTax: false, logo: null },
+    { id: 'receipt', header: 'Terima kasih telah berbelanja', footer: 'Barang yang sudah dibeli tidak dapat ditukar atau dikembalikan', showTax: false, logo: null, paperSize: '58mm' },
+    { id: 'printer', mode: 'browser', transport: 'serial', paperSize: '58mm', baudRate: 9600, autoCut: true, openDrawer: false },
+    { id: 'labels', size: '38x25', layout: 'a4', symbology: 'auto', copies: 1, showName: true, showPrice: true },
     { id: 'taxRate', value: 10 },
     { id: 'currency', symbol: 'Rp', decimal: 0, separator: '.', precision: 0 }
   ];
@@ -147,17 +290,86 @@ function setupEventListeners() {
   document.getElementById('add-product-btn').addEventListener('click', () => showProductForm());
   document.getElementById('product-search').addEventListener('input', searchProducts);
   document.getElementById('product-form').addEventListener('submit', saveProduct);
+  document.getElementById('product-has-variants').addEventListener('change', updateVariantFields);
+  document.getElementById('product-variant-attributes').addEventListener('change', renderVariantRows);
+  document.getElementById('add-variant-btn').addEventListener('click', addVariantRow);
+  document.getElementById('product-is-bundle').addEventListener('change', updateBundleFields);
+  document.getElementById('add-component-btn').addEventListener('click', addComponentRow);
+  document.getElementById('product-unit').addEventListener('change', updateProductUnitFields);
+  document.getElementById('product-category-add').addEventListener('click', () => addCategoryFromForm('product-category'));
+  document.getElementById('product-photo-camera').addEventListener('change', handleProductPhotoInput);
+  document.getElementById('product-photo-file').addEventListener('change', handleProductPhotoInput);
+  document.getElementById('product-photo-remove').addEventListener('click', removeProductFormPhoto);
+  document.getElementById('add-pack-btn').addEventListener('click', addPackRow);
+  document.getElementById('add-batch-btn').addEventListener('click', addBatchRow);
+  document.getElementById('select-all-products').addEventListener('change', toggleSelectAllProducts);
+  document.getElementById('print-labels-btn').addEventListener('click', showLabelForm);
+  document.getElementById('reconcile-stock-btn').addEventListener('click', showStockReconcile);
+  document.getElementById('import-products-btn').addEventListener('click', showImportForm);
+  document.getElementById('import-file').addEventListener('change', loadImportFile);
+  document.getElementById('import-check-btn').addEventListener('click', runImportDryRun);
+  document.getElementById('import-commit-btn').addEventListener('click', commitImport);
+  document.getElementById('import-undo-btn').addEventListener('click', undoImport);
+  document.getElementById('operator-btn').addEventListener('click', changeOperator);
+  
+  // Categories
+  document.getElementById('add-category-btn').addEventListener('click', () => showCategoryForm());
+  document.getElementById('category-form').addEventListener('submit', saveCategory);
+  
+  // Purchase orders
+  document.getElementById('add-purchase-btn').addEventListener('click', () => showPurchaseOrderForm());
+  document.getElementById('purchase-status-filter').addEventListener('change', loadPurchaseOrders);
+  document.getElementById('purchase-form').addEventListener('submit', savePurchaseOrder);
+  document.getElementById('add-purchase-line-btn').addEventListener('click', () => addPurchaseLine());
+  document.getElementById('receive-form').addEventListener('submit', saveReceivedGoods);
+  document.getElementById('print-purchase-btn').addEventListener('click', () => startPrint('printing-purchase', '@page { size: A4; margin: 15mm; }'));
+  document.getElementById('export-purchase-btn').addEventListener('click', exportPurchaseOrder);
+  document.getElementById('restock-purchase-btn').addEventListener('click', createRestockPurchaseOrders);
+  
+  // Stock counts
+  document.getElementById('add-stock-count-btn').addEventListener('click', showNewStockCountForm);
+  document.getElementById('new-stock-count-form').addEventListener('submit', startStockCount);
+  document.getElementById('stock-count-scan').addEventListener('keydown', handleStockCountScan);
+  document.getElementById('stock-count-filter').addEventListener('input', displayStockCountLines);
+  document.getElementById('post-stock-count-btn').addEventListener('click', postStockCount);
+  document.getElementById('export-stock-count-btn').addEventListener('click', exportStockCount);
+  document.getElementById('label-form').addEventListener('change', renderLabelPreview);
+  document.getElementById('label-form').addEventListener('submit', printLabels);
   document.getElementById('refresh-restock').addEventListener('click', loadDashboard);
+  document.getElementById('refresh-expiring').addEventListener('click', loadDashboard);
   document.getElementById('refresh-popular').addEventListener('click', loadDashboard);
+  document.getElementById('dashboard-chart-range').addEventListener('change', () => {
+    displaySalesCharts('dashboard', getReportPeriod(document.getElementById('dashboard-chart-range').value));
+  });
   
   // Cashier
   document.getElementById('cashier-search').addEventListener('input', searchCashierProducts);
+  document.getElementById('cashier-search').addEventListener('keydown', handleCashierSearchKey);
+  document.getElementById('quick-product-form').addEventListener('submit', saveQuickProduct);
+  document.getElementById('quick-product-category-add').addEventListener('click', () => addCategoryFromForm('quick-product-category'));
+  document.getElementById('quick-product-unit').addEventListener('change', updateQuickProductUnitField);
   document.getElementById('clear-cart-btn').addEventListener('click', clearCart);
+  document.getElementById('hold-cart-btn').addEventListener('click', holdCurrentSale);
+  document.getElementById('held-sales-btn').addEventListener('click', showHeldSales);
   document.getElementById('discount-toggle').addEventListener('change', toggleDiscount);
   document.getElementById('tax-toggle').addEventListener('change', toggleTax);
-  document.getElementById('amount-received').addEventListener('input', calculateChange);
+  document.getElementById('add-tender-btn').addEventListener('click', () => addTenderRow(null, getRemainingAmount()));
   document.getElementById('process-payment').addEventListener('click', processPayment);
   
+  // Shifts
+  document.getElementById('shift-btn').addEventListener('click', showShiftModal);
+  document.getElementById('open-shift-form').addEventListener('submit', openShift);
+  document.getElementById('cash-movement-form').addEventListener('submit', saveCashMovement);
+  document.getElementById('print-x-report-btn').addEventListener('click', printXReport);
+  document.getElementById('close-shift-btn').addEventListener('click', showCloseShiftForm);
+  document.getElementById('denomination-list').addEventListener('input', updateClosingCount);
+  document.getElementById('close-shift-form').addEventListener('submit', closeShift);
+  
+  // Promotions
+  document.getElementById('add-promotion-btn').addEventListener('click', () => showPromotionForm());
+  document.getElementById('promotion-form').addEventListener('submit', savePromotion);
+  document.getElementById('promotion-type').addEventListener('change', updatePromotionTypeFields);
+  
   // Suppliers
   document.getElementById('add-supplier-btn').addEventListener('click', () => showSupplierForm());
   document.getElementById('supplier-search').addEventListener('input', searchSuppliers);
@@ -166,9 +378,28 @@ function setupEventListeners() {
   // Reports
   document.getElementById('report-type').addEventListener('change', changeReportType);
   document.getElementById('generate-report').addEventListener('click', generateReport);
+  document.getElementById('report-product-grouping').addEventListener('change', () => displayProductSales(lastReportTransactions));
+  document.getElementById('report-profit-grouping').addEventListener('change', () => displayProfitBreakdown());
   document.getElementById('export-pdf').addEventListener('click', exportPDF);
   document.getElementById('export-excel').addEventListener('click', exportExcel);
   
+  // Returns
+  document.getElementById('return-btn').addEventListener('click', () => showReturnForm());
+  document.getElementById('return-search-btn').addEventListener('click', findReturnTransaction);
+  document.getElementById('return-invoice').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      findReturnTransaction();
+    }
+  });
+  document.getElementById('process-return-btn').addEventListener('click', processReturn);
+  
+  // Voids
+  document.getElementById('void-form').addEventListener('submit', processVoid);
+  
+  // Receipt
+  document.getElementById('print-receipt-btn').addEventListener('click', printReceiptPreview);
+  window.addEventListener('afterprint', finishPrint);
+  
   // Settings
   document.querySelectorAll('.tab-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -179,6 +410,14 @@ function setupEventListeners() {
   });
   document.getElementById('store-form').addEventListener('submit', saveStoreSettings);
   document.getElementById('receipt-form').addEventListener('submit', saveReceiptSettings);
+  document.getElementById('printer-form').addEventListener('submit', savePrinterSettings);
+  document.getElementById('unit-form').addEventListener('submit', saveUnitSettings);
+  document.getElementById('add-unit-btn').addEventListener('click', () => addUnitSettingRow());
+  document.getElementById('expiry-form').addEventListener('submit', saveExpirySettings);
+  document.getElementById('supervisor-form').addEventListener('submit', saveSupervisorSettings);
+  document.getElementById('printer-transport').addEventListener('change', updatePrinterTransportFields);
+  document.getElementById('printer-connect-btn').addEventListener('click', connectPrinter);
+  document.getElementById('printer-test-btn').addEventListener('click', testPrinter);
   document.getElementById('backup-btn').addEventListener('click', backupData);
   document.getElementById('restore-btn').addEventListener('click', restoreData);
   document.getElementById('reset-btn').addEventListener('click', resetData);
@@ -192,6 +431,13 @@ function setupEventListeners() {
     });
   });
   
+  // Close modals with their close buttons
+  document.querySelectorAll('.close-modal').forEach(btn => {
+    btn.addEventListener('click', () => {
+      btn.closest('.modal').classList.add('hidden');
+    });
+  });
+  
   // Close modals with escape key
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
@@ -211,6 +457,14 @@ function setupEventListeners() {
       
       if (page === 'products') {
         showProductForm(id);
+      } else if (page === 'categories') {
+        showCategoryForm(id);
+      } else if (page === 'promotions') {
+        showPromotionForm(id);
+      } else if (page === 'purchases') {
+        showPurchaseOrderForm(id);
+      } else if (page === 'stock-counts') {
+        showStockCount(id);
       } else if (page === 'suppliers') {
         showSupplierForm(id);
       }
@@ -218,12 +472,20 @@ function setupEventListeners() {
     
     // Handle delete buttons
     if (e.target.classList.contains('btn-delete') || e.target.closest('.btn-delete')) {
-      const btn = e.target.classList.contains('btn-edit') ? e.target : e.target.closest('.btn-edit');
+      const btn = e.target.classList.contains('btn-delete') ? e.target : e.target.closest('.btn-delete');
       const id = parseInt(btn.getAttribute('data-id'));
       const page = btn.closest('.page').id.replace('-page', '');
       
       if (page === 'products') {
         deleteProduct(id);
+      } else if (page === 'categories') {
+        deleteCategory(id);
+      } else if (page === 'promotions') {
+        deletePromotion(id);
+      } else if (page === 'purchases') {
+        deletePurchaseOrder(id);
+      } else if (page === 'stock-counts') {
+        deleteStockCount(id);
       } else if (page === 'suppliers') {
         deleteSupplier(id);
       }
@@ -235,6 +497,56 @@ function setupEventListeners() {
       const id = parseInt(btn.getAttribute('data-id'));
       viewTransactionDetails(id);
     }
+    
+    // Handle return buttons
+    if (e.target.classList.contains('btn-return') || e.target.closest('.btn-return')) {
+      const btn = e.target.classList.contains('btn-return') ? e.target : e.target.closest('.btn-return');
+      showReturnForm(btn.getAttribute('data-invoice'));
+    }
+    
+    // Handle void buttons
+    if (e.target.classList.contains('btn-void') || e.target.closest('.btn-void')) {
+      const btn = e.target.classList.contains('btn-void') ? e.target : e.target.closest('.btn-void');
+      showVoidForm(parseInt(btn.getAttribute('data-id')));
+    }
+    
+    // Handle stock history buttons
+    if (e.target.classList.contains('btn-history') || e.target.closest('.btn-history')) {
+      const btn = e.target.classList.contains('btn-history') ? e.target : e.target.closest('.btn-history');
+      showStockHistory(parseInt(btn.getAttribute('data-id')));
+    }
+    
+    // Handle stock reconcile buttons
+    if (e.target.classList.contains('btn-reconcile') || e.target.closest('.btn-reconcile')) {
+      const btn = e.target.classList.contains('btn-reconcile') ? e.target : e.target.closest('.btn-reconcile');
+      resolveStockDrift(parseInt(btn.getAttribute('data-id')), btn.getAttribute('data-action'));
+    }
+    
+    // Handle send purchase order buttons
+    if (e.target.classList.contains('btn-send') || e.target.closest('.btn-send')) {
+      const btn = e.target.classList.contains('btn-send') ? e.target : e.target.closest('.btn-send');
+      sendPurchaseOrder(parseInt(btn.getAttribute('data-id')));
+    }
+    
+    // Handle receive goods buttons
+    if (e.target.classList.contains('btn-receive') || e.target.closest('.btn-receive')) {
+      const btn = e.target.classList.contains('btn-receive') ? e.target : e.target.closest('.btn-receive');
+      showReceiveForm(parseInt(btn.getAttribute('data-id')));
+    }
+    
+    // Handle print buttons (receipts, Z reports of closed shifts, or purchase order documents on the purchases page)
+    if (e.target.classList.contains('btn-print') || e.target.closest('.btn-print')) {
+      const btn = e.target.classList.contains('btn-print') ? e.target : e.target.closest('.btn-print');
+      const id = parseInt(btn.getAttribute('data-id'));
+      
+      if (btn.closest('#shift-history-list')) {
+        reprintZReport(id);
+      } else if (btn.closest('.page') && btn.closest('.page').id === 'purchases-page') {
+        showPurchaseOrderDocument(id);
+      } else {
+        reprintReceipt(id);
+      }
+    }
   });
 }
 
@@ -264,12 +576,25 @@ function showPage(pageId) {
     case 'products':
       loadProducts();
       break;
+    case 'categories':
+      loadCategories().then(displayCategories);
+      break;
     case 'cashier':
       loadCashierProducts();
+      document.getElementById('cashier-search').focus();
       break;
     case 'reports':
       setupReportDates();
       break;
+    case 'promotions':
+      loadPromotions();
+      break;
+    case 'purchases':
+      loadPurchaseOrders();
+      break;
+    case 'stock-counts':
+      loadStockCounts();
+      break;
     case 'suppliers':
       loadSuppliers();
       break;
@@ -327,14 +652,15 @@ function showToast(message, type = 'info') {
 function updateNotificationBadge() {
   const transaction = db.transaction(STORES.NOTIFICATIONS, 'readonly');
   const store = transaction.objectStore(STORES.NOTIFICATIONS);
-  const index = store.index('read');
-  const request = index.count(false);
+  // Booleans are not valid IndexedDB keys, so the read index cannot be queried for false
+  const request = store.getAll();
   
   request.onsuccess = () => {
     const badge = document.querySelector('.notification-badge');
-    if (request.result > 0) {
+    const unread = request.result.filter(notification => !notification.read).length;
+    if (unread > 0) {
       badge.classList.remove('hidden');
-      badge.textContent = request.result > 9 ? '9+' : request.result;
+      badge.textContent = unread > 9 ? '9+' : unread;
     } else {
       badge.classList.add('hidden');
     }
@@ -414,8 +740,31 @@ function formatCurrencySync(amount) {
   return `Rp ${amount.toLocaleString('id-ID')}`;
 }
 
+// Let the browser download a Blob as a file
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  
+  const linkElement = document.createElement('a');
+  linkElement.setAttribute('href', url);
+  linkElement.setAttribute('download', fileName);
+  linkElement.click();
+  
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Build CSV text from rows of values
+function toCsv(rows) {
+  return rows.map(row => row.map(value => {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n');
+}
+
 // ==================== PRODUCTS MANAGEMENT ====================
 
+// Products ticked in the product table (for label printing)
+let selectedProductIds = new Set();
+
 // Load products
 function loadProducts() {
   const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
@@ -423,35 +772,7 @@ function loadProducts() {
   const request = store.getAll();
   
   request.onsuccess = () => {
-    const tbody = document.getElementById('products-list');
-    tbody.innerHTML = '';
-    
-    if (request.result.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Tidak ada produk</td></tr>';
-      return;
-    }
-    
-    request.result.forEach(product => {
-      const row = document.createElement('tr');
-      
-      row.innerHTML = `
-                <td>${product.code}</td>
-                <td>${product.name}</td>
-                <td>${product.category}</td>
-                <td>${formatCurrencySync(product.price)}</td>
-                <td>${product.stock}</td>
-                <td>
-                    <button class="btn-edit" data-id="${product.id}">
-                        <i class="fas fa-edit"></i> Edit
-                    </button>
-                    <button class="btn-delete" data-id="${product.id}">
-                        <i class="fas fa-trash"></i> Hapus
-                    </button>
-                </td>
-            `;
-      
-      tbody.appendChild(row);
-    });
+    displayProducts(request.result, 'Tidak ada produk');
   };
 }
 
@@ -469,36 +790,119 @@ function searchProducts() {
       product.category.toLowerCase().includes(query)
     );
     
-    const tbody = document.getElementById('products-list');
-    tbody.innerHTML = '';
-    
-    if (filtered.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Tidak ada produk yang cocok</td></tr>';
+    displayProducts(withVariantFamilies(filtered, request.result), 'Tidak ada produk yang cocok', request.result);
+  };
+}
+
+// Display products in the product table, with variants listed under their parent
+// `allProducts` holds the components of bundles that a search left out
+function displayProducts(products, emptyMessage, allProducts = products) {
+  const tbody = document.getElementById('products-list');
+  tbody.innerHTML = '';
+  document.getElementById('select-all-products').checked = false;
+  
+  if (products.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="7" class="text-center">${emptyMessage}</td></tr>`;
+    return;
+  }
+  
+  const variantsByParent = groupVariantsByParent(products);
+  const productsById = new Map(allProducts.map(product => [product.id, product]));
+  
+  products.forEach(product => {
+    if (product.parentId && variantsByParent[product.parentId] && products.some(p => p.id === product.parentId)) {
       return;
     }
     
-    filtered.forEach(product => {
-      const row = document.createElement('tr');
-      
-      row.innerHTML = `
-                <td>${product.code}</td>
-                <td>${product.name}</td>
-                <td>${product.category}</td>
-                <td>${formatCurrencySync(product.price)}</td>
-                <td>${product.stock}</td>
-                <td>
-                    <button class="btn-edit" data-id="${product.id}">
-                        <i class="fas fa-edit"></i> Edit
-                    </button>
-                    <button class="btn-delete" data-id="${product.id}">
-                        <i class="fas fa-trash"></i> Hapus
-                    </button>
-                </td>
-            `;
-      
-      tbody.appendChild(row);
+    tbody.appendChild(buildProductRow(product, variantsByParent[product.id] || [], productsById));
+    (variantsByParent[product.id] || []).forEach(variant => {
+      tbody.appendChild(buildProductRow(variant, [], productsById));
     });
-  };
+  });
+}
+
+// Build the product table row of a product, parent, variant or bundle
+function buildProductRow(product, variants, productsById) {
+  const row = document.createElement('tr');
+  let stock = product.stock;
+  
+  if (product.hasVariants) {
+    stock = variants.reduce((sum, variant) => sum + variant.stock, 0);
+  } else if (product.isBundle) {
+    stock = getBundleStock(product, productsById);
+  }
+  
+  if (product.parentId) {
+    row.className = 'variant-row';
+  }
+  
+  row.innerHTML = `
+            <td>
+                ${product.hasVariants ? '' : `<input type="checkbox" class="product-select" data-id="${product.id}" ${selectedProductIds.has(product.id) ? 'checked' : ''}>`}
+            </td>
+            <td>${product.code}</td>
+            <td>
+                <div class="product-name-cell">
+                    ${getProductThumbnailHtml(product)}
+                    <div>
+                        ${product.parentId ? `<span class="variant-label">${escapeHtml(formatVariantLabel(product.variantAttributes))}</span>` : product.name}
+                        ${product.hasVariants ? `<div class="transaction-note">${variants.length} varian</div>` : ''}
+                        ${product.isBundle ? `<div class="transaction-note">Paket: ${escapeHtml(formatBundleComponents(product, productsById))}</div>` : ''}
+                    </div>
+                </div>
+            </td>
+            <td>${escapeHtml(getCategoryPath(product.categoryId) || product.category)}</td>
+            <td>
+                ${product.hasVariants ? formatPriceRange(variants) : formatUnitPrice(product.price, product.unit)}
+                ${(product.packs || []).map(pack => `<div class="transaction-note">${escapeHtml(pack.unit)} (${formatQuantity(pack.factor, product.unit)}): ${formatCurrencySync(pack.price)}</div>`).join('')}
+            </td>
+            <td>
+                ${formatQuantity(stock, product.unit)}
+                ${product.isBundle ? '<div class="transaction-note">Dari stok komponen</div>' : ''}
+                ${product.batches && product.batches.length > 0 ? (batch => `
+                <div class="transaction-note batch-${getBatchStatus(batch)}">Exp: ${formatExpiryDate(batch.expiry)}</div>`)(sortBatchesFefo(product.batches)[0]) : ''}
+                ${product.damagedStock ? `<div class="transaction-note">Rusak: ${formatQuantity(product.damagedStock, product.unit)}</div>` : ''}
+            </td>
+            <td>
+                ${hasOwnStock(product) ? `
+                <button class="btn-history" data-id="${product.id}">
+                    <i class="fas fa-history"></i> Riwayat
+                </button>` : ''}
+                <button class="btn-edit" data-id="${product.parentId || product.id}">
+                    <i class="fas fa-edit"></i> Edit
+                </button>
+                <button class="btn-delete" data-id="${product.id}">
+                    <i class="fas fa-trash"></i> Hapus
+                </button>
+            </td>
+        `;
+  
+  const checkbox = row.querySelector('.product-select');
+  if (checkbox) {
+    checkbox.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        selectedProductIds.add(product.id);
+      } else {
+        selectedProductIds.delete(product.id);
+      }
+    });
+  }
+  
+  return row;
+}
+
+// Tick or untick every product shown in the table
+function toggleSelectAllProducts(e) {
+  document.querySelectorAll('#products-list .product-select').forEach(checkbox => {
+    const id = parseInt(checkbox.getAttribute('data-id'));
+    checkbox.checked = e.target.checked;
+    
+    if (e.target.checked) {
+      selectedProductIds.add(id);
+    } else {
+      selectedProductIds.delete(id);
+    }
+  });
 }
 
 // Show product form
@@ -510,20 +914,56 @@ function showProductForm(id = null) {
   // Reset form and clear errors
   form.reset();
   clearFormErrors('product-form');
+  productFormVariants = [];
+  removedVariantIds = [];
+  productFormPacks = [];
+  productFormBatches = [];
+  productFormComponents = [];
+  document.getElementById('product-has-variants').disabled = false;
+  document.getElementById('product-is-bundle').disabled = false;
+  fillUnitOptions(document.getElementById('product-unit'), DEFAULT_UNIT);
+  fillCategoryOptions(document.getElementById('product-category'), null);
+  loadProductFormPhoto(id);
+  loadBundleFormProducts().then(renderComponentRows);
   
   if (id) {
     title.innerHTML = '<i class="fas fa-edit"></i> Edit Produk';
     getRecord(STORES.PRODUCTS, id).then(product => {
+      return (product && product.hasVariants ? getVariants(id) : Promise.resolve([])).then(variants => {
+        return { product, variants };
+      });
+    }).then(({ product, variants }) => {
       if (product) {
         document.getElementById('product-id').value = product.id;
         document.getElementById('product-code').value = product.code;
         document.getElementById('product-name').value = product.name;
-        document.getElementById('product-category').value = product.category;
+        fillCategoryOptions(document.getElementById('product-category'), product.categoryId);
         document.getElementById('product-price').value = product.price;
         document.getElementById('product-cost').value = product.cost;
         document.getElementById('product-stock').value = product.stock;
         document.getElementById('product-min-stock').value = product.minStock;
         document.getElementById('product-supplier').value = product.supplierId || '';
+        fillUnitOptions(document.getElementById('product-unit'), product.unit || DEFAULT_UNIT);
+        productFormPacks = (product.packs || []).map(pack => ({ ...pack }));
+        productFormBatches = sortBatchesFefo(product.batches).map(batch => ({ ...batch }));
+        
+        // A parent keeps its variants; they are removed one by one in the table
+        document.getElementById('product-has-variants').checked = !!product.hasVariants;
+        document.getElementById('product-has-variants').disabled = !!product.hasVariants;
+        document.getElementById('product-is-bundle').checked = !!product.isBundle;
+        document.getElementById('product-is-bundle').disabled = !!product.hasVariants;
+        productFormComponents = (product.components || []).map(component => ({ ...component }));
+        document.getElementById('product-variant-attributes').value = (product.variantAttributes || []).join(', ');
+        productFormVariants = variants.map(variant => ({
+          id: variant.id,
+          attributes: { ...variant.variantAttributes },
+          code: variant.code,
+          price: variant.priceOverride ? variant.price : null,
+          stock: variant.stock,
+          minStock: variant.minStock
+        }));
+        updateVariantFields();
+        updateProductUnitFields();
         
         modal.classList.remove('hidden');
         document.getElementById('product-code').focus();
@@ -535,6 +975,8 @@ function showProductForm(id = null) {
   } else {
     title.innerHTML = '<i class="fas fa-plus"></i> Tambah Produk Baru';
     document.getElementById('product-id').value = '';
+    updateVariantFields();
+    updateProductUnitFields();
     modal.classList.remove('hidden');
     setTimeout(() => {
       document.getElementById('product-code').focus();
@@ -579,73 +1021,100 @@ function loadSuppliersForDropdown() {
   };
 }
 
-// Validate product form
-function validateProductForm() {
-  let isValid = true;
-  const form = document.getElementById('product-form');
+// Error message elements of the product form, per product field
+const PRODUCT_FIELD_ERRORS = {
+  code: 'code-error',
+  name: 'name-error',
+  category: 'category-error',
+  price: 'price-error',
+  cost: 'cost-error',
+  stock: 'stock-error',
+  minStock: 'min-stock-error'
+};
+
+// Check the basic fields of a product and return an error message per invalid field
+// The product form and the importer both use it so they apply the same rules
+function getProductValueErrors(product, { checkStock = true } = {}) {
+  const errors = {};
+  const unit = product.unit || DEFAULT_UNIT;
   
-  // Validate code
-  const code = document.getElementById('product-code').value.trim();
-  if (!code) {
-    showError('code-error', 'Kode produk wajib diisi');
-    isValid = false;
+  if (!product.code) {
+    errors.code = 'Kode produk wajib diisi';
   }
   
-  // Validate name
-  const name = document.getElementById('product-name').value.trim();
-  if (!name) {
-    showError('name-error', 'Nama produk wajib diisi');
-    isValid = false;
+  if (!product.name) {
+    errors.name = 'Nama produk wajib diisi';
   }
   
-  // Validate category
-  const category = document.getElementById('product-category').value.trim();
-  if (!category) {
-    showError('category-error', 'Kategori wajib diisi');
-    isValid = false;
+  if (!product.category) {
+    errors.category = 'Kategori wajib diisi';
   }
   
-  // Validate price
-  const price = parseFloat(document.getElementById('product-price').value);
-  if (isNaN(price)) {
-    showError('price-error', 'Harga jual wajib diisi');
-    isValid = false;
-  } else if (price < 0) {
-    showError('price-error', 'Harga jual tidak boleh negatif');
-    isValid = false;
+  if (isNaN(product.price)) {
+    errors.price = 'Harga jual wajib diisi';
+  } else if (product.price < 0) {
+    errors.price = 'Harga jual tidak boleh negatif';
   }
   
-  // Validate cost
-  const cost = parseFloat(document.getElementById('product-cost').value);
-  if (isNaN(cost)) {
-    showError('cost-error', 'Harga beli wajib diisi');
-    isValid = false;
-  } else if (cost < 0) {
-    showError('cost-error', 'Harga beli tidak boleh negatif');
-    isValid = false;
+  if (isNaN(product.cost)) {
+    errors.cost = 'Harga beli wajib diisi';
+  } else if (product.cost < 0) {
+    errors.cost = 'Harga beli tidak boleh negatif';
   }
   
-  // Validate stock
-  const stock = parseInt(document.getElementById('product-stock').value);
-  if (isNaN(stock)) {
-    showError('stock-error', 'Stok wajib diisi');
-    isValid = false;
-  } else if (stock < 0) {
-    showError('stock-error', 'Stok tidak boleh negatif');
-    isValid = false;
+  // Parents and bundles hold no stock of their own; their variants and components do
+  if (!checkStock) {
+    return errors;
   }
   
-  // Validate min stock
-  const minStock = parseInt(document.getElementById('product-min-stock').value);
-  if (isNaN(minStock)) {
-    showError('min-stock-error', 'Stok minimum wajib diisi');
-    isValid = false;
-  } else if (minStock < 0) {
-    showError('min-stock-error', 'Stok minimum tidak boleh negatif');
-    isValid = false;
+  if (isNaN(product.stock)) {
+    errors.stock = 'Stok wajib diisi';
+  } else if (product.stock < 0) {
+    errors.stock = 'Stok tidak boleh negatif';
+  } else if (!isValidQuantity(product.stock, unit)) {
+    errors.stock = `Stok dalam ${unit} maksimal ${getUnitPrecision(unit)} desimal`;
   }
   
-  return isValid;
+  if (isNaN(product.minStock)) {
+    errors.minStock = 'Stok minimum wajib diisi';
+  } else if (product.minStock < 0) {
+    errors.minStock = 'Stok minimum tidak boleh negatif';
+  } else if (!isValidQuantity(product.minStock, unit)) {
+    errors.minStock = `Stok minimum dalam ${unit} maksimal ${getUnitPrecision(unit)} desimal`;
+  }
+  
+  return errors;
+}
+
+// Validate product form
+function validateProductForm() {
+  const hasVariants = document.getElementById('product-has-variants').checked;
+  const isBundle = document.getElementById('product-is-bundle').checked;
+  const category = getSelectedCategory('product-category');
+  const product = {
+    code: document.getElementById('product-code').value.trim(),
+    name: document.getElementById('product-name').value.trim(),
+    category: category ? category.name : '',
+    price: parseFloat(document.getElementById('product-price').value),
+    cost: parseFloat(document.getElementById('product-cost').value),
+    stock: parseFloat(document.getElementById('product-stock').value),
+    minStock: parseFloat(document.getElementById('product-min-stock').value),
+    unit: document.getElementById('product-unit').value
+  };
+  
+  const errors = getProductValueErrors(product, { checkStock: !hasVariants && !isBundle });
+  Object.entries(errors).forEach(([field, message]) => showError(PRODUCT_FIELD_ERRORS[field], message));
+  const isValid = Object.keys(errors).length === 0;
+  
+  if (hasVariants) {
+    return validateVariants(product.code, product.unit) && isValid;
+  }
+  
+  if (isBundle) {
+    return validateBundleComponents() && isValid;
+  }
+  
+  return validatePacks(product.code, product.unit) && validateBatches(product.stock, product.unit) && isValid;
 }
 
 // Show error message
@@ -673,707 +1142,9432 @@ function saveProduct(e) {
   }
   
   const id = document.getElementById('product-id').value;
+  const category = getSelectedCategory('product-category');
   const product = {
     code: document.getElementById('product-code').value.trim(),
     name: document.getElementById('product-name').value.trim(),
-    category: document.getElementById('product-category').value.trim(),
+    category: category.name,
+    categoryId: category.id,
     price: parseFloat(document.getElementById('product-price').value),
     cost: parseFloat(document.getElementById('product-cost').value),
-    stock: parseInt(document.getElementById('product-stock').value),
-    minStock: parseInt(document.getElementById('product-min-stock').value),
+    stock: parseFloat(document.getElementById('product-stock').value),
+    minStock: parseFloat(document.getElementById('product-min-stock').value),
+    unit: document.getElementById('product-unit').value,
+    packs: getProductFormPacks(),
+    batches: getProductFormBatches(),
     supplierId: document.getElementById('product-supplier').value || null,
     updatedAt: new Date()
   };
   
   if (id) {
-    // Update existing product
     product.id = parseInt(id);
-    updateRecord(STORES.PRODUCTS, product).then(() => {
-      showToast('Produk berhasil diperbarui', 'success');
-      document.getElementById('product-modal').classList.add('hidden');
-      loadProducts();
-      loadDashboard();
-      loadCashierProducts();
-    }).catch(err => {
-      console.error('Error updating product:', err);
-      showToast('Gagal memperbarui produk', 'error');
-    });
   } else {
-    // Add new product
     product.createdAt = new Date();
-    addRecord(STORES.PRODUCTS, product).then(() => {
-      showToast('Produk berhasil ditambahkan', 'success');
-      document.getElementById('product-modal').classList.add('hidden');
-      loadProducts();
-      loadDashboard();
-      loadCashierProducts();
-    }).catch(err => {
-      console.error('Error adding product:', err);
-      if (err.name === 'ConstraintError') {
-        showError('code-error', 'Kode produk sudah digunakan');
-      } else {
-        showToast('Gagal menambahkan produk', 'error');
-      }
-    });
   }
+  
+  const hasVariants = document.getElementById('product-has-variants').checked;
+  if (hasVariants) {
+    Object.assign(product, { hasVariants: true, variantAttributes: getVariantAttributeNames(), stock: 0, minStock: 0, packs: [], batches: [] });
+  }
+  
+  // A bundle sells from the stock of its components; a product that stops being a bundle drops them
+  const isBundle = document.getElementById('product-is-bundle').checked;
+  Object.assign(product, isBundle ?
+    { isBundle: true, components: getProductFormComponents(), stock: 0, minStock: 0, packs: [], batches: [] } :
+    { isBundle: false, components: [] });
+  
+  const save = hasVariants ?
+    saveProductWithVariants(product, productFormVariants, removedVariantIds) :
+    checkPackCodes(product).then(() => saveProductStock(product, 'manual', id ? 'Edit produk' : 'Produk baru', isBundle ? 'Diubah menjadi paket' : undefined));
+  
+  save.then(saved => saveProductFormPhoto(saved.id)).then(() => {
+    showToast(id ? 'Produk berhasil diperbarui' : 'Produk berhasil ditambahkan', 'success');
+    document.getElementById('product-modal').classList.add('hidden');
+    loadProducts();
+    loadDashboard();
+    loadCashierProducts();
+  }).catch(err => {
+    console.error('Error saving product:', err);
+    if (err.name === 'ConstraintError') {
+      showError(hasVariants ? 'variants-error' : 'code-error', 'Kode produk sudah digunakan');
+    } else if (err.name === 'PackCodeError') {
+      showError('packs-error', err.message);
+    } else {
+      showToast(id ? 'Gagal memperbarui produk' : 'Gagal menambahkan produk', 'error');
+    }
+  });
 }
 
-// Delete product
+// Delete product (a parent is deleted together with its variants)
+// Products that are components of a bundle stay until the bundle no longer uses them
 function deleteProduct(id) {
-  if (confirm('Apakah Anda yakin ingin menghapus produk ini?')) {
-    deleteRecord(STORES.PRODUCTS, id).then(() => {
+  Promise.all([getRecord(STORES.PRODUCTS, id), getVariants(id)]).then(([product, variants]) => {
+    return getBundlesUsing([id, ...variants.map(variant => variant.id)]).then(bundles => ({ product, bundles }));
+  }).then(({ product, bundles }) => {
+    if (bundles.length > 0) {
+      showToast(`Produk masih menjadi komponen paket ${bundles.map(bundle => bundle.name).join(', ')}`, 'warning');
+      return;
+    }
+    
+    const message = product && product.hasVariants ?
+      'Apakah Anda yakin ingin menghapus produk ini beserta semua variannya?' :
+      'Apakah Anda yakin ingin menghapus produk ini?';
+    
+    if (!confirm(message)) {
+      return;
+    }
+    
+    return deleteProductFamily(id).then(() => {
       showToast('Produk berhasil dihapus', 'success');
       loadProducts();
       loadDashboard();
       loadCashierProducts();
-    }).catch(err => {
-      console.error('Error deleting product:', err);
-      showToast('Gagal menghapus produk', 'error');
     });
-  }
+  }).catch(err => {
+    console.error('Error deleting product:', err);
+    showToast('Gagal menghapus produk', 'error');
+  });
 }
 
-// ==================== CASHIER ====================
+// ==================== CATEGORIES ====================
 
-let cart = [];
+// Icons a category can show (Font Awesome), with a description for the picker
+const CATEGORY_ICONS = {
+  'fa-tag': 'Umum',
+  'fa-coffee': 'Minuman',
+  'fa-utensils': 'Makanan',
+  'fa-cookie': 'Camilan',
+  'fa-apple-alt': 'Buah & Sayur',
+  'fa-pump-soap': 'Perawatan',
+  'fa-pills': 'Obat',
+  'fa-baby': 'Bayi',
+  'fa-tshirt': 'Pakaian',
+  'fa-shoe-prints': 'Sepatu',
+  'fa-pen': 'Alat Tulis',
+  'fa-mobile-alt': 'Elektronik',
+  'fa-home': 'Rumah Tangga',
+  'fa-box': 'Lainnya'
+};
 
-// Load products for cashier
-function loadCashierProducts() {
-  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
-  const store = transaction.objectStore(STORES.PRODUCTS);
-  const request = store.getAll();
-  
-  request.onsuccess = () => {
-    const container = document.getElementById('cashier-products');
-    container.innerHTML = '';
+// Colour and icon of categories created without choosing one
+const DEFAULT_CATEGORY_COLOR = '#4361ee';
+const DEFAULT_CATEGORY_ICON = 'fa-tag';
+
+// Categories kept in memory for the pickers, cashier tabs and reports
+let productCategories = [];
+
+// Category the cashier grid is filtered by; null shows every product
+let cashierCategoryId = null;
+
+// Tidy a category name typed by hand
+function normalizeCategoryName(name) {
+  return String(name === null || name === undefined ? '' : name).trim().replace(/\s+/g, ' ');
+}
+
+// Key under which spellings of one category match, e.g. "Minuman " and "minuman"
+function getCategoryKey(name) {
+  return normalizeCategoryName(name).toLowerCase();
+}
+
+// Load categories
+function loadCategories() {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.CATEGORIES, 'readonly');
+    const request = transaction.objectStore(STORES.CATEGORIES).getAll();
     
-    if (request.result.length === 0) {
-      container.innerHTML = '<p class="no-products">Tidak ada produk</p>';
+    request.onsuccess = () => {
+      productCategories = request.result;
+      resolve(productCategories);
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Get a loaded category by id
+function getCategory(id) {
+  return productCategories.find(category => category.id === id) || null;
+}
+
+// List categories as a tree: siblings by sort order then name, each followed by its children
+function getCategoryTree() {
+  const result = [];
+  const isRoot = (category) => !category.parentId || !getCategory(category.parentId);
+  
+  const visit = (parentId, depth) => {
+    productCategories
+      .filter(category => parentId === null ? isRoot(category) : category.parentId === parentId)
+      .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name))
+      .forEach(category => {
+        result.push({ category, depth });
+        visit(category.id, depth + 1);
+      });
+  };
+  
+  visit(null, 0);
+  return result;
+}
+
+// Get the names from the top-level category down to a category, e.g. "Minuman › Kopi"
+function getCategoryPath(id) {
+  const names = [];
+  let category = getCategory(id);
+  
+  while (category && names.length < productCategories.length) {
+    names.unshift(category.name);
+    category = getCategory(category.parentId);
+  }
+  
+  return names.join(' › ');
+}
+
+// Get the ids of a category and every category below it
+function getCategoryDescendantIds(id) {
+  const ids = new Set([id]);
+  let added = true;
+  
+  while (added) {
+    added = false;
+    productCategories.forEach(category => {
+      if (category.parentId && ids.has(category.parentId) && !ids.has(category.id)) {
+        ids.add(category.id);
+        added = true;
+      }
+    });
+  }
+  
+  return ids;
+}
+
+// Find categories by name, or by a full path such as "Minuman > Kopi"
+function findCategories(text) {
+  const parts = String(text).split(/[>›]/).map(getCategoryKey);
+  
+  if (parts.length === 1) {
+    return productCategories.filter(category => getCategoryKey(category.name) === parts[0]);
+  }
+  
+  return productCategories.filter(category => {
+    return getCategoryPath(category.id).split(' › ').map(getCategoryKey).join('>') === parts.join('>');
+  });
+}
+
+// Fill a category dropdown with the category tree, indenting children under their parent
+function fillCategoryOptions(select, selectedId, emptyLabel = 'Pilih Kategori', excludedIds = new Set()) {
+  select.innerHTML = `<option value="">${emptyLabel}</option>`;
+  
+  getCategoryTree().forEach(({ category, depth }) => {
+    if (excludedIds.has(category.id)) {
       return;
     }
     
+    const option = document.createElement('option');
+    option.value = category.id;
+    option.textContent = `${'   '.repeat(depth)}${category.name}`;
+    select.appendChild(option);
+  });
+  
+  select.value = selectedId && getCategory(selectedId) ? selectedId : '';
+}
+
+// Get the category chosen in a category dropdown
+function getSelectedCategory(selectId) {
+  return getCategory(parseInt(document.getElementById(selectId).value));
+}
+
+// Create a top-level category from a product form and select it there
+function addCategoryFromForm(selectId) {
+  const name = normalizeCategoryName(prompt('Nama kategori baru:'));
+  if (!name) {
+    return;
+  }
+  
+  const select = document.getElementById(selectId);
+  const existing = productCategories.find(category => !category.parentId && getCategoryKey(category.name) === getCategoryKey(name));
+  
+  if (existing) {
+    select.value = existing.id;
+    showToast(`Kategori ${existing.name} sudah ada dan dipilih`, 'info');
+    return;
+  }
+  
+  const category = { name, parentId: null, color: DEFAULT_CATEGORY_COLOR, icon: DEFAULT_CATEGORY_ICON, sortOrder: 0, createdAt: new Date(), updatedAt: new Date() };
+  
+  addRecord(STORES.CATEGORIES, category).then(id => {
+    return loadCategories().then(() => {
+      fillCategoryOptions(select, id);
+      renderCashierCategoryTabs();
+      showToast('Kategori berhasil ditambahkan', 'success');
+    });
+  }).catch(err => {
+    console.error('Error adding category:', err);
+    showToast('Gagal menambahkan kategori', 'error');
+  });
+}
+
+// Turn the free-text categories of existing products into category records
+// Spellings that differ only in case or spacing become one category, named after its most used spelling
+// Takes an open transaction over the products and categories stores
+function migrateCategories(transaction) {
+  const productStore = transaction.objectStore(STORES.PRODUCTS);
+  const categoryStore = transaction.objectStore(STORES.CATEGORIES);
+  const request = productStore.getAll();
+  
+  request.onsuccess = () => {
+    const groups = new Map();
+    
     request.result.forEach(product => {
-      if (product.stock > 0) {
-        const item = document.createElement('div');
-        item.className = 'product-item';
-        item.setAttribute('data-id', product.id);
-        item.setAttribute('title', `${product.name} - ${formatCurrencySync(product.price)}`);
-        
-        item.innerHTML = `
-                    <div class="product-name">${product.name}</div>
-                    <div class="product-price">${formatCurrencySync(product.price)}</div>
-                    <div class="product-stock">Stok: ${product.stock}</div>
-                `;
-        
-        item.addEventListener('click', () => addToCart(product));
-        container.appendChild(item);
+      const key = getCategoryKey(product.category);
+      if (!key || product.categoryId) {
+        return;
       }
+      
+      if (!groups.has(key)) {
+        groups.set(key, { spellings: {}, products: [] });
+      }
+      
+      const group = groups.get(key);
+      const spelling = normalizeCategoryName(product.category);
+      group.spellings[spelling] = (group.spellings[spelling] || 0) + 1;
+      group.products.push(product);
+    });
+    
+    groups.forEach(group => {
+      const name = Object.keys(group.spellings).sort((a, b) => group.spellings[b] - group.spellings[a])[0];
+      const addRequest = categoryStore.add({
+        name,
+        parentId: null,
+        color: DEFAULT_CATEGORY_COLOR,
+        icon: DEFAULT_CATEGORY_ICON,
+        sortOrder: 0,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      
+      addRequest.onsuccess = () => {
+        group.products.forEach(product => {
+          product.categoryId = addRequest.result;
+          product.category = name;
+          productStore.put(product);
+        });
+      };
     });
   };
 }
 
-// Search products in cashier
-function searchCashierProducts() {
-  const query = document.getElementById('cashier-search').value.toLowerCase();
+// Show the category tree with the number of products in each category
+function displayCategories() {
   const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
-  const store = transaction.objectStore(STORES.PRODUCTS);
-  const request = store.getAll();
+  const request = transaction.objectStore(STORES.PRODUCTS).getAll();
   
   request.onsuccess = () => {
-    const filtered = request.result.filter(product =>
-      (product.name.toLowerCase().includes(query) ||
-        product.code.toLowerCase().includes(query)) &&
-      product.stock > 0
-    );
+    const counts = {};
+    request.result.filter(product => !product.parentId).forEach(product => {
+      counts[product.categoryId] = (counts[product.categoryId] || 0) + 1;
+    });
     
-    const container = document.getElementById('cashier-products');
-    container.innerHTML = '';
+    const tbody = document.getElementById('categories-list');
+    tbody.innerHTML = '';
     
-    if (filtered.length === 0) {
-      container.innerHTML = '<p class="no-products">Tidak ada produk yang cocok</p>';
+    const tree = getCategoryTree();
+    if (tree.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="text-center">Belum ada kategori</td></tr>';
       return;
     }
     
-    filtered.forEach(product => {
-      const item = document.createElement('div');
-      item.className = 'product-item';
-      item.setAttribute('data-id', product.id);
-      item.setAttribute('title', `${product.name} - ${formatCurrencySync(product.price)}`);
+    tree.forEach(({ category, depth }) => {
+      const row = document.createElement('tr');
+      const total = Array.from(getCategoryDescendantIds(category.id)).reduce((sum, id) => sum + (counts[id] || 0), 0);
       
-      item.innerHTML = `
-                <div class="product-name">${product.name}</div>
-                <div class="product-price">${formatCurrencySync(product.price)}</div>
-                <div class="product-stock">Stok: ${product.stock}</div>
+      row.innerHTML = `
+                <td>
+                    <span class="category-name" style="padding-left: ${depth * 25}px">
+                        <span class="category-icon" style="background-color: ${escapeHtml(category.color)}"><i class="fas ${escapeHtml(category.icon)}"></i></span>
+                        ${escapeHtml(category.name)}
+                    </span>
+                </td>
+                <td>${category.sortOrder || 0}</td>
+                <td>${counts[category.id] || 0}${total !== (counts[category.id] || 0) ? ` <span class="transaction-note">(${total} termasuk subkategori)</span>` : ''}</td>
+                <td>
+                    <button class="btn-add-subcategory" data-id="${category.id}" title="Tambah subkategori">
+                        <i class="fas fa-plus"></i> Sub
+                    </button>
+                    <button class="btn-edit" data-id="${category.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn-delete" data-id="${category.id}">
+                        <i class="fas fa-trash"></i> Hapus
+                    </button>
+                </td>
             `;
       
-      item.addEventListener('click', () => addToCart(product));
-      container.appendChild(item);
+      row.querySelector('.btn-add-subcategory').addEventListener('click', () => showCategoryForm(null, category.id));
+      tbody.appendChild(row);
     });
   };
 }
 
-// Add product to cart
-function addToCart(product) {
-  const existingItem = cart.find(item => item.id === product.id);
+// Show category form, optionally as a new child of a parent category
+function showCategoryForm(id = null, parentId = null) {
+  const form = document.getElementById('category-form');
+  form.reset();
+  clearFormErrors('category-form');
   
-  if (existingItem) {
-    if (existingItem.quantity < product.stock) {
-      existingItem.quantity += 1;
-      showToast(`Menambah jumlah ${product.name} di keranjang`, 'success');
-    } else {
-      showToast('Stok produk tidak mencukupi', 'warning');
-      return;
-    }
-  } else {
-    if (product.stock > 0) {
-      cart.push({
-        id: product.id,
-        code: product.code,
-        name: product.name,
-        price: product.price,
-        quantity: 1,
-        stock: product.stock
-      });
-      showToast(`${product.name} ditambahkan ke keranjang`, 'success');
-    } else {
-      showToast('Stok produk habis', 'warning');
-      return;
-    }
-  }
+  const category = id ? getCategory(id) : null;
   
-  updateCart();
+  // A category cannot move under itself or one of its own children
+  fillCategoryOptions(document.getElementById('category-parent'), category ? category.parentId : parentId, 'Tanpa induk (kategori utama)',
+    category ? getCategoryDescendantIds(category.id) : new Set());
+  
+  const iconSelect = document.getElementById('category-icon');
+  iconSelect.innerHTML = Object.entries(CATEGORY_ICONS)
+    .map(([icon, label]) => `<option value="${icon}">${label}</option>`)
+    .join('');
+  
+  document.getElementById('category-modal-title').innerHTML = category ?
+    '<i class="fas fa-edit"></i> Edit Kategori' :
+    '<i class="fas fa-plus"></i> Tambah Kategori';
+  document.getElementById('category-id').value = category ? category.id : '';
+  document.getElementById('category-name').value = category ? category.name : '';
+  document.getElementById('category-color').value = category ? category.color : DEFAULT_CATEGORY_COLOR;
+  iconSelect.value = category && CATEGORY_ICONS[category.icon] ? category.icon : DEFAULT_CATEGORY_ICON;
+  document.getElementById('category-sort-order').value = category ? category.sortOrder || 0 : 0;
+  
+  document.getElementById('category-modal').classList.remove('hidden');
+  setTimeout(() => {
+    document.getElementById('category-name').focus();
+  }, 100);
 }
 
-// Update cart display
-function updateCart() {
-  const container = document.getElementById('cart-items');
-  container.innerHTML = '';
+// Validate category form
+function validateCategoryForm() {
+  let isValid = true;
+  const id = parseInt(document.getElementById('category-id').value) || null;
+  const parentId = parseInt(document.getElementById('category-parent').value) || null;
+  const name = normalizeCategoryName(document.getElementById('category-name').value);
   
-  if (cart.length === 0) {
-    container.innerHTML = '<p class="empty-cart">Keranjang kosong</p>';
-    updateCartSummary();
-    return;
+  if (!name) {
+    showError('category-name-error', 'Nama kategori wajib diisi');
+    isValid = false;
+  } else if (productCategories.some(category => category.id !== id && (category.parentId || null) === parentId && getCategoryKey(category.name) === getCategoryKey(name))) {
+    showError('category-name-error', 'Kategori dengan nama ini sudah ada di induk yang sama');
+    isValid = false;
   }
   
-  cart.forEach(item => {
-    const cartItem = document.createElement('div');
-    cartItem.className = 'cart-item';
-    
-    cartItem.innerHTML = `
-            <div class="cart-item-info">
-                <div class="item-name">${item.name}</div>
-                <div class="item-price">${formatCurrencySync(item.price)}</div>
-            </div>
-            <div class="cart-item-actions">
-                <button class="btn-decrease" data-id="${item.id}" title="Kurangi">
-                    <i class="fas fa-minus"></i>
-                </button>
-                <input type="number" class="item-quantity" value="${item.quantity}" min="1" max="${item.stock}" data-id="${item.id}">
-                <button class="btn-increase" data-id="${item.id}" title="Tambah">
-                    <i class="fas fa-plus"></i>
-                </button>
-                <button class="btn-remove" data-id="${item.id}" title="Hapus">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-            <div class="item-total">${formatCurrencySync(item.price * item.quantity)}</div>
-        `;
-    
-    container.appendChild(cartItem);
-  });
+  const sortOrder = parseInt(document.getElementById('category-sort-order').value);
+  if (isNaN(sortOrder)) {
+    showError('category-sort-order-error', 'Urutan wajib diisi');
+    isValid = false;
+  }
   
-  // Add event listeners
-  document.querySelectorAll('.btn-decrease').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const id = parseInt(e.target.closest('button').getAttribute('data-id'));
-      decreaseQuantity(id);
-    });
-  });
+  return isValid;
+}
+
+// Save category
+function saveCategory(e) {
+  e.preventDefault();
+  clearFormErrors('category-form');
   
-  document.querySelectorAll('.btn-increase').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const id = parseInt(e.target.closest('button').getAttribute('data-id'));
-      increaseQuantity(id);
-    });
-  });
+  if (!validateCategoryForm()) {
+    return;
+  }
   
-  document.querySelectorAll('.item-quantity').forEach(input => {
-    input.addEventListener('change', (e) => {
-      const id = parseInt(e.target.getAttribute('data-id'));
-      const quantity = parseInt(e.target.value);
-      updateQuantity(id, quantity);
-    });
-  });
+  const id = parseInt(document.getElementById('category-id').value) || null;
+  const color = document.getElementById('category-color').value;
+  const category = {
+    ...(id ? getCategory(id) : { createdAt: new Date() }),
+    name: normalizeCategoryName(document.getElementById('category-name').value),
+    parentId: parseInt(document.getElementById('category-parent').value) || null,
+    color: /^#[0-9a-f]{6}$/i.test(color) ? color : DEFAULT_CATEGORY_COLOR,
+    icon: document.getElementById('category-icon').value,
+    sortOrder: parseInt(document.getElementById('category-sort-order').value),
+    updatedAt: new Date()
+  };
   
-  document.querySelectorAll('.btn-remove').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const id = parseInt(e.target.closest('button').getAttribute('data-id'));
-      removeFromCart(id);
-    });
+  saveCategoryRecord(category).then(() => {
+    showToast(id ? 'Kategori berhasil diperbarui' : 'Kategori berhasil ditambahkan', 'success');
+    document.getElementById('category-modal').classList.add('hidden');
+    return loadCategories();
+  }).then(() => {
+    displayCategories();
+    renderCashierCategoryTabs();
+  }).catch(err => {
+    console.error('Error saving category:', err);
+    showToast(id ? 'Gagal memperbarui kategori' : 'Gagal menambahkan kategori', 'error');
   });
-  
-  updateCartSummary();
 }
 
-// Update cart summary
-function updateCartSummary() {
-  const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  
-  formatCurrency(subtotal).then(formatted => {
-    document.getElementById('subtotal').textContent = formatted;
+// Save a category; a renamed category passes its new name on to its products in the same transaction
+function saveCategoryRecord(category) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.CATEGORIES, STORES.PRODUCTS], 'readwrite');
+    const request = transaction.objectStore(STORES.CATEGORIES).put(category);
+    
+    if (category.id) {
+      const productStore = transaction.objectStore(STORES.PRODUCTS);
+      const productRequest = productStore.index('categoryId').getAll(category.id);
+      
+      productRequest.onsuccess = () => {
+        productRequest.result.filter(product => product.category !== category.name).forEach(product => {
+          product.category = category.name;
+          productStore.put(product);
+        });
+      };
+    }
+    
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = (event) => reject(event.target.error);
   });
-  
-  calculateTotal();
 }
 
-// Calculate total with discount and tax
-function calculateTotal() {
-  const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  let total = subtotal;
-  
-  // Apply discount if enabled
-  const discountToggle = document.getElementById('discount-toggle');
-  const discountValue = document.getElementById('discount-value');
-  
-  if (discountToggle.checked && discountValue.value > 0) {
-    const discount = subtotal * (parseFloat(discountValue.value) / 100);
-    total -= discount;
+// Delete a category that has no subcategories and no products
+function deleteCategory(id) {
+  if (productCategories.some(category => category.parentId === id)) {
+    showToast('Hapus atau pindahkan subkategori terlebih dahulu', 'error');
+    return;
   }
   
-  // Apply tax if enabled
-  const taxToggle = document.getElementById('tax-toggle');
-  const taxValue = document.getElementById('tax-value');
-  
-  if (taxToggle.checked && taxValue.value > 0) {
-    const tax = total * (parseFloat(taxValue.value) / 100);
-    total += tax;
+  if (!confirm('Apakah Anda yakin ingin menghapus kategori ini?')) {
+    return;
   }
   
-  formatCurrency(total).then(formatted => {
-    document.getElementById('total-amount').textContent = formatted;
-  });
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const request = transaction.objectStore(STORES.PRODUCTS).index('categoryId').count(id);
   
-  // Update change if amount received is set
-  calculateChange();
+  request.onsuccess = () => {
+    if (request.result > 0) {
+      showToast('Tidak dapat menghapus kategori karena ada produk yang terkait', 'error');
+      return;
+    }
+    
+    deleteRecord(STORES.CATEGORIES, id).then(() => {
+      if (cashierCategoryId === id) {
+        cashierCategoryId = null;
+      }
+      showToast('Kategori berhasil dihapus', 'success');
+      return loadCategories();
+    }).then(() => {
+      displayCategories();
+      renderCashierCategoryTabs();
+    }).catch(err => {
+      console.error('Error deleting category:', err);
+      showToast('Gagal menghapus kategori', 'error');
+    });
+  };
 }
 
-// Toggle discount
-function toggleDiscount() {
-  const discountValue = document.getElementById('discount-value');
-  discountValue.disabled = !document.getElementById('discount-toggle').checked;
+// Show the category tabs above the cashier grid: top-level categories, then the children of the chosen one
+function renderCashierCategoryTabs() {
+  const container = document.getElementById('cashier-category-tabs');
+  container.innerHTML = '';
   
-  if (discountValue.disabled) {
-    discountValue.value = '';
-  } else {
-    discountValue.value = '10'; // Default discount 10%
-    discountValue.focus();
+  if (!getCategory(cashierCategoryId)) {
+    cashierCategoryId = null;
   }
   
-  calculateTotal();
-}
-
-// Toggle tax
-function toggleTax() {
-  const taxValue = document.getElementById('tax-value');
-  taxValue.disabled = !document.getElementById('tax-toggle').checked;
-  
-  if (taxValue.disabled) {
-    taxValue.value = '';
-  } else {
-    getRecord(STORES.SETTINGS, 'taxRate').then(settings => {
-      taxValue.value = settings ? settings.value : '10';
-      taxValue.focus();
-      calculateTotal();
-    });
+  // Categories from the top level down to the chosen one; each gets a row of its children
+  const chain = [];
+  for (let category = getCategory(cashierCategoryId); category && chain.length < productCategories.length; category = getCategory(category.parentId)) {
+    chain.unshift(category.id);
   }
+  
+  const tree = getCategoryTree();
+  const rows = [tree.filter(({ depth }) => depth === 0).map(({ category }) => category)];
+  chain.forEach(id => {
+    const children = tree.filter(({ category }) => category.parentId === id).map(({ category }) => category);
+    if (children.length > 0) {
+      rows.push(children);
+    }
+  });
+  
+  if (rows[0].length === 0) {
+    return;
+  }
+  
+  rows.forEach((categories, index) => {
+    const row = document.createElement('div');
+    row.className = 'category-tab-row';
+    
+    const tabs = index === 0 ? [null, ...categories] : categories;
+    tabs.forEach(category => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'category-tab';
+      
+      if (category) {
+        tab.style.setProperty('--category-color', category.color || DEFAULT_CATEGORY_COLOR);
+        tab.innerHTML = `<i class="fas ${escapeHtml(category.icon || DEFAULT_CATEGORY_ICON)}"></i> ${escapeHtml(category.name)}`;
+        tab.classList.toggle('active', chain.includes(category.id));
+      } else {
+        tab.innerHTML = '<i class="fas fa-th"></i> Semua';
+        tab.classList.toggle('active', chain.length === 0);
+      }
+      
+      tab.addEventListener('click', () => {
+        cashierCategoryId = category ? category.id : null;
+        renderCashierCategoryTabs();
+        searchCashierProducts();
+      });
+      row.appendChild(tab);
+    });
+    
+    container.appendChild(row);
+  });
 }
 
-// Calculate change
-function calculateChange() {
-  const amountReceived = parseFloat(document.getElementById('amount-received').value) || 0;
-  const totalText = document.getElementById('total-amount').textContent;
-  const total = parseFloat(totalText.replace(/[^\d]/g, '')) || 0;
+// ==================== PRODUCT PHOTOS ====================
+
+// Longest side of a stored photo and of its thumbnail, in pixels
+const PHOTO_MAX_SIZE = 800;
+const THUMBNAIL_MAX_SIZE = 160;
+
+// JPEG quality of stored photos and thumbnails
+const PHOTO_QUALITY = 0.8;
+
+// Object URLs of the product thumbnails by product id, so grids can show them without reading IndexedDB
+let productThumbnailUrls = new Map();
+
+// Photo chosen in the product form; `changed` is false while the saved photo is kept
+let productFormPhoto = { changed: false, photo: null, thumbnail: null };
+
+// Object URL of the photo shown in the product form
+let productFormPhotoUrl = null;
+
+// Load an image from a Blob or File
+function loadImageBlob(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Gambar tidak dapat dibaca'));
+    };
+    image.src = url;
+  });
+}
+
+// Scale an image down so its longest side fits, and compress it to JPEG
+function resizeImage(image, maxSize) {
+  return new Promise((resolve, reject) => {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    
+    // JPEG has no transparency; transparent pixels would turn black
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    
+    canvas.toBlob(blob => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Gambar tidak dapat dikompresi'));
+      }
+    }, 'image/jpeg', PHOTO_QUALITY);
+  });
+}
+
+// Turn a camera or file image into a compressed photo and thumbnail
+function compressPhoto(file) {
+  return loadImageBlob(file).then(image => {
+    return Promise.all([resizeImage(image, PHOTO_MAX_SIZE), resizeImage(image, THUMBNAIL_MAX_SIZE)]);
+  }).then(([photo, thumbnail]) => ({ photo, thumbnail }));
+}
+
+// Load the thumbnails of all products into memory
+function loadProductThumbnails() {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCT_PHOTOS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCT_PHOTOS).getAll();
+    
+    request.onsuccess = () => {
+      productThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+      productThumbnailUrls = new Map(request.result.map(record => [record.productId, URL.createObjectURL(record.thumbnail)]));
+      resolve();
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Build the thumbnail of a product; variants without a photo show their parent's
+function getProductThumbnailHtml(product) {
+  const url = productThumbnailUrls.get(product.id) || (product.parentId && productThumbnailUrls.get(product.parentId));
   
-  const change = amountReceived - total;
-  document.getElementById('change').value = change >= 0 ? change.toFixed(2) : '';
+  return url ?
+    `<img class="product-thumb" src="${url}" alt="" loading="lazy">` :
+    '<span class="product-thumb product-thumb-empty"><i class="fas fa-image"></i></span>';
 }
 
-// Increase item quantity
-function increaseQuantity(id) {
-  const item = cart.find(item => item.id === id);
-  if (item) {
-    if (item.quantity < item.stock) {
-      item.quantity += 1;
-      updateCart();
-    } else {
-      showToast('Stok produk tidak mencukupi', 'warning');
+// Store the photo of a product, or remove it when `photo` is null
+function saveProductPhoto(productId, photo) {
+  const save = photo ?
+    updateRecord(STORES.PRODUCT_PHOTOS, { productId, photo: photo.photo, thumbnail: photo.thumbnail, updatedAt: new Date() }) :
+    deleteRecord(STORES.PRODUCT_PHOTOS, productId);
+  
+  return save.then(() => {
+    if (productThumbnailUrls.has(productId)) {
+      URL.revokeObjectURL(productThumbnailUrls.get(productId));
+      productThumbnailUrls.delete(productId);
     }
-  }
+    
+    if (photo) {
+      productThumbnailUrls.set(productId, URL.createObjectURL(photo.thumbnail));
+    }
+  });
 }
 
-// Decrease item quantity
-function decreaseQuantity(id) {
-  const item = cart.find(item => item.id === id);
-  if (item && item.quantity > 1) {
-    item.quantity -= 1;
-    updateCart();
-  }
+// Forget the thumbnails of deleted products
+function forgetProductThumbnails(productIds) {
+  productIds.forEach(id => {
+    if (productThumbnailUrls.has(id)) {
+      URL.revokeObjectURL(productThumbnailUrls.get(id));
+      productThumbnailUrls.delete(id);
+    }
+  });
 }
 
-// Update item quantity
-function updateQuantity(id, quantity) {
-  if (quantity < 1) {
-    removeFromCart(id);
-    return;
+// Show a photo, or the empty placeholder, in the product form
+function showProductFormPhoto(blob) {
+  if (productFormPhotoUrl) {
+    URL.revokeObjectURL(productFormPhotoUrl);
+    productFormPhotoUrl = null;
   }
   
-  const item = cart.find(item => item.id === id);
-  if (item) {
-    if (quantity <= item.stock) {
-      item.quantity = quantity;
-      updateCart();
-    } else {
-      showToast('Stok produk tidak mencukupi', 'warning');
-      // Reset to max available
-      item.quantity = item.stock;
-      updateCart();
-    }
+  const preview = document.getElementById('product-photo-preview');
+  if (blob) {
+    productFormPhotoUrl = URL.createObjectURL(blob);
+    preview.src = productFormPhotoUrl;
   }
+  
+  preview.classList.toggle('hidden', !blob);
+  document.getElementById('product-photo-empty').classList.toggle('hidden', !!blob);
+  document.getElementById('product-photo-remove').classList.toggle('hidden', !blob);
 }
 
-// Remove item from cart
-function removeFromCart(id) {
-  const itemIndex = cart.findIndex(item => item.id === id);
-  if (itemIndex !== -1) {
-    const itemName = cart[itemIndex].name;
-    cart.splice(itemIndex, 1);
-    updateCart();
-    showToast(`${itemName} dihapus dari keranjang`, 'info');
+// Reset the photo field of the product form to the saved photo of a product, if any
+function loadProductFormPhoto(productId) {
+  productFormPhoto = { changed: false, photo: null, thumbnail: null };
+  document.getElementById('product-photo-camera').value = '';
+  document.getElementById('product-photo-file').value = '';
+  showProductFormPhoto(null);
+  
+  if (productId) {
+    getRecord(STORES.PRODUCT_PHOTOS, productId).then(record => {
+      if (record && !productFormPhoto.changed) {
+        showProductFormPhoto(record.photo);
+      }
+    });
   }
 }
 
-// Clear cart
-function clearCart() {
-  if (cart.length > 0 && confirm('Apakah Anda yakin ingin mengosongkan keranjang?')) {
-    cart = [];
-    updateCart();
-    showToast('Keranjang dikosongkan', 'info');
+// Compress a photo taken or chosen in the product form
+function handleProductPhotoInput(e) {
+  const file = e.target.files[0];
+  if (!file) {
+    return;
   }
+  
+  compressPhoto(file).then(photo => {
+    productFormPhoto = { changed: true, ...photo };
+    showProductFormPhoto(photo.photo);
+  }).catch(err => {
+    console.error('Error processing photo:', err);
+    showToast('Foto tidak dapat diproses', 'error');
+  }).then(() => {
+    e.target.value = '';
+  });
 }
 
-// Process payment
-function processPayment() {
-  if (cart.length === 0) {
-    showToast('Keranjang belanja kosong', 'warning');
-    return;
+// Remove the photo in the product form
+function removeProductFormPhoto() {
+  productFormPhoto = { changed: true, photo: null, thumbnail: null };
+  showProductFormPhoto(null);
+}
+
+// Save the photo of the product form once the product has an id
+function saveProductFormPhoto(productId) {
+  if (!productFormPhoto.changed) {
+    return Promise.resolve();
   }
   
-  const paymentMethod = document.getElementById('payment-method').value;
-  const amountReceived = parseFloat(document.getElementById('amount-received').value) || 0;
-  const totalText = document.getElementById('total-amount').textContent;
-  const total = parseFloat(totalText.replace(/[^\d]/g, '')) || 0;
+  return saveProductPhoto(productId, productFormPhoto.photo ? productFormPhoto : null);
+}
+
+// Read a Blob as a data URL for the JSON backup
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Get the product photos for a backup; thumbnails are left out and rebuilt on restore
+function getPhotoBackup() {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCT_PHOTOS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCT_PHOTOS).getAll();
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => reject(event.target.error);
+  }).then(records => Promise.all(records.map(record => {
+    return blobToDataUrl(record.photo).then(photo => ({ productId: record.productId, photo, updatedAt: record.updatedAt }));
+  })));
+}
+
+// Turn the product photos of a backup back into records, rebuilding their thumbnails
+// A photo that cannot be read is skipped rather than failing the whole restore
+function preparePhotoBackup(photos) {
+  return Promise.all(photos.map(entry => {
+    return fetch(entry.photo).then(response => response.blob()).then(photo => {
+      return loadImageBlob(photo).then(image => resizeImage(image, THUMBNAIL_MAX_SIZE)).then(thumbnail => ({
+        productId: entry.productId,
+        photo,
+        thumbnail,
+        updatedAt: entry.updatedAt
+      }));
+    }).catch(err => {
+      console.error('Error restoring product photo:', err);
+      return null;
+    });
+  })).then(records => records.filter(Boolean));
+}
+
+// ==================== VARIANTS ====================
+
+// Variant rows being edited in the product form
+let productFormVariants = [];
+
+// Saved variants removed in the product form, deleted on save
+let removedVariantIds = [];
+
+// Describe a variant by its attribute values, e.g. "M / Merah"
+function formatVariantLabel(attributes) {
+  return Object.values(attributes || {}).join(' / ');
+}
+
+// Name of a variant product: the parent name followed by its attribute values
+function buildVariantName(parentName, attributes) {
+  return `${parentName} - ${formatVariantLabel(attributes)}`;
+}
+
+// Group variant products by the id of their parent
+function groupVariantsByParent(products) {
+  const groups = {};
   
-  if (amountReceived < total) {
-    showToast('Jumlah pembayaran kurang', 'danger');
-    return;
-  }
+  products.forEach(product => {
+    if (product.parentId) {
+      groups[product.parentId] = groups[product.parentId] || [];
+      groups[product.parentId].push(product);
+    }
+  });
   
-  // Calculate subtotal, discount, tax
-  const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  let discount = 0;
-  let tax = 0;
+  return groups;
+}
+
+// Widen search matches to whole families: a matched variant brings its parent, a matched parent its variants
+function withVariantFamilies(matches, products) {
+  const ids = new Set(matches.map(product => product.id));
   
-  if (document.getElementById('discount-toggle').checked) {
-    discount = subtotal * (parseFloat(document.getElementById('discount-value').value) / 100);
-  }
+  matches.forEach(product => {
+    if (product.parentId) {
+      ids.add(product.parentId);
+    }
+  });
   
-  if (document.getElementById('tax-toggle').checked) {
-    tax = (subtotal - discount) * (parseFloat(document.getElementById('tax-value').value) / 100);
+  return products.filter(product => ids.has(product.id) || (product.parentId && ids.has(product.parentId)));
+}
+
+// Show the lowest and highest price of a set of variants
+function formatPriceRange(variants) {
+  if (variants.length === 0) {
+    return '-';
   }
   
-  // Create transaction
-  const transaction = {
-    invoice: document.getElementById('current-invoice').textContent,
-    date: new Date(),
-    items: cart.map(item => ({
-      productId: item.id,
-      code: item.code,
-      name: item.name,
-      price: item.price,
-      quantity: item.quantity
-    })),
-    subtotal,
-    discount,
-    tax,
-    total,
-    paymentMethod,
-    amountReceived,
-    change: amountReceived - total
-  };
+  const prices = variants.map(variant => variant.price);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
   
-  // Save transaction
-  addRecord(STORES.TRANSACTIONS, transaction).then(() => {
-    // Update product stocks
-    const productUpdates = cart.map(item => {
-      return getRecord(STORES.PRODUCTS, item.id).then(product => {
-        product.stock -= item.quantity;
-        return updateRecord(STORES.PRODUCTS, product);
-      });
-    });
+  return min === max ? formatCurrencySync(min) : `${formatCurrencySync(min)} - ${formatCurrencySync(max)}`;
+}
+
+// Get the variants of a parent product
+function getVariants(parentId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCTS).index('parentId').getAll(parentId);
     
-    Promise.all(productUpdates).then(() => {
-      // Show success
-      showToast('Pembayaran berhasil diproses', 'success');
-      
-      // Print receipt
-      printReceipt(transaction);
-      
-      // Clear cart
-      cart = [];
-      updateCart();
-      document.getElementById('amount-received').value = '';
-      document.getElementById('change').value = '';
-      document.getElementById('discount-toggle').checked = false;
-      document.getElementById('tax-toggle').checked = false;
-      document.getElementById('discount-value').value = '';
-      document.getElementById('discount-value').disabled = true;
-      document.getElementById('tax-value').value = '';
-      document.getElementById('tax-value').disabled = true;
-      
-      // Generate new invoice number
-      generateInvoiceNumberDisplay();
-      
-      // Reload dashboard and products
-      loadDashboard();
-      loadCashierProducts();
-    });
-  }).catch(err => {
-    console.error('Error processing payment:', err);
-    showToast('Gagal memproses pembayaran', 'error');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => reject(event.target.error);
   });
 }
 
-// Generate invoice number
-function generateInvoiceNumber() {
-  const now = new Date();
-  const year = now.getFullYear().toString().slice(-2);
-  const month = (now.getMonth() + 1).toString().padStart(2, '0');
-  const day = now.getDate().toString().padStart(2, '0');
-  const hours = now.getHours().toString().padStart(2, '0');
-  const minutes = now.getMinutes().toString().padStart(2, '0');
-  const seconds = now.getSeconds().toString().padStart(2, '0');
+// Read the attribute names typed in the product form
+function getVariantAttributeNames() {
+  const names = document.getElementById('product-variant-attributes').value
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
   
-  return `INV-${year}${month}${day}-${hours}${minutes}${seconds}`;
+  return [...new Set(names)];
 }
 
-// Print receipt
-function printReceipt(transaction) {
-  // In a real app, this would open a print dialog with a formatted receipt
-  // For this example, we'll just show the receipt in an alert
+// Switch the product form between a plain product, a parent with variants and a bundle
+function updateVariantFields() {
+  const hasVariants = document.getElementById('product-has-variants').checked;
+  if (hasVariants) {
+    document.getElementById('product-is-bundle').checked = false;
+  }
   
-  let receipt = `=== STRUK PEMBAYARAN ===\n`;
-  receipt += `No. Invoice: ${transaction.invoice}\n`;
-  receipt += `Tanggal: ${new Date(transaction.date).toLocaleString('id-ID')}\n\n`;
-  receipt += `ITEM\tQTY\tHARGA\n`;
+  const isBundle = document.getElementById('product-is-bundle').checked;
+  const ownStock = !hasVariants && !isBundle;
   
-  transaction.items.forEach(item => {
-    receipt += `${item.name}\t${item.quantity}\t${formatCurrencySync(item.price * item.quantity)}\n`;
-  });
+  document.getElementById('variant-section').classList.toggle('hidden', !hasVariants);
+  document.getElementById('bundle-section').classList.toggle('hidden', !isBundle);
+  document.getElementById('product-stock-row').classList.toggle('hidden', !ownStock);
+  document.getElementById('pack-section').classList.toggle('hidden', !ownStock);
+  document.getElementById('batch-section').classList.toggle('hidden', !ownStock);
+  document.getElementById('product-stock').required = ownStock;
+  document.getElementById('product-min-stock').required = ownStock;
   
-  receipt += `\nSubtotal: ${formatCurrencySync(transaction.subtotal)}\n`;
-  if (transaction.discount > 0) {
-    receipt += `Diskon: -${formatCurrencySync(transaction.discount)}\n`;
-  }
-  if (transaction.tax > 0) {
-    receipt += `Pajak: +${formatCurrencySync(transaction.tax)}\n`;
+  if (hasVariants && productFormVariants.length === 0) {
+    addVariantRow();
+  } else {
+    renderVariantRows();
   }
-  receipt += `TOTAL: ${formatCurrencySync(transaction.total)}\n\n`;
-  receipt += `Pembayaran: ${transaction.paymentMethod.toUpperCase()}\n`;
-  receipt += `Diterima: ${formatCurrencySync(transaction.amountReceived)}\n`;
-  receipt += `Kembalian: ${formatCurrencySync(transaction.change)}\n\n`;
-  receipt += `Terima kasih telah berbelanja!`;
   
-  // In a real app, you would use window.print() with a styled receipt
-  console.log(receipt);
-  alert(receipt);
+  renderComponentRows();
 }
 
-// ==================== REPORTS ====================
+// Add an empty variant row to the product form
+function addVariantRow() {
+  productFormVariants.push({ id: null, attributes: {}, code: '', price: null, stock: 0, minStock: 0 });
+  renderVariantRows();
+}
 
-// Setup report dates
-function setupReportDates() {
-  const today = new Date().toISOString().split('T')[0];
-  document.getElementById('report-date').value = today;
-  document.getElementById('start-date').value = today;
-  document.getElementById('end-date').value = today;
+// Render the variant rows of the product form, one column per attribute
+function renderVariantRows() {
+  const names = getVariantAttributeNames();
+  const step = getQuantityStep(document.getElementById('product-unit').value);
   
-  changeReportType();
+  document.getElementById('variant-head').innerHTML = `
+        ${names.map(name => `<th>${escapeHtml(name)}</th>`).join('')}
+        <th>Kode</th>
+        <th>Harga</th>
+        <th>Stok</th>
+        <th>Min</th>
+        <th></th>
+    `;
+  
+  const tbody = document.getElementById('variant-lines');
+  tbody.innerHTML = '';
+  
+  productFormVariants.forEach((variant, index) => {
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            ${names.map(name => `
+            <td><input type="text" class="variant-attribute" data-attribute="${escapeHtml(name)}" value="${escapeHtml(variant.attributes[name] || '')}"></td>`).join('')}
+            <td><input type="text" class="variant-code" value="${escapeHtml(variant.code)}"></td>
+            <td><input type="number" class="variant-price" min="0" step="100" placeholder="Harga induk" value="${variant.price === null ? '' : variant.price}"></td>
+            <td><input type="number" class="variant-stock" min="0" step="${step}" value="${variant.stock}"></td>
+            <td><input type="number" class="variant-min-stock" min="0" step="${step}" value="${variant.minStock}"></td>
+            <td>
+                <button type="button" class="btn-remove-tender" title="Hapus">
+                    <i class="fas fa-times"></i>
+                </button>
+            </td>
+        `;
+    
+    row.querySelectorAll('.variant-attribute').forEach(input => {
+      input.addEventListener('input', () => {
+        variant.attributes[input.getAttribute('data-attribute')] = input.value.trim();
+      });
+    });
+    row.querySelector('.variant-code').addEventListener('input', (e) => {
+      variant.code = e.target.value.trim();
+    });
+    row.querySelector('.variant-price').addEventListener('input', (e) => {
+      variant.price = e.target.value === '' ? null : parseFloat(e.target.value);
+    });
+    row.querySelector('.variant-stock').addEventListener('input', (e) => {
+      variant.stock = parseFloat(e.target.value);
+    });
+    row.querySelector('.variant-min-stock').addEventListener('input', (e) => {
+      variant.minStock = parseFloat(e.target.value);
+    });
+    row.querySelector('.btn-remove-tender').addEventListener('click', () => {
+      if (variant.id) {
+        removedVariantIds.push(variant.id);
+      }
+      productFormVariants.splice(index, 1);
+      renderVariantRows();
+    });
+    
+    tbody.appendChild(row);
+  });
 }
 
-// Change report type
-function changeReportType() {
-  const type = document.getElementById('report-type').value;
+// Validate the variant rows of the product form
+function validateVariants(parentCode, unit) {
+  const names = getVariantAttributeNames();
+  const codes = productFormVariants.map(variant => variant.code);
+  const labels = productFormVariants.map(variant => names.map(name => variant.attributes[name] || '').join('|'));
+  let message = '';
   
-  document.getElementById('daily-filter').classList.toggle('hidden', type !== 'daily');
-  document.getElementById('custom-filter').classList.toggle('hidden', type !== 'custom');
+  if (names.length === 0) {
+    message = 'Isi minimal satu atribut varian, misalnya Ukuran';
+  } else if (productFormVariants.length === 0) {
+    message = 'Tambahkan minimal satu varian';
+  } else if (productFormVariants.some(variant => names.some(name => !variant.attributes[name]))) {
+    message = 'Isi semua atribut di setiap varian';
+  } else if (codes.some(code => !code)) {
+    message = 'Kode varian wajib diisi';
+  } else if (new Set(codes).size !== codes.length || codes.includes(parentCode)) {
+    message = 'Kode varian harus berbeda satu sama lain dan dari kode induk';
+  } else if (new Set(labels).size !== labels.length) {
+    message = 'Kombinasi atribut varian tidak boleh sama';
+  } else if (productFormVariants.some(variant => variant.price !== null && (isNaN(variant.price) || variant.price < 0))) {
+    message = 'Harga varian tidak boleh negatif';
+  } else if (productFormVariants.some(variant => isNaN(variant.stock) || variant.stock < 0 || isNaN(variant.minStock) || variant.minStock < 0)) {
+    message = 'Stok varian wajib diisi dan tidak boleh negatif';
+  } else if (productFormVariants.some(variant => !isValidQuantity(variant.stock, unit) || !isValidQuantity(variant.minStock, unit))) {
+    message = `Stok varian dalam ${unit} maksimal ${getUnitPrecision(unit)} desimal`;
+  }
+  
+  if (message) {
+    showError('variants-error', message);
+    return false;
+  }
+  
+  return true;
 }
 
-// Generate report
-function generateReport() {
-  const type = document.getElementById('report-type').value;
-  let startDate, endDate;
-  
-  if (type === 'daily') {
-    const date = new Date(document.getElementById('report-date').value);
-    startDate = new Date(date.setHours(0, 0, 0, 0));
-    endDate = new Date(date.setHours(23, 59, 59, 999));
-  } else if (type === 'custom') {
-    startDate = new Date(document.getElementById('start-date').value);
-    endDate = new Date(document.getElementById('end-date').value);
-    startDate.setHours(0, 0, 0, 0);
-    endDate.setHours(23, 59, 59, 999);
-  } else {
-    // Weekly, monthly, yearly
-    const now = new Date();
-    
-    if (type === 'weekly') {
-      startDate = new Date(now.setDate(now.getDate() - now.getDay()));
-      endDate = new Date(now.setDate(now.getDate() + 6));
-    } else if (type === 'monthly') {
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-    } else if (type === 'yearly') {
-      startDate = new Date(now.getFullYear(), 0, 1);
-      endDate = new Date(now.getFullYear(), 11, 31);
-    }
+// Save a parent product and its variants in one transaction, recording variant stock in the ledger
+function saveProductWithVariants(parent, variants, removedIds) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const reference = parent.id ? 'Edit produk' : 'Produk baru';
+    const names = parent.variantAttributes;
+    let saved;
     
-    startDate.setHours(0, 0, 0, 0);
+    // Variants copy the shared fields of the parent once it has an id
+    const saveVariants = () => {
+      removedIds.forEach(id => productStore.delete(id));
+      
+      variants.forEach(variant => {
+        const attributes = {};
+        names.forEach(name => {
+          attributes[name] = variant.attributes[name];
+        });
+        
+        const fields = {
+          code: variant.code,
+          name: buildVariantName(saved.name, attributes),
+          category: saved.category,
+          categoryId: saved.categoryId,
+          supplierId: saved.supplierId,
+          cost: saved.cost,
+          price: variant.price === null ? saved.price : variant.price,
+          priceOverride: variant.price !== null,
+          stock: variant.stock,
+          minStock: variant.minStock,
+          unit: saved.unit,
+          parentId: saved.id,
+          parentName: saved.name,
+          variantAttributes: attributes,
+          updatedAt: new Date()
+        };
+        
+        if (variant.id) {
+          const request = productStore.get(variant.id);
+          
+          request.onsuccess = () => {
+            const existing = request.result || {};
+            const record = { ...existing, ...fields, id: variant.id };
+            productStore.put(record);
+            addStockMovement(movementStore, record, existing.stock || 0, 'manual', reference);
+          };
+        } else {
+          const record = { ...fields, createdAt: new Date() };
+          const request = productStore.add(record);
+          
+          request.onsuccess = () => {
+            record.id = request.result;
+            addStockMovement(movementStore, record, 0, 'initial', reference);
+          };
+        }
+      });
+    };
+    
+    if (parent.id) {
+      const request = productStore.get(parent.id);
+      
+      request.onsuccess = () => {
+        const existing = request.result || {};
+        saved = { ...existing, ...parent };
+        productStore.put(saved);
+        // A plain product turned into a parent hands its stock over to the variants
+        addStockMovement(movementStore, saved, existing.stock || 0, 'manual', reference, 'Diubah menjadi produk bervarian');
+        saveVariants();
+      };
+    } else {
+      saved = { ...parent };
+      const request = productStore.add(saved);
+      
+      request.onsuccess = () => {
+        saved.id = request.result;
+        saveVariants();
+      };
+    }
+    
+    transaction.oncomplete = () => resolve(saved);
+    transaction.onerror = (event) => reject(event.target.error);
+    transaction.onabort = (event) => reject(event.target.error);
+  });
+}
+
+// Delete a product and, for a parent, all of its variants in one transaction
+function deleteProductFamily(id) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.PRODUCTS, STORES.PRODUCT_PHOTOS], 'readwrite');
+    const store = transaction.objectStore(STORES.PRODUCTS);
+    const photoStore = transaction.objectStore(STORES.PRODUCT_PHOTOS);
+    const request = store.index('parentId').getAllKeys(id);
+    let deletedIds = [id];
+    
+    store.delete(id);
+    photoStore.delete(id);
+    request.onsuccess = () => {
+      request.result.forEach(variantId => {
+        store.delete(variantId);
+        photoStore.delete(variantId);
+      });
+      deletedIds = deletedIds.concat(request.result);
+    };
+    
+    transaction.oncomplete = () => {
+      forgetProductThumbnails(deletedIds);
+      resolve();
+    };
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Show the variants of a parent product so the cashier can pick one
+function showVariantPicker(parentId) {
+  Promise.all([getRecord(STORES.PRODUCTS, parentId), getVariants(parentId)]).then(([parent, variants]) => {
+    document.getElementById('variant-picker-title').textContent = parent.name;
+    
+    const list = document.getElementById('variant-picker-list');
+    list.innerHTML = '';
+    
+    if (variants.length === 0) {
+      list.innerHTML = '<p class="no-products">Produk ini belum memiliki varian</p>';
+    }
+    
+    variants.forEach(variant => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'variant-option';
+      option.disabled = getSellableStock(variant) <= 0;
+      
+      option.innerHTML = `
+                <div class="product-name">${escapeHtml(formatVariantLabel(variant.variantAttributes))}</div>
+                <div class="product-price">${formatCurrencySync(variant.price)}</div>
+                <div class="product-stock">${getSellableStock(variant) > 0 ? `Stok: ${formatQuantity(getSellableStock(variant), variant.unit)}` : 'Habis'}</div>
+            `;
+      
+      option.addEventListener('click', () => {
+        addToCart(variant).then(added => {
+          if (added) {
+            document.getElementById('variant-picker-modal').classList.add('hidden');
+            document.getElementById('cashier-search').focus();
+          }
+        });
+      });
+      
+      list.appendChild(option);
+    });
+    
+    document.getElementById('variant-picker-modal').classList.remove('hidden');
+  }).catch(err => {
+    console.error('Error loading variants:', err);
+    showToast('Gagal memuat varian produk', 'error');
+  });
+}
+
+// ==================== BUNDLES ====================
+
+// Component rows being edited in the product form; quantities are in the base unit of each component
+let productFormComponents = [];
+
+// Products the product form can pick bundle components from
+let bundleFormProducts = [];
+
+// Check whether a product keeps stock of its own; parents and bundles take theirs from other products
+function hasOwnStock(product) {
+  return !product.hasVariants && !product.isBundle;
+}
+
+// Number of bundles the sellable stock of its components can make, in the unit of the bundle
+function getBundleStock(bundle, productsById) {
+  if (!bundle.components || bundle.components.length === 0) {
+    return 0;
+  }
+  
+  const counts = bundle.components.map(component => {
+    const product = productsById.get(component.productId);
+    return product ? floorQuantity(getSellableStock(product) / component.quantity, bundle.unit) : 0;
+  });
+  
+  return Math.max(Math.min(...counts), 0);
+}
+
+// Describe the contents of a bundle, e.g. "Teh Botol 2 pcs, Gula 1 kg"
+function formatBundleComponents(bundle, productsById) {
+  return (bundle.components || []).map(component => {
+    const product = productsById.get(component.productId);
+    return product ?
+      `${product.name} ${formatQuantity(component.quantity, product.unit)}` :
+      `Produk terhapus ${formatQuantity(component.quantity)}`;
+  }).join(', ');
+}
+
+// Get the current records of the components of a bundle, keyed by product id
+function getBundleComponentProducts(bundle) {
+  return Promise.all((bundle.components || []).map(component => getRecord(STORES.PRODUCTS, component.productId))).then(products => {
+    return new Map(products.filter(Boolean).map(product => [product.id, product]));
+  });
+}
+
+// Build the components of a bundle cart line from the current records of its component products
+function buildCartComponents(bundle, productsById) {
+  return bundle.components.map(component => {
+    const product = productsById.get(component.productId);
+    
+    return {
+      productId: component.productId,
+      code: product ? product.code : '',
+      name: product ? product.name : 'Produk terhapus',
+      quantity: component.quantity,
+      unit: product ? product.unit || DEFAULT_UNIT : DEFAULT_UNIT,
+      stock: product ? getSellableStock(product) : 0
+    };
+  });
+}
+
+// Stock a transaction line moves, in base units per product: its own product, or the components of a bundle
+// `source` is the line or component that keeps the batches taken for it
+function getItemStockLines(item, quantity = item.quantity) {
+  if (item.components) {
+    return item.components.map(component => ({
+      productId: component.productId,
+      name: component.name,
+      unit: component.unit,
+      quantity: roundQuantity(component.quantity * quantity, component.unit),
+      source: component
+    }));
+  }
+  
+  return [{
+    productId: item.productId,
+    name: item.name,
+    unit: item.baseUnit,
+    quantity: getBaseQuantity({ ...item, quantity }),
+    source: item
+  }];
+}
+
+// Get the bundles that contain any of the given products
+function getBundlesUsing(productIds) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+    
+    request.onsuccess = () => {
+      resolve(request.result.filter(product => product.isBundle &&
+        product.components.some(component => productIds.includes(component.productId))));
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Load the products the product form can offer as bundle components
+function loadBundleFormProducts() {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+    
+    request.onsuccess = () => {
+      bundleFormProducts = request.result.sort((a, b) => a.name.localeCompare(b.name));
+      resolve();
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Switch the product form to or from a bundle; a bundle cannot have variants
+function updateBundleFields() {
+  const isBundle = document.getElementById('product-is-bundle').checked;
+  
+  if (isBundle) {
+    document.getElementById('product-has-variants').checked = false;
+    
+    if (productFormComponents.length === 0) {
+      addComponentRow();
+    }
+  }
+  
+  updateVariantFields();
+}
+
+// Add an empty component row to the product form
+function addComponentRow() {
+  productFormComponents.push({ productId: null, quantity: 1 });
+  renderComponentRows();
+}
+
+// Render the component rows of the product form
+function renderComponentRows() {
+  const editedId = parseInt(document.getElementById('product-id').value);
+  const options = bundleFormProducts.filter(product => hasOwnStock(product) && product.id !== editedId);
+  const tbody = document.getElementById('component-lines');
+  tbody.innerHTML = '';
+  
+  productFormComponents.forEach((component, index) => {
+    const product = bundleFormProducts.find(p => p.id === component.productId);
+    const unit = product ? product.unit || DEFAULT_UNIT : DEFAULT_UNIT;
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            <td>
+                <select class="component-product">
+                    <option value="">Pilih Produk</option>
+                    ${options.map(option => `<option value="${option.id}">${escapeHtml(option.code)} - ${escapeHtml(option.name)}</option>`).join('')}
+                </select>
+            </td>
+            <td><input type="number" class="component-quantity" min="0" step="${getQuantityStep(unit)}" value="${component.quantity}"></td>
+            <td>${product ? escapeHtml(unit) : '-'}</td>
+            <td>${product ? formatQuantity(getSellableStock(product), unit) : '-'}</td>
+            <td>
+                <button type="button" class="btn-remove-tender" title="Hapus">
+                    <i class="fas fa-times"></i>
+                </button>
+            </td>
+        `;
+    
+    row.querySelector('.component-product').value = component.productId || '';
+    row.querySelector('.component-product').addEventListener('change', (e) => {
+      component.productId = e.target.value ? parseInt(e.target.value) : null;
+      renderComponentRows();
+    });
+    row.querySelector('.component-quantity').addEventListener('input', (e) => {
+      component.quantity = parseFloat(e.target.value);
+      updateBundleSummary();
+    });
+    row.querySelector('.btn-remove-tender').addEventListener('click', () => {
+      productFormComponents.splice(index, 1);
+      renderComponentRows();
+    });
+    
+    tbody.appendChild(row);
+  });
+  
+  updateBundleSummary();
+}
+
+// Show what the components of the bundle in the product form add up to
+function updateBundleSummary() {
+  const productsById = new Map(bundleFormProducts.map(product => [product.id, product]));
+  const components = productFormComponents.filter(component => productsById.has(component.productId) && component.quantity > 0);
+  const summary = document.getElementById('bundle-summary');
+  
+  if (components.length === 0) {
+    summary.textContent = '';
+    return;
+  }
+  
+  const bundle = { components, unit: document.getElementById('product-unit').value };
+  const cost = components.reduce((sum, component) => sum + (productsById.get(component.productId).cost || 0) * component.quantity, 0);
+  const value = components.reduce((sum, component) => sum + productsById.get(component.productId).price * component.quantity, 0);
+  
+  summary.textContent = `Stok paket tersedia: ${formatQuantity(getBundleStock(bundle, productsById), bundle.unit)} - ` +
+    `Harga beli komponen: ${formatCurrencySync(cost)} - Harga jual satuan komponen: ${formatCurrencySync(value)}`;
+}
+
+// Read the component rows of the product form
+function getProductFormComponents() {
+  return productFormComponents.map(component => ({ productId: component.productId, quantity: component.quantity }));
+}
+
+// Validate the component rows of the product form
+function validateBundleComponents() {
+  const editedId = parseInt(document.getElementById('product-id').value);
+  const productIds = productFormComponents.map(component => component.productId);
+  let message = '';
+  
+  if (productFormComponents.length === 0) {
+    message = 'Tambahkan minimal satu komponen';
+  } else if (productIds.some(id => !id)) {
+    message = 'Pilih produk untuk setiap komponen';
+  } else if (new Set(productIds).size !== productIds.length) {
+    message = 'Komponen paket tidak boleh sama';
+  } else if (productFormComponents.some(component => isNaN(component.quantity) || component.quantity <= 0)) {
+    message = 'Jumlah komponen harus lebih dari 0';
+  } else if (bundleFormProducts.some(product => product.isBundle && product.id !== editedId &&
+      product.components.some(component => component.productId === editedId))) {
+    message = 'Produk ini menjadi komponen paket lain, sehingga tidak dapat dijadikan paket';
+  } else {
+    const invalid = productFormComponents.find(component => {
+      const product = bundleFormProducts.find(p => p.id === component.productId);
+      return product && !isValidQuantity(component.quantity, product.unit || DEFAULT_UNIT);
+    });
+    
+    if (invalid) {
+      const unit = bundleFormProducts.find(p => p.id === invalid.productId).unit || DEFAULT_UNIT;
+      message = `Jumlah komponen dalam ${unit} maksimal ${getUnitPrecision(unit)} desimal`;
+    }
+  }
+  
+  if (message) {
+    showError('components-error', message);
+    return false;
+  }
+  
+  return true;
+}
+
+// ==================== UNITS ====================
+
+// Units offered when none have been configured; precision is the number of decimals a quantity may have
+const DEFAULT_UNITS = [
+  { name: 'pcs', precision: 0 },
+  { name: 'pak', precision: 0 },
+  { name: 'lusin', precision: 0 },
+  { name: 'karton', precision: 0 },
+  { name: 'kg', precision: 3 },
+  { name: 'gram', precision: 0 },
+  { name: 'liter', precision: 2 },
+  { name: 'meter', precision: 2 }
+];
+
+// Base unit of products saved before units existed
+const DEFAULT_UNIT = 'pcs';
+
+// Units configured in the settings
+let productUnits = DEFAULT_UNITS;
+
+// Pack rows being edited in the product form
+let productFormPacks = [];
+
+// Load the configured units
+function loadUnits() {
+  return getRecord(STORES.SETTINGS, 'units').then(settings => {
+    productUnits = settings && settings.units.length > 0 ? settings.units : DEFAULT_UNITS;
+  });
+}
+
+// Number of decimals allowed for a quantity in a unit
+// Units that are no longer configured keep three decimals so no quantity is lost
+function getUnitPrecision(unit) {
+  const found = productUnits.find(u => u.name === unit);
+  return found ? found.precision : 3;
+}
+
+// Round a quantity to the precision of its unit, dropping floating point noise
+function roundQuantity(value, unit) {
+  const scale = Math.pow(10, getUnitPrecision(unit));
+  return Math.round(value * scale) / scale;
+}
+
+// Round a quantity down to the precision of its unit
+function floorQuantity(value, unit) {
+  const scale = Math.pow(10, getUnitPrecision(unit));
+  return Math.floor(value * scale + 1e-6) / scale;
+}
+
+// Check that a quantity has no more decimals than its unit allows
+function isValidQuantity(value, unit) {
+  return !isNaN(value) && roundQuantity(value, unit) === value;
+}
+
+// Step attribute of a quantity input for a unit
+function getQuantityStep(unit) {
+  const precision = getUnitPrecision(unit);
+  return precision === 0 ? '1' : (1 / Math.pow(10, precision)).toFixed(precision);
+}
+
+// Show a quantity with its unit, e.g. "0,75 kg"
+function formatQuantity(value, unit) {
+  const formatted = roundQuantity(value, unit).toLocaleString('id-ID', { maximumFractionDigits: getUnitPrecision(unit) });
+  return unit ? `${formatted} ${unit}` : formatted;
+}
+
+// Show a price per unit, e.g. "Rp 12.000 / kg"
+function formatUnitPrice(price, unit) {
+  return unit ? `${formatCurrencySync(price)} / ${unit}` : formatCurrencySync(price);
+}
+
+// Units a product is sold and bought in: its base unit followed by its packs
+function getSaleUnits(product) {
+  return [
+    { unit: product.unit || DEFAULT_UNIT, factor: 1, price: product.price, code: product.code },
+    ...(product.packs || [])
+  ];
+}
+
+// Quantity of a cart, sale or purchase line in the base unit of its product
+function getBaseQuantity(item) {
+  return roundQuantity(item.quantity * (item.factor || 1), item.baseUnit);
+}
+
+// Find a product by its own code or the code of one of its packs
+// Resolves to the product and the unit the code stands for, or null
+// A 12-digit code printed as EAN-13 scans with its check digit, so that is tried without it too
+function getSaleUnitByCode(code) {
+  return getProductByCode(code).then(product => {
+    if (product) {
+      return { product, saleUnit: getSaleUnits(product)[0] };
+    }
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+      const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+      
+      request.onsuccess = () => {
+        const owner = request.result.find(p => (p.packs || []).some(pack => pack.code === code));
+        resolve(owner ? { product: owner, saleUnit: owner.packs.find(pack => pack.code === code) } : null);
+      };
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }).then(match => {
+    if (!match && isValidEan13(code)) {
+      return getSaleUnitByCode(code.slice(0, 12));
+    }
+    
+    return match;
+  });
+}
+
+// Reject when a pack code of a product is already used by another product or its packs
+function checkPackCodes(product) {
+  const codes = (product.packs || []).map(pack => pack.code).filter(Boolean);
+  
+  if (codes.length === 0) {
+    return Promise.resolve();
+  }
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+    
+    request.onsuccess = () => {
+      const taken = request.result
+        .filter(other => other.id !== product.id)
+        .some(other => codes.includes(other.code) || (other.packs || []).some(pack => codes.includes(pack.code)));
+      
+      if (taken) {
+        const error = new Error('Kode kemasan sudah digunakan produk lain');
+        error.name = 'PackCodeError';
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Fill a unit dropdown with the configured units, keeping a selected unit that is no longer configured
+function fillUnitOptions(select, selected) {
+  const names = productUnits.map(unit => unit.name);
+  if (selected && !names.includes(selected)) {
+    names.push(selected);
+  }
+  
+  select.innerHTML = names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  select.value = selected || names[0];
+}
+
+// Apply the precision of the selected base unit to the stock inputs of the product form
+function updateProductUnitFields() {
+  const unit = document.getElementById('product-unit').value;
+  
+  document.getElementById('product-stock').step = getQuantityStep(unit);
+  document.getElementById('product-min-stock').step = getQuantityStep(unit);
+  renderPackRows();
+  renderBatchRows();
+  renderVariantRows();
+}
+
+// Add an empty pack row to the product form
+function addPackRow() {
+  productFormPacks.push({ unit: '', factor: '', price: '', code: '' });
+  renderPackRows();
+}
+
+// Render the pack rows of the product form
+function renderPackRows() {
+  const baseUnit = document.getElementById('product-unit').value;
+  const tbody = document.getElementById('pack-lines');
+  tbody.innerHTML = '';
+  
+  productFormPacks.forEach((pack, index) => {
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            <td><select class="pack-unit"></select></td>
+            <td><input type="number" class="pack-factor" min="0" step="any" value="${pack.factor}" placeholder="${escapeHtml(baseUnit)}"></td>
+            <td><input type="number" class="pack-price" min="0" step="100" value="${pack.price}"></td>
+            <td><input type="text" class="pack-code" value="${escapeHtml(pack.code)}" placeholder="Opsional"></td>
+            <td>
+                <button type="button" class="btn-remove-tender" title="Hapus">
+                    <i class="fas fa-times"></i>
+                </button>
+            </td>
+        `;
+    
+    const unitSelect = row.querySelector('.pack-unit');
+    fillUnitOptions(unitSelect, pack.unit);
+    pack.unit = unitSelect.value;
+    
+    unitSelect.addEventListener('change', () => {
+      pack.unit = unitSelect.value;
+    });
+    row.querySelector('.pack-factor').addEventListener('input', (e) => {
+      pack.factor = e.target.value;
+    });
+    row.querySelector('.pack-price').addEventListener('input', (e) => {
+      pack.price = e.target.value;
+    });
+    row.querySelector('.pack-code').addEventListener('input', (e) => {
+      pack.code = e.target.value.trim();
+    });
+    row.querySelector('.btn-remove-tender').addEventListener('click', () => {
+      productFormPacks.splice(index, 1);
+      renderPackRows();
+    });
+    
+    tbody.appendChild(row);
+  });
+}
+
+// Read the pack rows of the product form
+function getProductFormPacks() {
+  return productFormPacks.map(pack => ({
+    unit: pack.unit,
+    factor: parseFloat(pack.factor),
+    price: parseFloat(pack.price),
+    code: pack.code || ''
+  }));
+}
+
+// Validate the pack rows of the product form
+function validatePacks(productCode, baseUnit) {
+  const packs = getProductFormPacks();
+  const units = packs.map(pack => pack.unit);
+  const codes = packs.map(pack => pack.code).filter(Boolean);
+  let message = '';
+  
+  if (units.includes(baseUnit)) {
+    message = 'Satuan kemasan harus berbeda dari satuan dasar';
+  } else if (new Set(units).size !== units.length) {
+    message = 'Satuan kemasan yang sama muncul lebih dari sekali';
+  } else if (packs.some(pack => isNaN(pack.factor) || pack.factor <= 0)) {
+    message = `Isi kemasan wajib diisi dalam ${baseUnit} dan lebih dari 0`;
+  } else if (packs.some(pack => isNaN(pack.price) || pack.price < 0)) {
+    message = 'Harga jual kemasan wajib diisi dan tidak boleh negatif';
+  } else if (new Set(codes).size !== codes.length || codes.includes(productCode)) {
+    message = 'Kode kemasan harus berbeda satu sama lain dan dari kode produk';
+  }
+  
+  if (message) {
+    showError('packs-error', message);
+    return false;
+  }
+  
+  return true;
+}
+
+// Show the configured units in the settings
+function displayUnitSettings() {
+  const tbody = document.getElementById('unit-list');
+  tbody.innerHTML = '';
+  
+  productUnits.forEach(unit => addUnitSettingRow(unit));
+}
+
+// Add a unit row to the unit settings
+function addUnitSettingRow(unit = null) {
+  const tbody = document.getElementById('unit-list');
+  const row = document.createElement('tr');
+  
+  row.innerHTML = `
+        <td><input type="text" class="unit-name" value="${unit ? escapeHtml(unit.name) : ''}" placeholder="Contoh: kg"></td>
+        <td>
+            <select class="unit-precision">
+                <option value="0">Bilangan bulat</option>
+                <option value="1">1 desimal</option>
+                <option value="2">2 desimal</option>
+                <option value="3">3 desimal</option>
+            </select>
+        </td>
+        <td>
+            <button type="button" class="btn-remove-tender" title="Hapus">
+                <i class="fas fa-times"></i>
+            </button>
+        </td>
+    `;
+  
+  row.querySelector('.unit-precision').value = unit ? unit.precision : 0;
+  row.querySelector('.btn-remove-tender').addEventListener('click', () => row.remove());
+  
+  tbody.appendChild(row);
+}
+
+// Save the unit settings
+function saveUnitSettings(e) {
+  e.preventDefault();
+  clearFormErrors('unit-form');
+  
+  const units = Array.from(document.querySelectorAll('#unit-list tr')).map(row => ({
+    name: row.querySelector('.unit-name').value.trim(),
+    precision: parseInt(row.querySelector('.unit-precision').value)
+  }));
+  const names = units.map(unit => unit.name.toLowerCase());
+  
+  if (units.length === 0) {
+    showError('unit-list-error', 'Tambahkan minimal satu satuan');
+    return;
+  } else if (names.includes('')) {
+    showError('unit-list-error', 'Nama satuan wajib diisi');
+    return;
+  } else if (new Set(names).size !== names.length) {
+    showError('unit-list-error', 'Nama satuan yang sama muncul lebih dari sekali');
+    return;
+  }
+  
+  updateRecord(STORES.SETTINGS, { id: 'units', units }).then(() => {
+    productUnits = units;
+    showToast('Pengaturan satuan berhasil disimpan', 'success');
+  }).catch(err => {
+    console.error('Error saving units:', err);
+    showToast('Gagal menyimpan pengaturan satuan', 'error');
+  });
+}
+
+// ==================== BATCHES ====================
+
+// How the cashier treats stock from expired batches
+const EXPIRY_POLICIES = {
+  warn: 'Peringatkan kasir',
+  block: 'Blokir penjualan'
+};
+
+// Expiry settings: the policy for expired stock and how many days ahead a batch counts as expiring soon
+let expirySettings = { policy: 'warn', warningDays: 30 };
+
+// Batch rows being edited in the product form
+let productFormBatches = [];
+
+// Load the expiry settings
+function loadExpirySettings() {
+  return getRecord(STORES.SETTINGS, 'expiry').then(settings => {
+    if (settings) {
+      expirySettings = { policy: settings.policy, warningDays: settings.warningDays };
+    }
+  });
+}
+
+// Show an expiry date (YYYY-MM-DD) in the local format
+function formatExpiryDate(expiry) {
+  return expiry ? new Date(`${expiry}T00:00:00`).toLocaleDateString('id-ID') : '-';
+}
+
+// Whether a batch is expired, expiring within the warning period or fine
+// A batch can still be sold on its expiry date
+function getBatchStatus(batch, now = new Date()) {
+  if (!batch.expiry) {
+    return 'ok';
+  }
+  
+  const warningDate = new Date(now);
+  warningDate.setDate(warningDate.getDate() + expirySettings.warningDays);
+  
+  if (batch.expiry < toLocalDateString(now)) {
+    return 'expired';
+  }
+  
+  return batch.expiry <= toLocalDateString(warningDate) ? 'expiring' : 'ok';
+}
+
+// Batches in first-expired-first-out order; batches without an expiry date go last
+function sortBatchesFefo(batches) {
+  return (batches || []).slice().sort((a, b) => {
+    if (!a.expiry || !b.expiry) {
+      return !a.expiry - !b.expiry;
+    }
+    return a.expiry.localeCompare(b.expiry);
+  });
+}
+
+// Quantity held in expired batches of a product
+function getExpiredQuantity(product, now = new Date()) {
+  return roundQuantity((product.batches || [])
+    .filter(batch => getBatchStatus(batch, now) === 'expired')
+    .reduce((sum, batch) => sum + batch.quantity, 0), product.unit);
+}
+
+// Stock the cashier may sell: expired batches do not count when the policy blocks them
+function getSellableStock(product, now = new Date()) {
+  if (expirySettings.policy !== 'block') {
+    return product.stock;
+  }
+  
+  return Math.max(roundQuantity(product.stock - getExpiredQuantity(product, now), product.unit), 0);
+}
+
+// Take a quantity out of the batches of a product, earliest expiry first
+// Returns the lots taken from; stock beyond the batches is untracked and not listed
+function takeBatches(product, quantity, skipExpired = false, now = new Date()) {
+  const taken = [];
+  let remaining = quantity;
+  
+  sortBatchesFefo(product.batches).forEach(batch => {
+    if (remaining <= 0 || (skipExpired && getBatchStatus(batch, now) === 'expired')) {
+      return;
+    }
+    
+    const quantityTaken = Math.min(batch.quantity, remaining);
+    batch.quantity = roundQuantity(batch.quantity - quantityTaken, product.unit);
+    remaining = roundQuantity(remaining - quantityTaken, product.unit);
+    taken.push({ lot: batch.lot, expiry: batch.expiry, quantity: quantityTaken });
+  });
+  
+  product.batches = (product.batches || []).filter(batch => batch.quantity > 0);
+  return taken;
+}
+
+// Add a quantity to a batch of a product, merging it with a batch of the same lot and expiry
+function addBatch(product, lot, expiry, quantity) {
+  const batches = product.batches || [];
+  const existing = batches.find(batch => batch.lot === lot && batch.expiry === expiry);
+  
+  if (existing) {
+    existing.quantity = roundQuantity(existing.quantity + quantity, product.unit);
+  } else {
+    batches.push({ lot, expiry, quantity });
+  }
+  
+  product.batches = batches;
+}
+
+// Put a quantity back into the lots it was taken from, up to what each lot gave
+function restoreBatches(product, taken, quantity) {
+  let remaining = quantity;
+  
+  (taken || []).forEach(batch => {
+    const quantityBack = Math.min(batch.quantity, remaining);
+    if (quantityBack > 0) {
+      addBatch(product, batch.lot, batch.expiry, quantityBack);
+      remaining = roundQuantity(remaining - quantityBack, product.unit);
+    }
+  });
+}
+
+// Shrink the batches of a product, earliest expiry first, so they never hold more than its stock
+function trimBatches(product) {
+  const total = (product.batches || []).reduce((sum, batch) => sum + batch.quantity, 0);
+  
+  if (total > product.stock) {
+    takeBatches(product, roundQuantity(total - Math.max(product.stock, 0), product.unit));
+  }
+}
+
+// Warn the cashier about expired stock; resolves to whether the product can be sold at all
+function checkExpiredStock(product) {
+  const expired = getExpiredQuantity(product);
+  
+  if (expired <= 0) {
+    return true;
+  }
+  
+  if (expirySettings.policy === 'block') {
+    if (getSellableStock(product) <= 0) {
+      showToast(`Stok ${product.name} yang tersisa sudah kedaluwarsa`, 'error');
+      return false;
+    }
+    return true;
+  }
+  
+  showToast(`Perhatian: ${product.name} memiliki ${formatQuantity(expired, product.unit)} stok kedaluwarsa`, 'warning');
+  return true;
+}
+
+// Add an empty batch row to the product form
+function addBatchRow() {
+  productFormBatches.push({ lot: '', expiry: '', quantity: '' });
+  renderBatchRows();
+}
+
+// Render the batch rows of the product form
+function renderBatchRows() {
+  const step = getQuantityStep(document.getElementById('product-unit').value);
+  const tbody = document.getElementById('batch-lines');
+  tbody.innerHTML = '';
+  
+  productFormBatches.forEach((batch, index) => {
+    const row = document.createElement('tr');
+    row.className = `batch-${getBatchStatus(batch)}`;
+    
+    row.innerHTML = `
+            <td><input type="text" class="batch-lot" value="${escapeHtml(batch.lot)}"></td>
+            <td><input type="date" class="batch-expiry" value="${batch.expiry}"></td>
+            <td><input type="number" class="batch-quantity" min="0" step="${step}" value="${batch.quantity}"></td>
+            <td>
+                <button type="button" class="btn-remove-tender" title="Hapus">
+                    <i class="fas fa-times"></i>
+                </button>
+            </td>
+        `;
+    
+    row.querySelector('.batch-lot').addEventListener('input', (e) => {
+      batch.lot = e.target.value.trim();
+    });
+    row.querySelector('.batch-expiry').addEventListener('change', (e) => {
+      batch.expiry = e.target.value;
+      row.className = `batch-${getBatchStatus(batch)}`;
+    });
+    row.querySelector('.batch-quantity').addEventListener('input', (e) => {
+      batch.quantity = e.target.value;
+    });
+    row.querySelector('.btn-remove-tender').addEventListener('click', () => {
+      productFormBatches.splice(index, 1);
+      renderBatchRows();
+    });
+    
+    tbody.appendChild(row);
+  });
+}
+
+// Read the batch rows of the product form
+function getProductFormBatches() {
+  return productFormBatches.map(batch => ({
+    lot: batch.lot,
+    expiry: batch.expiry,
+    quantity: parseFloat(batch.quantity)
+  }));
+}
+
+// Validate the batch rows of the product form against the stock entered
+function validateBatches(stock, unit) {
+  const batches = getProductFormBatches();
+  const keys = batches.map(batch => `${batch.lot}|${batch.expiry}`);
+  const total = batches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+  let message = '';
+  
+  if (batches.some(batch => !batch.lot && !batch.expiry)) {
+    message = 'Isi nomor lot atau tanggal kedaluwarsa di setiap batch';
+  } else if (batches.some(batch => isNaN(batch.quantity) || batch.quantity <= 0 || !isValidQuantity(batch.quantity, unit))) {
+    message = `Jumlah batch harus lebih dari 0 dengan maksimal ${getUnitPrecision(unit)} desimal`;
+  } else if (new Set(keys).size !== keys.length) {
+    message = 'Batch dengan lot dan tanggal yang sama muncul lebih dari sekali';
+  } else if (roundQuantity(total, unit) > stock) {
+    message = 'Jumlah semua batch melebihi stok';
+  }
+  
+  if (message) {
+    showError('batches-error', message);
+    return false;
+  }
+  
+  return true;
+}
+
+// Show the batches that are expired or expire within the warning period on the dashboard
+function displayExpiringBatches(products) {
+  const container = document.getElementById('expiring-products');
+  container.innerHTML = '';
+  
+  const now = new Date();
+  const entries = [];
+  
+  products.forEach(product => {
+    (product.batches || []).forEach(batch => {
+      const status = getBatchStatus(batch, now);
+      if (status !== 'ok') {
+        entries.push({ product, batch, status });
+      }
+    });
+  });
+  
+  if (entries.length === 0) {
+    container.innerHTML = '<p class="no-products">Tidak ada batch yang akan kedaluwarsa</p>';
+    return;
+  }
+  
+  entries.sort((a, b) => a.batch.expiry.localeCompare(b.batch.expiry));
+  
+  entries.forEach(({ product, batch, status }) => {
+    const item = document.createElement('div');
+    item.className = `product-item batch-${status}`;
+    
+    item.innerHTML = `
+                <div class="product-name">${escapeHtml(product.name)}</div>
+                <div class="product-stock">
+                    ${batch.lot ? `Lot ${escapeHtml(batch.lot)} - ` : ''}${formatQuantity(batch.quantity, product.unit)}
+                </div>
+                <div class="product-expiry">${status === 'expired' ? 'Kedaluwarsa' : 'Exp'} ${formatExpiryDate(batch.expiry)}</div>
+            `;
+    
+    container.appendChild(item);
+  });
+}
+
+// Show the expiry settings
+function displayExpirySettings() {
+  document.getElementById('expiry-policy').value = expirySettings.policy;
+  document.getElementById('expiry-warning-days').value = expirySettings.warningDays;
+}
+
+// Save the expiry settings
+function saveExpirySettings(e) {
+  e.preventDefault();
+  clearFormErrors('expiry-form');
+  
+  const warningDays = parseInt(document.getElementById('expiry-warning-days').value);
+  if (isNaN(warningDays) || warningDays < 0) {
+    showError('expiry-warning-days-error', 'Jumlah hari tidak boleh kosong atau negatif');
+    return;
+  }
+  
+  const settings = {
+    id: 'expiry',
+    policy: document.getElementById('expiry-policy').value,
+    warningDays
+  };
+  
+  updateRecord(STORES.SETTINGS, settings).then(() => {
+    expirySettings = { policy: settings.policy, warningDays };
+    showToast('Pengaturan kedaluwarsa berhasil disimpan', 'success');
+    loadDashboard();
+    loadCashierProducts();
+  }).catch(err => {
+    console.error('Error saving expiry settings:', err);
+    showToast('Gagal menyimpan pengaturan kedaluwarsa', 'error');
+  });
+}
+
+// ==================== STOCK MOVEMENTS ====================
+
+// Kinds of stock change recorded in the ledger
+const STOCK_MOVEMENT_TYPES = {
+  initial: 'Saldo Awal',
+  sale: 'Penjualan',
+  return: 'Retur',
+  void: 'Void',
+  manual: 'Edit Manual',
+  purchase: 'Penerimaan Barang',
+  adjustment: 'Stok Opname',
+  correction: 'Koreksi Rekonsiliasi'
+};
+
+// Name of the person operating this device
+let currentOperator = '';
+
+// Get the label of a stock movement type
+function getStockMovementLabel(type) {
+  return STOCK_MOVEMENT_TYPES[type] || type;
+}
+
+// Get the name recorded as the user of stock movements
+function getCurrentUser() {
+  return currentOperator || 'Kasir';
+}
+
+// Load the operator name saved on this device
+function loadOperator() {
+  getRecord(STORES.SETTINGS, 'operator').then(operator => {
+    currentOperator = operator ? operator.name : '';
+    document.getElementById('operator-name').textContent = getCurrentUser();
+  });
+}
+
+// Ask for the name of the person using the application
+function changeOperator() {
+  const name = prompt('Nama operator:', currentOperator);
+  if (name === null) {
+    return;
+  }
+  
+  updateRecord(STORES.SETTINGS, { id: 'operator', name: name.trim() }).then(() => {
+    currentOperator = name.trim();
+    document.getElementById('operator-name').textContent = getCurrentUser();
+    showToast(`Operator: ${getCurrentUser()}`, 'success');
+  }).catch(err => {
+    console.error('Error saving operator:', err);
+    showToast('Gagal menyimpan operator', 'error');
+  });
+}
+
+// Build a ledger entry for a product whose stock changed from `before` to its current stock
+function buildStockMovement(product, before, type, reference, note = '') {
+  return {
+    productId: product.id,
+    productCode: product.code,
+    productName: product.name,
+    type,
+    quantity: roundQuantity(product.stock - before, product.unit),
+    before,
+    after: product.stock,
+    reference: reference || '',
+    note,
+    user: getCurrentUser(),
+    date: new Date()
+  };
+}
+
+// Add a ledger entry within an open IndexedDB transaction, skipping changes of zero
+function addStockMovement(movementStore, product, before, type, reference, note) {
+  if (product.stock === before) {
+    return;
+  }
+  
+  movementStore.add(buildStockMovement(product, before, type, reference, note));
+}
+
+// Record the current stock of every product as an opening balance
+// Takes an open transaction over the products and stock movements stores
+function addOpeningMovements(transaction) {
+  const productStore = transaction.objectStore(STORES.PRODUCTS);
+  const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+  const request = productStore.getAll();
+  
+  request.onsuccess = () => {
+    request.result.forEach(product => {
+      const movement = buildStockMovement(product, 0, 'initial', 'Saldo awal');
+      movement.user = 'Sistem';
+      
+      if (movement.quantity !== 0) {
+        movementStore.add(movement);
+      }
+    });
+  };
+}
+
+// Add or update a product and record any stock change in the ledger, all in one transaction
+function saveProductStock(product, type, reference, note) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    let saved;
+    
+    if (product.id) {
+      const request = productStore.get(product.id);
+      
+      request.onsuccess = () => {
+        // Keep fields the caller does not edit
+        const existing = request.result || {};
+        saved = { ...existing, ...product };
+        productStore.put(saved);
+        addStockMovement(movementStore, saved, existing.stock || 0, type, reference, note);
+      };
+    } else {
+      saved = { ...product };
+      const request = productStore.add(saved);
+      
+      request.onsuccess = () => {
+        saved.id = request.result;
+        addStockMovement(movementStore, saved, 0, 'initial', reference, note);
+      };
+    }
+    
+    transaction.oncomplete = () => resolve(saved);
+    transaction.onerror = (event) => reject(event.target.error);
+    transaction.onabort = (event) => reject(event.target.error);
+  });
+}
+
+// Get all ledger entries, optionally for one product, oldest first
+function getStockMovements(productId) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.STOCK_MOVEMENTS, 'readonly');
+    const store = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const request = productId !== undefined ? store.index('productId').getAll(productId) : store.getAll();
+    
+    request.onsuccess = () => {
+      resolve(request.result.sort((a, b) => new Date(a.date) - new Date(b.date) || a.id - b.id));
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Show the stock movement history of a product
+function showStockHistory(productId) {
+  Promise.all([getRecord(STORES.PRODUCTS, productId), getStockMovements(productId)]).then(([product, movements]) => {
+    if (!product) {
+      showToast('Produk tidak ditemukan', 'error');
+      return;
+    }
+    
+    document.getElementById('stock-history-product').textContent = `${product.code} - ${product.name} (stok saat ini: ${formatQuantity(product.stock, product.unit)})`;
+    
+    const tbody = document.getElementById('stock-history-list');
+    tbody.innerHTML = '';
+    
+    if (movements.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="text-center">Belum ada pergerakan stok</td></tr>';
+    }
+    
+    // Newest first
+    movements.slice().reverse().forEach(movement => {
+      const row = document.createElement('tr');
+      
+      row.innerHTML = `
+                <td>${new Date(movement.date).toLocaleString('id-ID')}</td>
+                <td>${getStockMovementLabel(movement.type)}</td>
+                <td>
+                    ${escapeHtml(movement.reference)}
+                    ${movement.note ? `<div class="transaction-note">${escapeHtml(movement.note)}</div>` : ''}
+                </td>
+                <td class="${movement.quantity < 0 ? 'movement-out' : 'movement-in'}">${movement.quantity > 0 ? '+' : ''}${movement.quantity}</td>
+                <td>${movement.before}</td>
+                <td>${movement.after}</td>
+                <td>${escapeHtml(movement.user)}</td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+    
+    document.getElementById('stock-history-modal').classList.remove('hidden');
+  }).catch(err => {
+    console.error('Error loading stock history:', err);
+    showToast('Gagal memuat riwayat stok', 'error');
+  });
+}
+
+// Compare each product's stock with the stock recomputed from the ledger
+// A break in the before/after chain means a change was made without a ledger entry
+function reconcileStock(products, movements) {
+  const ledger = {};
+  
+  movements.forEach(movement => {
+    const entry = ledger[movement.productId] || { stock: 0, breaks: 0, count: 0 };
+    
+    if (entry.count > 0 && movement.before !== entry.last) {
+      entry.breaks++;
+    }
+    
+    entry.stock += movement.quantity;
+    entry.last = movement.after;
+    entry.count++;
+    ledger[movement.productId] = entry;
+  });
+  
+  return products.map(product => {
+    const entry = ledger[product.id] || { stock: 0, breaks: 0, count: 0 };
+    
+    const ledgerStock = roundQuantity(entry.stock, product.unit);
+    
+    return {
+      productId: product.id,
+      code: product.code,
+      name: product.name,
+      stock: product.stock,
+      ledgerStock,
+      drift: roundQuantity(product.stock - ledgerStock, product.unit),
+      breaks: entry.breaks,
+      movements: entry.count
+    };
+  });
+}
+
+// Show products whose stock does not match the ledger
+// Breaks in the chain of a product that still sums to its stock need no action and are not listed
+function showStockReconcile() {
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+  
+  request.onsuccess = () => {
+    getStockMovements().then(movements => {
+      const results = reconcileStock(request.result, movements);
+      const drifted = results.filter(result => result.drift !== 0);
+      const tbody = document.getElementById('stock-reconcile-list');
+      tbody.innerHTML = '';
+      
+      document.getElementById('stock-reconcile-summary').textContent = drifted.length === 0 ?
+        `Semua ${results.length} produk sesuai dengan ledger stok.` :
+        `${drifted.length} dari ${results.length} produk tidak sesuai dengan ledger stok.`;
+      
+      if (drifted.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Tidak ada selisih</td></tr>';
+      }
+      
+      drifted.forEach(result => {
+        const row = document.createElement('tr');
+        
+        row.innerHTML = `
+                    <td>${escapeHtml(result.code)}</td>
+                    <td>
+                        ${escapeHtml(result.name)}
+                        ${result.breaks > 0 ? `<div class="transaction-note">${result.breaks} perubahan tanpa catatan ledger</div>` : ''}
+                    </td>
+                    <td>${result.stock}</td>
+                    <td>${result.ledgerStock}</td>
+                    <td class="${result.drift < 0 ? 'movement-out' : 'movement-in'}">${result.drift > 0 ? '+' : ''}${result.drift}</td>
+                    <td>
+                        <button class="btn-reconcile" data-id="${result.productId}" data-action="ledger" title="Ubah stok produk menjadi ${result.ledgerStock}">
+                            <i class="fas fa-undo"></i> Pakai Ledger
+                        </button>
+                        <button class="btn-reconcile" data-id="${result.productId}" data-action="stock" title="Catat koreksi ${result.drift} di ledger">
+                            <i class="fas fa-check"></i> Pakai Stok
+                        </button>
+                    </td>
+                `;
+        
+        tbody.appendChild(row);
+      });
+      
+      document.getElementById('stock-reconcile-modal').classList.remove('hidden');
+    }).catch(err => {
+      console.error('Error reconciling stock:', err);
+      showToast('Gagal merekonsiliasi stok', 'error');
+    });
+  };
+}
+
+// Fix a drifted product, either resetting its stock to the ledger or booking the drift as a correction
+function resolveStockDrift(productId, action) {
+  Promise.all([getRecord(STORES.PRODUCTS, productId), getStockMovements(productId)]).then(([product, movements]) => {
+    const ledgerStock = roundQuantity(movements.reduce((sum, movement) => sum + movement.quantity, 0), product.unit);
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+      const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+      
+      if (action === 'ledger') {
+        // The ledger already sums to this value, so no entry is needed
+        product.stock = ledgerStock;
+        trimBatches(product);
+        product.updatedAt = new Date();
+        transaction.objectStore(STORES.PRODUCTS).put(product);
+      } else {
+        addStockMovement(movementStore, product, ledgerStock, 'correction', 'Rekonsiliasi', 'Selisih stok tanpa catatan ledger');
+      }
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }).then(() => {
+    showToast('Stok berhasil direkonsiliasi', 'success');
+    showStockReconcile();
+    loadProducts();
+    loadDashboard();
+    loadCashierProducts();
+  }).catch(err => {
+    console.error('Error resolving stock drift:', err);
+    showToast('Gagal merekonsiliasi stok', 'error');
+  });
+}
+
+// ==================== BARCODES & LABELS ====================
+
+// Code 128 and EAN-13 encoding is in barcode.js
+
+// Render barcode modules as an SVG string
+function renderBarcodeSVG(modules, options = {}) {
+  const quietZone = options.quietZone !== undefined ? options.quietZone : 10;
+  const barHeight = options.height || 50;
+  const fontSize = options.text ? 10 : 0;
+  const width = modules.length + quietZone * 2;
+  const height = barHeight + (fontSize ? fontSize + 2 : 0);
+  
+  let bars = '';
+  let x = 0;
+  
+  // Draw each run of bar modules as one rectangle
+  while (x < modules.length) {
+    if (modules[x] === '1') {
+      let run = 1;
+      while (modules[x + run] === '1') {
+        run++;
+      }
+      bars += `<rect x="${x + quietZone}" y="0" width="${run}" height="${barHeight}"/>`;
+      x += run;
+    } else {
+      x++;
+    }
+  }
+  
+  const text = fontSize ?
+    `<text x="${width / 2}" y="${height}" font-family="monospace" font-size="${fontSize}" text-anchor="middle">${escapeHtml(options.text)}</text>` :
+    '';
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges"><rect width="${width}" height="${height}" fill="#fff"/><g fill="#000">${bars}</g>${text}</svg>`;
+}
+
+// Label sizes in millimetres
+const LABEL_SIZES = {
+  '33x15': { label: '33 x 15 mm', width: 33, height: 15 },
+  '38x25': { label: '38 x 25 mm', width: 38, height: 25 },
+  '50x30': { label: '50 x 30 mm', width: 50, height: 30 },
+  '64x34': { label: '64 x 34 mm', width: 64, height: 34 }
+};
+
+// Sheet layouts labels are printed on
+const LABEL_LAYOUTS = {
+  a4: { label: 'Kertas A4', page: '@page { size: A4; margin: 10mm; }', roll: false },
+  letter: { label: 'Kertas Letter', page: '@page { size: letter; margin: 10mm; }', roll: false },
+  roll: { label: 'Gulungan label (1 label per baris)', roll: true }
+};
+
+// Read the label options from the form
+function getLabelOptions() {
+  return {
+    id: 'labels',
+    size: document.getElementById('label-size').value,
+    layout: document.getElementById('label-layout').value,
+    symbology: document.getElementById('label-symbology').value,
+    copies: Math.max(1, parseInt(document.getElementById('label-copies').value) || 1),
+    showName: document.getElementById('label-show-name').checked,
+    showPrice: document.getElementById('label-show-price').checked
+  };
+}
+
+let labelProducts = [];
+
+// Show the label form for the ticked products
+function showLabelForm() {
+  if (selectedProductIds.size === 0) {
+    showToast('Pilih produk yang akan dicetak labelnya', 'warning');
+    return;
+  }
+  
+  Promise.all([
+    Promise.all(Array.from(selectedProductIds).map(id => getRecord(STORES.PRODUCTS, id))),
+    getRecord(STORES.SETTINGS, 'labels')
+  ]).then(([products, settings]) => {
+    labelProducts = products.filter(Boolean);
+    settings = settings || {};
+    
+    document.getElementById('label-size').value = LABEL_SIZES[settings.size] ? settings.size : '38x25';
+    document.getElementById('label-layout').value = LABEL_LAYOUTS[settings.layout] ? settings.layout : 'a4';
+    document.getElementById('label-symbology').value = settings.symbology || 'auto';
+    document.getElementById('label-copies').value = settings.copies || 1;
+    document.getElementById('label-show-name').checked = settings.showName !== false;
+    document.getElementById('label-show-price').checked = settings.showPrice !== false;
+    
+    renderLabelPreview();
+    document.getElementById('label-modal').classList.remove('hidden');
+  }).catch(err => {
+    console.error('Error loading label data:', err);
+    showToast('Gagal memuat data label', 'error');
+  });
+}
+
+// Build the markup of one label
+function buildLabelHTML(product, options) {
+  let barcode;
+  
+  try {
+    const encoded = encodeBarcode(product.code, options.symbology);
+    barcode = renderBarcodeSVG(encoded.modules, { text: encoded.text });
+  } catch (err) {
+    barcode = `<div class="label-error">${escapeHtml(err.message)}</div>`;
+  }
+  
+  return `
+        <div class="label">
+            ${options.showName ? `<div class="label-name">${escapeHtml(product.name)}</div>` : ''}
+            ${options.showPrice ? `<div class="label-price">${formatCurrencySync(product.price)}</div>` : ''}
+            <div class="label-barcode">${barcode}</div>
+        </div>
+    `;
+}
+
+// Render the label sheet for the selected products
+function renderLabelPreview() {
+  const options = getLabelOptions();
+  const size = LABEL_SIZES[options.size];
+  const sheet = document.getElementById('label-sheet');
+  
+  sheet.className = `label-sheet ${LABEL_LAYOUTS[options.layout].roll ? 'label-roll' : 'label-grid'}`;
+  sheet.style.setProperty('--label-width', `${size.width}mm`);
+  sheet.style.setProperty('--label-height', `${size.height}mm`);
+  
+  let html = '';
+  labelProducts.forEach(product => {
+    for (let i = 0; i < options.copies; i++) {
+      html += buildLabelHTML(product, options);
+    }
+  });
+  
+  sheet.innerHTML = html;
+}
+
+// Print the label sheet
+function printLabels(e) {
+  e.preventDefault();
+  
+  const options = getLabelOptions();
+  const size = LABEL_SIZES[options.size];
+  const layout = LABEL_LAYOUTS[options.layout];
+  
+  renderLabelPreview();
+  updateRecord(STORES.SETTINGS, options).catch(err => {
+    console.error('Error saving label settings:', err);
+  });
+  
+  // Roll printers get one page per label
+  const pageRule = layout.roll ? `@page { size: ${size.width}mm ${size.height}mm; margin: 0; }` : layout.page;
+  startPrint('printing-labels', pageRule);
+}
+
+// ==================== PRODUCT IMPORT ====================
+
+// Product fields an import column can fill, with the header names recognised automatically
+const IMPORT_FIELDS = [
+  { field: 'code', label: 'Kode', aliases: ['kode', 'kode produk', 'kode barang', 'code', 'sku', 'barcode'] },
+  { field: 'name', label: 'Nama', aliases: ['nama', 'nama produk', 'nama barang', 'name', 'product'] },
+  { field: 'category', label: 'Kategori', aliases: ['kategori', 'category'] },
+  { field: 'price', label: 'Harga Jual', aliases: ['harga', 'harga jual', 'price'] },
+  { field: 'cost', label: 'Harga Beli', aliases: ['harga beli', 'harga modal', 'modal', 'cost'] },
+  { field: 'stock', label: 'Stok', aliases: ['stok', 'stock', 'qty', 'jumlah'] },
+  { field: 'minStock', label: 'Stok Minimum', aliases: ['stok minimum', 'stok min', 'min stok', 'minimum stock', 'min stock'] },
+  { field: 'unit', label: 'Satuan', aliases: ['satuan', 'unit', 'uom'] },
+  { field: 'supplier', label: 'Supplier', aliases: ['supplier', 'kode supplier', 'nama supplier', 'pemasok'] }
+];
+
+// Fields that hold numbers
+const IMPORT_NUMBER_FIELDS = ['price', 'cost', 'stock', 'minStock'];
+
+// Fields a variant takes from its parent, so an import cannot change them on the variant
+const VARIANT_SHARED_FIELDS = ['name', 'category', 'categoryId', 'cost', 'unit', 'supplierId'];
+
+// Import field a product field is read from, where the two names differ
+const IMPORT_SOURCE_FIELDS = { categoryId: 'category', supplierId: 'supplier' };
+
+// Product fields an import can change on an existing product
+const IMPORT_UPDATED_FIELDS = ['name', 'category', 'categoryId', 'price', 'cost', 'stock', 'minStock', 'unit', 'supplierId'];
+
+// Labels of the dry-run actions
+const IMPORT_ACTIONS = {
+  new: 'Baru',
+  update: 'Diperbarui',
+  same: 'Tidak berubah',
+  error: 'Error'
+};
+
+// Header and data rows of the chosen import file
+let importSheet = null;
+
+// Result of the last dry run; this is exactly what gets committed
+let importPlan = [];
+
+// Show the import dialog
+function showImportForm() {
+  importSheet = null;
+  importPlan = [];
+  
+  document.getElementById('import-file').value = '';
+  document.getElementById('import-file-name').textContent = 'Belum ada file dipilih';
+  document.getElementById('import-mapping-section').classList.add('hidden');
+  clearFormErrors('import-modal');
+  displayImportPlan();
+  updateImportUndoButton();
+  
+  document.getElementById('import-modal').classList.remove('hidden');
+}
+
+// Read the chosen file and guess which column holds which field
+function loadImportFile(e) {
+  const file = e.target.files[0];
+  document.getElementById('import-file-name').textContent = file ? file.name : 'Belum ada file dipilih';
+  importSheet = null;
+  importPlan = [];
+  displayImportPlan();
+  document.getElementById('import-mapping-section').classList.add('hidden');
+  
+  if (!file) {
+    return;
+  }
+  
+  readImportFile(file).then(rows => {
+    const header = rows[0] || [];
+    const dataRows = rows.slice(1)
+      .map((cells, index) => ({ rowNumber: index + 2, cells: cells || [] }))
+      .filter(row => row.cells.some(cell => String(cell).trim() !== ''));
+    
+    if (dataRows.length === 0) {
+      showToast('File tidak berisi data produk', 'warning');
+      return;
+    }
+    
+    importSheet = { fileName: file.name, headers: header.map(cell => String(cell).trim()), rows: dataRows };
+    renderImportMapping(guessImportMapping(importSheet.headers));
+    document.getElementById('import-mapping-section').classList.remove('hidden');
+  }).catch(err => {
+    console.error('Error reading import file:', err);
+    showToast('Gagal membaca file. Gunakan file CSV atau XLSX.', 'error');
+  });
+}
+
+// Read the rows of a CSV or XLSX file as arrays of cell values
+function readImportFile(file) {
+  if (/\.xlsx$/i.test(file.name)) {
+    return file.arrayBuffer().then(buffer => readXlsxRows(new Uint8Array(buffer)));
+  }
+  
+  return file.text().then(parseCsv);
+}
+
+// Parse CSV text into rows, detecting a comma, semicolon or tab delimiter
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  
+  // Spreadsheets with an Indonesian locale save CSV with semicolons
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => {
+    return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+  }, ',');
+  
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+// List the files of a zip archive with where their data starts
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = bytes.length - 22;
+  
+  // The end-of-directory record sits after an optional comment of up to 64 KB
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+    end--;
+  }
+  
+  if (end < 0) {
+    throw new Error('Not a zip archive');
+  }
+  
+  const entries = {};
+  const decoder = new TextDecoder();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  
+  for (let i = 0; i < count; i++) {
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    
+    // The local header can carry a different extra field than the directory entry
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    
+    entries[name] = {
+      method: view.getUint16(offset + 10, true),
+      data: bytes.subarray(dataStart, dataStart + view.getUint32(offset + 20, true))
+    };
+    
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  
+  return entries;
+}
+
+// Read a file of a zip archive as text, inflating it with the browser's decompression stream
+function readZipText(entries, name) {
+  const entry = entries[name];
+  
+  if (!entry) {
+    return Promise.resolve(null);
+  }
+  
+  if (entry.method === 0) {
+    return Promise.resolve(new TextDecoder().decode(entry.data));
+  }
+  
+  const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+}
+
+// Parse XML text, returning null for a missing file
+function parseXml(text) {
+  return text === null ? null : new DOMParser().parseFromString(text, 'application/xml');
+}
+
+// Get child elements by local name, whatever namespace prefix the writer used
+function getXmlElements(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+// Read the rows of the first worksheet of an XLSX workbook
+// Numeric cells stay numbers so decimals are not confused with thousand separators
+function readXlsxRows(bytes) {
+  const entries = readZipDirectory(bytes);
+  
+  return Promise.all([
+    readZipText(entries, 'xl/workbook.xml'),
+    readZipText(entries, 'xl/_rels/workbook.xml.rels'),
+    readZipText(entries, 'xl/sharedStrings.xml')
+  ]).then(([workbookXml, relsXml, stringsXml]) => {
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbook = parseXml(workbookXml);
+    const rels = parseXml(relsXml);
+    const firstSheet = workbook && getXmlElements(workbook, 'sheet')[0];
+    
+    if (firstSheet && rels) {
+      const relationId = firstSheet.getAttribute('r:id') || firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+      const relation = getXmlElements(rels, 'Relationship').find(rel => rel.getAttribute('Id') === relationId);
+      
+      if (relation) {
+        const target = relation.getAttribute('Target');
+        sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      }
+    }
+    
+    const strings = stringsXml === null ? [] : getXmlElements(parseXml(stringsXml), 'si').map(item => {
+      return getXmlElements(item, 't').map(t => t.textContent).join('');
+    });
+    
+    return readZipText(entries, sheetPath).then(sheetXml => {
+      if (sheetXml === null) {
+        throw new Error('Worksheet not found');
+      }
+      
+      const rows = [];
+      
+      getXmlElements(parseXml(sheetXml), 'row').forEach((rowElement, rowIndex) => {
+        const row = [];
+        const rowNumber = parseInt(rowElement.getAttribute('r')) || rowIndex + 1;
+        
+        getXmlElements(rowElement, 'c').forEach(cellElement => {
+          const reference = cellElement.getAttribute('r');
+          const column = reference ? getXlsxColumnIndex(reference) : row.length;
+          const type = cellElement.getAttribute('t');
+          const valueElement = getXmlElements(cellElement, 'v')[0];
+          const value = valueElement ? valueElement.textContent : '';
+          
+          if (type === 's') {
+            row[column] = strings[parseInt(value)] || '';
+          } else if (type === 'inlineStr') {
+            row[column] = getXmlElements(cellElement, 't').map(t => t.textContent).join('');
+          } else if (type === 'str' || type === 'b' || type === 'e' || value === '') {
+            row[column] = value;
+          } else {
+            row[column] = parseFloat(value);
+          }
+        });
+        
+        rows[rowNumber - 1] = Array.from(row, cell => cell === undefined ? '' : cell);
+      });
+      
+      return Array.from(rows, row => row || []);
+    });
+  });
+}
+
+// Get the zero-based column of a cell reference such as "AB12"
+function getXlsxColumnIndex(reference) {
+  const letters = reference.replace(/[^A-Z]/gi, '').toUpperCase();
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Parse a number typed the Indonesian way ("Rp 12.500", "0,75"); numbers from XLSX pass through
+function parseImportNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  
+  let text = String(value).replace(/rp/i, '').replace(/\s/g, '');
+  
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+  
+  return /^-?\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+}
+
+// Normalise a header name for matching against field aliases
+function normalizeImportHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Guess the column of each field from the header names; -1 leaves a field unmapped
+function guessImportMapping(headers) {
+  const normalized = headers.map(normalizeImportHeader);
+  const mapping = {};
+  
+  IMPORT_FIELDS.forEach(({ field, aliases }) => {
+    mapping[field] = normalized.findIndex(header => aliases.includes(header));
+  });
+  
+  return mapping;
+}
+
+// Show a column dropdown per product field
+function renderImportMapping(mapping) {
+  const container = document.getElementById('import-mapping');
+  container.innerHTML = '';
+  
+  IMPORT_FIELDS.forEach(({ field, label }) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    group.innerHTML = `
+            <label for="import-map-${field}">${label}</label>
+            <select id="import-map-${field}" data-field="${field}">
+                <option value="-1">(tidak diimpor)</option>
+                ${importSheet.headers.map((header, index) => `<option value="${index}">${escapeHtml(header || `Kolom ${index + 1}`)}</option>`).join('')}
+            </select>
+        `;
+    group.querySelector('select').value = mapping[field];
+    container.appendChild(group);
+  });
+}
+
+// Read the column chosen for each field
+function getImportMapping() {
+  const mapping = {};
+  
+  document.querySelectorAll('#import-mapping select').forEach(select => {
+    mapping[select.dataset.field] = parseInt(select.value);
+  });
+  
+  return mapping;
+}
+
+// Check every row against the current products and suppliers without saving anything
+function runImportDryRun() {
+  clearFormErrors('import-modal');
+  
+  if (!importSheet) {
+    showToast('Pilih file CSV atau XLSX terlebih dahulu', 'warning');
+    return;
+  }
+  
+  const mapping = getImportMapping();
+  if (mapping.code < 0) {
+    showError('import-mapping-error', 'Kolom kode wajib dipetakan karena produk dicocokkan berdasarkan kode');
+    return;
+  }
+  
+  const transaction = db.transaction([STORES.PRODUCTS, STORES.SUPPLIERS], 'readonly');
+  const productRequest = transaction.objectStore(STORES.PRODUCTS).getAll();
+  const supplierRequest = transaction.objectStore(STORES.SUPPLIERS).getAll();
+  
+  transaction.oncomplete = () => {
+    importPlan = planProductImport(importSheet.rows, mapping, productRequest.result, supplierRequest.result);
+    displayImportPlan();
+  };
+  transaction.onerror = (event) => {
+    console.error('Error checking import:', event.target.error);
+    showToast('Gagal memeriksa data impor', 'error');
+  };
+}
+
+// Work out what importing each row would do, applying the product form's rules
+// Blank or unmapped cells keep the value an existing product already has
+function planProductImport(rows, mapping, products, suppliers) {
+  const productsByCode = new Map(products.map(product => [product.code, product]));
+  const packCodes = new Set();
+  const firstRowByCode = new Map();
+  
+  products.forEach(product => {
+    (product.packs || []).forEach(pack => {
+      if (pack.code) {
+        packCodes.add(pack.code);
+      }
+    });
+  });
+  
+  return rows.map(row => {
+    const cell = (field) => {
+      const value = mapping[field] >= 0 ? row.cells[mapping[field]] : undefined;
+      return typeof value === 'number' ? value : String(value === undefined ? '' : value).trim();
+    };
+    
+    const code = String(cell('code'));
+    const existing = productsByCode.get(code);
+    const errors = [];
+    const notes = [];
+    
+    const values = existing ?
+      { ...existing } :
+      { code, name: '', category: '', categoryId: null, price: NaN, cost: NaN, stock: NaN, minStock: 0, unit: DEFAULT_UNIT, supplierId: null, packs: [], batches: [] };
+    const reportedFields = [];
+    let newCategory = null;
+    
+    if (cell('name') !== '') {
+      values.name = String(cell('name'));
+    }
+    
+    // Categories match by name or full path; an unknown plain name becomes a new top-level category
+    const categoryName = normalizeCategoryName(cell('category'));
+    if (categoryName !== '') {
+      const matches = findCategories(categoryName);
+      
+      if (matches.length === 1) {
+        values.category = matches[0].name;
+        values.categoryId = matches[0].id;
+      } else if (matches.length > 1) {
+        errors.push(`Kategori "${categoryName}" ada di beberapa induk, tulis lengkap seperti "Induk > ${categoryName}"`);
+        reportedFields.push('category');
+      } else if (/[>›]/.test(categoryName)) {
+        errors.push(`Kategori "${categoryName}" tidak ditemukan`);
+        reportedFields.push('category');
+      } else {
+        values.category = categoryName;
+        values.categoryId = null;
+        newCategory = categoryName;
+      }
+    }
+    
+    IMPORT_NUMBER_FIELDS.forEach(field => {
+      if (cell(field) === '') {
+        return;
+      }
+      
+      values[field] = parseImportNumber(cell(field));
+      if (isNaN(values[field])) {
+        const { label } = IMPORT_FIELDS.find(f => f.field === field);
+        errors.push(`${label} "${cell(field)}" bukan angka`);
+        reportedFields.push(field);
+      }
+    });
+    
+    const unitName = String(cell('unit'));
+    if (unitName !== '') {
+      const unit = productUnits.find(u => u.name.toLowerCase() === unitName.toLowerCase());
+      if (unit) {
+        values.unit = unit.name;
+      } else {
+        errors.push(`Satuan "${unitName}" tidak dikenal`);
+      }
+    }
+    
+    const supplierName = String(cell('supplier'));
+    if (supplierName !== '') {
+      const key = supplierName.toLowerCase();
+      const byCode = suppliers.find(supplier => supplier.code.toLowerCase() === key);
+      const byName = suppliers.filter(supplier => supplier.name.trim().toLowerCase() === key);
+      
+      if (byCode || byName.length === 1) {
+        values.supplierId = String((byCode || byName[0]).id);
+      } else if (byName.length > 1) {
+        errors.push(`Nama supplier "${supplierName}" dipakai lebih dari satu supplier, gunakan kodenya`);
+      } else {
+        errors.push(`Supplier "${supplierName}" tidak ditemukan`);
+      }
+    }
+    
+    if (code && firstRowByCode.has(code)) {
+      errors.push(`Kode sama dengan baris ${firstRowByCode.get(code)}`);
+    } else if (code) {
+      firstRowByCode.set(code, row.rowNumber);
+    }
+    
+    if (existing && existing.hasVariants) {
+      errors.push('Produk induk varian hanya dapat diubah lewat formulir produk');
+    } else if (existing && existing.isBundle) {
+      errors.push('Produk paket hanya dapat diubah lewat formulir produk');
+    } else if (!existing && packCodes.has(code)) {
+      errors.push('Kode sudah digunakan sebagai kode kemasan');
+    }
+    
+    // Variants take these fields from their parent
+    if (existing && existing.parentId) {
+      VARIANT_SHARED_FIELDS.forEach(field => {
+        if (String(values[field]) !== String(existing[field])) {
+          const note = `${IMPORT_FIELDS.find(f => f.field === (IMPORT_SOURCE_FIELDS[field] || field)).label} mengikuti produk induk`;
+          values[field] = existing[field];
+          if (!notes.includes(note)) {
+            notes.push(note);
+          }
+        }
+      });
+      newCategory = null;
+      
+      if (values.price !== existing.price) {
+        values.priceOverride = true;
+      }
+    }
+    
+    const fieldErrors = getProductValueErrors(values, { checkStock: !existing || hasOwnStock(existing) });
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+      if (!reportedFields.includes(field)) {
+        errors.push(message);
+      }
+    });
+    
+    if (newCategory) {
+      notes.push(`Kategori baru "${newCategory}" akan dibuat`);
+    }
+    
+    let action = 'new';
+    if (errors.length > 0) {
+      action = 'error';
+    } else if (existing) {
+      const changed = IMPORT_UPDATED_FIELDS.some(field => String(values[field]) !== String(existing[field]));
+      action = changed ? 'update' : 'same';
+    }
+    
+    return { rowNumber: row.rowNumber, action, code, product: values, newCategory, errors, notes };
+  });
+}
+
+// Show the dry-run summary and the per-row preview
+function displayImportPlan() {
+  const tbody = document.getElementById('import-preview-list');
+  const counts = { new: 0, update: 0, same: 0, error: 0 };
+  tbody.innerHTML = '';
+  
+  importPlan.forEach(entry => {
+    counts[entry.action]++;
+    
+    const row = document.createElement('tr');
+    row.className = `import-${entry.action}`;
+    row.innerHTML = `
+            <td>${entry.rowNumber}</td>
+            <td>${escapeHtml(entry.code)}</td>
+            <td>${escapeHtml(entry.product.name)}</td>
+            <td><span class="import-action">${IMPORT_ACTIONS[entry.action]}</span></td>
+            <td>${escapeHtml(entry.errors.concat(entry.notes).join('; '))}</td>
+        `;
+    tbody.appendChild(row);
+  });
+  
+  if (importPlan.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center">Jalankan pemeriksaan untuk melihat hasil impor</td></tr>';
+  }
+  
+  const importable = counts.new + counts.update;
+  document.getElementById('import-summary').textContent = importPlan.length === 0 ? '' :
+    `${counts.new} produk baru, ${counts.update} diperbarui, ${counts.same} tidak berubah, ${counts.error} baris error.` +
+    (counts.error > 0 ? ' Baris error tidak akan diimpor.' : '');
+  
+  const commitButton = document.getElementById('import-commit-btn');
+  commitButton.disabled = importable === 0;
+  commitButton.innerHTML = `<i class="fas fa-file-import"></i> Impor ${importable} Produk`;
+}
+
+// Save every new and updated product of the dry run in one transaction
+function commitImport() {
+  const entries = importPlan.filter(entry => entry.action === 'new' || entry.action === 'update');
+  
+  if (entries.length === 0) {
+    return;
+  }
+  
+  if (!confirm(`Impor ${entries.length} produk? Impor ini dapat dibatalkan selama belum ada impor lain sesudahnya.`)) {
+    return;
+  }
+  
+  saveProductImport(entries, importSheet.fileName).then(record => {
+    showToast(`${entries.length} produk berhasil diimpor (${record.number})`, 'success');
+    document.getElementById('import-modal').classList.add('hidden');
+    loadCategories().then(renderCashierCategoryTabs);
+    loadProducts();
+    loadDashboard();
+    loadCashierProducts();
+  }).catch(err => {
+    console.error('Error importing products:', err);
+    if (err && err.name === 'ConstraintError') {
+      showToast('Ada kode produk yang baru saja dipakai produk lain. Jalankan pemeriksaan ulang.', 'error');
+    } else if (err && err.name === 'ImportTargetMissingError') {
+      showToast(`${err.message}. Jalankan pemeriksaan ulang. Tidak ada data yang berubah.`, 'error');
+    } else {
+      showToast('Gagal mengimpor produk. Tidak ada data yang berubah.', 'error');
+    }
+  });
+}
+
+// Write the products of an import, their new categories, ledger entries and an undo record, all or nothing
+function saveProductImport(entries, fileName) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.PRODUCTS, STORES.CATEGORIES, STORES.STOCK_MOVEMENTS, STORES.PRODUCT_IMPORTS], 'readwrite');
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const categoryStore = transaction.objectStore(STORES.CATEGORIES);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const record = {
+      number: generateInvoiceNumber('IMP'),
+      fileName,
+      date: new Date(),
+      user: getCurrentUser(),
+      created: [],
+      updated: [],
+      createdCategories: []
+    };
+    const reference = `Impor ${record.number}`;
+    const newCategories = new Map();
+    let pending = entries.length;
+    
+    entries.filter(entry => entry.newCategory).forEach(entry => {
+      const key = getCategoryKey(entry.newCategory);
+      if (!newCategories.has(key)) {
+        newCategories.set(key, { name: entry.newCategory, id: null });
+      }
+    });
+    
+    // The undo record is written once every product has its id
+    const finish = () => {
+      pending--;
+      if (pending === 0) {
+        transaction.objectStore(STORES.PRODUCT_IMPORTS).add(record);
+      }
+    };
+    
+    const saveProducts = () => {
+      entries.forEach(entry => {
+        const values = entry.newCategory ?
+          { ...entry.product, categoryId: newCategories.get(getCategoryKey(entry.newCategory)).id } :
+          entry.product;
+        
+        if (entry.action === 'new') {
+          const product = { ...values, createdAt: new Date(), updatedAt: new Date() };
+          const request = productStore.add(product);
+          
+          request.onsuccess = () => {
+            product.id = request.result;
+            record.created.push(product.id);
+            addStockMovement(movementStore, product, 0, 'initial', reference);
+            finish();
+          };
+          return;
+        }
+        
+        // Stock may have moved since the dry run, so apply the import to the current record
+        const request = productStore.get(values.id);
+        
+        request.onsuccess = () => {
+          const existing = request.result;
+          
+          // A product deleted since the dry run is not recreated; the whole import is rolled back
+          if (!existing) {
+            const error = new Error(`Produk ${values.code} sudah dihapus`);
+            error.name = 'ImportTargetMissingError';
+            reject(error);
+            transaction.abort();
+            return;
+          }
+          
+          const product = { ...existing };
+          
+          IMPORT_UPDATED_FIELDS.concat('priceOverride').forEach(field => {
+            if (values[field] !== undefined) {
+              product[field] = values[field];
+            }
+          });
+          product.updatedAt = new Date();
+          trimBatches(product);
+          
+          record.updated.push({ before: existing, stockDelta: roundQuantity(product.stock - existing.stock, product.unit) });
+          productStore.put(product);
+          addStockMovement(movementStore, product, existing.stock, 'manual', reference);
+          finish();
+        };
+      });
+    };
+    
+    // New categories are added first so the products can refer to them
+    let categoriesPending = newCategories.size;
+    newCategories.forEach(category => {
+      const request = categoryStore.add({
+        name: category.name,
+        parentId: null,
+        color: DEFAULT_CATEGORY_COLOR,
+        icon: DEFAULT_CATEGORY_ICON,
+        sortOrder: 0,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      
+      request.onsuccess = () => {
+        category.id = request.result;
+        record.createdCategories.push(category.id);
+        categoriesPending--;
+        if (categoriesPending === 0) {
+          saveProducts();
+        }
+      };
+    });
+    
+    if (newCategories.size === 0) {
+      saveProducts();
+    }
+    
+    transaction.oncomplete = () => resolve(record);
+    transaction.onerror = (event) => reject(event.target.error);
+    transaction.onabort = (event) => reject(event.target.error);
+  });
+}
+
+// Get the most recent import that has not been undone
+function getLatestImport() {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCT_IMPORTS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCT_IMPORTS).getAll();
+    
+    request.onsuccess = () => {
+      const latest = request.result.sort((a, b) => new Date(b.date) - new Date(a.date) || b.id - a.id)[0];
+      resolve(latest && !latest.undoneAt ? latest : null);
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Offer to undo the latest import, if there is one
+function updateImportUndoButton() {
+  const button = document.getElementById('import-undo-btn');
+  
+  getLatestImport().then(latest => {
+    button.classList.toggle('hidden', !latest);
+    if (latest) {
+      button.innerHTML = `<i class="fas fa-undo"></i> Batalkan Impor ${escapeHtml(latest.number)}`;
+      button.title = `${latest.created.length} produk baru, ${latest.updated.length} diperbarui oleh ${latest.user}`;
+    }
+  });
+}
+
+// Undo the latest import: delete the products it created and restore the ones it changed
+// Stock sold or received since the import is kept; only the import's own stock change is reversed
+function undoImport() {
+  getLatestImport().then(latest => {
+    if (!latest) {
+      showToast('Tidak ada impor yang dapat dibatalkan', 'warning');
+      return;
+    }
+    
+    if (!confirm(`Batalkan impor ${latest.number}? ${latest.created.length} produk baru akan dihapus dan ${latest.updated.length} produk dikembalikan ke data sebelum impor.`)) {
+      return;
+    }
+    
+    return revertProductImport(latest).then(() => {
+      showToast(`Impor ${latest.number} dibatalkan`, 'success');
+      updateImportUndoButton();
+      loadCategories().then(renderCashierCategoryTabs);
+      loadProducts();
+      loadDashboard();
+      loadCashierProducts();
+    });
+  }).catch(err => {
+    console.error('Error undoing import:', err);
+    showToast('Gagal membatalkan impor', 'error');
+  });
+}
+
+// Reverse an import in one transaction and mark it as undone
+function revertProductImport(record) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.PRODUCTS, STORES.PRODUCT_PHOTOS, STORES.CATEGORIES, STORES.STOCK_MOVEMENTS, STORES.PRODUCT_IMPORTS], 'readwrite');
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const photoStore = transaction.objectStore(STORES.PRODUCT_PHOTOS);
+    const categoryStore = transaction.objectStore(STORES.CATEGORIES);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const reference = `Batal impor ${record.number}`;
+    let pending = record.updated.length;
+    
+    // Categories the import created go too, unless products or subcategories were put in them since
+    const removeCategories = () => {
+      (record.createdCategories || []).forEach(id => {
+        const productCount = productStore.index('categoryId').count(id);
+        const childCount = categoryStore.index('parentId').count(id);
+        
+        childCount.onsuccess = () => {
+          if (productCount.result === 0 && childCount.result === 0) {
+            categoryStore.delete(id);
+          }
+        };
+      });
+    };
+    
+    // Photos may have been added to the created products since the import
+    record.created.forEach(id => {
+      productStore.delete(id);
+      photoStore.delete(id);
+    });
+    
+    record.updated.forEach(({ before, stockDelta }) => {
+      const request = productStore.get(before.id);
+      
+      request.onsuccess = () => {
+        const current = request.result;
+        
+        if (current) {
+          const product = { ...before, stock: roundQuantity(current.stock - stockDelta, before.unit), batches: current.batches, updatedAt: new Date() };
+          trimBatches(product);
+          productStore.put(product);
+          addStockMovement(movementStore, product, current.stock, 'manual', reference);
+        }
+        
+        pending--;
+        if (pending === 0) {
+          removeCategories();
+        }
+      };
+    });
+    
+    if (pending === 0) {
+      removeCategories();
+    }
+    
+    transaction.objectStore(STORES.PRODUCT_IMPORTS).put({ ...record, undoneAt: new Date(), undoneBy: getCurrentUser() });
+    
+    transaction.oncomplete = () => {
+      forgetProductThumbnails(record.created);
+      resolve();
+    };
+    transaction.onerror = (event) => reject(event.target.error);
+    transaction.onabort = (event) => reject(event.target.error);
+  });
+}
+
+// ==================== CASHIER ====================
+
+let cart = [];
+
+// Display labels for payment methods
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Tunai',
+  debit: 'Kartu Debit',
+  credit: 'Kartu Kredit',
+  transfer: 'Transfer',
+  split: 'Campuran'
+};
+
+// Get the display label of a payment method
+function getPaymentMethodLabel(method) {
+  return PAYMENT_METHOD_LABELS[method] || method;
+}
+
+// Get the tenders of a transaction, including ones saved before split payments
+function getTransactionPayments(transaction) {
+  if (Array.isArray(transaction.payments)) {
+    return transaction.payments;
+  }
+  
+  return [{
+    method: transaction.paymentMethod,
+    amount: transaction.amountReceived,
+    reference: null
+  }];
+}
+
+// Get how much of the sale each tender actually covered (cash minus change)
+function getPaymentAllocations(transaction) {
+  let change = transaction.change || 0;
+  
+  return getTransactionPayments(transaction).map(payment => {
+    let amount = payment.amount;
+    
+    if (payment.method === 'cash' && change > 0) {
+      const returned = Math.min(change, amount);
+      amount -= returned;
+      change -= returned;
+    }
+    
+    return { ...payment, amount };
+  });
+}
+
+// Check whether any part of a transaction was paid in cash
+function hasCashPayment(transaction) {
+  return getTransactionPayments(transaction).some(payment => payment.method === 'cash');
+}
+
+// Describe the tenders of a transaction in one line
+function formatPaymentSummary(transaction) {
+  const payments = getTransactionPayments(transaction);
+  
+  if (payments.length === 1) {
+    return getPaymentMethodLabel(payments[0].method);
+  }
+  
+  return payments
+    .map(payment => `${getPaymentMethodLabel(payment.method)} ${formatCurrencySync(payment.amount)}`)
+    .join(' + ');
+}
+
+// Load products for cashier
+function loadCashierProducts() {
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const store = transaction.objectStore(STORES.PRODUCTS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    displayCashierProducts(request.result, 'Tidak ada produk');
+  };
+}
+
+// Search products in cashier
+function searchCashierProducts() {
+  const query = document.getElementById('cashier-search').value.toLowerCase();
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const store = transaction.objectStore(STORES.PRODUCTS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    const filtered = request.result.filter(product =>
+      product.name.toLowerCase().includes(query) ||
+      product.code.toLowerCase().includes(query)
+    );
+    
+    displayCashierProducts(withVariantFamilies(filtered, request.result), 'Tidak ada produk yang cocok', request.result);
+  };
+}
+
+// Display products in stock in the cashier grid; parents stand in for their variants
+// `allProducts` holds the components of bundles that a search left out
+function displayCashierProducts(products, emptyMessage, allProducts = products) {
+  const container = document.getElementById('cashier-products');
+  const productsById = new Map(allProducts.map(product => [product.id, product]));
+  container.innerHTML = '';
+  
+  // Variants share the category of their parent, so families stay together
+  if (cashierCategoryId) {
+    const categoryIds = getCategoryDescendantIds(cashierCategoryId);
+    products = products.filter(product => categoryIds.has(product.categoryId));
+  }
+  
+  const variantsByParent = groupVariantsByParent(products);
+  const shown = products.filter(product => {
+    if (product.hasVariants) {
+      return (variantsByParent[product.id] || []).some(variant => getSellableStock(variant) > 0);
+    }
+    
+    if (product.isBundle) {
+      return getBundleStock(product, productsById) > 0;
+    }
+    
+    // Variants are reached through their parent
+    if (product.parentId && products.some(p => p.id === product.parentId)) {
+      return false;
+    }
+    
+    return getSellableStock(product) > 0;
+  });
+  
+  if (shown.length === 0) {
+    container.innerHTML = `<p class="no-products">${emptyMessage}</p>`;
+    return;
+  }
+  
+  shown.forEach(product => {
+    const item = document.createElement('div');
+    item.className = 'product-item';
+    item.setAttribute('data-id', product.id);
+    
+    if (product.hasVariants) {
+      const variants = variantsByParent[product.id];
+      const stock = variants.reduce((sum, variant) => sum + variant.stock, 0);
+      item.setAttribute('title', `${product.name} - ${variants.length} varian`);
+      
+      item.innerHTML = `
+                ${getProductThumbnailHtml(product)}
+                <div class="product-name">${product.name}</div>
+                <div class="product-price">${formatPriceRange(variants)}</div>
+                <div class="product-stock">${variants.length} varian - Stok: ${formatQuantity(stock, product.unit)}</div>
+            `;
+      
+      item.addEventListener('click', () => showVariantPicker(product.id));
+    } else if (product.isBundle) {
+      item.setAttribute('title', `${product.name} - ${formatBundleComponents(product, productsById)}`);
+      
+      item.innerHTML = `
+                ${getProductThumbnailHtml(product)}
+                <div class="product-name">${product.name}</div>
+                <div class="product-price">${formatUnitPrice(product.price, product.unit)}</div>
+                <div class="product-stock">Paket - Stok: ${formatQuantity(getBundleStock(product, productsById), product.unit)}</div>
+            `;
+      
+      item.addEventListener('click', () => addToCart(product));
+    } else {
+      item.setAttribute('title', `${product.name} - ${formatCurrencySync(product.price)}`);
+      
+      item.innerHTML = `
+                ${getProductThumbnailHtml(product)}
+                <div class="product-name">${product.name}</div>
+                <div class="product-price">${formatUnitPrice(product.price, product.unit)}</div>
+                <div class="product-stock">Stok: ${formatQuantity(getSellableStock(product), product.unit)}</div>
+                ${product.batches && product.batches.length > 0 ? (batch => getBatchStatus(batch) === 'ok' ? '' : `
+                <div class="product-expiry batch-${getBatchStatus(batch)}">Exp ${formatExpiryDate(batch.expiry)}</div>`)(sortBatchesFefo(product.batches)[0]) : ''}
+            `;
+      
+      item.addEventListener('click', () => addToCart(product));
+    }
+    
+    container.appendChild(item);
+  });
+}
+
+// Barcode scanners type faster than this between keys (milliseconds)
+const SCANNER_KEY_INTERVAL = 35;
+// Codes shorter than this are not treated as scans
+const SCANNER_MIN_LENGTH = 4;
+// Silence after a fast burst that ends a scan without Enter (milliseconds)
+const SCANNER_IDLE_TIMEOUT = 100;
+
+let scannerKeyTimes = [];
+let scannerIdleTimer = null;
+
+// Check whether the keys typed so far came from a scanner
+function isScannerInput() {
+  if (scannerKeyTimes.length < SCANNER_MIN_LENGTH) {
+    return false;
+  }
+  
+  const intervals = scannerKeyTimes.slice(1).map((time, i) => time - scannerKeyTimes[i]);
+  const average = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+  return average < SCANNER_KEY_INTERVAL;
+}
+
+// Watch the cashier search box for scanner input
+function handleCashierSearchKey(e) {
+  clearTimeout(scannerIdleTimer);
+  
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    const scanned = isScannerInput();
+    scannerKeyTimes = [];
+    handleCodeEntry(e.target.value.trim(), scanned);
+    return;
+  }
+  
+  if (e.key.length !== 1) {
+    return;
+  }
+  
+  // Start a new burst when the previous key came too long ago
+  const now = performance.now();
+  const lastTime = scannerKeyTimes[scannerKeyTimes.length - 1];
+  if (lastTime !== undefined && now - lastTime > SCANNER_KEY_INTERVAL * 3) {
+    scannerKeyTimes = [];
+  }
+  scannerKeyTimes.push(now);
+  
+  // Some scanners do not send Enter; finish the scan once the burst stops
+  scannerIdleTimer = setTimeout(() => {
+    if (isScannerInput()) {
+      scannerKeyTimes = [];
+      handleCodeEntry(e.target.value.trim(), true);
+    }
+  }, SCANNER_IDLE_TIMEOUT);
+}
+
+// Get a product by its unique code
+function getProductByCode(code) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+    const store = transaction.objectStore(STORES.PRODUCTS);
+    const request = store.index('code').get(code);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Add the product with the scanned or typed code to the cart
+function handleCodeEntry(code, scanned) {
+  if (!code) {
+    return;
+  }
+  
+  const search = document.getElementById('cashier-search');
+  
+  getSaleUnitByCode(code).then(match => {
+    const product = match ? match.product : null;
+    
+    if (product && product.hasVariants) {
+      search.value = '';
+      loadCashierProducts();
+      showVariantPicker(product.id);
+      return;
+    }
+    
+    if (product) {
+      search.value = '';
+      loadCashierProducts();
+      return addToCart(product, match.saleUnit).then(playScanSound);
+    }
+    
+    if (scanned) {
+      playScanSound(false);
+      search.value = '';
+      loadCashierProducts();
+      showQuickProductForm(code);
+      return;
+    }
+    
+    // Typed by hand: add the only match of the search, if there is one
+    const matches = document.querySelectorAll('#cashier-products .product-item');
+    if (matches.length === 1) {
+      matches[0].click();
+      search.value = '';
+      loadCashierProducts();
+    }
+  }).catch(err => {
+    console.error('Error looking up product code:', err);
+    playScanSound(false);
+  });
+}
+
+let audioContext = null;
+
+// Play a short beep after a scan
+function playScanSound(success) {
+  try {
+    audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+    
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const duration = success ? 0.08 : 0.3;
+    
+    oscillator.type = success ? 'sine' : 'square';
+    oscillator.frequency.value = success ? 1200 : 220;
+    gain.gain.value = 0.1;
+    
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + duration);
+  } catch (err) {
+    console.error('Error playing scan sound:', err);
+  }
+}
+
+// Show the quick form for a scanned code that has no product yet
+function showQuickProductForm(code) {
+  const form = document.getElementById('quick-product-form');
+  form.reset();
+  clearFormErrors('quick-product-form');
+  
+  document.getElementById('quick-product-code').value = code;
+  fillCategoryOptions(document.getElementById('quick-product-category'), cashierCategoryId);
+  fillUnitOptions(document.getElementById('quick-product-unit'), DEFAULT_UNIT);
+  updateQuickProductUnitField();
+  document.getElementById('quick-product-modal').classList.remove('hidden');
+  setTimeout(() => {
+    document.getElementById('quick-product-name').focus();
+  }, 100);
+}
+
+// Apply the precision of the selected unit to the stock input of the quick product form
+function updateQuickProductUnitField() {
+  document.getElementById('quick-product-stock').step = getQuantityStep(document.getElementById('quick-product-unit').value);
+}
+
+// Validate quick product form
+function validateQuickProductForm() {
+  let isValid = true;
+  
+  if (!document.getElementById('quick-product-name').value.trim()) {
+    showError('quick-product-name-error', 'Nama produk wajib diisi');
+    isValid = false;
+  }
+  
+  if (!getSelectedCategory('quick-product-category')) {
+    showError('quick-product-category-error', 'Kategori wajib diisi');
+    isValid = false;
+  }
+  
+  const price = parseFloat(document.getElementById('quick-product-price').value);
+  if (isNaN(price) || price < 0) {
+    showError('quick-product-price-error', 'Harga jual wajib diisi');
+    isValid = false;
+  }
+  
+  const unit = document.getElementById('quick-product-unit').value;
+  const stock = parseFloat(document.getElementById('quick-product-stock').value);
+  if (isNaN(stock) || stock < 0) {
+    showError('quick-product-stock-error', 'Stok wajib diisi');
+    isValid = false;
+  } else if (!isValidQuantity(stock, unit)) {
+    showError('quick-product-stock-error', `Stok dalam ${unit} maksimal ${getUnitPrecision(unit)} desimal`);
+    isValid = false;
+  }
+  
+  return isValid;
+}
+
+// Save the quick product and put it in the cart
+function saveQuickProduct(e) {
+  e.preventDefault();
+  
+  if (!validateQuickProductForm()) {
+    return;
+  }
+  
+  const category = getSelectedCategory('quick-product-category');
+  const product = {
+    code: document.getElementById('quick-product-code').value.trim(),
+    name: document.getElementById('quick-product-name').value.trim(),
+    category: category.name,
+    categoryId: category.id,
+    price: parseFloat(document.getElementById('quick-product-price').value),
+    cost: parseFloat(document.getElementById('quick-product-cost').value) || 0,
+    stock: parseFloat(document.getElementById('quick-product-stock').value),
+    minStock: 0,
+    unit: document.getElementById('quick-product-unit').value,
+    supplierId: null,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  
+  saveProductStock(product, 'manual', 'Produk baru dari scan').then(saved => {
+    product.id = saved.id;
+    showToast('Produk berhasil ditambahkan', 'success');
+    document.getElementById('quick-product-modal').classList.add('hidden');
+    
+    if (product.stock > 0) {
+      addToCart(product);
+    }
+    
+    loadCashierProducts();
+    loadDashboard();
+    document.getElementById('cashier-search').focus();
+  }).catch(err => {
+    console.error('Error adding product:', err);
+    if (err.name === 'ConstraintError') {
+      showError('quick-product-name-error', 'Kode produk sudah digunakan');
+    } else {
+      showToast('Gagal menambahkan produk', 'error');
+    }
+  });
+}
+
+// Add product to cart, resolving to whether it was added
+// Stock is re-read so another tab's sales are taken into account
+// A pack unit can be given to sell the product by the pack instead of its base unit
+function addToCart(product, saleUnit = null) {
+  // Parents are sold through one of their variants
+  if (product.hasVariants) {
+    showVariantPicker(product.id);
+    return Promise.resolve(false);
+  }
+  
+  const unit = saleUnit || getSaleUnits(product)[0];
+  const key = getCartKey(product.id, unit.unit);
+  
+  // A bundle is sold from the current stock of its components
+  return getRecord(STORES.PRODUCTS, product.id).then(current => {
+    if (!current || !current.isBundle) {
+      return { current, componentProducts: null };
+    }
+    
+    return getBundleComponentProducts(current).then(componentProducts => ({ current, componentProducts }));
+  }).then(({ current, componentProducts }) => {
+    const components = componentProducts ? buildCartComponents(current, componentProducts) : null;
+    let stock = current ? getSellableStock(current) : 0;
+    
+    if (components) {
+      stock = getBundleStock(current, componentProducts);
+      components.forEach(component => setCartStock(component.productId, component.stock));
+    } else {
+      setCartStock(product.id, stock);
+    }
+    
+    const existingItem = cart.find(item => item.key === key);
+    
+    // Expired stock is raised once, when the product first goes into the cart
+    const checked = componentProducts ? Array.from(componentProducts.values()) : [current];
+    if (!existingItem && current && !checked.every(checkExpiredStock)) {
+      return false;
+    }
+    
+    if (existingItem) {
+      if (existingItem.quantity + 1 <= getAvailableQuantity(existingItem)) {
+        existingItem.quantity = roundQuantity(existingItem.quantity + 1, existingItem.unit);
+        showToast(`Menambah jumlah ${product.name} di keranjang`, 'success');
+      } else {
+        showToast('Stok produk tidak mencukupi', 'warning');
+        updateCart();
+        return false;
+      }
+    } else {
+      const item = {
+        key,
+        id: product.id,
+        code: unit.code || product.code,
+        name: product.name,
+        price: unit.price,
+        quantity: 1,
+        unit: unit.unit,
+        factor: unit.factor,
+        baseUnit: product.unit || DEFAULT_UNIT,
+        saleUnits: getSaleUnits(product),
+        stock,
+        categoryId: product.categoryId || null,
+        parentId: product.parentId || null,
+        parentName: product.parentName || null,
+        variant: product.parentId ? formatVariantLabel(product.variantAttributes) : null,
+        components
+      };
+      
+      // Weighed goods with less than one unit left are added with what remains
+      item.quantity = Math.min(1, getAvailableQuantity(item));
+      
+      if (item.quantity > 0) {
+        cart.push(item);
+        showToast(`${product.name} ditambahkan ke keranjang`, 'success');
+      } else {
+        showToast('Stok produk habis', 'warning');
+        return false;
+      }
+    }
+    
+    updateCart();
+    return true;
+  }).catch(err => {
+    console.error('Error adding to cart:', err);
+    showToast('Gagal menambahkan produk ke keranjang', 'error');
+    return false;
+  });
+}
+
+// Key of a cart line; a product sold in another unit gets a line of its own
+function getCartKey(productId, unit) {
+  return `${productId}:${unit}`;
+}
+
+// Stock a cart line draws on per product, in base units: its own product, or the components of a bundle
+function getCartLineUsage(item, quantity = item.quantity) {
+  if (item.components) {
+    return item.components.map(component => ({
+      productId: component.productId,
+      stock: component.stock,
+      quantity: component.quantity * quantity
+    }));
+  }
+  
+  return [{ productId: item.id, stock: item.stock, quantity: quantity * (item.factor || 1) }];
+}
+
+// Quantity a cart line can have, in its own unit, given the stock left after the other lines drawing on the same products
+function getAvailableQuantity(item) {
+  const used = {};
+  cart.filter(other => other.key !== item.key).forEach(other => {
+    getCartLineUsage(other).forEach(usage => {
+      used[usage.productId] = (used[usage.productId] || 0) + usage.quantity;
+    });
+  });
+  
+  const available = getCartLineUsage(item, 1)
+    .map(usage => floorQuantity((usage.stock - (used[usage.productId] || 0)) / usage.quantity, item.unit));
+  
+  return Math.max(Math.min(...available), 0);
+}
+
+// Fit a cart line into the stock left by the lines before it and return the quantity that fits
+// `remaining` holds the stock left per product and is reduced by what the line takes
+function takeRemainingStock(item, remaining) {
+  const usages = getCartLineUsage(item, 1);
+  usages.forEach(usage => {
+    if (!(usage.productId in remaining)) {
+      remaining[usage.productId] = usage.stock;
+    }
+  });
+  
+  const quantity = Math.max(Math.min(item.quantity, ...usages.map(usage => floorQuantity(remaining[usage.productId] / usage.quantity, item.unit))), 0);
+  usages.forEach(usage => {
+    remaining[usage.productId] -= quantity * usage.quantity;
+  });
+  
+  return quantity;
+}
+
+// Get the current stock of a product from the products store, less expired stock the cashier may not sell
+function refreshStock(productId) {
+  return getRecord(STORES.PRODUCTS, productId).then(product => product ? getSellableStock(product) : 0);
+}
+
+// Set the stock of a product on every cart line that draws on it
+function setCartStock(productId, stock) {
+  cart.forEach(item => {
+    if (item.components) {
+      item.components.filter(component => component.productId === productId).forEach(component => {
+        component.stock = stock;
+      });
+    } else if (item.id === productId) {
+      item.stock = stock;
+    }
+  });
+}
+
+// Re-read the stock of the products a cart line draws on
+function refreshCartStock(item) {
+  return Promise.all(getCartLineUsage(item).map(usage => {
+    return refreshStock(usage.productId).then(stock => setCartStock(usage.productId, stock));
+  }));
+}
+
+// Update cart display
+function updateCart() {
+  const container = document.getElementById('cart-items');
+  container.innerHTML = '';
+  
+  if (cart.length === 0) {
+    container.innerHTML = '<p class="empty-cart">Keranjang kosong</p>';
+    updateCartSummary();
+    return;
+  }
+  
+  const promotionResult = applyPromotions(cart, cartPromotions);
+  
+  cart.forEach((item, index) => {
+    const cartItem = document.createElement('div');
+    const line = promotionResult.lines[index];
+    const available = getAvailableQuantity(item);
+    cartItem.className = item.quantity > available ? 'cart-item short' : 'cart-item';
+    
+    cartItem.innerHTML = `
+            <div class="cart-item-info">
+                <div class="item-name">${item.name}</div>
+                <div class="item-price">
+                    ${formatUnitPrice(item.price, item.unit)}
+                    ${item.saleUnits && item.saleUnits.length > 1 ? `
+                    <select class="item-unit" data-key="${item.key}">
+                        ${item.saleUnits.map(unit => `<option value="${escapeHtml(unit.unit)}" ${unit.unit === item.unit ? 'selected' : ''}>${escapeHtml(unit.unit)}</option>`).join('')}
+                    </select>` : ''}
+                </div>
+                ${line.discount > 0 ? `
+                <div class="item-promo">
+                    <i class="fas fa-tags"></i> ${escapeHtml(line.promotions.join(', '))} (-${formatCurrencySync(line.discount)})
+                </div>` : ''}
+                ${item.quantity > available ? `
+                <div class="item-shortage">
+                    <i class="fas fa-exclamation-triangle"></i> Stok tersedia: ${formatQuantity(available, item.unit)}
+                </div>` : ''}
+            </div>
+            <div class="cart-item-actions">
+                <button class="btn-decrease" data-key="${item.key}" title="Kurangi">
+                    <i class="fas fa-minus"></i>
+                </button>
+                <input type="number" class="item-quantity" value="${item.quantity}" min="${getQuantityStep(item.unit)}" step="${getQuantityStep(item.unit)}" max="${available}" data-key="${item.key}">
+                <button class="btn-increase" data-key="${item.key}" title="Tambah">
+                    <i class="fas fa-plus"></i>
+                </button>
+                <button class="btn-remove" data-key="${item.key}" title="Hapus">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="item-total">${formatCurrencySync(item.price * item.quantity)}</div>
+        `;
+    
+    container.appendChild(cartItem);
+  });
+  
+  // Add event listeners
+  document.querySelectorAll('.btn-decrease').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      decreaseQuantity(e.target.closest('button').getAttribute('data-key'));
+    });
+  });
+  
+  document.querySelectorAll('.btn-increase').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      increaseQuantity(e.target.closest('button').getAttribute('data-key'));
+    });
+  });
+  
+  document.querySelectorAll('.item-quantity').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const quantity = parseFloat(e.target.value);
+      updateQuantity(e.target.getAttribute('data-key'), isNaN(quantity) ? 0 : quantity);
+    });
+  });
+  
+  document.querySelectorAll('.item-unit').forEach(select => {
+    select.addEventListener('change', (e) => {
+      changeCartUnit(e.target.getAttribute('data-key'), e.target.value);
+    });
+  });
+  
+  document.querySelectorAll('.btn-remove').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      removeFromCart(e.target.closest('button').getAttribute('data-key'));
+    });
+  });
+  
+  updateCartSummary();
+}
+
+// Update cart summary
+function updateCartSummary() {
+  const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  
+  formatCurrency(subtotal).then(formatted => {
+    document.getElementById('subtotal').textContent = formatted;
+  });
+  
+  calculateTotal();
+}
+
+// Calculate the cart subtotal, promotions, manual discount, tax and total
+function calculateCartTotals() {
+  const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const promotion = applyPromotions(cart, cartPromotions);
+  const afterPromotions = subtotal - promotion.total;
+  let manualDiscount = 0;
+  let tax = 0;
+  
+  // Apply discount if enabled
+  const discountToggle = document.getElementById('discount-toggle');
+  const discountValue = document.getElementById('discount-value');
+  
+  if (discountToggle.checked && discountValue.value > 0) {
+    manualDiscount = afterPromotions * (parseFloat(discountValue.value) / 100);
+  }
+  
+  // Apply tax if enabled
+  const taxToggle = document.getElementById('tax-toggle');
+  const taxValue = document.getElementById('tax-value');
+  
+  if (taxToggle.checked && taxValue.value > 0) {
+    tax = (afterPromotions - manualDiscount) * (parseFloat(taxValue.value) / 100);
+  }
+  
+  return {
+    subtotal,
+    promotion,
+    manualDiscount,
+    discount: promotion.total + manualDiscount,
+    tax,
+    total: afterPromotions - manualDiscount + tax
+  };
+}
+
+// Calculate total with discount and tax
+function calculateTotal() {
+  const totals = calculateCartTotals();
+  
+  document.getElementById('promo-row').classList.toggle('hidden', totals.promotion.total === 0);
+  formatCurrency(totals.promotion.total).then(formatted => {
+    document.getElementById('promo-discount').textContent = `-${formatted}`;
+  });
+  
+  formatCurrency(totals.total).then(formatted => {
+    document.getElementById('total-amount').textContent = formatted;
+  });
+  
+  // Update change if amount received is set
+  calculateChange();
+}
+
+// Toggle discount
+function toggleDiscount() {
+  const discountValue = document.getElementById('discount-value');
+  discountValue.disabled = !document.getElementById('discount-toggle').checked;
+  
+  if (discountValue.disabled) {
+    discountValue.value = '';
+  } else {
+    discountValue.value = '10'; // Default discount 10%
+    discountValue.focus();
+  }
+  
+  calculateTotal();
+}
+
+// Toggle tax
+function toggleTax() {
+  const taxValue = document.getElementById('tax-value');
+  taxValue.disabled = !document.getElementById('tax-toggle').checked;
+  
+  if (taxValue.disabled) {
+    taxValue.value = '';
+  } else {
+    getRecord(STORES.SETTINGS, 'taxRate').then(settings => {
+      taxValue.value = settings ? settings.value : '10';
+      taxValue.focus();
+      calculateTotal();
+    });
+  }
+}
+
+// Get the cart total currently displayed
+function getDisplayedTotal() {
+  const totalText = document.getElementById('total-amount').textContent;
+  return parseFloat(totalText.replace(/[^\d]/g, '')) || 0;
+}
+
+// Add a tender row to the payment section
+function addTenderRow(method = 'cash', amount = '') {
+  const container = document.getElementById('payment-tenders');
+  const usedMethods = getTenders().map(tender => tender.method);
+  
+  // Suggest a method that is not used yet for extra tenders
+  if (!method) {
+    method = ['cash', 'debit', 'credit', 'transfer'].find(m => !usedMethods.includes(m)) || 'cash';
+  }
+  
+  const row = document.createElement('div');
+  row.className = 'tender-row';
+  
+  row.innerHTML = `
+        <select class="tender-method">
+            ${['cash', 'debit', 'credit', 'transfer'].map(m => `<option value="${m}">${PAYMENT_METHOD_LABELS[m]}</option>`).join('')}
+        </select>
+        <input type="number" class="tender-amount" min="0" placeholder="Jumlah" value="${amount || ''}">
+        <input type="text" class="tender-reference" placeholder="No. Referensi">
+        <button type="button" class="btn-remove-tender" title="Hapus">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+  
+  const methodSelect = row.querySelector('.tender-method');
+  methodSelect.value = method;
+  
+  methodSelect.addEventListener('change', () => {
+    updateTenderRow(row);
+    calculateChange();
+  });
+  row.querySelector('.tender-amount').addEventListener('input', calculateChange);
+  row.querySelector('.btn-remove-tender').addEventListener('click', () => {
+    row.remove();
+    if (container.children.length === 0) {
+      addTenderRow();
+    }
+    updateTenderRows();
+    calculateChange();
+  });
+  
+  container.appendChild(row);
+  updateTenderRow(row);
+  updateTenderRows();
+  calculateChange();
+  row.querySelector('.tender-amount').focus();
+}
+
+// Show the reference field only for non-cash tenders
+function updateTenderRow(row) {
+  const isCash = row.querySelector('.tender-method').value === 'cash';
+  row.querySelector('.tender-reference').classList.toggle('hidden', isCash);
+}
+
+// Hide the remove button when only one tender is left
+function updateTenderRows() {
+  const rows = document.querySelectorAll('#payment-tenders .tender-row');
+  rows.forEach(row => {
+    row.querySelector('.btn-remove-tender').classList.toggle('hidden', rows.length === 1);
+  });
+}
+
+// Read the tenders entered by the cashier
+function getTenders() {
+  return Array.from(document.querySelectorAll('#payment-tenders .tender-row')).map(row => {
+    const method = row.querySelector('.tender-method').value;
+    const reference = row.querySelector('.tender-reference').value.trim();
+    
+    return {
+      method,
+      amount: parseFloat(row.querySelector('.tender-amount').value) || 0,
+      reference: method !== 'cash' && reference ? reference : null
+    };
+  });
+}
+
+// Reset the payment section to a single cash tender
+function resetTenders() {
+  document.getElementById('payment-tenders').innerHTML = '';
+  addTenderRow('cash');
+  document.getElementById('change').value = '';
+}
+
+// Get the amount still to be paid
+function getRemainingAmount() {
+  const paid = getTenders().reduce((sum, tender) => sum + tender.amount, 0);
+  return Math.max(0, getDisplayedTotal() - paid);
+}
+
+// Calculate change
+function calculateChange() {
+  const tenders = getTenders();
+  const amountReceived = tenders.reduce((sum, tender) => sum + tender.amount, 0);
+  const total = getDisplayedTotal();
+  
+  const change = amountReceived - total;
+  document.getElementById('change').value = change >= 0 ? change.toFixed(2) : '';
+  
+  formatCurrency(Math.max(0, -change)).then(formatted => {
+    document.getElementById('payment-remaining').textContent = formatted;
+  });
+}
+
+// Increase item quantity
+function increaseQuantity(key) {
+  const item = cart.find(item => item.key === key);
+  if (item) {
+    refreshCartStock(item).then(() => {
+      if (item.quantity + 1 <= getAvailableQuantity(item)) {
+        item.quantity = roundQuantity(item.quantity + 1, item.unit);
+      } else {
+        showToast('Stok produk tidak mencukupi', 'warning');
+      }
+      updateCart();
+    });
+  }
+}
+
+// Decrease item quantity
+function decreaseQuantity(key) {
+  const item = cart.find(item => item.key === key);
+  if (item && item.quantity > 1) {
+    item.quantity = roundQuantity(item.quantity - 1, item.unit);
+    updateCart();
+  }
+}
+
+// Update item quantity, rounded to the precision of its unit
+function updateQuantity(key, quantity) {
+  const item = cart.find(item => item.key === key);
+  if (!item) {
+    return;
+  }
+  
+  quantity = roundQuantity(quantity, item.unit);
+  if (quantity <= 0) {
+    removeFromCart(key);
+    return;
+  }
+  
+  refreshCartStock(item).then(() => {
+    const available = getAvailableQuantity(item);
+    
+    if (quantity <= available) {
+      item.quantity = quantity;
+    } else {
+      showToast('Stok produk tidak mencukupi', 'warning');
+      // Reset to max available
+      item.quantity = available;
+    }
+    
+    if (item.quantity <= 0) {
+      removeFromCart(key);
+    } else {
+      updateCart();
+    }
+  });
+}
+
+// Sell a cart line in another unit of its product, keeping the quantity typed
+// The line merges into a line already in that unit and is trimmed to the stock available
+function changeCartUnit(key, unitName) {
+  const item = cart.find(item => item.key === key);
+  const saleUnit = item ? item.saleUnits.find(unit => unit.unit === unitName) : null;
+  if (!saleUnit) {
+    return;
+  }
+  
+  const newKey = getCartKey(item.id, saleUnit.unit);
+  let target = cart.find(other => other.key === newKey);
+  
+  if (target) {
+    target.quantity = roundQuantity(target.quantity + item.quantity, target.unit);
+    cart.splice(cart.indexOf(item), 1);
+  } else {
+    target = Object.assign(item, {
+      key: newKey,
+      code: saleUnit.code || item.saleUnits[0].code,
+      price: saleUnit.price,
+      unit: saleUnit.unit,
+      factor: saleUnit.factor,
+      quantity: roundQuantity(item.quantity, saleUnit.unit)
+    });
+  }
+  
+  const available = getAvailableQuantity(target);
+  if (target.quantity > available) {
+    showToast('Stok produk tidak mencukupi', 'warning');
+    target.quantity = available;
+  }
+  
+  if (target.quantity <= 0) {
+    removeFromCart(newKey);
+  } else {
+    updateCart();
+  }
+}
+
+// Remove item from cart
+function removeFromCart(key) {
+  const itemIndex = cart.findIndex(item => item.key === key);
+  if (itemIndex !== -1) {
+    const itemName = cart[itemIndex].name;
+    cart.splice(itemIndex, 1);
+    updateCart();
+    showToast(`${itemName} dihapus dari keranjang`, 'info');
+  }
+}
+
+// Clear cart
+function clearCart() {
+  if (cart.length > 0 && confirm('Apakah Anda yakin ingin mengosongkan keranjang?')) {
+    cart = [];
+    updateCart();
+    showToast('Keranjang dikosongkan', 'info');
+  }
+}
+
+// Turn the discount and tax toggles off
+function resetCartOptions() {
+  document.getElementById('discount-toggle').checked = false;
+  document.getElementById('tax-toggle').checked = false;
+  document.getElementById('discount-value').value = '';
+  document.getElementById('discount-value').disabled = true;
+  document.getElementById('tax-value').value = '';
+  document.getElementById('tax-value').disabled = true;
+}
+
+// Process payment
+function processPayment() {
+  if (cart.length === 0) {
+    showToast('Keranjang belanja kosong', 'warning');
+    return;
+  }
+  
+  // Every sale belongs to the shift of the cash drawer it is paid into
+  if (!currentShift) {
+    showToast('Buka shift terlebih dahulu', 'warning');
+    showShiftModal();
+    return;
+  }
+  
+  const payments = getTenders().filter(tender => tender.amount > 0);
+  const total = getDisplayedTotal();
+  const amountReceived = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const cashReceived = payments
+    .filter(payment => payment.method === 'cash')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  
+  if (amountReceived < total) {
+    showToast('Jumlah pembayaran kurang', 'danger');
+    return;
+  }
+  
+  // Change can only be given back from the cash part
+  if (amountReceived - total > cashReceived) {
+    showToast('Pembayaran non-tunai melebihi total belanja', 'warning');
+    return;
+  }
+  
+  // Calculate subtotal, discount, tax
+  const { subtotal, promotion, manualDiscount, discount, tax } = calculateCartTotals();
+  
+  // Create transaction
+  const transaction = {
+    invoice: document.getElementById('current-invoice').textContent,
+    date: new Date(),
+    items: cart.map((item, index) => ({
+      productId: item.id,
+      code: item.code,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      unit: item.unit,
+      factor: item.factor,
+      baseUnit: item.baseUnit,
+      discount: promotion.lines[index].discount,
+      promotions: promotion.lines[index].promotions,
+      categoryId: item.categoryId || null,
+      parentId: item.parentId || null,
+      parentName: item.parentName || null,
+      variant: item.variant || null,
+      components: item.components ? item.components.map(({ stock, ...component }) => component) : null
+    })),
+    subtotal,
+    discount,
+    promoDiscount: promotion.total,
+    manualDiscount,
+    promotions: promotion.applied,
+    tax,
+    total,
+    paymentMethod: payments.length === 1 ? payments[0].method : 'split',
+    payments,
+    amountReceived,
+    change: amountReceived - total,
+    shiftId: currentShift.id
+  };
+  
+  // Save the transaction and take the items out of stock in one go
+  saveSale(transaction).then(() => {
+    // Show success
+    showToast('Pembayaran berhasil diproses', 'success');
+    
+    // Print receipt
+    printReceipt(transaction);
+    
+    // Clear cart
+    cart = [];
+    updateCart();
+    resetTenders();
+    resetCartOptions();
+    
+    // Generate new invoice number
+    generateInvoiceNumberDisplay();
+    
+    // Reload dashboard and products
+    loadDashboard();
+    loadCashierProducts();
+  }).catch(err => {
+    if (err.name === 'StockShortageError') {
+      handleStockShortages(err.shortages);
+      return;
+    }
+    
+    console.error('Error processing payment:', err);
+    showToast('Gagal memproses pembayaran', 'error');
+  });
+}
+
+// Save a sale and deduct its stock in a single IndexedDB transaction
+// Stock is re-read inside the transaction; if any line is short nothing is written
+function saveSale(sale) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TRANSACTIONS, STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+    const transactionStore = transaction.objectStore(STORES.TRANSACTIONS);
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const products = {};
+    let failure = null;
+    
+    // Bundles take their components out of stock instead of themselves
+    const stockLines = [];
+    sale.items.forEach(item => stockLines.push(...getItemStockLines(item)));
+    
+    // Sum quantities per product so each product is read and written once
+    const needed = {};
+    stockLines.forEach(line => {
+      needed[line.productId] = (needed[line.productId] || 0) + line.quantity;
+    });
+    
+    const productIds = Object.keys(needed).map(id => parseInt(id));
+    let pending = productIds.length;
+    
+    const commitSale = () => {
+      const shortages = [];
+      
+      // Quantities are compared in the base unit of each product
+      productIds.forEach(id => {
+        const product = products[id];
+        const line = stockLines.find(line => line.productId === id);
+        const available = product ? getSellableStock(product) : 0;
+        const requested = roundQuantity(needed[id], line.unit);
+        
+        if (requested > available) {
+          shortages.push({
+            productId: id,
+            name: line.name,
+            requested,
+            available,
+            unit: line.unit
+          });
+        }
+      });
+      
+      if (shortages.length > 0) {
+        failure = new Error('Stok tidak mencukupi');
+        failure.name = 'StockShortageError';
+        failure.shortages = shortages;
+        transaction.abort();
+        return;
+      }
+      
+      // Keep the cost at sale time: per sold unit on lines, per base unit on bundle components
+      sale.items.forEach(item => {
+        if (item.components) {
+          item.components.forEach(component => {
+            component.cost = products[component.productId].cost || 0;
+          });
+          item.cost = item.components.reduce((sum, component) => sum + component.cost * component.quantity, 0);
+        } else {
+          item.cost = (products[item.productId].cost || 0) * (item.factor || 1);
+        }
+      });
+      
+      // Lines take from the earliest-expiring batches; the lots are kept for returns and voids
+      stockLines.forEach(line => {
+        const taken = takeBatches(products[line.productId], line.quantity, expirySettings.policy === 'block');
+        if (taken.length > 0) {
+          line.source.batches = taken;
+        }
+      });
+      
+      productIds.forEach(id => {
+        const product = products[id];
+        const before = product.stock;
+        product.stock = roundQuantity(product.stock - needed[id], product.unit);
+        product.updatedAt = new Date();
+        productStore.put(product);
+        addStockMovement(movementStore, product, before, 'sale', sale.invoice);
+      });
+      
+      const request = transactionStore.add(sale);
+      request.onsuccess = () => {
+        sale.id = request.result;
+      };
+    };
+    
+    productIds.forEach(id => {
+      const request = productStore.get(id);
+      
+      request.onsuccess = () => {
+        products[id] = request.result;
+        pending--;
+        
+        if (pending === 0) {
+          commitSale();
+        }
+      };
+    });
+    
+    transaction.oncomplete = () => resolve(sale);
+    transaction.onerror = (event) => reject(failure || event.target.error);
+    transaction.onabort = (event) => reject(failure || event.target.error);
+  });
+}
+
+// Report the cart lines checkout rejected and offer to trim them to the available stock
+function handleStockShortages(shortages) {
+  shortages.forEach(shortage => setCartStock(shortage.productId, shortage.available));
+  
+  updateCart();
+  loadCashierProducts();
+  
+  const details = shortages
+    .map(shortage => `- ${shortage.name}: diminta ${formatQuantity(shortage.requested, shortage.unit)}, tersedia ${formatQuantity(shortage.available, shortage.unit)}`)
+    .join('\n');
+  
+  if (!confirm(`Pembayaran dibatalkan, stok tidak mencukupi:\n${details}\n\nSesuaikan keranjang dengan stok yang tersedia?`)) {
+    showToast('Perbaiki jumlah barang yang ditandai sebelum membayar', 'warning');
+    return;
+  }
+  
+  // Lines drawing on the same product share what is left of its stock, in cart order
+  const remaining = {};
+  cart = cart
+    .map(item => ({ ...item, quantity: takeRemainingStock(item, remaining) }))
+    .filter(item => item.quantity > 0);
+  updateCart();
+  showToast('Keranjang disesuaikan, periksa kembali total pembayaran', 'warning');
+}
+
+// Last number handed out per prefix, to keep numbers made within the same second unique
+const lastGeneratedNumbers = {};
+
+// Generate invoice number
+// A second number with the same prefix in the same second gets a -2, -3... suffix
+function generateInvoiceNumber(prefix = 'INV') {
+  const now = new Date();
+  const year = now.getFullYear().toString().slice(-2);
+  const month = (now.getMonth() + 1).toString().padStart(2, '0');
+  const day = now.getDate().toString().padStart(2, '0');
+  const hours = now.getHours().toString().padStart(2, '0');
+  const minutes = now.getMinutes().toString().padStart(2, '0');
+  const seconds = now.getSeconds().toString().padStart(2, '0');
+  
+  const number = `${prefix}-${year}${month}${day}-${hours}${minutes}${seconds}`;
+  const last = lastGeneratedNumbers[prefix];
+  
+  if (last && last.number === number) {
+    last.sequence++;
+    return `${number}-${last.sequence}`;
+  }
+  
+  lastGeneratedNumbers[prefix] = { number, sequence: 1 };
+  return number;
+}
+
+// ==================== HELD SALES ====================
+
+// Hold (park) the current sale so the cashier can serve the next customer
+function holdCurrentSale() {
+  if (cart.length === 0) {
+    showToast('Keranjang belanja kosong', 'warning');
+    return;
+  }
+  
+  const label = prompt('Label transaksi yang ditahan:', `Pelanggan ${new Date().toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })}`);
+  if (label === null) {
+    return;
+  }
+  
+  const discountToggle = document.getElementById('discount-toggle');
+  const taxToggle = document.getElementById('tax-toggle');
+  
+  const heldSale = {
+    label: label.trim() || 'Tanpa label',
+    items: cart.map(item => ({ ...item })),
+    discount: {
+      enabled: discountToggle.checked,
+      value: parseFloat(document.getElementById('discount-value').value) || 0
+    },
+    tax: {
+      enabled: taxToggle.checked,
+      value: parseFloat(document.getElementById('tax-value').value) || 0
+    },
+    subtotal: cart.reduce((sum, item) => sum + (item.price * item.quantity), 0),
+    createdAt: new Date()
+  };
+  
+  addRecord(STORES.HELD_SALES, heldSale).then(() => {
+    cart = [];
+    updateCart();
+    resetTenders();
+    resetCartOptions();
+    updateHeldSalesCount();
+    showToast(`Transaksi "${heldSale.label}" ditahan`, 'success');
+  }).catch(err => {
+    console.error('Error holding sale:', err);
+    showToast('Gagal menahan transaksi', 'error');
+  });
+}
+
+// Update the number of held sales shown on the cashier page
+function updateHeldSalesCount() {
+  const transaction = db.transaction(STORES.HELD_SALES, 'readonly');
+  const store = transaction.objectStore(STORES.HELD_SALES);
+  const request = store.count();
+  
+  request.onsuccess = () => {
+    document.getElementById('held-sales-count').textContent = request.result;
+  };
+}
+
+// Show the list of held sales
+function showHeldSales() {
+  const transaction = db.transaction(STORES.HELD_SALES, 'readonly');
+  const store = transaction.objectStore(STORES.HELD_SALES);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    const list = document.getElementById('held-sales-list');
+    list.innerHTML = '';
+    
+    if (request.result.length === 0) {
+      list.innerHTML = '<p class="empty-cart">Tidak ada transaksi yang ditahan</p>';
+    }
+    
+    request.result.forEach(heldSale => {
+      const item = document.createElement('div');
+      item.className = 'held-sale-item';
+      
+      item.innerHTML = `
+                <div class="held-sale-info">
+                    <div class="item-name">${escapeHtml(heldSale.label)}</div>
+                    <div class="item-price">
+                        ${new Date(heldSale.createdAt).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' })} -
+                        ${heldSale.items.length} item - ${formatCurrencySync(heldSale.subtotal)}
+                    </div>
+                </div>
+                <div class="held-sale-actions">
+                    <button class="btn-primary btn-resume-sale" title="Lanjutkan">
+                        <i class="fas fa-play"></i> Lanjutkan
+                    </button>
+                    <button class="btn-danger btn-discard-sale" title="Hapus">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+      
+      item.querySelector('.btn-resume-sale').addEventListener('click', () => resumeHeldSale(heldSale.id));
+      item.querySelector('.btn-discard-sale').addEventListener('click', () => discardHeldSale(heldSale.id));
+      list.appendChild(item);
+    });
+    
+    document.getElementById('held-sales-modal').classList.remove('hidden');
+  };
+}
+
+// Re-check held items against the current price and stock of each product
+function revalidateHeldItems(items) {
+  const notes = [];
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+    const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+    
+    request.onsuccess = () => resolve(new Map(request.result.map(product => [product.id, product])));
+    request.onerror = (event) => reject(event.target.error);
+  }).then(productsById => {
+    const validItems = [];
+    const remaining = {};
+    
+    items.forEach(item => {
+      const product = productsById.get(item.id);
+      
+      if (!product) {
+        notes.push(`${item.name} sudah tidak tersedia`);
+        return;
+      }
+      
+      // Bundles are checked against the current stock of their components
+      const components = product.isBundle ? buildCartComponents(product, productsById) : null;
+      const stock = components ? getBundleStock(product, productsById) : getSellableStock(product);
+      if (stock <= 0) {
+        notes.push(`${product.name} stok habis`);
+        return;
+      }
+      
+      // Sales held before units existed were sold in the base unit
+      const saleUnits = getSaleUnits(product);
+      const saleUnit = saleUnits.find(unit => unit.unit === item.unit) || saleUnits[0];
+      
+      const validItem = {
+        ...item,
+        key: getCartKey(product.id, saleUnit.unit),
+        code: saleUnit.code || product.code,
+        name: product.name,
+        price: saleUnit.price,
+        unit: saleUnit.unit,
+        factor: saleUnit.factor,
+        baseUnit: product.unit || DEFAULT_UNIT,
+        saleUnits,
+        stock,
+        categoryId: product.categoryId || null,
+        components
+      };
+      
+      if (saleUnit.price !== item.price) {
+        notes.push(`Harga ${product.name} berubah menjadi ${formatUnitPrice(saleUnit.price, saleUnit.unit)}`);
+      }
+      
+      // Lines drawing on the same product share its stock
+      const available = takeRemainingStock(validItem, remaining);
+      if (available < validItem.quantity) {
+        validItem.quantity = available;
+        notes.push(`Jumlah ${product.name} disesuaikan ke stok ${formatQuantity(available, saleUnit.unit)}`);
+      }
+      
+      if (validItem.quantity > 0) {
+        validItems.push(validItem);
+      }
+    });
+    
+    return { items: validItems, notes };
+  });
+}
+
+// Restore the discount and tax toggles of a held sale
+function restoreCartOptions(heldSale) {
+  resetCartOptions();
+  
+  if (heldSale.discount && heldSale.discount.enabled) {
+    document.getElementById('discount-toggle').checked = true;
+    document.getElementById('discount-value').disabled = false;
+    document.getElementById('discount-value').value = heldSale.discount.value;
+  }
+  
+  if (heldSale.tax && heldSale.tax.enabled) {
+    document.getElementById('tax-toggle').checked = true;
+    document.getElementById('tax-value').disabled = false;
+    document.getElementById('tax-value').value = heldSale.tax.value;
+  }
+}
+
+// Resume a held sale into the cart
+function resumeHeldSale(id) {
+  if (cart.length > 0 && !confirm('Keranjang saat ini akan diganti dengan transaksi yang ditahan. Lanjutkan?')) {
+    return;
+  }
+  
+  getRecord(STORES.HELD_SALES, id).then(heldSale => {
+    if (!heldSale) {
+      showToast('Transaksi yang ditahan tidak ditemukan', 'error');
+      return;
+    }
+    
+    return revalidateHeldItems(heldSale.items).then(({ items, notes }) => {
+      cart = items;
+      restoreCartOptions(heldSale);
+      resetTenders();
+      updateCart();
+      
+      return deleteRecord(STORES.HELD_SALES, id).then(() => {
+        document.getElementById('held-sales-modal').classList.add('hidden');
+        updateHeldSalesCount();
+        
+        if (notes.length > 0) {
+          showToast(`Transaksi dilanjutkan. ${notes.join('; ')}`, 'warning');
+        } else {
+          showToast(`Transaksi "${heldSale.label}" dilanjutkan`, 'success');
+        }
+      });
+    });
+  }).catch(err => {
+    console.error('Error resuming held sale:', err);
+    showToast('Gagal melanjutkan transaksi', 'error');
+  });
+}
+
+// Discard a held sale
+function discardHeldSale(id) {
+  if (confirm('Apakah Anda yakin ingin menghapus transaksi yang ditahan ini?')) {
+    deleteRecord(STORES.HELD_SALES, id).then(() => {
+      showToast('Transaksi yang ditahan dihapus', 'success');
+      updateHeldSalesCount();
+      showHeldSales();
+    }).catch(err => {
+      console.error('Error discarding held sale:', err);
+      showToast('Gagal menghapus transaksi yang ditahan', 'error');
+    });
+  }
+}
+
+// ==================== SHIFTS ====================
+
+// Rupiah notes and coins counted when closing a shift
+const CASH_DENOMINATIONS = [100000, 50000, 20000, 10000, 5000, 2000, 1000, 500, 200, 100];
+
+// The shift open on this device, null when the drawer is closed
+let currentShift = null;
+
+// Load the open shift, if any, and show it on the cashier page
+function loadCurrentShift() {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.SHIFTS, 'readonly');
+    const request = transaction.objectStore(STORES.SHIFTS).index('status').get('open');
+    
+    request.onsuccess = () => {
+      currentShift = request.result || null;
+      updateShiftStatus();
+      resolve(currentShift);
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Show the open shift on the cashier page
+function updateShiftStatus() {
+  document.getElementById('shift-status').textContent = currentShift ? currentShift.number : 'Buka Shift';
+  document.getElementById('shift-btn').classList.toggle('shift-closed', !currentShift);
+}
+
+// Load the transactions rung up in a shift and those voided during it
+function loadShiftTransactions(shift) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.TRANSACTIONS, 'readonly');
+    const store = transaction.objectStore(STORES.TRANSACTIONS);
+    const shiftRequest = store.index('shiftId').getAll(shift.id);
+    const voidRequest = store.index('voidShiftId').getAll(shift.id);
+    
+    transaction.oncomplete = () => resolve({ transactions: shiftRequest.result, voidedDuring: voidRequest.result });
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Add up a shift for the X and Z reports
+// Cash taken for sales of earlier shifts that were voided during this shift leaves the drawer now
+function summarizeShift(shift, transactions, voidedDuring) {
+  const active = transactions.filter(isActiveTransaction);
+  const sales = active.filter(t => t.type !== 'refund');
+  const refunds = active.filter(t => t.type === 'refund');
+  const payments = summarizePayments(active);
+  const cashIn = shift.cashMovements.filter(movement => movement.type === 'in').reduce((sum, movement) => sum + movement.amount, 0);
+  const cashOut = shift.cashMovements.filter(movement => movement.type === 'out').reduce((sum, movement) => sum + movement.amount, 0);
+  const voidedCash = voidedDuring
+    .filter(t => t.shiftId !== shift.id)
+    .reduce((sum, t) => sum + (summarizePayments([t]).cash || 0), 0);
+  
+  return {
+    salesCount: sales.length,
+    salesTotal: sales.reduce((sum, t) => sum + t.total, 0),
+    refundCount: refunds.length,
+    refundTotal: refunds.reduce((sum, t) => sum - t.total, 0),
+    voidCount: voidedDuring.length,
+    voidTotal: voidedDuring.reduce((sum, t) => sum + t.total, 0),
+    promoDiscount: sales.reduce((sum, t) => sum + (t.promoDiscount || 0), 0),
+    manualDiscount: sales.reduce((sum, t) => sum + (getManualDiscount(t) || 0), 0),
+    tax: active.reduce((sum, t) => sum + (t.tax || 0), 0),
+    netSales: active.reduce((sum, t) => sum + t.total, 0),
+    payments,
+    cashIn,
+    cashOut,
+    voidedCash,
+    expectedCash: shift.openingFloat + (payments.cash || 0) + cashIn - cashOut - voidedCash
+  };
+}
+
+// Show the shift modal: the open form, or the open shift with its cash movements
+function showShiftModal() {
+  const isOpen = !!currentShift;
+  
+  document.getElementById('open-shift-form').classList.toggle('hidden', isOpen);
+  document.getElementById('open-shift-details').classList.toggle('hidden', !isOpen);
+  clearFormErrors('open-shift-form');
+  clearFormErrors('cash-movement-form');
+  
+  if (isOpen) {
+    document.getElementById('cash-movement-form').reset();
+    displayOpenShift();
+  } else {
+    document.getElementById('open-shift-form').reset();
+  }
+  
+  displayShiftHistory();
+  document.getElementById('shift-modal').classList.remove('hidden');
+}
+
+// Open a shift with the cash counted into the drawer
+function openShift(e) {
+  e.preventDefault();
+  clearFormErrors('open-shift-form');
+  
+  const openingFloat = parseFloat(document.getElementById('shift-opening-float').value);
+  
+  if (isNaN(openingFloat) || openingFloat < 0) {
+    showError('shift-opening-float-error', 'Modal awal kas wajib diisi');
+    return;
+  }
+  
+  const shift = {
+    number: generateInvoiceNumber('SHF'),
+    status: 'open',
+    openedAt: new Date(),
+    openedBy: getCurrentUser(),
+    openingFloat,
+    cashMovements: []
+  };
+  
+  // Only one shift can be open at a time
+  loadCurrentShift().then(open => {
+    if (open) {
+      throw new Error(`Shift ${open.number} masih terbuka`);
+    }
+    return addRecord(STORES.SHIFTS, shift);
+  }).then(() => loadCurrentShift()).then(() => {
+    showToast(`Shift ${shift.number} dibuka`, 'success');
+    showShiftModal();
+  }).catch(err => {
+    console.error('Error opening shift:', err);
+    showToast(`Gagal membuka shift: ${err.message}`, 'error');
+    showShiftModal();
+  });
+}
+
+// Show the open shift: totals so far and its cash movements
+function displayOpenShift() {
+  const shift = currentShift;
+  
+  document.getElementById('shift-info').textContent =
+    `${shift.number} - dibuka ${new Date(shift.openedAt).toLocaleString('id-ID')} oleh ${shift.openedBy}`;
+  
+  loadShiftTransactions(shift).then(({ transactions, voidedDuring }) => {
+    const summary = summarizeShift(shift, transactions, voidedDuring);
+    const breakdown = document.getElementById('shift-breakdown');
+    
+    breakdown.innerHTML = [
+      ['Modal Awal', formatCurrencySync(shift.openingFloat)],
+      [`Penjualan (${summary.salesCount})`, formatCurrencySync(summary.salesTotal)],
+      [`Retur (${summary.refundCount})`, formatCurrencySync(summary.refundTotal)],
+      ['Kas Seharusnya', formatCurrencySync(summary.expectedCash)]
+    ].map(([label, value]) => `<div class="breakdown-item"><span>${escapeHtml(label)}</span><strong>${value}</strong></div>`).join('');
+  }).catch(err => {
+    console.error('Error loading shift transactions:', err);
+  });
+  
+  const tbody = document.getElementById('cash-movement-list');
+  tbody.innerHTML = '';
+  
+  if (shift.cashMovements.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="text-center">Belum ada kas masuk/keluar</td></tr>';
+    return;
+  }
+  
+  shift.cashMovements.forEach(movement => {
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            <td>${new Date(movement.date).toLocaleTimeString('id-ID')}</td>
+            <td>${movement.type === 'in' ? 'Kas Masuk' : 'Kas Keluar'}</td>
+            <td>
+                ${escapeHtml(movement.note)}
+                <div class="transaction-note">${escapeHtml(movement.user)}</div>
+            </td>
+            <td class="${movement.type === 'in' ? 'movement-in' : 'movement-out'}">${movement.type === 'in' ? '+' : '-'}${formatCurrencySync(movement.amount)}</td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+}
+
+// Record petty cash put into or taken out of the drawer
+function saveCashMovement(e) {
+  e.preventDefault();
+  clearFormErrors('cash-movement-form');
+  
+  const amount = parseFloat(document.getElementById('cash-movement-amount').value);
+  const note = document.getElementById('cash-movement-note').value.trim();
+  let isValid = true;
+  
+  if (isNaN(amount) || amount <= 0) {
+    showError('cash-movement-amount-error', 'Jumlah harus lebih dari 0');
+    isValid = false;
+  }
+  
+  if (!note) {
+    showError('cash-movement-note-error', 'Keterangan wajib diisi');
+    isValid = false;
+  }
+  
+  if (!isValid) {
+    return;
+  }
+  
+  const movement = {
+    type: document.getElementById('cash-movement-type').value,
+    amount,
+    note,
+    user: getCurrentUser(),
+    date: new Date()
+  };
+  
+  getRecord(STORES.SHIFTS, currentShift.id).then(shift => {
+    if (!shift || shift.status !== 'open') {
+      throw new Error('Shift sudah ditutup');
+    }
+    
+    shift.cashMovements.push(movement);
+    return updateRecord(STORES.SHIFTS, shift).then(() => shift);
+  }).then(shift => {
+    currentShift = shift;
+    showToast(movement.type === 'in' ? 'Kas masuk dicatat' : 'Kas keluar dicatat', 'success');
+    document.getElementById('cash-movement-form').reset();
+    displayOpenShift();
+  }).catch(err => {
+    console.error('Error saving cash movement:', err);
+    showToast(`Gagal mencatat kas: ${err.message}`, 'error');
+    loadCurrentShift();
+  });
+}
+
+// Show the close form with a count line per denomination
+function showCloseShiftForm() {
+  const shift = currentShift;
+  const tbody = document.getElementById('denomination-list');
+  tbody.innerHTML = '';
+  
+  CASH_DENOMINATIONS.forEach(value => {
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            <td>${formatCurrencySync(value)}</td>
+            <td><input type="number" class="denomination-count" data-value="${value}" min="0" step="1" placeholder="0"></td>
+            <td class="denomination-subtotal">${formatCurrencySync(0)}</td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+  
+  document.getElementById('close-shift-form').reset();
+  document.getElementById('close-shift-info').textContent =
+    `${shift.number} - dibuka ${new Date(shift.openedAt).toLocaleString('id-ID')} oleh ${shift.openedBy}`;
+  
+  loadShiftTransactions(shift).then(({ transactions, voidedDuring }) => {
+    const summary = summarizeShift(shift, transactions, voidedDuring);
+    document.getElementById('close-shift-expected').textContent = formatCurrencySync(summary.expectedCash);
+    document.getElementById('close-shift-expected').setAttribute('data-value', summary.expectedCash);
+    updateClosingCount();
+  });
+  
+  document.getElementById('shift-modal').classList.add('hidden');
+  document.getElementById('close-shift-modal').classList.remove('hidden');
+}
+
+// Read the counted notes and coins of the close form
+function getDenominationCounts() {
+  const counts = {};
+  
+  document.querySelectorAll('#denomination-list .denomination-count').forEach(input => {
+    const count = parseInt(input.value) || 0;
+    if (count > 0) {
+      counts[input.getAttribute('data-value')] = count;
+    }
+  });
+  
+  return counts;
+}
+
+// Add up counted cash
+function getCountedCash(counts) {
+  return Object.entries(counts).reduce((sum, [value, count]) => sum + parseInt(value) * count, 0);
+}
+
+// Update subtotals, counted cash and the difference as denominations are typed
+function updateClosingCount() {
+  document.querySelectorAll('#denomination-list tr').forEach(row => {
+    const input = row.querySelector('.denomination-count');
+    const subtotal = (parseInt(input.value) || 0) * parseInt(input.getAttribute('data-value'));
+    row.querySelector('.denomination-subtotal').textContent = formatCurrencySync(subtotal);
+  });
+  
+  const counted = getCountedCash(getDenominationCounts());
+  const expected = parseFloat(document.getElementById('close-shift-expected').getAttribute('data-value')) || 0;
+  const difference = counted - expected;
+  const differenceElement = document.getElementById('close-shift-difference');
+  
+  document.getElementById('close-shift-counted').textContent = formatCurrencySync(counted);
+  differenceElement.textContent = `${difference > 0 ? '+' : ''}${formatCurrencySync(difference)}`;
+  differenceElement.className = difference < 0 ? 'movement-out' : difference > 0 ? 'movement-in' : '';
+}
+
+// Close the shift with the counted cash, keeping its totals as the Z report
+function closeShift(e) {
+  e.preventDefault();
+  
+  const denominations = getDenominationCounts();
+  const countedCash = getCountedCash(denominations);
+  
+  if (!confirm(`Tutup shift ${currentShift.number} dengan kas dihitung ${formatCurrencySync(countedCash)}?`)) {
+    return;
+  }
+  
+  const shift = currentShift;
+  
+  loadShiftTransactions(shift).then(({ transactions, voidedDuring }) => {
+    const summary = summarizeShift(shift, transactions, voidedDuring);
+    
+    Object.assign(shift, {
+      status: 'closed',
+      closedAt: new Date(),
+      closedBy: getCurrentUser(),
+      denominations,
+      countedCash,
+      expectedCash: summary.expectedCash,
+      difference: countedCash - summary.expectedCash,
+      note: document.getElementById('close-shift-note').value.trim() || null,
+      summary
+    });
+    
+    return updateRecord(STORES.SHIFTS, shift);
+  }).then(() => {
+    currentShift = null;
+    updateShiftStatus();
+    document.getElementById('close-shift-modal').classList.add('hidden');
+    showToast(`Shift ${shift.number} ditutup`, 'success');
+    printShiftReport(shift, shift.summary, 'Z');
+  }).catch(err => {
+    console.error('Error closing shift:', err);
+    showToast('Gagal menutup shift', 'error');
+  });
+}
+
+// Print the X report of the open shift: totals so far, the shift stays open
+function printXReport() {
+  const shift = currentShift;
+  
+  loadShiftTransactions(shift).then(({ transactions, voidedDuring }) => {
+    printShiftReport(shift, summarizeShift(shift, transactions, voidedDuring), 'X');
+  }).catch(err => {
+    console.error('Error loading shift transactions:', err);
+    showToast('Gagal membuat laporan X', 'error');
+  });
+}
+
+// Reprint the Z report of a closed shift from the totals kept when it closed
+function reprintZReport(id) {
+  getRecord(STORES.SHIFTS, id).then(shift => {
+    if (shift && shift.summary) {
+      printShiftReport(shift, shift.summary, 'Z');
+    }
+  });
+}
+
+// Show the latest shifts with their cash differences
+function displayShiftHistory() {
+  const transaction = db.transaction(STORES.SHIFTS, 'readonly');
+  const request = transaction.objectStore(STORES.SHIFTS).index('openedAt').getAll();
+  
+  request.onsuccess = () => {
+    const tbody = document.getElementById('shift-history-list');
+    const shifts = request.result.filter(shift => shift.status === 'closed').reverse().slice(0, 20);
+    tbody.innerHTML = '';
+    
+    if (shifts.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="text-center">Belum ada shift yang ditutup</td></tr>';
+      return;
+    }
+    
+    shifts.forEach(shift => {
+      const row = document.createElement('tr');
+      
+      row.innerHTML = `
+                <td>
+                    ${escapeHtml(shift.number)}
+                    <div class="transaction-note">${escapeHtml(shift.openedBy)}</div>
+                </td>
+                <td>${new Date(shift.openedAt).toLocaleString('id-ID')}</td>
+                <td>${new Date(shift.closedAt).toLocaleString('id-ID')}</td>
+                <td class="${shift.difference < 0 ? 'movement-out' : shift.difference > 0 ? 'movement-in' : ''}">${formatCurrencySync(shift.difference)}</td>
+                <td>
+                    <button class="btn-print" data-id="${shift.id}">
+                        <i class="fas fa-print"></i> Laporan Z
+                    </button>
+                </td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+  };
+}
+
+// Lay out an X or Z report as titled sections of label/value rows
+function getShiftReportSections(shift, summary, kind) {
+  const sections = [
+    {
+      title: null,
+      rows: [
+        { label: 'Shift', value: shift.number },
+        { label: 'Dibuka', value: formatReceiptDate(shift.openedAt) },
+        { label: 'Oleh', value: shift.openedBy },
+        kind === 'Z'
+          ? { label: 'Ditutup', value: formatReceiptDate(shift.closedAt) }
+          : { label: 'Dicetak', value: formatReceiptDate(new Date()) },
+        ...(kind === 'Z' ? [{ label: 'Oleh', value: shift.closedBy }] : [])
+      ]
+    },
+    {
+      title: 'PENJUALAN',
+      rows: [
+        { label: `Penjualan (${summary.salesCount})`, value: formatCurrencySync(summary.salesTotal) },
+        { label: `Retur (${summary.refundCount})`, value: `${summary.refundTotal ? '-' : ''}${formatCurrencySync(summary.refundTotal)}` },
+        { label: `Void (${summary.voidCount})`, value: formatCurrencySync(summary.voidTotal) },
+        { label: 'Diskon Promo', value: formatCurrencySync(summary.promoDiscount) },
+        { label: 'Diskon Manual', value: formatCurrencySync(summary.manualDiscount) },
+        { label: 'Pajak', value: formatCurrencySync(summary.tax) },
+        { label: 'PENJUALAN BERSIH', value: formatCurrencySync(summary.netSales), strong: true }
+      ]
+    },
+    {
+      title: 'PEMBAYARAN',
+      rows: Object.entries(summary.payments).map(([method, amount]) => ({ label: getPaymentMethodLabel(method), value: formatCurrencySync(amount) }))
+    },
+    {
+      title: 'KAS',
+      rows: [
+        { label: 'Modal Awal', value: formatCurrencySync(shift.openingFloat) },
+        { label: 'Tunai Bersih', value: formatCurrencySync(summary.payments.cash || 0) },
+        { label: 'Kas Masuk', value: formatCurrencySync(summary.cashIn) },
+        { label: 'Kas Keluar', value: `${summary.cashOut ? '-' : ''}${formatCurrencySync(summary.cashOut)}` },
+        ...(summary.voidedCash ? [{ label: 'Void Shift Lain', value: `-${formatCurrencySync(summary.voidedCash)}` }] : []),
+        { label: 'KAS SEHARUSNYA', value: formatCurrencySync(summary.expectedCash), strong: true }
+      ]
+    }
+  ];
+  
+  if (kind === 'Z') {
+    sections.push({
+      title: 'HITUNG KAS',
+      rows: [
+        ...CASH_DENOMINATIONS.filter(value => shift.denominations[value]).map(value => ({
+          label: `${formatCurrencySync(value)} x ${shift.denominations[value]}`,
+          value: formatCurrencySync(value * shift.denominations[value])
+        })),
+        { label: 'KAS DIHITUNG', value: formatCurrencySync(shift.countedCash), strong: true },
+        { label: 'SELISIH', value: `${shift.difference > 0 ? '+' : ''}${formatCurrencySync(shift.difference)}`, strong: true },
+        ...(shift.note ? [{ label: 'Catatan', value: shift.note }] : [])
+      ]
+    });
+  }
+  
+  return sections;
+}
+
+// Build receipt-style markup of an X or Z report
+function buildShiftReportHTML(sections, kind, store) {
+  let html = '<div class="receipt-header">';
+  html += `<div class="receipt-store-name">${escapeHtml(store.name || 'Toko Saya')}</div>`;
+  html += `<div>LAPORAN ${kind}${kind === 'Z' ? ' (TUTUP SHIFT)' : ' (TENGAH SHIFT)'}</div>`;
+  html += '</div>';
+  
+  sections.forEach(section => {
+    html += '<div class="receipt-totals">';
+    if (section.title) {
+      html += `<div class="receipt-item-name">${escapeHtml(section.title)}</div>`;
+    }
+    section.rows.forEach(row => {
+      html += `<div class="receipt-row${row.strong ? ' receipt-total' : ''}"><span>${escapeHtml(row.label)}</span><span>${escapeHtml(row.value)}</span></div>`;
+    });
+    html += '</div>';
+  });
+  
+  return html;
+}
+
+// Encode an X or Z report as ESC/POS bytes
+// options: { paperSize, cut }
+function encodeEscPosShiftReport(sections, kind, store, options = {}) {
+  const { columns } = getEscPosPaper(options.paperSize);
+  const separator = '-'.repeat(columns);
+  const bytes = [];
+  
+  const push = (...commands) => commands.forEach(command => bytes.push(...command));
+  const line = (text = '') => push(encodeEscPosText(text), ESC_POS.LINE_FEED);
+  
+  push(ESC_POS.INIT, ESC_POS.ALIGN_CENTER, ESC_POS.BOLD_ON, ESC_POS.SIZE_DOUBLE);
+  wrapEscPosText(store.name || 'Toko Saya', Math.floor(columns / 2)).forEach(part => line(part));
+  push(ESC_POS.SIZE_NORMAL);
+  line(`LAPORAN ${kind}`);
+  push(ESC_POS.BOLD_OFF, ESC_POS.ALIGN_LEFT);
+  
+  sections.forEach(section => {
+    line(separator);
+    if (section.title) {
+      push(ESC_POS.BOLD_ON);
+      line(section.title);
+      push(ESC_POS.BOLD_OFF);
+    }
+    section.rows.forEach(row => {
+      if (row.strong) {
+        push(ESC_POS.BOLD_ON);
+      }
+      line(formatEscPosColumns(row.label, row.value, columns));
+      if (row.strong) {
+        push(ESC_POS.BOLD_OFF);
+      }
+    });
+  });
+  
+  // Feed past the cutter before cutting
+  push(ESC_POS.LINE_FEED, ESC_POS.LINE_FEED, ESC_POS.LINE_FEED);
+  
+  if (options.cut) {
+    push(ESC_POS.CUT);
+  }
+  
+  return new Uint8Array(bytes);
+}
+
+// Print an X or Z report the way receipts are printed
+function printShiftReport(shift, summary, kind) {
+  loadReceiptContext().then(({ store, receipt, printer }) => {
+    const sections = getShiftReportSections(shift, summary, kind);
+    
+    if (printer.mode === 'escpos') {
+      const bytes = encodeEscPosShiftReport(sections, kind, store, { paperSize: printer.paperSize, cut: printer.autoCut !== false });
+      return getPrinterTransport(printer).send(bytes, printer, `laporan-${kind.toLowerCase()}-${shift.number}`);
+    }
+    
+    const paperSize = getReceiptPaperSize(receipt);
+    const preview = document.getElementById('receipt-preview');
+    
+    preview.className = `receipt receipt-${paperSize}`;
+    preview.setAttribute('data-paper', paperSize);
+    preview.innerHTML = buildShiftReportHTML(sections, kind, store);
+    
+    document.getElementById('receipt-modal').classList.remove('hidden');
+    document.getElementById('print-receipt-btn').focus();
+  }).catch(err => {
+    console.error('Error printing shift report:', err);
+    showToast(`Gagal mencetak laporan ${kind}: ${err.message}`, 'error');
+  });
+}
+
+// ==================== RECEIPT ====================
+
+// Paper sizes supported by the receipt view
+const RECEIPT_PAPER_SIZES = {
+  '58mm': { label: '58 mm', page: '@page { margin: 0; }' },
+  '80mm': { label: '80 mm', page: '@page { margin: 0; }' },
+  'a4': { label: 'A4', page: '@page { size: A4; margin: 15mm; }' }
+};
+
+// Escape text before inserting it into HTML
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Escape multi-line text and keep its line breaks
+function escapeMultiline(value) {
+  return escapeHtml(value).replace(/\n/g, '<br>');
+}
+
+// Load the store, receipt and printer settings used to build a receipt
+function loadReceiptContext() {
+  return Promise.all([
+    getRecord(STORES.SETTINGS, 'store'),
+    getRecord(STORES.SETTINGS, 'receipt'),
+    getRecord(STORES.SETTINGS, 'printer')
+  ]).then(([store, receipt, printer]) => ({
+    store: store || {},
+    receipt: receipt || {},
+    printer: printer || {}
+  }));
+}
+
+// Get the paper size of the receipt settings, falling back to 58 mm
+function getReceiptPaperSize(receipt) {
+  return RECEIPT_PAPER_SIZES[receipt.paperSize] ? receipt.paperSize : '58mm';
+}
+
+// Get the discount the cashier entered by hand (all of it for sales before promotions)
+function getManualDiscount(transaction) {
+  return transaction.manualDiscount !== undefined ? transaction.manualDiscount : transaction.discount;
+}
+
+// Get the summary rows printed under the receipt items
+function getReceiptTotalRows(transaction, receipt) {
+  const rows = [
+    { label: 'Subtotal', value: formatCurrencySync(transaction.subtotal) }
+  ];
+  
+  (transaction.promotions || []).forEach(promotion => {
+    rows.push({ label: promotion.name, value: `-${formatCurrencySync(promotion.amount)}` });
+  });
+  
+  const manualDiscount = getManualDiscount(transaction);
+  if (manualDiscount > 0) {
+    rows.push({ label: 'Diskon', value: `-${formatCurrencySync(manualDiscount)}` });
+  }
+  if (receipt.showTax && transaction.tax > 0) {
+    rows.push({ label: 'Pajak', value: formatCurrencySync(transaction.tax) });
+  }
+  
+  rows.push({ label: 'TOTAL', value: formatCurrencySync(transaction.total), strong: true });
+  getTransactionPayments(transaction).forEach(payment => {
+    const label = getPaymentMethodLabel(payment.method);
+    rows.push({
+      label: payment.reference ? `${label} (${payment.reference})` : label,
+      value: formatCurrencySync(payment.amount)
+    });
+  });
+  if (transaction.type !== 'refund') {
+    rows.push({ label: 'Kembalian', value: formatCurrencySync(transaction.change) });
+  }
+  
+  return rows;
+}
+
+// Format the transaction date printed on receipts
+function formatReceiptDate(date) {
+  return new Date(date).toLocaleString('id-ID', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Get the rows identifying the transaction on a receipt
+function getReceiptMetaRows(transaction) {
+  const rows = [];
+  
+  if (transaction.type === 'refund') {
+    rows.push({ label: 'RETUR', value: transaction.refundOf });
+  }
+  
+  rows.push({ label: 'No', value: transaction.invoice });
+  rows.push({ label: 'Tanggal', value: formatReceiptDate(transaction.date) });
+  
+  return rows;
+}
+
+// Build receipt markup for a transaction
+function buildReceiptHTML(transaction, store, receipt) {
+  let html = '<div class="receipt-header">';
+  
+  if (receipt.logo) {
+    html += `<img class="receipt-logo" src="${receipt.logo}" alt="">`;
+  }
+  
+  html += `<div class="receipt-store-name">${escapeHtml(store.name || 'Toko Saya')}</div>`;
+  
+  if (store.address) {
+    html += `<div>${escapeMultiline(store.address)}</div>`;
+  }
+  if (store.phone) {
+    html += `<div>Telp: ${escapeHtml(store.phone)}</div>`;
+  }
+  if (store.taxId) {
+    html += `<div>NPWP: ${escapeHtml(store.taxId)}</div>`;
+  }
+  if (receipt.header) {
+    html += `<div class="receipt-note">${escapeMultiline(receipt.header)}</div>`;
+  }
+  
+  html += '</div>';
+  
+  html += '<div class="receipt-meta">';
+  getReceiptMetaRows(transaction).forEach(row => {
+    html += `<div class="receipt-row"><span>${escapeHtml(row.label)}</span><span>${escapeHtml(row.value)}</span></div>`;
+  });
+  html += '</div>';
+  
+  html += '<div class="receipt-items">';
+  transaction.items.forEach(item => {
+    html += `
+            <div class="receipt-item">
+                <div class="receipt-item-name">${escapeHtml(item.name)}</div>
+                <div class="receipt-row">
+                    <span>${formatQuantity(item.quantity, item.unit)} x ${formatCurrencySync(item.price)}</span>
+                    <span>${formatCurrencySync(item.price * item.quantity)}</span>
+                </div>
+                ${item.discount > 0 ? `
+                <div class="receipt-row">
+                    <span>${escapeHtml(item.promotions.join(', '))}</span>
+                    <span>-${formatCurrencySync(item.discount)}</span>
+                </div>` : ''}
+            </div>
+        `;
+  });
+  html += '</div>';
+  
+  html += '<div class="receipt-totals">';
+  getReceiptTotalRows(transaction, receipt).forEach(row => {
+    html += `<div class="receipt-row${row.strong ? ' receipt-total' : ''}"><span>${escapeHtml(row.label)}</span><span>${row.value}</span></div>`;
+  });
+  html += '</div>';
+  
+  if (receipt.footer) {
+    html += `<div class="receipt-footer">${escapeMultiline(receipt.footer)}</div>`;
+  }
+  
+  return html;
+}
+
+// Print receipt, directly to the thermal printer when one is configured
+function printReceipt(transaction, options = {}) {
+  return loadReceiptContext().then(context => {
+    if (context.printer.mode === 'escpos') {
+      return printEscPosReceipt(transaction, context, options).catch(err => {
+        console.error('Error printing to thermal printer:', err);
+        showToast(`Gagal mencetak ke printer: ${err.message}`, 'error');
+        showReceiptPreview(transaction, context);
+      });
+    }
+    
+    showReceiptPreview(transaction, context);
+  }).catch(err => {
+    console.error('Error building receipt:', err);
+    showToast('Gagal membuat struk', 'error');
+  });
+}
+
+// Show the receipt in the preview modal
+function showReceiptPreview(transaction, { store, receipt }) {
+  const paperSize = getReceiptPaperSize(receipt);
+  const preview = document.getElementById('receipt-preview');
+  
+  preview.className = `receipt receipt-${paperSize}`;
+  preview.setAttribute('data-paper', paperSize);
+  preview.innerHTML = buildReceiptHTML(transaction, store, receipt);
+  
+  document.getElementById('receipt-modal').classList.remove('hidden');
+  document.getElementById('print-receipt-btn').focus();
+}
+
+// Reprint the receipt of a saved transaction
+function reprintReceipt(id) {
+  getRecord(STORES.TRANSACTIONS, id).then(transaction => {
+    if (transaction) {
+      printReceipt(transaction, { reprint: true });
+    }
+  }).catch(err => {
+    console.error('Error loading transaction:', err);
+    showToast('Gagal memuat transaksi', 'error');
+  });
+}
+
+// Send the receipt preview to the browser print dialog
+function printReceiptPreview() {
+  const paperSize = document.getElementById('receipt-preview').getAttribute('data-paper') || '58mm';
+  startPrint('printing-receipt', RECEIPT_PAPER_SIZES[paperSize].page);
+}
+
+// Open the print dialog for one part of the page with its own @page rule
+function startPrint(bodyClass, pageRule) {
+  let pageStyle = document.getElementById('print-page-style');
+  
+  if (!pageStyle) {
+    pageStyle = document.createElement('style');
+    pageStyle.id = 'print-page-style';
+    document.head.appendChild(pageStyle);
+  }
+  
+  pageStyle.textContent = `@media print { ${pageRule} }`;
+  document.body.classList.add(bodyClass);
+  document.body.setAttribute('data-print', bodyClass);
+  window.print();
+}
+
+// Restore the page after the print dialog closes
+function finishPrint() {
+  const bodyClass = document.body.getAttribute('data-print');
+  if (bodyClass) {
+    document.body.classList.remove(bodyClass);
+    document.body.removeAttribute('data-print');
+  }
+  
+  const pageStyle = document.getElementById('print-page-style');
+  if (pageStyle) {
+    pageStyle.remove();
+  }
+}
+
+// ==================== ESC/POS PRINTER ====================
+
+// Commands, text, raster and receipt encoding are in escpos.js
+
+// Receipt formatting the ESC/POS encoder shares with the printed receipt
+const ESC_POS_RECEIPT_FORMAT = {
+  formatCurrency: formatCurrencySync,
+  formatQuantity,
+  getMetaRows: getReceiptMetaRows,
+  getTotalRows: getReceiptTotalRows
+};
+
+// Load the receipt logo as a bitmap that fits the paper
+function loadEscPosLogo(dataUrl, paperSize) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    
+    image.onload = () => {
+      // Keep the logo at most 60% of the printable width, in whole bytes
+      const maxWidth = Math.floor(getEscPosPaper(paperSize).dots * 0.6 / 8) * 8;
+      const scale = Math.min(1, maxWidth / image.width);
+      const width = Math.max(8, Math.round(image.width * scale));
+      const height = Math.max(1, Math.round(image.height * scale));
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0, width, height);
+      
+      const imageData = context.getImageData(0, 0, width, height);
+      resolve(toMonochromeBitmap(imageData.data, width, height));
+    };
+    
+    image.onerror = () => reject(new Error('Logo struk tidak dapat dimuat'));
+    image.src = dataUrl;
+  });
+}
+
+// Transports that deliver ESC/POS bytes to a printer
+const PRINTER_TRANSPORTS = {
+  serial: {
+    label: 'Web Serial',
+    isSupported: () => 'serial' in navigator,
+    connect: () => navigator.serial.requestPort(),
+    send: sendToSerialPrinter
+  },
+  usb: {
+    label: 'WebUSB',
+    isSupported: () => 'usb' in navigator,
+    connect: () => navigator.usb.requestDevice({ filters: [] }),
+    send: sendToUsbPrinter
+  },
+  download: {
+    label: 'Unduh file .bin',
+    isSupported: () => true,
+    connect: () => Promise.resolve(),
+    send: downloadPrinterFile
+  }
+};
+
+// Write bytes to the first granted serial port
+async function sendToSerialPrinter(bytes, printer) {
+  const ports = await navigator.serial.getPorts();
+  
+  if (ports.length === 0) {
+    throw new Error('Printer serial belum dihubungkan');
+  }
+  
+  const port = ports[0];
+  await port.open({ baudRate: printer.baudRate || 9600 });
+  
+  try {
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(bytes);
+    } finally {
+      writer.releaseLock();
+    }
+  } finally {
+    await port.close();
+  }
+}
+
+// Find the bulk OUT endpoint a USB printer receives data on
+function findUsbPrinterEndpoint(device) {
+  for (const usbInterface of device.configuration.interfaces) {
+    for (const alternate of usbInterface.alternates) {
+      const endpoint = alternate.endpoints.find(e => e.direction === 'out' && e.type === 'bulk');
+      if (endpoint) {
+        return { interfaceNumber: usbInterface.interfaceNumber, endpointNumber: endpoint.endpointNumber };
+      }
+    }
+  }
+  
+  throw new Error('Printer USB tidak memiliki endpoint keluaran');
+}
+
+// Write bytes to the first granted USB device
+async function sendToUsbPrinter(bytes) {
+  const devices = await navigator.usb.getDevices();
+  
+  if (devices.length === 0) {
+    throw new Error('Printer USB belum dihubungkan');
+  }
+  
+  const device = devices[0];
+  await device.open();
+  
+  try {
+    if (device.configuration === null) {
+      await device.selectConfiguration(1);
+    }
+    
+    const { interfaceNumber, endpointNumber } = findUsbPrinterEndpoint(device);
+    await device.claimInterface(interfaceNumber);
+    
+    try {
+      await device.transferOut(endpointNumber, bytes);
+    } finally {
+      await device.releaseInterface(interfaceNumber);
+    }
+  } finally {
+    await device.close();
+  }
+}
+
+// Save the bytes as a .bin file that can be sent to the printer manually
+function downloadPrinterFile(bytes, printer, fileName = 'struk') {
+  downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), `${fileName}.bin`);
+  return Promise.resolve();
+}
+
+// Get the transport selected in the printer settings
+function getPrinterTransport(printer) {
+  const transport = PRINTER_TRANSPORTS[printer.transport] || PRINTER_TRANSPORTS.download;
+  
+  if (!transport.isSupported()) {
+    throw new Error(`${transport.label} tidak didukung browser ini`);
+  }
+  
+  return transport;
+}
+
+// Print a transaction on the ESC/POS printer
+function printEscPosReceipt(transaction, { store, receipt, printer }, options = {}) {
+  const logo = receipt.logo ? loadEscPosLogo(receipt.logo, printer.paperSize) : Promise.resolve(null);
+  
+  return logo.catch(err => {
+    console.error('Error loading receipt logo:', err);
+    return null;
+  }).then(bitmap => {
+    const transport = getPrinterTransport(printer);
+    const bytes = encodeEscPosReceipt(transaction, store, receipt, {
+      paperSize: printer.paperSize,
+      logo: bitmap,
+      cut: printer.autoCut !== false,
+      openDrawer: printer.openDrawer && !options.reprint && hasCashPayment(transaction)
+    }, ESC_POS_RECEIPT_FORMAT);
+    
+    return transport.send(bytes, printer, transaction.invoice);
+  });
+}
+
+// ==================== REPORTS ====================
+
+// Active transactions shown by the last generated report
+let lastReportTransactions = [];
+// Profit lines of the last generated report with the product and supplier lookups they were built with
+let lastReportProfit = null;
+// Every transaction of the last generated report, voided ones included, newest first
+let lastReportAllTransactions = [];
+// Type and date range of the last generated report, null until one is generated
+let lastReportPeriod = null;
+
+// Report type names used in exported documents
+const REPORT_TYPE_LABELS = {
+  daily: 'Harian',
+  weekly: 'Mingguan',
+  monthly: 'Bulanan',
+  yearly: 'Tahunan',
+  custom: 'Kustom'
+};
+
+// Setup report dates
+function setupReportDates() {
+  const today = new Date().toISOString().split('T')[0];
+  document.getElementById('report-date').value = today;
+  document.getElementById('start-date').value = today;
+  document.getElementById('end-date').value = today;
+  
+  changeReportType();
+}
+
+// Change report type
+function changeReportType() {
+  const type = document.getElementById('report-type').value;
+  
+  document.getElementById('daily-filter').classList.toggle('hidden', type !== 'daily');
+  document.getElementById('custom-filter').classList.toggle('hidden', type !== 'custom');
+}
+
+// Get the date range of a report type; daily and custom ranges are read from the report filters
+function getReportPeriod(type) {
+  let startDate, endDate;
+  
+  if (type === 'daily') {
+    const date = new Date(document.getElementById('report-date').value);
+    startDate = new Date(date.setHours(0, 0, 0, 0));
+    endDate = new Date(date.setHours(23, 59, 59, 999));
+  } else if (type === 'custom') {
+    startDate = new Date(document.getElementById('start-date').value);
+    endDate = new Date(document.getElementById('end-date').value);
+    startDate.setHours(0, 0, 0, 0);
+    endDate.setHours(23, 59, 59, 999);
+  } else {
+    // Weekly, monthly, yearly
+    const now = new Date();
+    
+    if (type === 'weekly') {
+      startDate = new Date(now.setDate(now.getDate() - now.getDay()));
+      endDate = new Date(now.setDate(now.getDate() + 6));
+    } else if (type === 'monthly') {
+      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+      endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    } else if (type === 'yearly') {
+      startDate = new Date(now.getFullYear(), 0, 1);
+      endDate = new Date(now.getFullYear(), 11, 31);
+    }
+    
+    startDate.setHours(0, 0, 0, 0);
     endDate.setHours(23, 59, 59, 999);
   }
   
-  // Get transactions in date range
-  const transaction = db.transaction(STORES.TRANSACTIONS, 'readonly');
-  const store = transaction.objectStore(STORES.TRANSACTIONS);
-  const index = store.index('date');
-  const range = IDBKeyRange.bound(startDate, endDate);
-  const request = index.getAll(range);
+  return { type, startDate, endDate };
+}
+
+// Generate report
+function generateReport() {
+  const type = document.getElementById('report-type').value;
+  const { startDate, endDate } = getReportPeriod(type);
+  
+  // Get transactions in date range
+  const transaction = db.transaction(STORES.TRANSACTIONS, 'readonly');
+  const store = transaction.objectStore(STORES.TRANSACTIONS);
+  const index = store.index('date');
+  const range = IDBKeyRange.bound(startDate, endDate);
+  const request = index.getAll(range);
+  
+  request.onsuccess = () => {
+    const allTransactions = request.result.reverse();
+    const transactions = allTransactions.filter(isActiveTransaction);
+    
+    // Update summary
+    const summary = summarizeReport(transactions);
+    
+    formatCurrency(summary.totalSales).then(formatted => {
+      document.getElementById('report-total-sales').textContent = formatted;
+    });
+    
+    formatCurrency(summary.totalRefunds).then(formatted => {
+      document.getElementById('report-total-refunds').textContent = formatted;
+    });
+    
+    document.getElementById('report-total-transactions').textContent = summary.transactionCount;
+    document.getElementById('report-total-items').textContent = formatQuantity(summary.totalItems);
+    
+    lastReportPeriod = { type, startDate, endDate };
+    lastReportAllTransactions = allTransactions;
+    displayProfitReport(transactions);
+    displaySalesCharts('report', lastReportPeriod);
+    
+    // Update payment method, promotion and product breakdowns
+    displayPaymentBreakdown(transactions);
+    displayPromotionBreakdown(transactions);
+    lastReportTransactions = transactions;
+    displayProductSales(transactions);
+    displayBundleConsumption(transactions);
+    displayCategorySales(transactions);
+    
+    // Update transactions list
+    const tbody = document.getElementById('transactions-list');
+    tbody.innerHTML = '';
+    
+    // Voided transactions stay in the list for audit
+    if (allTransactions.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Tidak ada transaksi</td></tr>';
+      return;
+    }
+    
+    allTransactions.forEach(t => {
+      const row = document.createElement('tr');
+      
+      const isRefund = t.type === 'refund';
+      if (t.voided) {
+        row.className = 'voided';
+      }
+      
+      row.innerHTML = `
+                <td>
+                    ${t.invoice}
+                    ${isRefund ? `<div class="transaction-note">Retur dari ${t.refundOf}</div>` : ''}
+                    ${t.voided ? `<div class="transaction-note">Void: ${escapeHtml(getVoidReasonLabel(t.voidReason))} (${escapeHtml(t.voidedBy)})</div>` : ''}
+                </td>
+                <td>${new Date(t.date).toLocaleString('id-ID')}</td>
+                <td>${t.items.length} item(s)</td>
+                <td>${formatCurrencySync(t.total)}</td>
+                <td>${escapeHtml(formatPaymentSummary(t))}</td>
+                <td>
+                    <button class="btn-view" data-id="${t.id}">
+                        <i class="fas fa-eye"></i> Lihat
+                    </button>
+                    <button class="btn-print" data-id="${t.id}">
+                        <i class="fas fa-print"></i> Cetak
+                    </button>
+                    ${isRefund || t.voided ? '' : `
+                    <button class="btn-return" data-invoice="${t.invoice}">
+                        <i class="fas fa-undo"></i> Retur
+                    </button>`}
+                    ${t.voided ? '' : `
+                    <button class="btn-void" data-id="${t.id}">
+                        <i class="fas fa-ban"></i> Void
+                    </button>`}
+                </td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+  };
+}
+
+// Net sales of a line item after its promotion discount (negative for returned items)
+function getItemNetSales(item) {
+  return item.price * item.quantity - (item.discount || 0) * Math.sign(item.quantity);
+}
+
+// Cost of one sold unit of a line item at today's product cost; bundles cost their components
+function getCurrentItemCost(item, productsById) {
+  if (item.components) {
+    return item.components.reduce((sum, component) => {
+      const product = productsById.get(component.productId);
+      return sum + (product ? product.cost || 0 : 0) * component.quantity;
+    }, 0) * (item.factor || 1);
+  }
+  
+  const product = productsById.get(item.productId);
+  return product ? (product.cost || 0) * (item.factor || 1) : 0;
+}
+
+// Cost of one sold unit of a line item as stored at sale time
+// Lines sold before costs were stored fall back to today's cost and are flagged as estimated
+function getItemCost(item, productsById) {
+  if (typeof item.cost === 'number') {
+    return { cost: item.cost, estimated: false };
+  }
+  
+  return { cost: getCurrentItemCost(item, productsById), estimated: true };
+}
+
+// Split the revenue of each transaction over its lines, with the cost of goods sold per line
+// Revenue excludes tax; cart discounts are shared out in proportion to the net sales of each line
+function getProfitLines(transactions, productsById) {
+  const lines = [];
+  
+  transactions.forEach(t => {
+    const netSales = t.items.reduce((sum, item) => sum + getItemNetSales(item), 0);
+    const share = netSales ? (t.subtotal - (t.discount || 0)) / netSales : 0;
+    
+    t.items.forEach(item => {
+      const { cost, estimated } = getItemCost(item, productsById);
+      
+      lines.push({
+        transaction: t,
+        item,
+        revenue: getItemNetSales(item) * share,
+        cogs: cost * item.quantity,
+        estimated
+      });
+    });
+  });
+  
+  return lines;
+}
+
+// Gross margin as a percentage of revenue, null without revenue
+function getMarginPercent(revenue, profit) {
+  return revenue ? profit / revenue * 100 : null;
+}
+
+// Format a gross margin for display
+function formatMargin(margin) {
+  return margin === null ? '-' : `${margin.toFixed(1)}%`;
+}
+
+// Add up revenue, cost of goods sold and gross profit of profit lines
+function summarizeProfit(lines) {
+  const revenue = lines.reduce((sum, line) => sum + line.revenue, 0);
+  const cogs = lines.reduce((sum, line) => sum + line.cogs, 0);
+  
+  return {
+    revenue,
+    cogs,
+    profit: revenue - cogs,
+    margin: getMarginPercent(revenue, revenue - cogs),
+    estimated: lines.some(line => line.estimated)
+  };
+}
+
+// Summarize profit lines per group; getGroup returns the { key, name } of the group of a line
+function groupProfitLines(lines, getGroup) {
+  const groups = new Map();
+  
+  lines.forEach(line => {
+    const { key, name } = getGroup(line);
+    
+    if (!groups.has(key)) {
+      groups.set(key, { key, name, lines: [] });
+    }
+    groups.get(key).lines.push(line);
+  });
+  
+  return Array.from(groups.values()).map(group => ({ key: group.key, name: group.name, depth: 0, ...summarizeProfit(group.lines) }));
+}
+
+// Summarize profit per day, or per month for a yearly report
+function summarizeProfitByPeriod(lines, type) {
+  return groupProfitLines(lines, line => {
+    const date = new Date(line.transaction.date);
+    
+    if (type === 'yearly') {
+      return {
+        key: getLocalDateKey(date).slice(0, 7),
+        name: date.toLocaleDateString('id-ID', { month: 'long', year: 'numeric' })
+      };
+    }
+    
+    return {
+      key: getLocalDateKey(date),
+      name: date.toLocaleDateString('id-ID', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+    };
+  }).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Summarize profit per sold product, variants and bundles on their own
+function summarizeProfitByProduct(lines) {
+  return groupProfitLines(lines, line => ({ key: line.item.productId, name: line.item.name }))
+    .sort((a, b) => b.profit - a.profit);
+}
+
+// Summarize profit per category in tree order; each category includes its subcategories
+function summarizeProfitByCategory(lines, productsById) {
+  const own = new Map();
+  
+  lines.forEach(line => {
+    const product = productsById.get(line.item.productId);
+    const categoryId = line.item.categoryId !== undefined ? line.item.categoryId : product && product.categoryId;
+    const key = getCategory(categoryId) ? categoryId : null;
+    
+    if (!own.has(key)) {
+      own.set(key, []);
+    }
+    own.get(key).push(line);
+  });
+  
+  const rows = [];
+  getCategoryTree().forEach(({ category, depth }) => {
+    const soldIds = Array.from(getCategoryDescendantIds(category.id)).filter(id => own.has(id));
+    if (soldIds.length > 0) {
+      rows.push({ name: category.name, depth, ...summarizeProfit(soldIds.flatMap(id => own.get(id))) });
+    }
+  });
+  
+  if (own.has(null)) {
+    rows.push({ name: 'Tanpa kategori', depth: 0, ...summarizeProfit(own.get(null)) });
+  }
+  
+  return rows;
+}
+
+// Summarize profit per current supplier of the sold products
+function summarizeProfitBySupplier(lines, productsById, suppliersById) {
+  return groupProfitLines(lines, line => {
+    const product = productsById.get(line.item.productId);
+    const supplier = product && suppliersById.get(product.supplierId);
+    
+    return supplier ? { key: supplier.id, name: supplier.name } : { key: null, name: 'Tanpa supplier' };
+  }).sort((a, b) => b.profit - a.profit);
+}
+
+// Load costs and suppliers, then show profit cards, the profit table and the lowest margins
+function displayProfitReport(transactions) {
+  const transaction = db.transaction([STORES.PRODUCTS, STORES.SUPPLIERS], 'readonly');
+  const productsRequest = transaction.objectStore(STORES.PRODUCTS).getAll();
+  const suppliersRequest = transaction.objectStore(STORES.SUPPLIERS).getAll();
+  
+  transaction.oncomplete = () => {
+    const productsById = new Map(productsRequest.result.map(product => [product.id, product]));
+    const suppliersById = new Map(suppliersRequest.result.map(supplier => [supplier.id, supplier]));
+    const lines = getProfitLines(transactions, productsById);
+    const summary = summarizeProfit(lines);
+    
+    lastReportProfit = { lines, productsById, suppliersById };
+    
+    document.getElementById('report-total-cogs').textContent = formatCurrencySync(summary.cogs);
+    document.getElementById('report-gross-profit').textContent = formatCurrencySync(summary.profit);
+    document.getElementById('report-gross-margin').textContent = formatMargin(summary.margin);
+    document.getElementById('report-cost-note').classList.toggle('hidden', !summary.estimated);
+    
+    displayProfitBreakdown();
+    displayLowestMargins();
+  };
+}
+
+// Display profit grouped as chosen in the report
+function displayProfitBreakdown() {
+  const grouping = document.getElementById('report-profit-grouping').value;
+  const tbody = document.getElementById('profit-list');
+  
+  if (!lastReportProfit) {
+    return;
+  }
+  
+  const { lines, productsById, suppliersById } = lastReportProfit;
+  tbody.innerHTML = '';
+  
+  let rows;
+  if (grouping === 'product') {
+    rows = summarizeProfitByProduct(lines);
+  } else if (grouping === 'category') {
+    rows = summarizeProfitByCategory(lines, productsById);
+  } else if (grouping === 'supplier') {
+    rows = summarizeProfitBySupplier(lines, productsById, suppliersById);
+  } else {
+    rows = summarizeProfitByPeriod(lines, lastReportPeriod.type);
+  }
+  
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" class="text-center">Tidak ada penjualan</td></tr>';
+    return;
+  }
+  
+  rows.forEach(total => {
+    const row = document.createElement('tr');
+    row.className = grouping === 'category' && total.depth === 0 ? 'category-total' : '';
+    
+    row.innerHTML = `
+            <td>
+                <span style="padding-left: ${total.depth * 20}px">${escapeHtml(total.name)}</span>
+                ${total.estimated ? '<div class="transaction-note">HPP estimasi</div>' : ''}
+            </td>
+            <td>${formatCurrencySync(total.revenue)}</td>
+            <td>${formatCurrencySync(total.cogs)}</td>
+            <td class="${total.profit < 0 ? 'movement-out' : ''}">${formatCurrencySync(total.profit)}</td>
+            <td>${formatMargin(total.margin)}</td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+}
+
+// Display the sold products with the lowest gross margin
+function displayLowestMargins() {
+  const tbody = document.getElementById('lowest-margin-list');
+  tbody.innerHTML = '';
+  
+  const rows = summarizeProfitByProduct(lastReportProfit.lines)
+    .filter(total => total.revenue > 0)
+    .sort((a, b) => a.margin - b.margin)
+    .slice(0, 10);
+  
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" class="text-center">Tidak ada penjualan</td></tr>';
+    return;
+  }
+  
+  rows.forEach(total => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+            <td>
+                ${escapeHtml(total.name)}
+                ${total.estimated ? '<div class="transaction-note">HPP estimasi</div>' : ''}
+            </td>
+            <td>${formatCurrencySync(total.revenue)}</td>
+            <td class="${total.profit < 0 ? 'movement-out' : ''}">${formatCurrencySync(total.profit)}</td>
+            <td>${formatMargin(total.margin)}</td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+}
+
+// Sum quantity and net sales per product, or per parent product for variants when rolled up
+function summarizeProductSales(transactions, byParent) {
+  const totals = {};
+  
+  transactions.forEach(t => {
+    t.items.forEach(item => {
+      const rollUp = byParent && item.parentId;
+      const key = rollUp ? `parent-${item.parentId}` : `product-${item.productId}`;
+      
+      if (!totals[key]) {
+        totals[key] = {
+          name: rollUp ? item.parentName : item.name,
+          unit: item.baseUnit,
+          variants: new Set(),
+          bundle: !!item.components,
+          quantity: 0,
+          sales: 0
+        };
+      }
+      
+      if (rollUp) {
+        totals[key].variants.add(item.variant);
+      }
+      totals[key].quantity = roundQuantity(totals[key].quantity + getBaseQuantity(item), item.baseUnit);
+      totals[key].sales += getItemNetSales(item);
+    });
+  });
+  
+  return Object.values(totals).sort((a, b) => b.sales - a.sales);
+}
+
+// Display sales per product in the report
+function displayProductSales(transactions) {
+  const byParent = document.getElementById('report-product-grouping').value === 'parent';
+  const tbody = document.getElementById('product-sales-list');
+  tbody.innerHTML = '';
+  
+  const rows = summarizeProductSales(transactions, byParent);
+  
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="3" class="text-center">Tidak ada penjualan</td></tr>';
+    return;
+  }
+  
+  rows.forEach(total => {
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            <td>
+                ${escapeHtml(total.name)}
+                ${total.variants.size > 0 ? `<div class="transaction-note">${total.variants.size} varian</div>` : ''}
+                ${total.bundle ? '<div class="transaction-note">Paket</div>' : ''}
+            </td>
+            <td>${formatQuantity(total.quantity, total.unit)}</td>
+            <td>${formatCurrencySync(total.sales)}</td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+}
+
+// Sum the component stock used by the bundles sold, per component product (returns count negative)
+function summarizeBundleConsumption(transactions) {
+  const totals = {};
+  
+  transactions.forEach(t => {
+    t.items.filter(item => item.components).forEach(item => {
+      getItemStockLines(item).forEach(line => {
+        if (!totals[line.productId]) {
+          totals[line.productId] = {
+            code: line.source.code,
+            name: line.name,
+            unit: line.unit,
+            bundles: new Set(),
+            quantity: 0
+          };
+        }
+        
+        totals[line.productId].bundles.add(item.name);
+        totals[line.productId].quantity = roundQuantity(totals[line.productId].quantity + line.quantity, line.unit);
+      });
+    });
+  });
+  
+  return Object.values(totals).sort((a, b) => b.quantity - a.quantity);
+}
+
+// Display the component stock used by bundles in the report
+function displayBundleConsumption(transactions) {
+  const tbody = document.getElementById('bundle-consumption-list');
+  tbody.innerHTML = '';
+  
+  const rows = summarizeBundleConsumption(transactions);
+  
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="3" class="text-center">Tidak ada penjualan paket</td></tr>';
+    return;
+  }
+  
+  rows.forEach(total => {
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            <td>
+                ${escapeHtml(total.name)}
+                <div class="transaction-note">${escapeHtml(total.code)}</div>
+            </td>
+            <td>${formatQuantity(total.quantity, total.unit)}</td>
+            <td>${escapeHtml(Array.from(total.bundles).join(', '))}</td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+}
+
+// Sum net sales per category in tree order; each category includes the sales of its subcategories
+// Items sold before categories existed fall back to the current category of their product
+function summarizeCategorySales(transactions, products) {
+  const categoryByProduct = new Map(products.map(product => [product.id, product.categoryId]));
+  const own = new Map();
+  let grandTotal = 0;
+  
+  transactions.forEach(t => {
+    t.items.forEach(item => {
+      const categoryId = item.categoryId !== undefined ? item.categoryId : categoryByProduct.get(item.productId);
+      const key = getCategory(categoryId) ? categoryId : null;
+      const sales = getItemNetSales(item);
+      
+      own.set(key, (own.get(key) || 0) + sales);
+      grandTotal += sales;
+    });
+  });
+  
+  const rows = [];
+  getCategoryTree().forEach(({ category, depth }) => {
+    const soldIds = Array.from(getCategoryDescendantIds(category.id)).filter(id => own.has(id));
+    if (soldIds.length > 0) {
+      rows.push({ name: category.name, depth, sales: soldIds.reduce((sum, id) => sum + own.get(id), 0) });
+    }
+  });
+  
+  if (own.has(null)) {
+    rows.push({ name: 'Tanpa kategori', depth: 0, sales: own.get(null) });
+  }
+  
+  return rows.map(row => ({ ...row, share: grandTotal ? row.sales / grandTotal * 100 : 0 }));
+}
+
+// Display sales per category in the report, subcategories indented under their parent
+function displayCategorySales(transactions) {
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+  
+  request.onsuccess = () => {
+    const tbody = document.getElementById('category-sales-list');
+    tbody.innerHTML = '';
+    
+    const rows = summarizeCategorySales(transactions, request.result);
+    
+    if (rows.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="3" class="text-center">Tidak ada penjualan</td></tr>';
+      return;
+    }
+    
+    rows.forEach(total => {
+      const row = document.createElement('tr');
+      row.className = total.depth === 0 ? 'category-total' : '';
+      
+      row.innerHTML = `
+                <td><span style="padding-left: ${total.depth * 20}px">${escapeHtml(total.name)}</span></td>
+                <td>${formatCurrencySync(total.sales)}</td>
+                <td>${total.share.toFixed(1)}%</td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+  };
+}
+
+// Summary card totals of a report (refunds carry negative totals and quantities)
+function summarizeReport(transactions) {
+  const refunds = transactions.filter(t => t.type === 'refund');
+  
+  return {
+    totalSales: transactions.reduce((sum, t) => sum + t.total, 0),
+    totalItems: transactions.reduce((sum, t) => sum + t.items.reduce((s, i) => s + getBaseQuantity(i), 0), 0),
+    totalRefunds: refunds.reduce((sum, t) => sum - t.total, 0),
+    transactionCount: transactions.length - refunds.length
+  };
+}
+
+// Describe a report period, e.g. "Bulanan (01/10/2026 - 31/10/2026)"
+function formatReportPeriod(period) {
+  const start = period.startDate.toLocaleDateString('id-ID');
+  const end = period.endDate.toLocaleDateString('id-ID');
+  
+  return `${REPORT_TYPE_LABELS[period.type]} (${start === end ? start : `${start} - ${end}`})`;
+}
+
+// Format a date as YYYY-MM-DD in local time
+function getLocalDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// File name of an exported report, e.g. "laporan-2026-10-01_2026-10-31.pdf"
+function getReportFileName(period, extension) {
+  const start = getLocalDateKey(period.startDate);
+  const end = getLocalDateKey(period.endDate);
+  
+  return `laporan-${start === end ? start : `${start}_${end}`}.${extension}`;
+}
+
+// Total amount per payment method
+function summarizePayments(transactions) {
+  const totals = {};
+  
+  transactions.forEach(t => {
+    getPaymentAllocations(t).forEach(payment => {
+      totals[payment.method] = (totals[payment.method] || 0) + payment.amount;
+    });
+  });
+  
+  return totals;
+}
+
+// Display report totals per payment method
+function displayPaymentBreakdown(transactions) {
+  const totals = summarizePayments(transactions);
+  const container = document.getElementById('report-payment-breakdown');
+  container.innerHTML = '';
+  
+  Object.entries(totals).forEach(([method, amount]) => {
+    const item = document.createElement('div');
+    item.className = 'breakdown-item';
+    
+    item.innerHTML = `
+            <span>${escapeHtml(getPaymentMethodLabel(method))}</span>
+            <strong>${formatCurrencySync(amount)}</strong>
+        `;
+    
+    container.appendChild(item);
+  });
+}
+
+// Times applied and discount given per promotion
+function summarizePromotions(transactions) {
+  const totals = {};
+  
+  transactions.filter(t => t.type !== 'refund').forEach(t => {
+    (t.promotions || []).forEach(promotion => {
+      if (!totals[promotion.name]) {
+        totals[promotion.name] = { count: 0, amount: 0 };
+      }
+      totals[promotion.name].count += 1;
+      totals[promotion.name].amount += promotion.amount;
+    });
+  });
+  
+  return totals;
+}
+
+// Display report totals per promotion
+function displayPromotionBreakdown(transactions) {
+  const totals = summarizePromotions(transactions);
+  const container = document.getElementById('report-promotion-breakdown');
+  container.innerHTML = '';
+  
+  Object.entries(totals).forEach(([name, total]) => {
+    const item = document.createElement('div');
+    item.className = 'breakdown-item';
+    
+    item.innerHTML = `
+            <span><i class="fas fa-tags"></i> ${escapeHtml(name)} (${total.count}x)</span>
+            <strong>-${formatCurrencySync(total.amount)}</strong>
+        `;
+    
+    container.appendChild(item);
+  });
+}
+
+// View transaction details
+function viewTransactionDetails(id) {
+  getRecord(STORES.TRANSACTIONS, id).then(transaction => {
+    if (transaction) {
+      let details = `=== DETAIL TRANSAKSI ===\n`;
+      details += `No. Invoice: ${transaction.invoice}\n`;
+      if (transaction.type === 'refund') {
+        details += `Retur dari: ${transaction.refundOf}\n`;
+        details += `Alasan: ${transaction.reason || '-'}\n`;
+      }
+      if (transaction.voided) {
+        details += `VOID: ${new Date(transaction.voidedAt).toLocaleString('id-ID')} oleh ${transaction.voidedBy}\n`;
+        details += `Alasan void: ${getVoidReasonLabel(transaction.voidReason)}${transaction.voidNote ? ` - ${transaction.voidNote}` : ''}\n`;
+      }
+      details += `Tanggal: ${new Date(transaction.date).toLocaleString('id-ID')}\n\n`;
+      details += `ITEM\tQTY\tHARGA\n`;
+      
+      transaction.items.forEach(item => {
+        details += `${item.name}\t${formatQuantity(item.quantity, item.unit)}\t${formatCurrencySync(item.price * item.quantity)}\n`;
+      });
+      
+      details += `\nSubtotal: ${formatCurrencySync(transaction.subtotal)}\n`;
+      (transaction.promotions || []).forEach(promotion => {
+        details += `${promotion.name}: -${formatCurrencySync(promotion.amount)}\n`;
+      });
+      if (getManualDiscount(transaction) > 0) {
+        details += `Diskon: -${formatCurrencySync(getManualDiscount(transaction))}\n`;
+      }
+      if (transaction.tax > 0) {
+        details += `Pajak: +${formatCurrencySync(transaction.tax)}\n`;
+      }
+      details += `TOTAL: ${formatCurrencySync(transaction.total)}\n\n`;
+      getTransactionPayments(transaction).forEach(payment => {
+        details += `${getPaymentMethodLabel(payment.method).toUpperCase()}: ${formatCurrencySync(payment.amount)}`;
+        details += payment.reference ? ` (Ref: ${payment.reference})\n` : '\n';
+      });
+      details += `Diterima: ${formatCurrencySync(transaction.amountReceived)}\n`;
+      details += `Kembalian: ${formatCurrencySync(transaction.change)}`;
+      
+      alert(details);
+    }
+  });
+}
+
+// Export the last generated report to PDF
+function exportPDF() {
+  if (!lastReportPeriod) {
+    showToast('Generate laporan terlebih dahulu', 'warning');
+    return;
+  }
+  
+  const period = lastReportPeriod;
+  const allTransactions = lastReportAllTransactions;
+  const transactions = lastReportTransactions;
+  const detailed = document.getElementById('export-detailed').checked;
+  
+  loadReceiptContext().then(({ store }) => {
+    const pdf = buildReportPdf({ store, period, transactions, allTransactions, detailed, printedAt: new Date() });
+    
+    downloadBlob(new Blob([pdf], { type: 'application/pdf' }), getReportFileName(period, 'pdf'));
+    showToast('Laporan PDF berhasil dibuat', 'success');
+  }).catch(error => {
+    console.error('Error exporting PDF:', error);
+    showToast('Gagal membuat PDF', 'error');
+  });
+}
+
+// Export the last generated report to an Excel workbook
+function exportExcel() {
+  if (!lastReportPeriod) {
+    showToast('Generate laporan terlebih dahulu', 'warning');
+    return;
+  }
+  
+  const period = lastReportPeriod;
+  const allTransactions = lastReportAllTransactions;
+  const transactions = lastReportTransactions;
+  
+  Promise.all([
+    loadReceiptContext(),
+    new Promise((resolve, reject) => {
+      const request = db.transaction(STORES.PRODUCTS, 'readonly').objectStore(STORES.PRODUCTS).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    })
+  ]).then(([{ store }, products]) => {
+    const productsById = new Map(products.map(product => [product.id, product]));
+    const workbook = buildReportWorkbook({ store, period, transactions, allTransactions, productsById, printedAt: new Date() });
+    
+    downloadBlob(new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), getReportFileName(period, 'xlsx'));
+    showToast('Laporan Excel berhasil dibuat', 'success');
+  }).catch(error => {
+    console.error('Error exporting Excel:', error);
+    showToast('Gagal membuat file Excel', 'error');
+  });
+}
+
+// ==================== CHARTS ====================
+
+// Series colours, from the app palette
+const CHART_COLORS = ['#4361ee', '#f72585', '#4cc9f0', '#f8961e', '#3a0ca3', '#4895ef', '#6c757d'];
+
+// Weekday rows of the heatmap, Monday first
+const CHART_WEEKDAYS = ['Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab', 'Min'];
+
+// Shorten an amount for chart axes, e.g. 1.250.000 -> "1,3 jt"
+function formatChartValue(value) {
+  return new Intl.NumberFormat('id-ID', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+// Round an axis maximum up to 1, 2, 2.5 or 5 times a power of ten
+function getNiceChartMax(max) {
+  if (max <= 0) {
+    return 1;
+  }
+  
+  const magnitude = Math.pow(10, Math.floor(Math.log10(max)));
+  const step = [1, 2, 2.5, 5, 10].find(step => step * magnitude >= max);
+  
+  return step * magnitude;
+}
+
+// Get the period a report period is compared with: the previous day, week, month or year,
+// or for a custom range the same number of days right before it
+function getPreviousPeriod(period) {
+  const { type, startDate, endDate } = period;
+  
+  if (type === 'monthly') {
+    return {
+      type,
+      startDate: new Date(startDate.getFullYear(), startDate.getMonth() - 1, 1),
+      endDate: new Date(startDate.getFullYear(), startDate.getMonth(), 0, 23, 59, 59, 999)
+    };
+  }
+  
+  if (type === 'yearly') {
+    return {
+      type,
+      startDate: new Date(startDate.getFullYear() - 1, 0, 1),
+      endDate: new Date(startDate.getFullYear() - 1, 11, 31, 23, 59, 59, 999)
+    };
+  }
+  
+  const days = Math.round((endDate - startDate) / 86400000);
+  const previousStart = new Date(startDate);
+  previousStart.setDate(previousStart.getDate() - days);
+  
+  return { type, startDate: previousStart, endDate: new Date(startDate.getTime() - 1) };
+}
+
+// Get the buckets of the sales trend: hours of a single day, months of a year, otherwise days
+function getTrendBuckets(period) {
+  if (period.type === 'yearly') {
+    return {
+      unit: 'month',
+      labels: Array.from({ length: 12 }, (_, month) => new Date(2000, month, 1).toLocaleDateString('id-ID', { month: 'short' }))
+    };
+  }
+  
+  const days = Math.round((period.endDate - period.startDate) / 86400000);
+  
+  if (days <= 1) {
+    return { unit: 'hour', labels: Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0')) };
+  }
+  
+  return {
+    unit: 'day',
+    labels: Array.from({ length: days }, (_, day) => {
+      const date = new Date(period.startDate);
+      date.setDate(date.getDate() + day);
+      return date.toLocaleDateString('id-ID', { day: 'numeric', month: 'numeric' });
+    })
+  };
+}
+
+// Sum net sales per trend bucket, counted from the start of a period
+function summarizeTrend(transactions, startDate, buckets) {
+  const values = buckets.labels.map(() => 0);
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  
+  transactions.forEach(t => {
+    const date = new Date(t.date);
+    let index;
+    
+    if (buckets.unit === 'hour') {
+      index = date.getHours();
+    } else if (buckets.unit === 'month') {
+      index = (date.getFullYear() - start.getFullYear()) * 12 + date.getMonth() - start.getMonth();
+    } else {
+      index = Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - start) / 86400000);
+    }
+    
+    if (index >= 0 && index < values.length) {
+      values[index] += t.total;
+    }
+  });
+  
+  return values;
+}
+
+// Sum net sales and count sales per weekday (Monday first) and hour of the day
+function summarizeSalesHeatmap(transactions) {
+  const cells = CHART_WEEKDAYS.map(() => Array.from({ length: 24 }, () => ({ sales: 0, count: 0 })));
+  
+  transactions.forEach(t => {
+    const date = new Date(t.date);
+    const cell = cells[(date.getDay() + 6) % 7][date.getHours()];
+    
+    cell.sales += t.total;
+    if (t.type !== 'refund') {
+      cell.count += 1;
+    }
+  });
+  
+  return cells;
+}
+
+// Draw the sales trend as lines: this period solid, the previous period dashed
+function buildTrendChartSvg(current, previous, labels) {
+  const width = 600;
+  const height = 240;
+  const left = 52;
+  const right = 12;
+  const top = 28;
+  const bottom = 24;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const max = getNiceChartMax(Math.max(...current, ...previous));
+  
+  const x = index => left + (labels.length > 1 ? index * plotWidth / (labels.length - 1) : plotWidth / 2);
+  const y = value => top + plotHeight - Math.max(value, 0) / max * plotHeight;
+  
+  let grid = '';
+  for (let i = 0; i <= 4; i++) {
+    const value = max * i / 4;
+    grid += `<line x1="${left}" y1="${y(value)}" x2="${width - right}" y2="${y(value)}" stroke="#e9ecef"/>`;
+    grid += `<text x="${left - 6}" y="${y(value) + 4}" font-size="10" text-anchor="end" fill="#6c757d">${escapeHtml(formatChartValue(value))}</text>`;
+  }
+  
+  // Label at most about ten buckets so the axis stays readable
+  const every = Math.ceil(labels.length / 10);
+  const axis = labels
+    .map((label, index) => index % every === 0 ? `<text x="${x(index)}" y="${height - 6}" font-size="10" text-anchor="middle" fill="#6c757d">${escapeHtml(label)}</text>` : '')
+    .join('');
+  
+  const line = (values, color, dashed) => `<polyline fill="none" stroke="${color}" stroke-width="2"${dashed ? ' stroke-dasharray="5 4"' : ''} points="${values.map((value, index) => `${x(index)},${y(value)}`).join(' ')}"/>`;
+  
+  const points = current
+    .map((value, index) => `<circle cx="${x(index)}" cy="${y(value)}" r="3" fill="${CHART_COLORS[0]}"><title>${escapeHtml(labels[index])}: ${escapeHtml(formatCurrencySync(value))} (sebelumnya ${escapeHtml(formatCurrencySync(previous[index] || 0))})</title></circle>`)
+    .join('');
+  
+  const legend = `<line x1="${left}" y1="10" x2="${left + 20}" y2="10" stroke="${CHART_COLORS[0]}" stroke-width="2"/>` +
+    `<text x="${left + 26}" y="14" font-size="11" fill="#212529">Periode ini</text>` +
+    `<line x1="${left + 110}" y1="10" x2="${left + 130}" y2="10" stroke="#6c757d" stroke-width="2" stroke-dasharray="5 4"/>` +
+    `<text x="${left + 136}" y="14" font-size="11" fill="#212529">Periode sebelumnya</text>`;
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" font-family="sans-serif">${grid}${axis}${legend}${line(previous, '#6c757d', true)}${line(current, CHART_COLORS[0], false)}${points}</svg>`;
+}
+
+// Draw net sales per weekday and hour as a grid shaded by amount
+function buildHeatmapSvg(cells) {
+  const cellWidth = 22;
+  const cellHeight = 20;
+  const left = 34;
+  const top = 16;
+  const width = left + cellWidth * 24 + 4;
+  const height = top + cellHeight * 7 + 4;
+  const max = Math.max(...cells.flat().map(cell => cell.sales));
+  
+  let svg = '';
+  
+  for (let hour = 0; hour < 24; hour += 3) {
+    svg += `<text x="${left + hour * cellWidth + cellWidth / 2}" y="11" font-size="10" text-anchor="middle" fill="#6c757d">${String(hour).padStart(2, '0')}</text>`;
+  }
+  
+  cells.forEach((row, day) => {
+    svg += `<text x="${left - 6}" y="${top + day * cellHeight + 14}" font-size="10" text-anchor="end" fill="#6c757d">${CHART_WEEKDAYS[day]}</text>`;
+    
+    row.forEach((cell, hour) => {
+      const shade = max > 0 && cell.sales > 0 ? 0.12 + 0.88 * cell.sales / max : 0;
+      const fill = shade > 0 ? `fill="${CHART_COLORS[0]}" fill-opacity="${shade.toFixed(2)}"` : 'fill="#e9ecef"';
+      const label = `${CHART_WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00 - ${formatCurrencySync(cell.sales)} (${cell.count} transaksi)`;
+      
+      svg += `<rect x="${left + hour * cellWidth + 1}" y="${top + day * cellHeight + 1}" width="${cellWidth - 2}" height="${cellHeight - 2}" rx="3" ${fill}><title>${escapeHtml(label)}</title></rect>`;
+    });
+  });
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" font-family="sans-serif">${svg}</svg>`;
+}
+
+// Draw shares of a total as a donut with a legend; slices: [{ label, value }]
+function buildDonutChartSvg(slices) {
+  const radius = 60;
+  const center = 80;
+  const circumference = 2 * Math.PI * radius;
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  let offset = 0;
+  let svg = '';
+  
+  slices.forEach((slice, index) => {
+    const color = CHART_COLORS[index % CHART_COLORS.length];
+    const length = slice.value / total * circumference;
+    const share = `${(slice.value / total * 100).toFixed(1)}%`;
+    
+    // Each slice is a dash of a thick circle outline, starting at twelve o'clock
+    svg += `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="${color}" stroke-width="28" ` +
+      `stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${center} ${center})">` +
+      `<title>${escapeHtml(slice.label)}: ${escapeHtml(formatCurrencySync(slice.value))} (${share})</title></circle>`;
+    offset += length;
+    
+    const legendY = 24 + index * 20;
+    svg += `<rect x="180" y="${legendY - 10}" width="12" height="12" rx="2" fill="${color}"/>` +
+      `<text x="198" y="${legendY}" font-size="11" fill="#212529">${escapeHtml(slice.label)} - ${share}</text>`;
+  });
+  
+  const height = Math.max(160, 24 + slices.length * 20);
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 ${height}" font-family="sans-serif">${svg}</svg>`;
+}
+
+// Draw amounts as horizontal bars; rows: [{ label, value }]
+function buildBarChartSvg(rows) {
+  const labelWidth = 130;
+  const barWidth = 200;
+  const rowHeight = 26;
+  const max = Math.max(...rows.map(row => row.value), 0) || 1;
+  let svg = '';
+  
+  rows.forEach((row, index) => {
+    const y = index * rowHeight;
+    const width = Math.max(row.value, 0) / max * barWidth;
+    const label = row.label.length > 20 ? `${row.label.slice(0, 19)}...` : row.label;
+    
+    svg += `<text x="${labelWidth - 8}" y="${y + 17}" font-size="11" text-anchor="end" fill="#212529"><title>${escapeHtml(row.label)}</title>${escapeHtml(label)}</text>` +
+      `<rect x="${labelWidth}" y="${y + 5}" width="${width}" height="16" rx="3" fill="${CHART_COLORS[index % CHART_COLORS.length]}"/>` +
+      `<text x="${labelWidth + width + 6}" y="${y + 17}" font-size="11" fill="#6c757d">${escapeHtml(formatChartValue(row.value))}</text>`;
+  });
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 ${rows.length * rowHeight + 4}" font-family="sans-serif">${svg}</svg>`;
+}
+
+// Load the active transactions of a period and of the period before it
+function loadChartTransactions(period, previous) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.TRANSACTIONS, 'readonly');
+    const range = IDBKeyRange.bound(previous.startDate, period.endDate);
+    const request = transaction.objectStore(STORES.TRANSACTIONS).index('date').getAll(range);
+    
+    request.onsuccess = () => {
+      const transactions = request.result.filter(isActiveTransaction);
+      
+      resolve({
+        current: transactions.filter(t => new Date(t.date) >= period.startDate),
+        previous: transactions.filter(t => new Date(t.date) <= previous.endDate)
+      });
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Draw the sales charts of a period into the chart containers with the given id prefix
+function displaySalesCharts(prefix, period) {
+  const previousPeriod = getPreviousPeriod(period);
+  
+  Promise.all([
+    loadChartTransactions(period, previousPeriod),
+    new Promise((resolve, reject) => {
+      const request = db.transaction(STORES.PRODUCTS, 'readonly').objectStore(STORES.PRODUCTS).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }),
+    loadCategories()
+  ]).then(([{ current, previous }, products]) => {
+    const empty = '<p class="no-products">Tidak ada data penjualan</p>';
+    const buckets = getTrendBuckets(period);
+    
+    document.getElementById(`${prefix}-trend-chart`).innerHTML = current.length === 0 && previous.length === 0
+      ? empty
+      : buildTrendChartSvg(summarizeTrend(current, period.startDate, buckets), summarizeTrend(previous, previousPeriod.startDate, buckets), buckets.labels);
+    
+    document.getElementById(`${prefix}-heatmap-chart`).innerHTML = current.length === 0
+      ? empty
+      : buildHeatmapSvg(summarizeSalesHeatmap(current));
+    
+    const payments = Object.entries(summarizePayments(current))
+      .filter(([, amount]) => amount > 0)
+      .map(([method, amount]) => ({ label: getPaymentMethodLabel(method), value: amount }))
+      .sort((a, b) => b.value - a.value);
+    document.getElementById(`${prefix}-payment-chart`).innerHTML = payments.length === 0 ? empty : buildDonutChartSvg(payments);
+    
+    const categories = summarizeCategorySales(current, products)
+      .filter(row => row.depth === 0 && row.sales > 0)
+      .sort((a, b) => b.sales - a.sales)
+      .slice(0, 6)
+      .map(row => ({ label: row.name, value: row.sales }));
+    document.getElementById(`${prefix}-category-chart`).innerHTML = categories.length === 0 ? empty : buildBarChartSvg(categories);
+  }).catch(error => {
+    console.error('Error loading charts:', error);
+  });
+}
+
+// ==================== PDF EXPORT ====================
+
+// A4 portrait in PDF points (1/72 inch)
+const PDF_PAGE = { width: 595.28, height: 841.89, margin: 40 };
+
+// Glyph widths of the standard Helvetica fonts for ASCII 32-126, in 1/1000 of the font size
+const PDF_FONT_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Columns of the transaction table: left edge and width in points
+const PDF_REPORT_COLUMNS = {
+  invoice: { x: 40, width: 125 },
+  date: { x: 165, width: 105 },
+  items: { x: 270, width: 45 },
+  payment: { x: 315, width: 160 },
+  total: { x: 475, width: 80.28 }
+};
+
+// Make text printable with the standard PDF fonts: plain ASCII, accents dropped
+function toPdfAscii(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u203a/g, '>')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/\u00a0/g, ' ')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+// Escape the characters that end or break a PDF string
+function escapePdfString(text) {
+  return text.replace(/[\\()]/g, '\\$&');
+}
+
+// Write a coordinate without needless decimals
+function formatPdfNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Width of text in points
+function measurePdfText(text, size, bold = false) {
+  const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+  let total = 0;
+  
+  for (const char of toPdfAscii(text)) {
+    total += widths[char.charCodeAt(0) - 32];
+  }
+  
+  return total * size / 1000;
+}
+
+// Shorten text with "..." until it fits a width
+function fitPdfText(text, width, size, bold = false) {
+  let fitted = toPdfAscii(text);
+  
+  if (measurePdfText(fitted, size, bold) <= width) {
+    return fitted;
+  }
+  
+  while (fitted.length > 0 && measurePdfText(`${fitted}...`, size, bold) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  
+  return `${fitted}...`;
+}
+
+// Draw text with its baseline at y, measured from the top of the page
+// With align 'right' or 'center', x is the right edge or the middle of the text
+function drawPdfText(page, text, x, y, { size = 9, bold = false, align = 'left', gray = 0 } = {}) {
+  const plain = toPdfAscii(text);
+  const width = measurePdfText(plain, size, bold);
+  let left = x;
+  
+  if (align === 'right') {
+    left = x - width;
+  } else if (align === 'center') {
+    left = x - width / 2;
+  }
+  
+  page.push(`${gray} g BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatPdfNumber(left)} ${formatPdfNumber(PDF_PAGE.height - y)} Td (${escapePdfString(plain)}) Tj ET`);
+}
+
+// Draw a straight line between two points measured from the top of the page
+function drawPdfLine(page, x1, y1, x2, y2, width = 0.5) {
+  page.push(`${width} w ${formatPdfNumber(x1)} ${formatPdfNumber(PDF_PAGE.height - y1)} m ${formatPdfNumber(x2)} ${formatPdfNumber(PDF_PAGE.height - y2)} l S`);
+}
+
+// Fill a rectangle whose top edge is at y with a shade of gray (0 is black, 1 is white)
+function fillPdfRect(page, x, y, width, height, gray) {
+  page.push(`${gray} g ${formatPdfNumber(x)} ${formatPdfNumber(PDF_PAGE.height - y - height)} ${formatPdfNumber(width)} ${formatPdfNumber(height)} re f`);
+}
+
+// Assemble pages of drawing operators into a PDF file
+// Objects: catalog, page tree, regular and bold Helvetica, then a page and its content stream per page
+function buildPdf(pages) {
+  const objects = [
+    null,
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  
+  pages.forEach((page, index) => {
+    const content = page.join('\n');
+    
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  });
+  
+  // Everything written is ASCII, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  
+  for (let i = 1; i < objects.length; i++) {
+    offsets[i] = pdf.length;
+    pdf += `${i} 0 obj\n${objects[i]}\nendobj\n`;
+  }
+  
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let i = 1; i < objects.length; i++) {
+    pdf += `${String(offsets[i]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  
+  return pdf;
+}
+
+// Lay out a sales report as a PDF: store header, period, summary cards and the transaction table
+// report: { store, period, transactions (active), allTransactions (as listed), detailed, printedAt }
+function buildReportPdf(report) {
+  const { width, height, margin } = PDF_PAGE;
+  const right = width - margin;
+  const bottom = height - margin - 24;
+  const pages = [];
+  let page = null;
+  let y = 0;
+  
+  const drawTableHeader = () => {
+    fillPdfRect(page, margin, y, right - margin, 18, 0.9);
+    drawPdfText(page, 'No. Transaksi', PDF_REPORT_COLUMNS.invoice.x + 4, y + 12, { size: 8.5, bold: true });
+    drawPdfText(page, 'Tanggal', PDF_REPORT_COLUMNS.date.x, y + 12, { size: 8.5, bold: true });
+    drawPdfText(page, 'Items', PDF_REPORT_COLUMNS.items.x, y + 12, { size: 8.5, bold: true });
+    drawPdfText(page, 'Pembayaran', PDF_REPORT_COLUMNS.payment.x, y + 12, { size: 8.5, bold: true });
+    drawPdfText(page, 'Total', right - 4, y + 12, { size: 8.5, bold: true, align: 'right' });
+    y += 22;
+  };
+  
+  const newPage = (withTableHeader) => {
+    page = [];
+    pages.push(page);
+    y = margin;
+    
+    if (withTableHeader) {
+      drawTableHeader();
+    }
+  };
+  
+  // Start a new page when the next block does not fit; the table header is repeated on it
+  const ensureSpace = (needed) => {
+    if (y + needed > bottom) {
+      newPage(true);
+    }
+  };
+  
+  newPage(false);
+  
+  // Store header on the left, report title and period on the right
+  const store = report.store;
+  drawPdfText(page, fitPdfText(store.name || 'Toko', 300, 16, true), margin, y + 14, { size: 16, bold: true });
+  let storeY = y + 30;
+  [store.address, store.phone ? `Telp: ${store.phone}` : '', store.email, store.taxId ? `NPWP: ${store.taxId}` : '']
+    .filter(Boolean)
+    .forEach(line => {
+      drawPdfText(page, fitPdfText(line, 300, 9), margin, storeY, { size: 9, gray: 0.3 });
+      storeY += 12;
+    });
+  
+  drawPdfText(page, 'LAPORAN PENJUALAN', right, y + 14, { size: 13, bold: true, align: 'right' });
+  drawPdfText(page, `Periode: ${formatReportPeriod(report.period)}`, right, y + 30, { size: 9, align: 'right' });
+  drawPdfText(page, `Dicetak: ${report.printedAt.toLocaleString('id-ID')}`, right, y + 42, { size: 9, align: 'right', gray: 0.3 });
+  
+  y = Math.max(storeY, y + 46) + 4;
+  drawPdfLine(page, margin, y, right, y, 1);
+  y += 14;
+  
+  // Summary cards, as on the report page
+  const summary = summarizeReport(report.transactions);
+  const cards = [
+    { label: 'Total Penjualan', value: formatCurrencySync(summary.totalSales) },
+    { label: 'Total Transaksi', value: String(summary.transactionCount) },
+    { label: 'Produk Terjual', value: formatQuantity(summary.totalItems) },
+    { label: 'Total Retur', value: formatCurrencySync(summary.totalRefunds) }
+  ];
+  const cardWidth = (right - margin - 3 * 8) / 4;
+  
+  cards.forEach((card, index) => {
+    const x = margin + index * (cardWidth + 8);
+    fillPdfRect(page, x, y, cardWidth, 42, 0.94);
+    drawPdfText(page, card.label, x + 8, y + 14, { size: 8, gray: 0.3 });
+    drawPdfText(page, fitPdfText(card.value, cardWidth - 16, 12, true), x + 8, y + 32, { size: 12, bold: true });
+  });
+  y += 54;
+  
+  // Payment method and promotion totals, four to a line
+  const breakdown = [
+    ...Object.entries(summarizePayments(report.transactions))
+      .map(([method, amount]) => `${getPaymentMethodLabel(method)}: ${formatCurrencySync(amount)}`),
+    ...Object.entries(summarizePromotions(report.transactions))
+      .map(([name, total]) => `${name} (${total.count}x): -${formatCurrencySync(total.amount)}`)
+  ];
+  
+  breakdown.forEach((text, index) => {
+    if (index > 0 && index % 4 === 0) {
+      y += 12;
+    }
+    drawPdfText(page, fitPdfText(text, cardWidth, 8.5), margin + (index % 4) * (cardWidth + 8), y, { size: 8.5 });
+  });
+  y += breakdown.length > 0 ? 20 : 4;
+  
+  drawPdfText(page, report.detailed ? 'Detail Transaksi dan Item' : 'Detail Transaksi', margin, y, { size: 11, bold: true });
+  y += 8;
+  drawTableHeader();
+  
+  if (report.allTransactions.length === 0) {
+    drawPdfText(page, 'Tidak ada transaksi', width / 2, y + 8, { size: 9, align: 'center', gray: 0.4 });
+    y += 16;
+  }
+  
+  report.allTransactions.forEach(t => {
+    const notes = [];
+    if (t.type === 'refund') {
+      notes.push(`Retur dari ${t.refundOf}`);
+    }
+    if (t.voided) {
+      notes.push(`Void: ${getVoidReasonLabel(t.voidReason)} (${t.voidedBy})`);
+    }
+    
+    ensureSpace(14 + notes.length * 10);
+    y += 10;
+    
+    drawPdfText(page, fitPdfText(t.invoice, PDF_REPORT_COLUMNS.invoice.width - 8, 8.5), PDF_REPORT_COLUMNS.invoice.x + 4, y, { size: 8.5 });
+    drawPdfText(page, new Date(t.date).toLocaleString('id-ID'), PDF_REPORT_COLUMNS.date.x, y, { size: 8 });
+    drawPdfText(page, String(t.items.length), PDF_REPORT_COLUMNS.items.x, y, { size: 8.5 });
+    drawPdfText(page, fitPdfText(formatPaymentSummary(t), PDF_REPORT_COLUMNS.payment.width - 8, 8.5), PDF_REPORT_COLUMNS.payment.x, y, { size: 8.5 });
+    drawPdfText(page, formatCurrencySync(t.total), right - 4, y, { size: 8.5, align: 'right' });
+    
+    // Voided transactions stay listed for audit, struck through
+    if (t.voided) {
+      drawPdfLine(page, margin, y - 3, right, y - 3, 0.6);
+    }
+    
+    notes.forEach(note => {
+      y += 10;
+      drawPdfText(page, fitPdfText(note, right - margin - 8, 7.5), PDF_REPORT_COLUMNS.invoice.x + 4, y, { size: 7.5, gray: 0.4 });
+    });
+    
+    if (report.detailed) {
+      t.items.forEach(item => {
+        ensureSpace(11);
+        y += 10;
+        
+        drawPdfText(page, formatQuantity(item.quantity, item.unit), PDF_REPORT_COLUMNS.date.x, y, { size: 7.5, gray: 0.3 });
+        drawPdfText(page, fitPdfText(`${item.code} - ${item.name}`, PDF_REPORT_COLUMNS.payment.x - PDF_REPORT_COLUMNS.items.x - 8, 7.5), PDF_REPORT_COLUMNS.items.x, y, { size: 7.5, gray: 0.3 });
+        drawPdfText(page, `@ ${formatCurrencySync(item.price)}`, PDF_REPORT_COLUMNS.payment.x, y, { size: 7.5, gray: 0.3 });
+        drawPdfText(page, formatCurrencySync(getItemNetSales(item)), right - 4, y, { size: 7.5, align: 'right', gray: 0.3 });
+      });
+    }
+    
+    y += 5;
+    drawPdfLine(page, margin, y, right, y, 0.25);
+  });
+  
+  // Net total of the active transactions under the table
+  ensureSpace(20);
+  y += 14;
+  drawPdfText(page, 'Total Penjualan Bersih', PDF_REPORT_COLUMNS.payment.x, y, { size: 9, bold: true });
+  drawPdfText(page, formatCurrencySync(summary.totalSales), right - 4, y, { size: 9, bold: true, align: 'right' });
+  
+  // Page numbers go in last, once the page count is known
+  pages.forEach((p, index) => {
+    drawPdfLine(p, margin, height - margin - 12, right, height - margin - 12, 0.25);
+    drawPdfText(p, fitPdfText(`${store.name || 'Toko'} - Laporan Penjualan ${formatReportPeriod(report.period)}`, 350, 7.5), margin, height - margin, { size: 7.5, gray: 0.4 });
+    drawPdfText(p, `Halaman ${index + 1} dari ${pages.length}`, right, height - margin, { size: 7.5, align: 'right', gray: 0.4 });
+  });
+  
+  return buildPdf(pages);
+}
+
+// ==================== EXCEL EXPORT ====================
+
+// Cell formats of exported workbooks, as indexes into cellXfs of styles.xml
+const XLSX_STYLES = {
+  bold: 1,
+  dateTime: 2,
+  date: 3,
+  money: 4,
+  boldMoney: 5,
+  percent: 6
+};
+
+const XLSX_STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="dd/mm/yyyy hh:mm"/><numFmt numFmtId="165" formatCode="dd/mm/yyyy"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="7">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="3" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+// CRC-32 lookup table of zip archives, built on first use
+let crc32Table = null;
+
+// Compute the CRC-32 checksum of bytes
+function getCrc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c;
+    }
+  }
+  
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Pack text files into an uncompressed zip archive
+// files: [{ name, content }], names and contents are written as UTF-8
+function buildZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = getCrc32(data);
+    
+    // Fields shared by the local header (from offset 4) and the directory entry (from offset 6)
+    const writeCommon = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, dosTime, true);
+      view.setUint16(at + 8, dosDate, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+    
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    writeCommon(localView, 4);
+    local.set(name, 30);
+    
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true);
+    writeCommon(centralView, 6);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+    
+    localParts.push(local, data);
+    centralParts.push(central);
+    offset += local.length + data.length;
+  });
+  
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+  
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  [...localParts, ...centralParts, end].forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  
+  return zip;
+}
+
+// Escape text for XML content and attribute values, dropping characters XML cannot hold
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Get the letters of a zero-based column index, e.g. 27 -> "AB"
+function getXlsxColumnName(index) {
+  let name = '';
+  
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  
+  return name;
+}
+
+// Convert a date to an Excel serial day number in local time
+function toXlsxDate(date) {
+  return (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+}
+
+// Write one cell; a cell is a string, number, Date, or { value, style } to override the column style
+function buildXlsxCell(cell, reference, columnStyle) {
+  const value = cell !== null && typeof cell === 'object' && !(cell instanceof Date) ? cell.value : cell;
+  let style = cell !== null && typeof cell === 'object' && cell.style ? cell.style : columnStyle;
+  
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  
+  if (value instanceof Date) {
+    style = style || 'dateTime';
+  }
+  
+  const styleAttribute = style ? ` s="${XLSX_STYLES[style]}"` : '';
+  
+  if (value instanceof Date) {
+    return `<c r="${reference}"${styleAttribute}><v>${toXlsxDate(value)}</v></c>`;
+  }
+  
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${reference}"${styleAttribute}><v>${value}</v></c>` : '';
+  }
+  
+  return `<c r="${reference}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// Write a worksheet
+// sheet: { name, columns: [{ header, width, style }], rows, table } - a table sheet gets a
+// bold, frozen header row with filters; other sheets only use the column widths and styles
+function buildXlsxSheet(sheet) {
+  const rows = sheet.table
+    ? [sheet.columns.map(column => ({ value: column.header, style: 'bold' })), ...sheet.rows]
+    : sheet.rows;
+  const lastColumn = getXlsxColumnName(sheet.columns.length - 1);
+  
+  const rowsXml = rows.map((row, rowIndex) => {
+    const cells = row.map((cell, columnIndex) => {
+      const column = sheet.columns[columnIndex] || {};
+      const style = sheet.table && rowIndex === 0 ? null : column.style;
+      return buildXlsxCell(cell, `${getXlsxColumnName(columnIndex)}${rowIndex + 1}`, style);
+    }).join('');
+    
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+  
+  const colsXml = sheet.columns
+    .map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 12}" customWidth="1"/>`)
+    .join('');
+  
+  const viewXml = sheet.table
+    ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    : '<sheetViews><sheetView workbookViewId="0"/></sheetViews>';
+  
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    viewXml +
+    `<cols>${colsXml}</cols>` +
+    `<sheetData>${rowsXml}</sheetData>` +
+    (sheet.table ? `<autoFilter ref="A1:${lastColumn}${rows.length}"/>` : '') +
+    '</worksheet>';
+}
+
+// Build an XLSX workbook from sheet definitions (see buildXlsxSheet)
+function buildXlsx(sheets) {
+  const relationshipsNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  
+  // Excel only shows the filter buttons of an autoFilter that has a matching defined name
+  const filterNames = sheets
+    .map((sheet, index) => sheet.table
+      ? `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXml(sheet.name)}'!$A$1:$${getXlsxColumnName(sheet.columns.length - 1)}$${sheet.rows.length + 1}</definedName>`
+      : '')
+    .join('');
+  
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: header +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: header +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${relationshipsNs}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: header +
+        `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationshipsNs}"><sheets>` +
+        sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+        '</sheets>' +
+        (filterNames ? `<definedNames>${filterNames}</definedNames>` : '') +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: header +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="${relationshipsNs}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="${relationshipsNs}/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    { name: 'xl/styles.xml', content: XLSX_STYLES_XML },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content: buildXlsxSheet(sheet) }))
+  ];
+  
+  return buildZip(files);
+}
+
+// Lay out a sales report as a workbook: summary, transactions and line items sheets
+// report: { store, period, transactions (active), allTransactions (as listed), productsById, printedAt }
+function buildReportWorkbook(report) {
+  const summary = summarizeReport(report.transactions);
+  const profit = summarizeProfit(getProfitLines(report.transactions, report.productsById));
+  const summaryRows = [
+    [{ value: 'LAPORAN PENJUALAN', style: 'bold' }],
+    ['Toko', report.store.name || ''],
+    ['Jenis Laporan', REPORT_TYPE_LABELS[report.period.type]],
+    ['Dari', { value: report.period.startDate, style: 'date' }],
+    ['Sampai', { value: report.period.endDate, style: 'date' }],
+    ['Dicetak', report.printedAt],
+    [],
+    [{ value: 'Ringkasan', style: 'bold' }],
+    ['Total Penjualan', { value: summary.totalSales, style: 'money' }],
+    ['Total Transaksi', summary.transactionCount],
+    ['Produk Terjual', summary.totalItems],
+    ['Total Retur', { value: summary.totalRefunds, style: 'money' }],
+    ['Transaksi Void', report.allTransactions.filter(t => t.voided).length],
+    [],
+    [{ value: 'Laba Kotor', style: 'bold' }],
+    ['Pendapatan (tanpa pajak)', { value: profit.revenue, style: 'money' }],
+    ['HPP', { value: profit.cogs, style: 'money' }],
+    ['Laba Kotor', { value: profit.profit, style: 'money' }],
+    ['Margin Kotor', profit.margin === null ? '' : { value: profit.margin / 100, style: 'percent' }]
+  ];
+  
+  if (profit.estimated) {
+    summaryRows.push(['', 'Sebagian HPP diestimasi dari harga beli saat ini']);
+  }
+  
+  const payments = Object.entries(summarizePayments(report.transactions));
+  if (payments.length > 0) {
+    summaryRows.push([], [{ value: 'Metode Pembayaran', style: 'bold' }]);
+    payments.forEach(([method, amount]) => {
+      summaryRows.push([getPaymentMethodLabel(method), { value: amount, style: 'money' }]);
+    });
+  }
+  
+  const promotions = Object.entries(summarizePromotions(report.transactions));
+  if (promotions.length > 0) {
+    summaryRows.push([], [{ value: 'Promosi', style: 'bold' }, { value: 'Dipakai', style: 'bold' }, { value: 'Potongan', style: 'bold' }]);
+    promotions.forEach(([name, total]) => {
+      summaryRows.push([name, total.count, { value: total.amount, style: 'money' }]);
+    });
+  }
+  
+  // Oldest first, the order an accountant books them in
+  const listed = report.allTransactions.slice().reverse();
+  
+  const transactionRows = listed.map(t => {
+    const transactionProfit = summarizeProfit(getProfitLines([t], report.productsById));
+    
+    return [
+      t.invoice,
+      new Date(t.date),
+      t.type === 'refund' ? 'Retur' : 'Penjualan',
+      t.refundOf || '',
+      t.voided ? 'Void' : 'Aktif',
+      formatPaymentSummary(t),
+      t.subtotal,
+      t.discount || 0,
+      t.tax || 0,
+      t.total,
+      transactionProfit.cogs,
+      transactionProfit.profit
+    ];
+  });
+  
+  const itemRows = [];
+  listed.forEach(t => {
+    t.items.forEach(item => {
+      const { cost, estimated } = getItemCost(item, report.productsById);
+      
+      itemRows.push([
+        t.invoice,
+        new Date(t.date),
+        t.voided ? 'Void' : 'Aktif',
+        item.code,
+        item.name,
+        item.quantity,
+        item.unit || DEFAULT_UNIT,
+        item.price,
+        (item.discount || 0) * Math.sign(item.quantity),
+        getItemNetSales(item),
+        cost,
+        cost * item.quantity,
+        estimated ? 'Ya' : ''
+      ]);
+    });
+  });
+  
+  return buildXlsx([
+    {
+      name: 'Ringkasan',
+      columns: [{ width: 22 }, { width: 24 }, { width: 16 }],
+      rows: summaryRows
+    },
+    {
+      name: 'Transaksi',
+      table: true,
+      columns: [
+        { header: 'No. Transaksi', width: 22 },
+        { header: 'Tanggal', width: 17 },
+        { header: 'Jenis', width: 11 },
+        { header: 'Retur Dari', width: 22 },
+        { header: 'Status', width: 8 },
+        { header: 'Metode Pembayaran', width: 30 },
+        { header: 'Subtotal', width: 14, style: 'money' },
+        { header: 'Diskon', width: 12, style: 'money' },
+        { header: 'Pajak', width: 12, style: 'money' },
+        { header: 'Total', width: 14, style: 'money' },
+        { header: 'HPP', width: 14, style: 'money' },
+        { header: 'Laba Kotor', width: 14, style: 'money' }
+      ],
+      rows: transactionRows
+    },
+    {
+      name: 'Item',
+      table: true,
+      columns: [
+        { header: 'No. Transaksi', width: 22 },
+        { header: 'Tanggal', width: 17 },
+        { header: 'Status', width: 8 },
+        { header: 'Kode Produk', width: 16 },
+        { header: 'Nama Produk', width: 30 },
+        { header: 'Qty', width: 8 },
+        { header: 'Satuan', width: 9 },
+        { header: 'Harga', width: 13, style: 'money' },
+        { header: 'Diskon Promo', width: 13, style: 'money' },
+        { header: 'Penjualan Bersih', width: 15, style: 'money' },
+        { header: 'Harga Beli', width: 13, style: 'money' },
+        { header: 'Total Harga Beli', width: 15, style: 'money' },
+        { header: 'HPP Estimasi', width: 12 }
+      ],
+      rows: itemRows
+    }
+  ]);
+}
+
+// ==================== RETURNS ====================
+
+let returnTransaction = null;
+
+// Show the return form, optionally looking up an invoice right away
+function showReturnForm(invoice = '') {
+  returnTransaction = null;
+  document.getElementById('return-invoice').value = invoice;
+  document.getElementById('return-reason').value = '';
+  document.getElementById('return-method').value = 'cash';
+  document.getElementById('return-details').classList.add('hidden');
+  document.getElementById('return-modal').classList.remove('hidden');
+  
+  if (invoice) {
+    findReturnTransaction();
+  } else {
+    setTimeout(() => {
+      document.getElementById('return-invoice').focus();
+    }, 100);
+  }
+}
+
+// Get a transaction by its invoice number
+function getTransactionByInvoice(invoice) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORES.TRANSACTIONS, 'readonly');
+    const store = transaction.objectStore(STORES.TRANSACTIONS);
+    const request = store.index('invoice').get(invoice);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Look up the transaction to return items from
+function findReturnTransaction() {
+  const invoice = document.getElementById('return-invoice').value.trim();
+  
+  if (!invoice) {
+    showToast('Masukkan nomor invoice', 'warning');
+    return;
+  }
+  
+  getTransactionByInvoice(invoice).then(transaction => {
+    if (!transaction) {
+      showToast('Transaksi tidak ditemukan', 'error');
+      return;
+    }
+    
+    if (transaction.type === 'refund') {
+      showToast('Transaksi retur tidak dapat diretur lagi', 'warning');
+      return;
+    }
+    
+    if (transaction.voided) {
+      showToast('Transaksi sudah di-void', 'warning');
+      return;
+    }
+    
+    returnTransaction = transaction;
+    displayReturnItems(transaction);
+  }).catch(err => {
+    console.error('Error finding transaction:', err);
+    showToast('Gagal mencari transaksi', 'error');
+  });
+}
+
+// Display the items of a transaction that can still be returned
+function displayReturnItems(transaction) {
+  const tbody = document.getElementById('return-items');
+  tbody.innerHTML = '';
+  
+  transaction.items.forEach((item, index) => {
+    const remaining = roundQuantity(item.quantity - (item.returnedQuantity || 0), item.unit);
+    const row = document.createElement('tr');
+    
+    row.innerHTML = `
+            <td>${escapeHtml(item.name)}</td>
+            <td>${formatQuantity(item.quantity, item.unit)}</td>
+            <td>${formatQuantity(item.returnedQuantity || 0, item.unit)}</td>
+            <td>
+                <input type="number" class="return-quantity" data-index="${index}" min="0" max="${remaining}" step="${getQuantityStep(item.unit)}" value="0" ${remaining > 0 ? '' : 'disabled'}>
+            </td>
+            <td>
+                <select class="return-condition" data-index="${index}" ${remaining > 0 ? '' : 'disabled'}>
+                    <option value="good">Baik</option>
+                    <option value="damaged">Rusak</option>
+                </select>
+            </td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+  
+  tbody.querySelectorAll('.return-quantity').forEach(input => {
+    input.addEventListener('input', updateReturnTotal);
+  });
+  
+  document.getElementById('return-transaction-info').textContent =
+    `${transaction.invoice} - ${new Date(transaction.date).toLocaleString('id-ID')} - ${formatCurrencySync(transaction.total)}`;
+  document.getElementById('return-details').classList.remove('hidden');
+  updateReturnTotal();
+}
+
+// Read the return quantities entered in the form
+function getReturnLines() {
+  return Array.from(document.querySelectorAll('#return-items .return-quantity'))
+    .map(input => {
+      const index = parseInt(input.getAttribute('data-index'));
+      const item = returnTransaction.items[index];
+      const remaining = roundQuantity(item.quantity - (item.returnedQuantity || 0), item.unit);
+      const quantity = Math.min(roundQuantity(parseFloat(input.value) || 0, item.unit), remaining);
+      
+      return {
+        index,
+        quantity,
+        condition: document.querySelector(`.return-condition[data-index="${index}"]`).value
+      };
+    })
+    .filter(line => line.quantity > 0);
+}
+
+// Build the refund transaction for the returned lines
+// Each line gives back its own promotion discount for the returned quantity; discounts on the
+// whole sale (cart promotions, manual discount) and tax are shared by the lines' net amounts
+function buildRefundTransaction(original, lines, refundMethod, reason) {
+  const items = lines.map(line => {
+    const item = original.items[line.index];
+    return {
+      productId: item.productId,
+      code: item.code,
+      name: item.name,
+      price: item.price,
+      cost: item.cost,
+      quantity: -line.quantity,
+      unit: item.unit,
+      factor: item.factor,
+      baseUnit: item.baseUnit,
+      discount: (item.discount || 0) * line.quantity / item.quantity,
+      promotions: item.promotions || [],
+      condition: line.condition,
+      lineIndex: line.index,
+      categoryId: item.categoryId || null,
+      parentId: item.parentId || null,
+      parentName: item.parentName || null,
+      variant: item.variant || null,
+      components: item.components || null
+    };
+  });
+  
+  const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const lineDiscount = items.reduce((sum, item) => sum + item.discount, 0);
+  const originalLineDiscount = original.items.reduce((sum, item) => sum + (item.discount || 0), 0);
+  const originalNet = original.subtotal - originalLineDiscount;
+  const share = originalNet ? items.reduce((sum, item) => sum + getItemNetSales(item), 0) / originalNet : 0;
+  const discount = -lineDiscount + ((original.discount || 0) - originalLineDiscount) * share;
+  const tax = (original.tax || 0) * share;
+  const total = subtotal - discount + tax;
+  
+  return {
+    type: 'refund',
+    invoice: generateInvoiceNumber('RET'),
+    refundOf: original.invoice,
+    originalId: original.id,
+    reason,
+    date: new Date(),
+    items,
+    subtotal,
+    discount,
+    tax,
+    total,
+    paymentMethod: refundMethod,
+    payments: [{ method: refundMethod, amount: total, reference: null }],
+    amountReceived: total,
+    change: 0,
+    // Previews of the refund total may be built with no shift open; processReturn requires one before saving
+    shiftId: currentShift ? currentShift.id : null
+  };
+}
+
+// Update the refund amount shown in the return form
+function updateReturnTotal() {
+  const lines = getReturnLines();
+  const total = lines.length > 0 ? -buildRefundTransaction(returnTransaction, lines, 'cash', '').total : 0;
+  
+  formatCurrency(total).then(formatted => {
+    document.getElementById('return-total').textContent = formatted;
+  });
+}
+
+// Save a refund, mark the returned quantities and restock in one database transaction
+function saveRefund(original, refund, lines) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TRANSACTIONS, STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+    const transactionStore = transaction.objectStore(STORES.TRANSACTIONS);
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    
+    transactionStore.add(refund);
+    
+    // Remember what has been returned so it cannot be returned twice
+    lines.forEach(line => {
+      const item = original.items[line.index];
+      item.returnedQuantity = roundQuantity((item.returnedQuantity || 0) + line.quantity, item.unit);
+    });
+    original.refunds = [...(original.refunds || []), refund.invoice];
+    transactionStore.put(original);
+    
+    // Sum quantities per product so each product is updated once; returned bundles restock their components
+    const restock = {};
+    lines.forEach(line => {
+      getItemStockLines(original.items[line.index], line.quantity).forEach(stockLine => {
+        restock[stockLine.productId] = restock[stockLine.productId] || { good: 0, damaged: 0, lots: [] };
+        restock[stockLine.productId][line.condition] += stockLine.quantity;
+        
+        // Good items go back into the lots they were sold from
+        if (line.condition === 'good') {
+          restock[stockLine.productId].lots.push({ taken: stockLine.source.batches, quantity: stockLine.quantity });
+        }
+      });
+    });
+    
+    Object.entries(restock).forEach(([productId, quantities]) => {
+      const request = productStore.get(parseInt(productId));
+      
+      request.onsuccess = () => {
+        const product = request.result;
+        
+        // Deleted products have nothing to restock
+        if (!product) {
+          return;
+        }
+        
+        const before = product.stock;
+        product.stock = roundQuantity(product.stock + quantities.good, product.unit);
+        product.damagedStock = roundQuantity((product.damagedStock || 0) + quantities.damaged, product.unit);
+        quantities.lots.forEach(lot => restoreBatches(product, lot.taken, lot.quantity));
+        product.updatedAt = new Date();
+        productStore.put(product);
+        addStockMovement(movementStore, product, before, 'return', refund.invoice, `Retur dari ${original.invoice}`);
+      };
+    });
+    
+    transaction.oncomplete = () => resolve(refund);
+    transaction.onerror = (event) => reject(event.target.error);
+    transaction.onabort = (event) => reject(event.target.error);
+  });
+}
+
+// Process return
+function processReturn() {
+  if (!returnTransaction) {
+    showToast('Cari transaksi terlebih dahulu', 'warning');
+    return;
+  }
+  
+  const lines = getReturnLines();
+  if (lines.length === 0) {
+    showToast('Masukkan jumlah barang yang diretur', 'warning');
+    return;
+  }
+  
+  // Refunds are paid out of the cash drawer of the open shift
+  if (!currentShift) {
+    showToast('Buka shift terlebih dahulu', 'warning');
+    showShiftModal();
+    return;
+  }
+  
+  const reason = document.getElementById('return-reason').value.trim();
+  const refundMethod = document.getElementById('return-method').value;
+  const refund = buildRefundTransaction(returnTransaction, lines, refundMethod, reason);
+  
+  if (!confirm(`Kembalikan ${formatCurrencySync(-refund.total)} kepada pelanggan?`)) {
+    return;
+  }
+  
+  saveRefund(returnTransaction, refund, lines).then(() => {
+    showToast(`Retur ${refund.invoice} berhasil diproses`, 'success');
+    document.getElementById('return-modal').classList.add('hidden');
+    returnTransaction = null;
+    
+    printReceipt(refund);
+    
+    loadDashboard();
+    loadCashierProducts();
+    if (document.getElementById('reports-page').classList.contains('active')) {
+      generateReport();
+    }
+  }).catch(err => {
+    console.error('Error processing return:', err);
+    showToast('Gagal memproses retur', 'error');
+  });
+}
+
+// ==================== VOIDS ====================
+
+// Reason codes a supervisor can pick when voiding a transaction
+const VOID_REASONS = {
+  wrong_item: 'Salah input barang',
+  wrong_price: 'Salah harga',
+  duplicate: 'Transaksi ganda',
+  customer_cancel: 'Pelanggan batal',
+  test: 'Transaksi percobaan',
+  other: 'Lainnya'
+};
+
+// Get the display label of a void reason code
+function getVoidReasonLabel(code) {
+  return VOID_REASONS[code] || code;
+}
+
+// Check whether a transaction still counts in sales figures
+function isActiveTransaction(transaction) {
+  return !transaction.voided;
+}
+
+// Show the void form for a transaction
+function showVoidForm(id) {
+  getRecord(STORES.TRANSACTIONS, id).then(transaction => {
+    if (!transaction || transaction.voided) {
+      showToast('Transaksi sudah di-void', 'warning');
+      return;
+    }
+    
+    const form = document.getElementById('void-form');
+    form.reset();
+    clearFormErrors('void-form');
+    
+    document.getElementById('void-id').value = transaction.id;
+    document.getElementById('void-transaction-info').textContent =
+      `${transaction.invoice} - ${new Date(transaction.date).toLocaleString('id-ID')} - ${formatCurrencySync(transaction.total)}`;
+    document.getElementById('void-modal').classList.remove('hidden');
+  }).catch(err => {
+    console.error('Error loading transaction:', err);
+    showToast('Gagal memuat transaksi', 'error');
+  });
+}
+
+// Validate void form
+function validateVoidForm() {
+  let isValid = true;
+  
+  if (!document.getElementById('void-reason').value) {
+    showError('void-reason-error', 'Alasan void wajib dipilih');
+    isValid = false;
+  }
+  
+  if (!document.getElementById('void-actor').value.trim()) {
+    showError('void-actor-error', 'Nama supervisor wajib diisi');
+    isValid = false;
+  }
+  
+  if (!document.getElementById('void-pin').value) {
+    showError('void-pin-error', 'PIN supervisor wajib diisi');
+    isValid = false;
+  }
+  
+  return isValid;
+}
+
+// Check the PIN typed in the void form against the supervisor PIN in settings
+// Resolves to an error message, or '' when the void is approved
+function checkSupervisorPin(pin) {
+  return getRecord(STORES.SETTINGS, 'supervisor').then(settings => {
+    if (!settings || !settings.pin) {
+      return 'PIN supervisor belum diatur di Pengaturan';
+    }
+    
+    return settings.pin === pin ? '' : 'PIN supervisor salah';
+  });
+}
+
+// Show whether a supervisor PIN is set; the PIN itself is never shown
+function displaySupervisorSettings() {
+  document.getElementById('supervisor-form').reset();
+  clearFormErrors('supervisor-form');
+  
+  getRecord(STORES.SETTINGS, 'supervisor').then(settings => {
+    document.getElementById('supervisor-pin-status').textContent = settings && settings.pin
+      ? 'PIN supervisor sudah diatur. Isi PIN baru untuk menggantinya.'
+      : 'Belum ada PIN supervisor. Void transaksi memerlukan PIN ini.';
+  });
+}
+
+// Save the supervisor PIN that approves voids
+function saveSupervisorSettings(e) {
+  e.preventDefault();
+  clearFormErrors('supervisor-form');
+  
+  const pin = document.getElementById('supervisor-pin').value;
+  if (!/^\d{4,8}$/.test(pin)) {
+    showError('supervisor-pin-error', 'PIN harus 4 sampai 8 angka');
+    return;
+  }
+  
+  updateRecord(STORES.SETTINGS, { id: 'supervisor', pin }).then(() => {
+    showToast('PIN supervisor berhasil disimpan', 'success');
+    displaySupervisorSettings();
+  }).catch(err => {
+    console.error('Error saving supervisor settings:', err);
+    showToast('Gagal menyimpan PIN supervisor', 'error');
+  });
+}
+
+// Mark a transaction voided and undo its stock changes in one database transaction
+function saveVoid(id, details) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.TRANSACTIONS, STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+    const transactionStore = transaction.objectStore(STORES.TRANSACTIONS);
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const request = transactionStore.get(id);
+    
+    request.onsuccess = () => {
+      const voided = request.result;
+      
+      if (!voided || voided.voided) {
+        transaction.abort();
+        return;
+      }
+      
+      // A sale with active returns must have those returns voided first
+      if (voided.type !== 'refund' && voided.items.some(item => item.returnedQuantity > 0)) {
+        reject(new Error('Void retur transaksi ini terlebih dahulu'));
+        transaction.abort();
+        return;
+      }
+      
+      Object.assign(voided, details, { voided: true, voidedAt: new Date() });
+      transactionStore.put(voided);
+      
+      // Sales put their items back in stock; refunds take restocked items back out
+      // Quantities are summed per product so each product is updated once; bundles move their components
+      const restock = {};
+      voided.items.forEach(item => {
+        getItemStockLines(item).forEach(stockLine => {
+          restock[stockLine.productId] = restock[stockLine.productId] || { good: 0, damaged: 0, lots: [] };
+          restock[stockLine.productId][item.condition === 'damaged' ? 'damaged' : 'good'] += stockLine.quantity;
+          
+          // Sold items go back into the lots they were taken from
+          if (stockLine.quantity > 0) {
+            restock[stockLine.productId].lots.push({ taken: stockLine.source.batches, quantity: stockLine.quantity });
+          }
+        });
+      });
+      
+      Object.entries(restock).forEach(([productId, quantities]) => {
+        const productRequest = productStore.get(parseInt(productId));
+        
+        productRequest.onsuccess = () => {
+          const product = productRequest.result;
+          if (!product) {
+            return;
+          }
+          
+          const before = product.stock;
+          product.stock = roundQuantity(product.stock + quantities.good, product.unit);
+          product.damagedStock = roundQuantity((product.damagedStock || 0) + quantities.damaged, product.unit);
+          quantities.lots.forEach(lot => restoreBatches(product, lot.taken, lot.quantity));
+          trimBatches(product);
+          product.updatedAt = new Date();
+          productStore.put(product);
+          addStockMovement(movementStore, product, before, 'void', voided.invoice, getVoidReasonLabel(voided.voidReason));
+        };
+      });
+      
+      // A voided refund makes its items returnable again
+      if (voided.type === 'refund') {
+        const originalRequest = transactionStore.get(voided.originalId);
+        
+        originalRequest.onsuccess = () => {
+          const original = originalRequest.result;
+          if (!original) {
+            return;
+          }
+          
+          voided.items.forEach(refundItem => {
+            const item = original.items[refundItem.lineIndex];
+            if (item) {
+              item.returnedQuantity = Math.max(0, roundQuantity(item.returnedQuantity + refundItem.quantity, item.unit));
+            }
+          });
+          original.refunds = (original.refunds || []).filter(invoice => invoice !== voided.invoice);
+          transactionStore.put(original);
+        };
+      }
+    };
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+    transaction.onabort = (event) => reject(event.target.error || new Error('Transaksi sudah di-void'));
+  });
+}
+
+// Process void
+function processVoid(e) {
+  e.preventDefault();
+  clearFormErrors('void-form');
+  
+  // Voids are counted against the drawer of the open shift
+  if (!currentShift) {
+    showToast('Buka shift terlebih dahulu', 'warning');
+    showShiftModal();
+    return;
+  }
+  
+  if (!validateVoidForm()) {
+    return;
+  }
+  
+  const id = parseInt(document.getElementById('void-id').value);
+  const details = {
+    voidReason: document.getElementById('void-reason').value,
+    voidNote: document.getElementById('void-note').value.trim() || null,
+    voidedBy: document.getElementById('void-actor').value.trim(),
+    voidShiftId: currentShift.id
+  };
+  
+  checkSupervisorPin(document.getElementById('void-pin').value).then(message => {
+    if (message) {
+      showError('void-pin-error', message);
+      return;
+    }
+    
+    if (!confirm('Transaksi akan dibatalkan dan stok dikembalikan. Lanjutkan?')) {
+      return;
+    }
+    
+    return saveVoid(id, details).then(() => {
+      showToast('Transaksi berhasil di-void', 'success');
+      document.getElementById('void-modal').classList.add('hidden');
+      
+      loadDashboard();
+      loadCashierProducts();
+      generateReport();
+    });
+  }).catch(err => {
+    console.error('Error voiding transaction:', err);
+    showToast(`Gagal melakukan void: ${err.message}`, 'error');
+  });
+}
+
+// ==================== PROMOTIONS ====================
+
+// Promotion rule types
+const PROMOTION_TYPES = {
+  item_percent: 'Diskon % per item',
+  item_fixed: 'Potongan harga per item',
+  cart_fixed: 'Potongan belanja',
+  bogo: 'Beli X gratis Y',
+  bundle: 'Harga paket (mix & match)'
+};
+
+// Promotions used by the cart, loaded from the database
+let cartPromotions = [];
+
+// Load promotion rules for the cart
+function loadCartPromotions() {
+  const transaction = db.transaction(STORES.PROMOTIONS, 'readonly');
+  const store = transaction.objectStore(STORES.PROMOTIONS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    cartPromotions = request.result;
+    updateCart();
+  };
+}
+
+// Format a date as YYYY-MM-DD in local time
+function toLocalDateString(date) {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Check whether a promotion runs at the given moment
+function isPromotionActive(promotion, now) {
+  if (!promotion.active) {
+    return false;
+  }
+  
+  const today = toLocalDateString(now);
+  if (promotion.startDate && today < promotion.startDate) {
+    return false;
+  }
+  if (promotion.endDate && today > promotion.endDate) {
+    return false;
+  }
+  
+  if (promotion.startTime && promotion.endTime) {
+    const time = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
+    
+    // A window such as 22:00-02:00 runs past midnight
+    if (promotion.startTime <= promotion.endTime) {
+      return time >= promotion.startTime && time < promotion.endTime;
+    }
+    return time >= promotion.startTime || time < promotion.endTime;
+  }
+  
+  return true;
+}
+
+// Check whether a promotion covers a product, directly or through its parent product
+function promotionCoversProduct(promotion, productId, parentId = null) {
+  const productIds = promotion.productIds || [];
+  return productIds.includes(productId) || (parentId !== null && productIds.includes(parentId));
+}
+
+// Find the item-level promotion that takes the most off one unit
+function getBestItemDiscount(item, promotions) {
+  let best = null;
+  
+  promotions.forEach(promotion => {
+    if (!promotionCoversProduct(promotion, item.id, item.parentId || null)) {
+      return;
+    }
+    
+    let amount = 0;
+    if (promotion.type === 'item_percent') {
+      amount = item.price * (promotion.value / 100);
+    } else if (promotion.type === 'item_fixed') {
+      amount = Math.min(promotion.value, item.price);
+    }
+    
+    if (amount > 0 && (!best || amount > best.amount)) {
+      best = { promotion, amount };
+    }
+  });
+  
+  return best;
+}
+
+// Find the next group of whole units a buy-X-get-Y or bundle promotion can take
+// Lines come sorted by price, so the group takes the dearest units still free
+// Returns the units taken per line, the discount per line, the saving over item-level discounts
+// and how many times the group repeats: a group from one line is taken for every full group left in it
+function findPromotionGroup(promotion, lineUnits) {
+  let size;
+  if (promotion.type === 'bogo') {
+    if (!(promotion.buyQuantity >= 1 && promotion.getQuantity >= 1)) {
+      return null;
+    }
+    size = promotion.buyQuantity + promotion.getQuantity;
+  } else if (promotion.type === 'bundle') {
+    if (!(promotion.bundleQuantity >= 2)) {
+      return null;
+    }
+    size = promotion.bundleQuantity;
+  } else {
+    return null;
+  }
+  
+  const group = [];
+  let needed = size;
+  
+  lineUnits.forEach(line => {
+    if (needed > 0 && line.free > 0 && promotionCoversProduct(promotion, line.productId, line.parentId)) {
+      const count = Math.min(line.free, needed);
+      group.push({ line, count });
+      needed -= count;
+    }
+  });
+  
+  if (needed > 0) {
+    return null;
+  }
+  
+  let discounts;
+  
+  if (promotion.type === 'bogo') {
+    // The cheapest units of the group are free
+    let position = 0;
+    discounts = group.map(({ line, count }) => {
+      const freeUnits = Math.max(0, position + count - Math.max(position, promotion.buyQuantity));
+      position += count;
+      return freeUnits * line.price;
+    });
+  } else {
+    const groupTotal = group.reduce((sum, { line, count }) => sum + line.price * count, 0);
+    const bundleDiscount = groupTotal - promotion.bundlePrice;
+    if (bundleDiscount <= 0) {
+      return null;
+    }
+    
+    // Spread the bundle discount over the units by price
+    discounts = group.map(({ line, count }) => bundleDiscount * (line.price * count / groupTotal));
+  }
+  
+  const savings = discounts.reduce((sum, discount) => sum + discount, 0) -
+    group.reduce((sum, { line, count }) => sum + line.itemDiscount * count, 0);
+  const times = group.length === 1 ? Math.floor(group[0].line.free / size) : 1;
+  
+  return { promotion, group, discounts, savings, times };
+}
+
+// Apply the best matching promotions to cart items
+// Returns per-line discounts, the promotions applied and the total discount
+function applyPromotions(items, promotions, now = new Date()) {
+  const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const active = promotions.filter(promotion =>
+    isPromotionActive(promotion, now) && subtotal >= (promotion.minSpend || 0)
+  );
+  
+  // Whole units of a line can join groups; a weighed remainder only gets item-level discounts
+  const lineUnits = items.map((item, lineIndex) => {
+    const best = getBestItemDiscount(item, active);
+    
+    return {
+      lineIndex,
+      productId: item.id,
+      parentId: item.parentId || null,
+      price: item.price,
+      quantity: item.quantity,
+      free: Math.floor(item.quantity),
+      itemDiscount: best ? best.amount : 0,
+      itemPromotion: best ? best.promotion : null,
+      groupDiscounts: []
+    };
+  });
+  const byPrice = [...lineUnits].sort((a, b) => b.price - a.price);
+  
+  // Give units to buy-X-get-Y and bundle promotions while they beat item-level discounts
+  const quantityPromotions = active.filter(promotion => promotion.type === 'bogo' || promotion.type === 'bundle');
+  
+  for (;;) {
+    let best = null;
+    
+    quantityPromotions.forEach(promotion => {
+      const group = findPromotionGroup(promotion, byPrice);
+      if (group && (!best || group.savings > best.savings)) {
+        best = group;
+      }
+    });
+    
+    if (!best || best.savings <= 0) {
+      break;
+    }
+    
+    best.group.forEach(({ line, count }, i) => {
+      line.free -= count * best.times;
+      
+      const entry = line.groupDiscounts.find(discount => discount.promotion === best.promotion);
+      if (entry) {
+        entry.amount += best.discounts[i] * best.times;
+      } else {
+        line.groupDiscounts.push({ promotion: best.promotion, amount: best.discounts[i] * best.times });
+      }
+    });
+  }
+  
+  // Collect group discounts per line and per promotion; units no group took keep their item-level discount
+  const lines = items.map(() => ({ discount: 0, promotions: [] }));
+  const applied = [];
+  
+  const addDiscount = (promotion, amount, line) => {
+    let entry = applied.find(a => a.promotionId === promotion.id);
+    if (!entry) {
+      entry = { promotionId: promotion.id, name: promotion.name, amount: 0 };
+      applied.push(entry);
+    }
+    entry.amount += amount;
+    
+    if (line) {
+      line.discount += amount;
+      if (!line.promotions.includes(promotion.name)) {
+        line.promotions.push(promotion.name);
+      }
+    }
+  };
+  
+  lineUnits.forEach(line => {
+    line.groupDiscounts.forEach(({ promotion, amount }) => {
+      if (amount > 0) {
+        addDiscount(promotion, amount, lines[line.lineIndex]);
+      }
+    });
+    
+    const grouped = Math.floor(line.quantity) - line.free;
+    const itemAmount = line.itemDiscount * (line.quantity - grouped);
+    if (line.itemPromotion && itemAmount > 0) {
+      addDiscount(line.itemPromotion, itemAmount, lines[line.lineIndex]);
+    }
+  });
+  
+  // Apply the largest cart discount whose minimum spend is still met after line discounts
+  const lineDiscount = lines.reduce((sum, line) => sum + line.discount, 0);
+  const afterLines = subtotal - lineDiscount;
+  let cartDiscount = 0;
+  
+  const cartPromotion = active
+    .filter(promotion => promotion.type === 'cart_fixed' && afterLines >= (promotion.minSpend || 0))
+    .sort((a, b) => b.value - a.value)[0];
+  
+  if (cartPromotion) {
+    cartDiscount = Math.min(cartPromotion.value, afterLines);
+    if (cartDiscount > 0) {
+      addDiscount(cartPromotion, cartDiscount, null);
+    }
+  }
+  
+  return {
+    lines,
+    applied,
+    total: lineDiscount + cartDiscount
+  };
+}
+
+// Describe the rule of a promotion
+function describePromotion(promotion) {
+  switch (promotion.type) {
+    case 'item_percent':
+      return `${promotion.value}% per item`;
+    case 'item_fixed':
+      return `-${formatCurrencySync(promotion.value)} per item`;
+    case 'cart_fixed':
+      return `-${formatCurrencySync(promotion.value)} per transaksi`;
+    case 'bogo':
+      return `Beli ${promotion.buyQuantity} gratis ${promotion.getQuantity}`;
+    case 'bundle':
+      return `${promotion.bundleQuantity} item ${formatCurrencySync(promotion.bundlePrice)}`;
+    default:
+      return promotion.type;
+  }
+}
+
+// Load promotions
+function loadPromotions() {
+  const transaction = db.transaction(STORES.PROMOTIONS, 'readonly');
+  const store = transaction.objectStore(STORES.PROMOTIONS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    const tbody = document.getElementById('promotions-list');
+    tbody.innerHTML = '';
+    
+    if (request.result.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Tidak ada promo</td></tr>';
+      return;
+    }
+    
+    request.result.forEach(promotion => {
+      const row = document.createElement('tr');
+      const period = [promotion.startDate, promotion.endDate].filter(Boolean).join(' s/d ') || 'Selalu';
+      const hours = promotion.startTime && promotion.endTime ? `${promotion.startTime}-${promotion.endTime}` : '';
+      
+      row.innerHTML = `
+                <td>${escapeHtml(promotion.name)}</td>
+                <td>${PROMOTION_TYPES[promotion.type]}</td>
+                <td>
+                    ${escapeHtml(describePromotion(promotion))}
+                    ${promotion.minSpend ? `<div class="transaction-note">Min. belanja ${formatCurrencySync(promotion.minSpend)}</div>` : ''}
+                </td>
+                <td>${period}${hours ? `<div class="transaction-note">${hours}</div>` : ''}</td>
+                <td>${promotion.active ? 'Aktif' : 'Nonaktif'}</td>
+                <td>
+                    <button class="btn-edit" data-id="${promotion.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn-delete" data-id="${promotion.id}">
+                        <i class="fas fa-trash"></i> Hapus
+                    </button>
+                </td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+  };
+}
+
+// Load products for the promotion product picker
+function loadProductsForPromotion(selectedIds = []) {
+  const dropdown = document.getElementById('promotion-products');
+  dropdown.innerHTML = '';
+  
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const store = transaction.objectStore(STORES.PRODUCTS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    request.result.forEach(product => {
+      const option = document.createElement('option');
+      option.value = product.id;
+      option.textContent = `${product.code} - ${product.name}${product.hasVariants ? ' (semua varian)' : ''}`;
+      option.selected = selectedIds.includes(product.id);
+      dropdown.appendChild(option);
+    });
+  };
+}
+
+// Show the fields used by the selected promotion type
+function updatePromotionTypeFields() {
+  const type = document.getElementById('promotion-type').value;
+  
+  document.getElementById('promotion-products-group').classList.toggle('hidden', type === 'cart_fixed');
+  document.getElementById('promotion-value-group').classList.toggle('hidden', type === 'bogo' || type === 'bundle');
+  document.getElementById('promotion-bogo-fields').classList.toggle('hidden', type !== 'bogo');
+  document.getElementById('promotion-bundle-fields').classList.toggle('hidden', type !== 'bundle');
+}
+
+// Show promotion form
+function showPromotionForm(id = null) {
+  const modal = document.getElementById('promotion-modal');
+  const form = document.getElementById('promotion-form');
+  const title = document.getElementById('promotion-modal-title');
+  
+  // Reset form and clear errors
+  form.reset();
+  clearFormErrors('promotion-form');
+  
+  if (id) {
+    title.innerHTML = '<i class="fas fa-edit"></i> Edit Promo';
+    getRecord(STORES.PROMOTIONS, id).then(promotion => {
+      if (promotion) {
+        document.getElementById('promotion-id').value = promotion.id;
+        document.getElementById('promotion-name').value = promotion.name;
+        document.getElementById('promotion-type').value = promotion.type;
+        document.getElementById('promotion-value').value = promotion.value || '';
+        document.getElementById('promotion-buy-quantity').value = promotion.buyQuantity || '';
+        document.getElementById('promotion-get-quantity').value = promotion.getQuantity || '';
+        document.getElementById('promotion-bundle-quantity').value = promotion.bundleQuantity || '';
+        document.getElementById('promotion-bundle-price').value = promotion.bundlePrice || '';
+        document.getElementById('promotion-min-spend').value = promotion.minSpend || '';
+        document.getElementById('promotion-start-date').value = promotion.startDate || '';
+        document.getElementById('promotion-end-date').value = promotion.endDate || '';
+        document.getElementById('promotion-start-time').value = promotion.startTime || '';
+        document.getElementById('promotion-end-time').value = promotion.endTime || '';
+        document.getElementById('promotion-active').checked = promotion.active;
+        
+        loadProductsForPromotion(promotion.productIds || []);
+        updatePromotionTypeFields();
+        modal.classList.remove('hidden');
+        document.getElementById('promotion-name').focus();
+      }
+    }).catch(err => {
+      console.error('Error loading promotion:', err);
+      showToast('Gagal memuat data promo', 'error');
+    });
+  } else {
+    title.innerHTML = '<i class="fas fa-plus"></i> Tambah Promo Baru';
+    document.getElementById('promotion-id').value = '';
+    document.getElementById('promotion-active').checked = true;
+    loadProductsForPromotion();
+    updatePromotionTypeFields();
+    modal.classList.remove('hidden');
+    setTimeout(() => {
+      document.getElementById('promotion-name').focus();
+    }, 100);
+  }
+}
+
+// Read the selected products of the promotion form
+function getSelectedPromotionProducts() {
+  return Array.from(document.getElementById('promotion-products').selectedOptions)
+    .map(option => parseInt(option.value));
+}
+
+// Validate promotion form
+function validatePromotionForm() {
+  let isValid = true;
+  const type = document.getElementById('promotion-type').value;
+  
+  if (!document.getElementById('promotion-name').value.trim()) {
+    showError('promotion-name-error', 'Nama promo wajib diisi');
+    isValid = false;
+  }
+  
+  if (type !== 'cart_fixed' && getSelectedPromotionProducts().length === 0) {
+    showError('promotion-products-error', 'Pilih minimal satu produk');
+    isValid = false;
+  }
+  
+  if (type === 'item_percent' || type === 'item_fixed' || type === 'cart_fixed') {
+    const value = parseFloat(document.getElementById('promotion-value').value);
+    if (isNaN(value) || value <= 0) {
+      showError('promotion-value-error', 'Nilai promo wajib diisi');
+      isValid = false;
+    } else if (type === 'item_percent' && value > 100) {
+      showError('promotion-value-error', 'Persentase tidak boleh lebih dari 100');
+      isValid = false;
+    }
+  }
+  
+  if (type === 'bogo') {
+    const buyQuantity = parseInt(document.getElementById('promotion-buy-quantity').value);
+    const getQuantity = parseInt(document.getElementById('promotion-get-quantity').value);
+    if (!(buyQuantity >= 1) || !(getQuantity >= 1)) {
+      showError('promotion-buy-quantity-error', 'Jumlah beli dan gratis minimal 1');
+      isValid = false;
+    }
+  }
+  
+  if (type === 'bundle') {
+    const bundleQuantity = parseInt(document.getElementById('promotion-bundle-quantity').value);
+    const bundlePrice = parseFloat(document.getElementById('promotion-bundle-price').value);
+    if (!(bundleQuantity >= 2)) {
+      showError('promotion-bundle-quantity-error', 'Jumlah paket minimal 2');
+      isValid = false;
+    }
+    if (isNaN(bundlePrice) || bundlePrice < 0) {
+      showError('promotion-bundle-price-error', 'Harga paket wajib diisi');
+      isValid = false;
+    }
+  }
+  
+  const startDate = document.getElementById('promotion-start-date').value;
+  const endDate = document.getElementById('promotion-end-date').value;
+  if (startDate && endDate && startDate > endDate) {
+    showError('promotion-end-date-error', 'Tanggal selesai sebelum tanggal mulai');
+    isValid = false;
+  }
+  
+  const startTime = document.getElementById('promotion-start-time').value;
+  const endTime = document.getElementById('promotion-end-time').value;
+  if ((startTime && !endTime) || (!startTime && endTime)) {
+    showError('promotion-end-time-error', 'Isi jam mulai dan jam selesai');
+    isValid = false;
+  }
+  
+  return isValid;
+}
+
+// Save promotion
+function savePromotion(e) {
+  e.preventDefault();
+  
+  // Validate form
+  if (!validatePromotionForm()) {
+    return;
+  }
+  
+  const id = document.getElementById('promotion-id').value;
+  const type = document.getElementById('promotion-type').value;
+  const promotion = {
+    name: document.getElementById('promotion-name').value.trim(),
+    type,
+    productIds: type === 'cart_fixed' ? [] : getSelectedPromotionProducts(),
+    value: parseFloat(document.getElementById('promotion-value').value) || 0,
+    buyQuantity: parseInt(document.getElementById('promotion-buy-quantity').value) || 0,
+    getQuantity: parseInt(document.getElementById('promotion-get-quantity').value) || 0,
+    bundleQuantity: parseInt(document.getElementById('promotion-bundle-quantity').value) || 0,
+    bundlePrice: parseFloat(document.getElementById('promotion-bundle-price').value) || 0,
+    minSpend: parseFloat(document.getElementById('promotion-min-spend').value) || 0,
+    startDate: document.getElementById('promotion-start-date').value || null,
+    endDate: document.getElementById('promotion-end-date').value || null,
+    startTime: document.getElementById('promotion-start-time').value || null,
+    endTime: document.getElementById('promotion-end-time').value || null,
+    active: document.getElementById('promotion-active').checked,
+    updatedAt: new Date()
+  };
+  
+  let save;
+  if (id) {
+    promotion.id = parseInt(id);
+    save = updateRecord(STORES.PROMOTIONS, promotion);
+  } else {
+    promotion.createdAt = new Date();
+    save = addRecord(STORES.PROMOTIONS, promotion);
+  }
+  
+  save.then(() => {
+    showToast(id ? 'Promo berhasil diperbarui' : 'Promo berhasil ditambahkan', 'success');
+    document.getElementById('promotion-modal').classList.add('hidden');
+    loadPromotions();
+    loadCartPromotions();
+  }).catch(err => {
+    console.error('Error saving promotion:', err);
+    showToast('Gagal menyimpan promo', 'error');
+  });
+}
+
+// Delete promotion
+function deletePromotion(id) {
+  if (confirm('Apakah Anda yakin ingin menghapus promo ini?')) {
+    deleteRecord(STORES.PROMOTIONS, id).then(() => {
+      showToast('Promo berhasil dihapus', 'success');
+      loadPromotions();
+      loadCartPromotions();
+    }).catch(err => {
+      console.error('Error deleting promotion:', err);
+      showToast('Gagal menghapus promo', 'error');
+    });
+  }
+}
+
+// ==================== SUPPLIERS ====================
+
+// Load suppliers
+function loadSuppliers() {
+  const transaction = db.transaction(STORES.SUPPLIERS, 'readonly');
+  const store = transaction.objectStore(STORES.SUPPLIERS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    const tbody = document.getElementById('suppliers-list');
+    tbody.innerHTML = '';
+    
+    if (request.result.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="text-center">Tidak ada supplier</td></tr>';
+      return;
+    }
+    
+    request.result.forEach(supplier => {
+      const row = document.createElement('tr');
+      
+      row.innerHTML = `
+                <td>${supplier.code}</td>
+                <td>${supplier.name}</td>
+                <td>${supplier.contact}</td>
+                <td>${supplier.address.substring(0, 30)}${supplier.address.length > 30 ? '...' : ''}</td>
+                <td>
+                    <button class="btn-edit" data-id="${supplier.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn-delete" data-id="${supplier.id}">
+                        <i class="fas fa-trash"></i> Hapus
+                    </button>
+                </td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+  };
+}
+
+// Search suppliers
+function searchSuppliers() {
+  const query = document.getElementById('supplier-search').value.toLowerCase();
+  const transaction = db.transaction(STORES.SUPPLIERS, 'readonly');
+  const store = transaction.objectStore(STORES.SUPPLIERS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    const filtered = request.result.filter(supplier =>
+      supplier.name.toLowerCase().includes(query) ||
+      supplier.code.toLowerCase().includes(query) ||
+      supplier.contact.toLowerCase().includes(query)
+    );
+    
+    const tbody = document.getElementById('suppliers-list');
+    tbody.innerHTML = '';
+    
+    if (filtered.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="text-center">Tidak ada supplier yang cocok</td></tr>';
+      return;
+    }
+    
+    filtered.forEach(supplier => {
+      const row = document.createElement('tr');
+      
+      row.innerHTML = `
+                <td>${supplier.code}</td>
+                <td>${supplier.name}</td>
+                <td>${supplier.contact}</td>
+                <td>${supplier.address.substring(0, 30)}${supplier.address.length > 30 ? '...' : ''}</td>
+                <td>
+                    <button class="btn-edit" data-id="${supplier.id}">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="btn-delete" data-id="${supplier.id}">
+                        <i class="fas fa-trash"></i> Hapus
+                    </button>
+                </td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+  };
+}
+
+// Show supplier form
+function showSupplierForm(id = null) {
+  const modal = document.getElementById('supplier-modal');
+  const form = document.getElementById('supplier-form');
+  const title = document.getElementById('supplier-modal-title');
+  
+  // Reset form and clear errors
+  form.reset();
+  clearFormErrors('supplier-form');
+  
+  if (id) {
+    title.innerHTML = '<i class="fas fa-edit"></i> Edit Supplier';
+    getRecord(STORES.SUPPLIERS, id).then(supplier => {
+      if (supplier) {
+        document.getElementById('supplier-id').value = supplier.id;
+        document.getElementById('supplier-code').value = supplier.code;
+        document.getElementById('supplier-name').value = supplier.name;
+        document.getElementById('supplier-contact').value = supplier.contact;
+        document.getElementById('supplier-address').value = supplier.address;
+        document.getElementById('supplier-email').value = supplier.email || '';
+        document.getElementById('supplier-phone').value = supplier.phone || '';
+        
+        modal.classList.remove('hidden');
+        document.getElementById('supplier-code').focus();
+      }
+    });
+  } else {
+    title.innerHTML = '<i class="fas fa-plus"></i> Tambah Supplier Baru';
+    document.getElementById('supplier-id').value = '';
+    modal.classList.remove('hidden');
+    setTimeout(() => {
+      document.getElementById('supplier-code').focus();
+    }, 100);
+  }
+}
+
+// Validate supplier form
+function validateSupplierForm() {
+  let isValid = true;
+  
+  // Validate code
+  const code = document.getElementById('supplier-code').value.trim();
+  if (!code) {
+    showError('supplier-code-error', 'Kode supplier wajib diisi');
+    isValid = false;
+  }
+  
+  // Validate name
+  const name = document.getElementById('supplier-name').value.trim();
+  if (!name) {
+    showError('supplier-name-error', 'Nama supplier wajib diisi');
+    isValid = false;
+  }
+  
+  // Validate contact
+  const contact = document.getElementById('supplier-contact').value.trim();
+  if (!contact) {
+    showError('supplier-contact-error', 'Kontak wajib diisi');
+    isValid = false;
+  }
+  
+  // Validate address
+  const address = document.getElementById('supplier-address').value.trim();
+  if (!address) {
+    showError('supplier-address-error', 'Alamat wajib diisi');
+    isValid = false;
+  }
+  
+  return isValid;
+}
+
+// Save supplier
+function saveSupplier(e) {
+  e.preventDefault();
+  
+  // Validate form
+  if (!validateSupplierForm()) {
+    return;
+  }
+  
+  const id = document.getElementById('supplier-id').value;
+  const supplier = {
+    code: document.getElementById('supplier-code').value.trim(),
+    name: document.getElementById('supplier-name').value.trim(),
+    contact: document.getElementById('supplier-contact').value.trim(),
+    address: document.getElementById('supplier-address').value.trim(),
+    email: document.getElementById('supplier-email').value.trim() || null,
+    phone: document.getElementById('supplier-phone').value.trim() || null,
+    updatedAt: new Date()
+  };
+  
+  if (id) {
+    // Update existing supplier
+    supplier.id = parseInt(id);
+    updateRecord(STORES.SUPPLIERS, supplier).then(() => {
+      showToast('Supplier berhasil diperbarui', 'success');
+      document.getElementById('supplier-modal').classList.add('hidden');
+      loadSuppliers();
+      loadSuppliersForDropdown();
+    }).catch(err => {
+      console.error('Error updating supplier:', err);
+      showToast('Gagal memperbarui supplier', 'error');
+    });
+  } else {
+    // Add new supplier
+    supplier.createdAt = new Date();
+    addRecord(STORES.SUPPLIERS, supplier).then(() => {
+      showToast('Supplier berhasil ditambahkan', 'success');
+      document.getElementById('supplier-modal').classList.add('hidden');
+      loadSuppliers();
+      loadSuppliersForDropdown();
+    }).catch(err => {
+      console.error('Error adding supplier:', err);
+      if (err.name === 'ConstraintError') {
+        showError('supplier-code-error', 'Kode supplier sudah digunakan');
+      } else {
+        showToast('Gagal menambahkan supplier', 'error');
+      }
+    });
+  }
+}
+
+// Delete supplier
+function deleteSupplier(id) {
+  if (confirm('Apakah Anda yakin ingin menghapus supplier ini?')) {
+    // Check if any products are using this supplier
+    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+    const store = transaction.objectStore(STORES.PRODUCTS);
+    const index = store.index('supplierId');
+    const request = index.count(id);
+    
+    request.onsuccess = () => {
+      if (request.result > 0) {
+        showToast('Tidak dapat menghapus supplier karena ada produk yang terkait', 'error');
+      } else {
+        deleteRecord(STORES.SUPPLIERS, id).then(() => {
+          showToast('Supplier berhasil dihapus', 'success');
+          loadSuppliers();
+          loadSuppliersForDropdown();
+        }).catch(err => {
+          console.error('Error deleting supplier:', err);
+          showToast('Gagal menghapus supplier', 'error');
+        });
+      }
+    };
+  }
+}
+
+// ==================== STOCK COUNTS ====================
+
+// Stock count session statuses
+const STOCK_COUNT_STATUSES = {
+  counting: 'Sedang Dihitung',
+  posted: 'Selesai'
+};
+
+// Session open in the count view
+let activeStockCount = null;
+
+// Difference between the counted quantity and the frozen system stock of a line
+function getStockCountVariance(line) {
+  return line.counted === null ? 0 : roundQuantity(line.counted - line.systemStock, line.unit);
+}
+
+// Summarise the progress and variance of a stock count session
+function summarizeStockCount(session) {
+  return session.lines.reduce((summary, line) => {
+    const variance = getStockCountVariance(line);
+    
+    if (line.counted !== null) {
+      summary.counted++;
+    }
+    if (variance !== 0) {
+      summary.varianceLines++;
+    }
+    summary.varianceUnits = roundQuantity(summary.varianceUnits + variance);
+    summary.varianceValue += variance * (line.cost || 0);
+    
+    return summary;
+  }, { total: session.lines.length, counted: 0, varianceLines: 0, varianceUnits: 0, varianceValue: 0 });
+}
+
+// Load stock count sessions
+function loadStockCounts() {
+  const transaction = db.transaction(STORES.STOCK_COUNTS, 'readonly');
+  const store = transaction.objectStore(STORES.STOCK_COUNTS);
+  const request = store.getAll();
+  
+  request.onsuccess = () => {
+    const tbody = document.getElementById('stock-counts-list');
+    tbody.innerHTML = '';
+    
+    if (request.result.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="text-center">Belum ada stok opname</td></tr>';
+      return;
+    }
+    
+    request.result
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .forEach(session => {
+        const summary = summarizeStockCount(session);
+        const row = document.createElement('tr');
+        
+        row.innerHTML = `
+                    <td>${session.number}</td>
+                    <td>${new Date(session.createdAt).toLocaleDateString('id-ID')}</td>
+                    <td>
+                        ${escapeHtml(session.category || 'Semua produk')}
+                        ${session.note ? `<div class="transaction-note">${escapeHtml(session.note)}</div>` : ''}
+                    </td>
+                    <td>${summary.counted} / ${summary.total}</td>
+                    <td class="${summary.varianceValue < 0 ? 'movement-out' : 'movement-in'}">${formatCurrencySync(summary.varianceValue)}</td>
+                    <td>${STOCK_COUNT_STATUSES[session.status]}</td>
+                    <td>
+                        <button class="btn-edit" data-id="${session.id}">
+                            <i class="fas ${session.status === 'counting' ? 'fa-clipboard-check' : 'fa-eye'}"></i> ${session.status === 'counting' ? 'Hitung' : 'Lihat'}
+                        </button>
+                        ${session.status === 'counting' ? `
+                        <button class="btn-delete" data-id="${session.id}">
+                            <i class="fas fa-trash"></i> Hapus
+                        </button>` : ''}
+                    </td>
+                `;
+        
+        tbody.appendChild(row);
+      });
+  };
+}
+
+// Show the form that starts a new stock count
+function showNewStockCountForm() {
+  const form = document.getElementById('new-stock-count-form');
+  form.reset();
+  
+  fillCategoryOptions(document.getElementById('stock-count-category'), null, 'Semua produk');
+  document.getElementById('new-stock-count-modal').classList.remove('hidden');
+}
+
+// Start a stock count by freezing a snapshot of the system stock
+function startStockCount(e) {
+  e.preventDefault();
+  
+  const category = getSelectedCategory('stock-count-category');
+  const categoryIds = category ? getCategoryDescendantIds(category.id) : null;
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+  
+  request.onsuccess = () => {
+    const products = request.result
+      .filter(product => hasOwnStock(product) && (!categoryIds || categoryIds.has(product.categoryId)))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
+    if (products.length === 0) {
+      showToast('Tidak ada produk untuk dihitung', 'warning');
+      return;
+    }
+    
+    const session = {
+      number: generateInvoiceNumber('SO'),
+      category: category ? getCategoryPath(category.id) : '',
+      categoryId: category ? category.id : null,
+      note: document.getElementById('stock-count-note').value.trim(),
+      status: 'counting',
+      lines: products.map(product => ({
+        productId: product.id,
+        code: product.code,
+        name: product.name,
+        category: product.category,
+        systemStock: product.stock,
+        unit: product.unit || DEFAULT_UNIT,
+        cost: product.cost || 0,
+        counted: null,
+        approved: true
+      })),
+      createdBy: getCurrentUser(),
+      createdAt: new Date()
+    };
+    
+    addRecord(STORES.STOCK_COUNTS, session).then(id => {
+      document.getElementById('new-stock-count-modal').classList.add('hidden');
+      loadStockCounts();
+      showStockCount(id);
+    }).catch(err => {
+      console.error('Error starting stock count:', err);
+      showToast('Gagal memulai stok opname', 'error');
+    });
+  };
+}
+
+// Open a stock count session for counting or viewing
+function showStockCount(id) {
+  getRecord(STORES.STOCK_COUNTS, id).then(session => {
+    if (!session) {
+      showToast('Stok opname tidak ditemukan', 'error');
+      return;
+    }
+    
+    activeStockCount = session;
+    const counting = session.status === 'counting';
+    
+    document.getElementById('stock-count-title').textContent = `${session.number} - ${session.category || 'Semua produk'}`;
+    document.getElementById('stock-count-info').textContent = counting ?
+      `Snapshot stok ${new Date(session.createdAt).toLocaleString('id-ID')} oleh ${session.createdBy}` :
+      `Diposting ${new Date(session.postedAt).toLocaleString('id-ID')} oleh ${session.postedBy}`;
+    document.getElementById('stock-count-filter').value = '';
+    document.getElementById('stock-count-scan').value = '';
+    document.getElementById('stock-count-scan-row').classList.toggle('hidden', !counting);
+    document.getElementById('post-stock-count-btn').classList.toggle('hidden', !counting);
+    
+    displayStockCountLines();
+    document.getElementById('stock-count-modal').classList.remove('hidden');
+    
+    if (counting) {
+      document.getElementById('stock-count-scan').focus();
+    }
+  }).catch(err => {
+    console.error('Error loading stock count:', err);
+    showToast('Gagal memuat stok opname', 'error');
+  });
+}
+
+// Render the lines of the open stock count, filtered by the search box
+function displayStockCountLines() {
+  const session = activeStockCount;
+  const counting = session.status === 'counting';
+  const query = document.getElementById('stock-count-filter').value.toLowerCase();
+  const tbody = document.getElementById('stock-count-lines');
+  tbody.innerHTML = '';
+  
+  session.lines.forEach((line, index) => {
+    if (query && !line.name.toLowerCase().includes(query) && !line.code.toLowerCase().includes(query)) {
+      return;
+    }
+    
+    const variance = getStockCountVariance(line);
+    const row = document.createElement('tr');
+    row.setAttribute('data-index', index);
+    
+    row.innerHTML = `
+            <td>${escapeHtml(line.code)}</td>
+            <td>${escapeHtml(line.name)}</td>
+            <td>${formatQuantity(line.systemStock, line.unit)}</td>
+            <td>
+                ${counting ?
+                  `<input type="number" class="stock-count-quantity" data-index="${index}" min="0" step="${getQuantityStep(line.unit)}" value="${line.counted === null ? '' : line.counted}" placeholder="-">` :
+                  (line.counted === null ? '-' : formatQuantity(line.counted, line.unit))}
+            </td>
+            <td class="stock-count-variance ${variance < 0 ? 'movement-out' : 'movement-in'}">${variance > 0 ? '+' : ''}${variance || ''}</td>
+            <td class="stock-count-value">${variance ? formatCurrencySync(variance * line.cost) : ''}</td>
+            <td>
+                <input type="checkbox" class="stock-count-approve" data-index="${index}" ${line.approved ? 'checked' : ''} ${counting ? '' : 'disabled'}>
+            </td>
+        `;
+    
+    tbody.appendChild(row);
+  });
+  
+  tbody.querySelectorAll('.stock-count-quantity').forEach(input => {
+    input.addEventListener('change', (e) => {
+      const index = parseInt(e.target.getAttribute('data-index'));
+      const value = e.target.value === '' ? null : roundQuantity(parseFloat(e.target.value), session.lines[index].unit);
+      setStockCountQuantity(index, isNaN(value) || value < 0 ? null : value);
+    });
+  });
+  
+  tbody.querySelectorAll('.stock-count-approve').forEach(checkbox => {
+    checkbox.addEventListener('change', (e) => {
+      session.lines[parseInt(e.target.getAttribute('data-index'))].approved = e.target.checked;
+      saveStockCountProgress();
+    });
+  });
+  
+  updateStockCountSummary();
+}
+
+// Record a counted quantity and refresh its row
+function setStockCountQuantity(index, counted) {
+  const line = activeStockCount.lines[index];
+  line.counted = counted;
+  line.countedAt = new Date();
+  line.countedBy = getCurrentUser();
+  
+  const row = document.querySelector(`#stock-count-lines tr[data-index="${index}"]`);
+  if (row) {
+    const variance = getStockCountVariance(line);
+    const varianceCell = row.querySelector('.stock-count-variance');
+    varianceCell.textContent = `${variance > 0 ? '+' : ''}${variance || ''}`;
+    varianceCell.className = `stock-count-variance ${variance < 0 ? 'movement-out' : 'movement-in'}`;
+    row.querySelector('.stock-count-value').textContent = variance ? formatCurrencySync(variance * line.cost) : '';
+    row.querySelector('.stock-count-quantity').value = counted === null ? '' : counted;
+  }
+  
+  updateStockCountSummary();
+  saveStockCountProgress();
+}
+
+// Save the counts entered so far so counting can continue in a later sitting
+function saveStockCountProgress() {
+  activeStockCount.updatedAt = new Date();
+  
+  updateRecord(STORES.STOCK_COUNTS, activeStockCount).catch(err => {
+    console.error('Error saving stock count:', err);
+    showToast('Gagal menyimpan hasil hitung', 'error');
+  });
+}
+
+// Update the progress and variance totals of the open stock count
+function updateStockCountSummary() {
+  const summary = summarizeStockCount(activeStockCount);
+  
+  document.getElementById('stock-count-progress').textContent = `${summary.counted} / ${summary.total} produk dihitung`;
+  document.getElementById('stock-count-variance-units').textContent = `${summary.varianceUnits > 0 ? '+' : ''}${summary.varianceUnits}`;
+  document.getElementById('stock-count-variance-value').textContent = formatCurrencySync(summary.varianceValue);
+}
+
+// Count one unit of the product whose code was scanned or typed
+function handleStockCountScan(e) {
+  if (e.key !== 'Enter') {
+    return;
+  }
+  
+  e.preventDefault();
+  const code = e.target.value.trim();
+  e.target.value = '';
+  
+  if (!code) {
+    return;
+  }
+  
+  const index = activeStockCount.lines.findIndex(line => line.code === code);
   
-  request.onsuccess = () => {
-    const transactions = request.result;
-    
-    // Update summary
-    const totalSales = transactions.reduce((sum, t) => sum + t.total, 0);
-    const totalItems = transactions.reduce((sum, t) => sum + t.items.reduce((s, i) => s + i.quantity, 0), 0);
-    
-    formatCurrency(totalSales).then(formatted => {
-      document.getElementById('report-total-sales').textContent = formatted;
-    });
-    
-    document.getElementById('report-total-transactions').textContent = transactions.length;
-    document.getElementById('report-total-items').textContent = totalItems;
-    
-    // Update transactions list
-    const tbody = document.getElementById('transactions-list');
-    tbody.innerHTML = '';
-    
-    if (transactions.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Tidak ada transaksi</td></tr>';
-      return;
-    }
-    
-    transactions.reverse().forEach(t => {
-      const row = document.createElement('tr');
-      
-      row.innerHTML = `
-                <td>${t.invoice}</td>
-                <td>${new Date(t.date).toLocaleString('id-ID')}</td>
-                <td>${t.items.length} item(s)</td>
-                <td>${formatCurrencySync(t.total)}</td>
-                <td>${t.paymentMethod}</td>
-                <td>
-                    <button class="btn-view" data-id="${t.id}">
-                        <i class="fas fa-eye"></i> Lihat
-                    </button>
-                </td>
-            `;
-      
-      tbody.appendChild(row);
-    });
-  };
+  if (index === -1) {
+    playScanSound(false);
+    showToast(`Kode ${code} tidak termasuk dalam stok opname ini`, 'warning');
+    return;
+  }
+  
+  const line = activeStockCount.lines[index];
+  setStockCountQuantity(index, roundQuantity((line.counted || 0) + 1, line.unit));
+  playScanSound(true);
+  
+  const row = document.querySelector(`#stock-count-lines tr[data-index="${index}"]`);
+  if (row) {
+    row.scrollIntoView({ block: 'nearest' });
+    row.classList.add('highlight');
+    setTimeout(() => row.classList.remove('highlight'), 800);
+  }
 }
 
-// View transaction details
-function viewTransactionDetails(id) {
-  getRecord(STORES.TRANSACTIONS, id).then(transaction => {
-    if (transaction) {
-      let details = `=== DETAIL TRANSAKSI ===\n`;
-      details += `No. Invoice: ${transaction.invoice}\n`;
-      details += `Tanggal: ${new Date(transaction.date).toLocaleString('id-ID')}\n\n`;
-      details += `ITEM\tQTY\tHARGA\n`;
-      
-      transaction.items.forEach(item => {
-        details += `${item.name}\t${item.quantity}\t${formatCurrencySync(item.price * item.quantity)}\n`;
-      });
+// Post the approved variances of the open stock count as stock adjustments, in one transaction
+// Variances are added to the current stock so sales made during the count are kept
+function postStockCount() {
+  const session = activeStockCount;
+  const lines = session.lines.filter(line => line.approved && getStockCountVariance(line) !== 0);
+  const summary = summarizeStockCount(session);
+  
+  if (summary.counted < summary.total &&
+    !confirm(`${summary.total - summary.counted} produk belum dihitung dan tidak akan disesuaikan. Lanjutkan?`)) {
+    return;
+  }
+  
+  if (!confirm(`Posting ${lines.length} penyesuaian stok? Stok opname tidak dapat diubah lagi.`)) {
+    return;
+  }
+  
+  const transaction = db.transaction([STORES.STOCK_COUNTS, STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+  const productStore = transaction.objectStore(STORES.PRODUCTS);
+  const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+  
+  lines.forEach(line => {
+    const request = productStore.get(line.productId);
+    
+    request.onsuccess = () => {
+      const product = request.result;
       
-      details += `\nSubtotal: ${formatCurrencySync(transaction.subtotal)}\n`;
-      if (transaction.discount > 0) {
-        details += `Diskon: -${formatCurrencySync(transaction.discount)}\n`;
-      }
-      if (transaction.tax > 0) {
-        details += `Pajak: +${formatCurrencySync(transaction.tax)}\n`;
+      // Deleted products have nothing to adjust
+      if (!product) {
+        return;
       }
-      details += `TOTAL: ${formatCurrencySync(transaction.total)}\n\n`;
-      details += `Pembayaran: ${transaction.paymentMethod.toUpperCase()}\n`;
-      details += `Diterima: ${formatCurrencySync(transaction.amountReceived)}\n`;
-      details += `Kembalian: ${formatCurrencySync(transaction.change)}`;
       
-      alert(details);
-    }
+      const before = product.stock;
+      product.stock = roundQuantity(product.stock + getStockCountVariance(line), product.unit);
+      trimBatches(product);
+      product.updatedAt = new Date();
+      productStore.put(product);
+      addStockMovement(movementStore, product, before, 'adjustment', session.number, `Sistem ${line.systemStock}, hitung ${line.counted}`);
+      line.posted = true;
+    };
   });
+  
+  session.status = 'posted';
+  session.postedAt = new Date();
+  session.postedBy = getCurrentUser();
+  
+  // Written last so the posted flags set above are included
+  const sessionRequest = transaction.objectStore(STORES.STOCK_COUNTS).get(session.id);
+  sessionRequest.onsuccess = () => {
+    transaction.objectStore(STORES.STOCK_COUNTS).put(session);
+  };
+  
+  transaction.oncomplete = () => {
+    showToast(`${lines.length} penyesuaian stok diposting`, 'success');
+    document.getElementById('stock-count-modal').classList.add('hidden');
+    loadStockCounts();
+    loadDashboard();
+    loadCashierProducts();
+  };
+  transaction.onerror = (event) => {
+    console.error('Error posting stock count:', event.target.error);
+    session.status = 'counting';
+    showToast('Gagal memposting stok opname', 'error');
+  };
 }
 
-// Export to PDF
-function exportPDF() {
-  showToast('Fitur export PDF akan diimplementasikan', 'info');
+// Delete a stock count that has not been posted
+function deleteStockCount(id) {
+  if (confirm('Apakah Anda yakin ingin menghapus stok opname ini? Hasil hitung akan hilang.')) {
+    deleteRecord(STORES.STOCK_COUNTS, id).then(() => {
+      showToast('Stok opname berhasil dihapus', 'success');
+      loadStockCounts();
+    }).catch(err => {
+      console.error('Error deleting stock count:', err);
+      showToast('Gagal menghapus stok opname', 'error');
+    });
+  }
 }
 
-// Export to Excel
-function exportExcel() {
-  showToast('Fitur export Excel akan diimplementasikan', 'info');
+// Download the open stock count as CSV
+function exportStockCount() {
+  const session = activeStockCount;
+  const summary = summarizeStockCount(session);
+  const rows = [
+    ['No Opname', session.number],
+    ['Tanggal', new Date(session.createdAt).toLocaleString('id-ID')],
+    ['Cakupan', session.category || 'Semua produk'],
+    ['Status', STOCK_COUNT_STATUSES[session.status]],
+    [],
+    ['Kode', 'Nama', 'Kategori', 'Satuan', 'Stok Sistem', 'Dihitung', 'Selisih', 'Harga Beli', 'Nilai Selisih', 'Disetujui'],
+    ...session.lines.map(line => {
+      const variance = getStockCountVariance(line);
+      return [
+        line.code,
+        line.name,
+        line.category,
+        line.unit || '',
+        line.systemStock,
+        line.counted === null ? '' : line.counted,
+        variance,
+        line.cost,
+        variance * line.cost,
+        line.approved ? 'Ya' : 'Tidak'
+      ];
+    }),
+    [],
+    ['', '', '', '', '', 'TOTAL', summary.varianceUnits, '', summary.varianceValue, '']
+  ];
+  
+  downloadBlob(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), `${session.number}.csv`);
 }
 
-// ==================== SUPPLIERS ====================
+// ==================== PURCHASE ORDERS ====================
 
-// Load suppliers
-function loadSuppliers() {
-  const transaction = db.transaction(STORES.SUPPLIERS, 'readonly');
-  const store = transaction.objectStore(STORES.SUPPLIERS);
+// Purchase order statuses, in the order a PO goes through them
+const PURCHASE_ORDER_STATUSES = {
+  draft: 'Draft',
+  sent: 'Terkirim',
+  partial: 'Diterima Sebagian',
+  received: 'Diterima'
+};
+
+// Products offered in the purchase order line pickers
+let purchaseProducts = [];
+
+// Purchase order shown in the receive form or document view
+let activePurchaseOrder = null;
+
+// Check whether a product is at or below its minimum stock
+function needsRestock(product) {
+  return hasOwnStock(product) && product.stock <= product.minStock;
+}
+
+// Suggest how much of a product to order: enough to reach twice its minimum stock
+function getSuggestedOrderQuantity(product) {
+  return Math.max(roundQuantity(product.minStock * 2 - product.stock, product.unit), 1);
+}
+
+// Work out the status of a sent purchase order from what has been received
+function getPurchaseOrderStatus(order) {
+  const received = order.items.filter(item => roundQuantity(item.receivedQuantity || 0, item.unit) >= item.quantity).length;
+  const started = order.items.some(item => (item.receivedQuantity || 0) > 0);
+  
+  if (received === order.items.length) {
+    return 'received';
+  }
+  
+  return started ? 'partial' : order.status;
+}
+
+// Total value of a purchase order
+function getPurchaseOrderTotal(items) {
+  return items.reduce((sum, item) => sum + item.quantity * item.unitCost, 0);
+}
+
+// Load purchase orders
+function loadPurchaseOrders() {
+  const transaction = db.transaction(STORES.PURCHASE_ORDERS, 'readonly');
+  const store = transaction.objectStore(STORES.PURCHASE_ORDERS);
   const request = store.getAll();
   
   request.onsuccess = () => {
-    const tbody = document.getElementById('suppliers-list');
+    const status = document.getElementById('purchase-status-filter').value;
+    const orders = request.result
+      .filter(order => !status || order.status === status)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+    
+    const tbody = document.getElementById('purchases-list');
     tbody.innerHTML = '';
     
-    if (request.result.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="5" class="text-center">Tidak ada supplier</td></tr>';
+    if (orders.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" class="text-center">Tidak ada purchase order</td></tr>';
       return;
     }
     
-    request.result.forEach(supplier => {
+    orders.forEach(order => {
       const row = document.createElement('tr');
       
       row.innerHTML = `
-                <td>${supplier.code}</td>
-                <td>${supplier.name}</td>
-                <td>${supplier.contact}</td>
-                <td>${supplier.address.substring(0, 30)}${supplier.address.length > 30 ? '...' : ''}</td>
+                <td>${order.number}</td>
+                <td>${new Date(order.date).toLocaleDateString('id-ID')}</td>
+                <td>${escapeHtml(order.supplierName)}</td>
                 <td>
-                    <button class="btn-edit" data-id="${supplier.id}">
+                    <span class="po-status po-status-${order.status}">${PURCHASE_ORDER_STATUSES[order.status]}</span>
+                    ${order.expectedDate ? `<div class="transaction-note">Estimasi tiba ${new Date(order.expectedDate).toLocaleDateString('id-ID')}</div>` : ''}
+                </td>
+                <td>${formatCurrencySync(order.total)}</td>
+                <td>
+                    ${order.status === 'draft' ? `
+                    <button class="btn-edit" data-id="${order.id}">
                         <i class="fas fa-edit"></i> Edit
                     </button>
-                    <button class="btn-delete" data-id="${supplier.id}">
-                        <i class="fas fa-trash"></i> Hapus
+                    <button class="btn-send" data-id="${order.id}">
+                        <i class="fas fa-paper-plane"></i> Kirim
+                    </button>` : ''}
+                    ${order.status === 'sent' || order.status === 'partial' ? `
+                    <button class="btn-receive" data-id="${order.id}">
+                        <i class="fas fa-truck-loading"></i> Terima
+                    </button>` : ''}
+                    <button class="btn-print" data-id="${order.id}">
+                        <i class="fas fa-print"></i> Dokumen
                     </button>
+                    ${order.status === 'draft' ? `
+                    <button class="btn-delete" data-id="${order.id}">
+                        <i class="fas fa-trash"></i> Hapus
+                    </button>` : ''}
                 </td>
             `;
       
@@ -1382,197 +10576,600 @@ function loadSuppliers() {
   };
 }
 
-// Search suppliers
-function searchSuppliers() {
-  const query = document.getElementById('supplier-search').value.toLowerCase();
-  const transaction = db.transaction(STORES.SUPPLIERS, 'readonly');
-  const store = transaction.objectStore(STORES.SUPPLIERS);
-  const request = store.getAll();
+// Load the suppliers and products the purchase order form picks from
+function loadPurchaseFormOptions() {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.SUPPLIERS, STORES.PRODUCTS], 'readonly');
+    const supplierRequest = transaction.objectStore(STORES.SUPPLIERS).getAll();
+    const productRequest = transaction.objectStore(STORES.PRODUCTS).getAll();
+    
+    transaction.oncomplete = () => {
+      purchaseProducts = productRequest.result
+        .filter(hasOwnStock)
+        .sort((a, b) => a.name.localeCompare(b.name));
+      
+      const dropdown = document.getElementById('purchase-supplier');
+      dropdown.innerHTML = '<option value="">Pilih Supplier</option>';
+      
+      supplierRequest.result.forEach(supplier => {
+        const option = document.createElement('option');
+        option.value = supplier.id;
+        option.textContent = supplier.name;
+        dropdown.appendChild(option);
+      });
+      
+      resolve();
+    };
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// Show purchase order form, for an existing draft or a new PO with preset lines
+function showPurchaseOrderForm(id = null, preset = null) {
+  const modal = document.getElementById('purchase-modal');
+  const form = document.getElementById('purchase-form');
+  const title = document.getElementById('purchase-modal-title');
   
-  request.onsuccess = () => {
-    const filtered = request.result.filter(supplier =>
-      supplier.name.toLowerCase().includes(query) ||
-      supplier.code.toLowerCase().includes(query) ||
-      supplier.contact.toLowerCase().includes(query)
-    );
+  form.reset();
+  clearFormErrors('purchase-form');
+  document.getElementById('purchase-lines').innerHTML = '';
+  
+  Promise.all([loadPurchaseFormOptions(), id ? getRecord(STORES.PURCHASE_ORDERS, id) : Promise.resolve(preset)]).then(([, order]) => {
+    if (id && (!order || order.status !== 'draft')) {
+      showToast('Hanya PO draft yang dapat diubah', 'warning');
+      return;
+    }
     
-    const tbody = document.getElementById('suppliers-list');
-    tbody.innerHTML = '';
+    title.innerHTML = id ?
+      `<i class="fas fa-edit"></i> Edit ${order.number}` :
+      '<i class="fas fa-plus"></i> Buat Purchase Order';
+    document.getElementById('purchase-id').value = id || '';
     
-    if (filtered.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="5" class="text-center">Tidak ada supplier yang cocok</td></tr>';
-      return;
+    if (order) {
+      document.getElementById('purchase-supplier').value = order.supplierId || '';
+      document.getElementById('purchase-expected-date').value = order.expectedDate || '';
+      document.getElementById('purchase-note').value = order.note || '';
+      order.items.forEach(item => addPurchaseLine(item));
     }
     
-    filtered.forEach(supplier => {
-      const row = document.createElement('tr');
-      
-      row.innerHTML = `
-                <td>${supplier.code}</td>
-                <td>${supplier.name}</td>
-                <td>${supplier.contact}</td>
-                <td>${supplier.address.substring(0, 30)}${supplier.address.length > 30 ? '...' : ''}</td>
-                <td>
-                    <button class="btn-edit" data-id="${supplier.id}">
-                        <i class="fas fa-edit"></i> Edit
-                    </button>
-                    <button class="btn-delete" data-id="${supplier.id}">
-                        <i class="fas fa-trash"></i> Hapus
-                    </button>
-                </td>
-            `;
-      
-      tbody.appendChild(row);
-    });
+    if (!order || order.items.length === 0) {
+      addPurchaseLine();
+    }
+    
+    updatePurchaseTotal();
+    modal.classList.remove('hidden');
+  }).catch(err => {
+    console.error('Error loading purchase order:', err);
+    showToast('Gagal memuat purchase order', 'error');
+  });
+}
+
+// Add an item line to the purchase order form
+function addPurchaseLine(item = null) {
+  const tbody = document.getElementById('purchase-lines');
+  const row = document.createElement('tr');
+  
+  row.innerHTML = `
+        <td>
+            <select class="purchase-product">
+                <option value="">Pilih Produk</option>
+                ${purchaseProducts.map(product => `<option value="${product.id}">${escapeHtml(product.code)} - ${escapeHtml(product.name)}</option>`).join('')}
+            </select>
+        </td>
+        <td><input type="number" class="purchase-quantity" min="0" step="any" value="${item ? item.quantity : 1}"></td>
+        <td><select class="purchase-unit"></select></td>
+        <td><input type="number" class="purchase-cost" min="0" step="100" value="${item ? item.unitCost : ''}"></td>
+        <td class="purchase-subtotal"></td>
+        <td>
+            <button type="button" class="btn-remove-tender" title="Hapus">
+                <i class="fas fa-times"></i>
+            </button>
+        </td>
+    `;
+  
+  const productSelect = row.querySelector('.purchase-product');
+  const unitSelect = row.querySelector('.purchase-unit');
+  productSelect.value = item ? item.productId : '';
+  
+  // Offer the base unit and packs of the selected product
+  const fillUnits = (selected) => {
+    const product = purchaseProducts.find(p => p.id === parseInt(productSelect.value));
+    const units = product ? getSaleUnits(product) : [];
+    
+    unitSelect.innerHTML = units.map(unit => `<option value="${escapeHtml(unit.unit)}">${escapeHtml(unit.unit)}</option>`).join('');
+    unitSelect.value = selected && units.some(unit => unit.unit === selected) ? selected : (units[0] ? units[0].unit : '');
+  };
+  fillUnits(item ? item.unit : null);
+  
+  // Default the unit cost to the product's current cost, per unit ordered
+  const fillCost = () => {
+    const product = purchaseProducts.find(p => p.id === parseInt(productSelect.value));
+    const unit = product ? getSaleUnits(product).find(u => u.unit === unitSelect.value) : null;
+    row.querySelector('.purchase-cost').value = product && unit ? (product.cost || 0) * unit.factor : '';
+    updatePurchaseTotal();
   };
+  
+  productSelect.addEventListener('change', () => {
+    fillUnits(null);
+    fillCost();
+  });
+  unitSelect.addEventListener('change', fillCost);
+  row.querySelector('.purchase-quantity').addEventListener('input', updatePurchaseTotal);
+  row.querySelector('.purchase-cost').addEventListener('input', updatePurchaseTotal);
+  row.querySelector('.btn-remove-tender').addEventListener('click', () => {
+    row.remove();
+    updatePurchaseTotal();
+  });
+  
+  tbody.appendChild(row);
+  updatePurchaseTotal();
 }
 
-// Show supplier form
-function showSupplierForm(id = null) {
-  const modal = document.getElementById('supplier-modal');
-  const form = document.getElementById('supplier-form');
-  const title = document.getElementById('supplier-modal-title');
+// Read the item lines of the purchase order form
+function getPurchaseLines() {
+  return Array.from(document.querySelectorAll('#purchase-lines tr')).map(row => {
+    const productId = parseInt(row.querySelector('.purchase-product').value);
+    const product = purchaseProducts.find(p => p.id === productId);
+    const unit = product ? getSaleUnits(product).find(u => u.unit === row.querySelector('.purchase-unit').value) : null;
+    
+    return {
+      productId: product ? product.id : null,
+      code: product ? product.code : '',
+      name: product ? product.name : '',
+      quantity: parseFloat(row.querySelector('.purchase-quantity').value) || 0,
+      unit: unit ? unit.unit : '',
+      factor: unit ? unit.factor : 1,
+      baseUnit: product ? product.unit || DEFAULT_UNIT : '',
+      unitCost: parseFloat(row.querySelector('.purchase-cost').value) || 0,
+      receivedQuantity: 0
+    };
+  });
+}
+
+// Update line subtotals and the purchase order total
+function updatePurchaseTotal() {
+  const lines = getPurchaseLines();
   
-  // Reset form and clear errors
-  form.reset();
-  clearFormErrors('supplier-form');
+  document.querySelectorAll('#purchase-lines tr').forEach((row, index) => {
+    row.querySelector('.purchase-subtotal').textContent = formatCurrencySync(lines[index].quantity * lines[index].unitCost);
+  });
   
-  if (id) {
-    title.innerHTML = '<i class="fas fa-edit"></i> Edit Supplier';
-    getRecord(STORES.SUPPLIERS, id).then(supplier => {
-      if (supplier) {
-        document.getElementById('supplier-id').value = supplier.id;
-        document.getElementById('supplier-code').value = supplier.code;
-        document.getElementById('supplier-name').value = supplier.name;
-        document.getElementById('supplier-contact').value = supplier.contact;
-        document.getElementById('supplier-address').value = supplier.address;
-        document.getElementById('supplier-email').value = supplier.email || '';
-        document.getElementById('supplier-phone').value = supplier.phone || '';
-        
-        modal.classList.remove('hidden');
-        document.getElementById('supplier-code').focus();
-      }
-    });
-  } else {
-    title.innerHTML = '<i class="fas fa-plus"></i> Tambah Supplier Baru';
-    document.getElementById('supplier-id').value = '';
-    modal.classList.remove('hidden');
-    setTimeout(() => {
-      document.getElementById('supplier-code').focus();
-    }, 100);
-  }
+  document.getElementById('purchase-total').textContent = formatCurrencySync(getPurchaseOrderTotal(lines));
 }
 
-// Validate supplier form
-function validateSupplierForm() {
+// Validate purchase order form
+function validatePurchaseOrderForm(lines) {
   let isValid = true;
   
-  // Validate code
-  const code = document.getElementById('supplier-code').value.trim();
-  if (!code) {
-    showError('supplier-code-error', 'Kode supplier wajib diisi');
+  if (!document.getElementById('purchase-supplier').value) {
+    showError('purchase-supplier-error', 'Supplier wajib dipilih');
     isValid = false;
   }
   
-  // Validate name
-  const name = document.getElementById('supplier-name').value.trim();
-  if (!name) {
-    showError('supplier-name-error', 'Nama supplier wajib diisi');
-    isValid = false;
-  }
+  const productIds = lines.map(line => line.productId);
   
-  // Validate contact
-  const contact = document.getElementById('supplier-contact').value.trim();
-  if (!contact) {
-    showError('supplier-contact-error', 'Kontak wajib diisi');
+  if (lines.length === 0) {
+    showError('purchase-lines-error', 'Tambahkan minimal satu barang');
     isValid = false;
-  }
-  
-  // Validate address
-  const address = document.getElementById('supplier-address').value.trim();
-  if (!address) {
-    showError('supplier-address-error', 'Alamat wajib diisi');
+  } else if (productIds.includes(null)) {
+    showError('purchase-lines-error', 'Pilih produk di setiap baris');
+    isValid = false;
+  } else if (new Set(productIds).size !== productIds.length) {
+    showError('purchase-lines-error', 'Produk yang sama muncul lebih dari sekali');
+    isValid = false;
+  } else if (lines.some(line => line.quantity <= 0)) {
+    showError('purchase-lines-error', 'Jumlah pesanan harus lebih dari 0');
+    isValid = false;
+  } else if (lines.some(line => !isValidQuantity(line.quantity, line.unit))) {
+    showError('purchase-lines-error', 'Jumlah pesanan melebihi jumlah desimal satuannya');
     isValid = false;
   }
   
   return isValid;
 }
 
-// Save supplier
-function saveSupplier(e) {
+// Save purchase order as a draft
+function savePurchaseOrder(e) {
   e.preventDefault();
+  clearFormErrors('purchase-form');
   
-  // Validate form
-  if (!validateSupplierForm()) {
+  const lines = getPurchaseLines();
+  if (!validatePurchaseOrderForm(lines)) {
     return;
   }
   
-  const id = document.getElementById('supplier-id').value;
-  const supplier = {
-    code: document.getElementById('supplier-code').value.trim(),
-    name: document.getElementById('supplier-name').value.trim(),
-    contact: document.getElementById('supplier-contact').value.trim(),
-    address: document.getElementById('supplier-address').value.trim(),
-    email: document.getElementById('supplier-email').value.trim() || null,
-    phone: document.getElementById('supplier-phone').value.trim() || null,
+  const id = document.getElementById('purchase-id').value;
+  const supplierSelect = document.getElementById('purchase-supplier');
+  const order = {
+    supplierId: parseInt(supplierSelect.value),
+    supplierName: supplierSelect.options[supplierSelect.selectedIndex].textContent,
+    expectedDate: document.getElementById('purchase-expected-date').value || null,
+    note: document.getElementById('purchase-note').value.trim(),
+    items: lines,
+    total: getPurchaseOrderTotal(lines),
     updatedAt: new Date()
   };
   
-  if (id) {
-    // Update existing supplier
-    supplier.id = parseInt(id);
-    updateRecord(STORES.SUPPLIERS, supplier).then(() => {
-      showToast('Supplier berhasil diperbarui', 'success');
-      document.getElementById('supplier-modal').classList.add('hidden');
-      loadSuppliers();
-      loadSuppliersForDropdown();
-    }).catch(err => {
-      console.error('Error updating supplier:', err);
-      showToast('Gagal memperbarui supplier', 'error');
+  const save = id ?
+    getRecord(STORES.PURCHASE_ORDERS, parseInt(id)).then(existing => updateRecord(STORES.PURCHASE_ORDERS, { ...existing, ...order })) :
+    addRecord(STORES.PURCHASE_ORDERS, {
+      ...order,
+      number: generateInvoiceNumber('PO'),
+      status: 'draft',
+      date: new Date(),
+      receipts: [],
+      createdBy: getCurrentUser(),
+      createdAt: new Date()
     });
-  } else {
-    // Add new supplier
-    supplier.createdAt = new Date();
-    addRecord(STORES.SUPPLIERS, supplier).then(() => {
-      showToast('Supplier berhasil ditambahkan', 'success');
-      document.getElementById('supplier-modal').classList.add('hidden');
-      loadSuppliers();
-      loadSuppliersForDropdown();
+  
+  save.then(() => {
+    showToast(id ? 'Purchase order berhasil diperbarui' : 'Purchase order berhasil dibuat', 'success');
+    document.getElementById('purchase-modal').classList.add('hidden');
+    loadPurchaseOrders();
+  }).catch(err => {
+    console.error('Error saving purchase order:', err);
+    showToast('Gagal menyimpan purchase order', 'error');
+  });
+}
+
+// Delete a draft purchase order
+function deletePurchaseOrder(id) {
+  if (confirm('Apakah Anda yakin ingin menghapus purchase order ini?')) {
+    deleteRecord(STORES.PURCHASE_ORDERS, id).then(() => {
+      showToast('Purchase order berhasil dihapus', 'success');
+      loadPurchaseOrders();
     }).catch(err => {
-      console.error('Error adding supplier:', err);
-      if (err.name === 'ConstraintError') {
-        showError('supplier-code-error', 'Kode supplier sudah digunakan');
-      } else {
-        showToast('Gagal menambahkan supplier', 'error');
-      }
+      console.error('Error deleting purchase order:', err);
+      showToast('Gagal menghapus purchase order', 'error');
     });
   }
 }
 
-// Delete supplier
-function deleteSupplier(id) {
-  if (confirm('Apakah Anda yakin ingin menghapus supplier ini?')) {
-    // Check if any products are using this supplier
-    const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
-    const store = transaction.objectStore(STORES.PRODUCTS);
-    const index = store.index('supplierId');
-    const request = index.count(id);
+// Mark a draft purchase order as sent and open its document
+function sendPurchaseOrder(id) {
+  getRecord(STORES.PURCHASE_ORDERS, id).then(order => {
+    if (!order.supplierId) {
+      showToast('Pilih supplier purchase order terlebih dahulu', 'warning');
+      return;
+    }
     
-    request.onsuccess = () => {
-      if (request.result > 0) {
-        showToast('Tidak dapat menghapus supplier karena ada produk yang terkait', 'error');
-      } else {
-        deleteRecord(STORES.SUPPLIERS, id).then(() => {
-          showToast('Supplier berhasil dihapus', 'success');
-          loadSuppliers();
-          loadSuppliersForDropdown();
-        }).catch(err => {
-          console.error('Error deleting supplier:', err);
-          showToast('Gagal menghapus supplier', 'error');
+    if (!confirm('Tandai purchase order ini sebagai terkirim ke supplier? PO tidak dapat diubah lagi.')) {
+      return;
+    }
+    
+    order.status = 'sent';
+    order.sentAt = new Date();
+    order.updatedAt = new Date();
+    
+    return updateRecord(STORES.PURCHASE_ORDERS, order).then(() => {
+      showToast('Purchase order ditandai terkirim', 'success');
+      loadPurchaseOrders();
+      showPurchaseOrderDocument(id);
+    });
+  }).catch(err => {
+    console.error('Error sending purchase order:', err);
+    showToast('Gagal memperbarui purchase order', 'error');
+  });
+}
+
+// Create draft purchase orders, one per supplier, from the products that need restocking
+function createRestockPurchaseOrders() {
+  const transaction = db.transaction(STORES.PRODUCTS, 'readonly');
+  const request = transaction.objectStore(STORES.PRODUCTS).getAll();
+  
+  request.onsuccess = () => {
+    const restockProducts = request.result.filter(needsRestock);
+    
+    if (restockProducts.length === 0) {
+      showToast('Tidak ada produk yang perlu restok', 'info');
+      return;
+    }
+    
+    // Group by supplier; products without a supplier go into one PO to be assigned by hand
+    const groups = {};
+    restockProducts.forEach(product => {
+      const supplierId = parseInt(product.supplierId) || '';
+      groups[supplierId] = groups[supplierId] || [];
+      groups[supplierId].push({
+        productId: product.id,
+        code: product.code,
+        name: product.name,
+        quantity: getSuggestedOrderQuantity(product),
+        unit: product.unit || DEFAULT_UNIT,
+        factor: 1,
+        unitCost: product.cost || 0,
+        receivedQuantity: 0
+      });
+    });
+    
+    const supplierIds = Object.keys(groups);
+    
+    // A single group opens in the form so the cashier can review it before saving
+    if (supplierIds.length === 1) {
+      showPage('purchases');
+      showPurchaseOrderForm(null, { supplierId: supplierIds[0], items: groups[supplierIds[0]] });
+      return;
+    }
+    
+    if (!confirm(`Buat ${supplierIds.length} draft purchase order untuk ${restockProducts.length} produk yang perlu restok?`)) {
+      return;
+    }
+    
+    Promise.all(supplierIds.map(supplierId => {
+      return (supplierId ? getRecord(STORES.SUPPLIERS, parseInt(supplierId)) : Promise.resolve(null)).then(supplier => {
+        return addRecord(STORES.PURCHASE_ORDERS, {
+          number: `${generateInvoiceNumber('PO')}-${supplierId || 'X'}`,
+          supplierId: supplier ? supplier.id : null,
+          supplierName: supplier ? supplier.name : 'Belum ditentukan',
+          status: 'draft',
+          date: new Date(),
+          expectedDate: null,
+          note: '',
+          items: groups[supplierId],
+          total: getPurchaseOrderTotal(groups[supplierId]),
+          receipts: [],
+          createdBy: getCurrentUser(),
+          createdAt: new Date(),
+          updatedAt: new Date()
         });
+      });
+    })).then(() => {
+      showToast(`${supplierIds.length} draft purchase order dibuat`, 'success');
+      showPage('purchases');
+    }).catch(err => {
+      console.error('Error creating restock purchase orders:', err);
+      showToast('Gagal membuat purchase order', 'error');
+    });
+  };
+}
+
+// Show the goods receiving form of a sent purchase order
+function showReceiveForm(id) {
+  getRecord(STORES.PURCHASE_ORDERS, id).then(order => {
+    if (!order || (order.status !== 'sent' && order.status !== 'partial')) {
+      showToast('Purchase order tidak dapat diterima', 'warning');
+      return;
+    }
+    
+    activePurchaseOrder = order;
+    clearFormErrors('receive-form');
+    document.getElementById('receive-form').reset();
+    document.getElementById('receive-info').textContent = `${order.number} - ${order.supplierName}`;
+    
+    const tbody = document.getElementById('receive-lines');
+    tbody.innerHTML = '';
+    
+    order.items.forEach((item, index) => {
+      const remaining = Math.max(roundQuantity(item.quantity - (item.receivedQuantity || 0), item.unit), 0);
+      const row = document.createElement('tr');
+      
+      row.innerHTML = `
+                <td>${escapeHtml(item.code)} - ${escapeHtml(item.name)}</td>
+                <td>${formatQuantity(item.quantity, item.unit)}</td>
+                <td>${formatQuantity(item.receivedQuantity || 0, item.unit)}</td>
+                <td>
+                    <input type="number" class="receive-quantity" data-index="${index}" min="0" step="${getQuantityStep(item.unit)}" value="${remaining}">
+                </td>
+                <td>
+                    <input type="number" class="receive-cost" data-index="${index}" min="0" step="100" value="${item.unitCost}">
+                </td>
+                <td>
+                    <input type="text" class="receive-lot" data-index="${index}" placeholder="Lot">
+                </td>
+                <td>
+                    <input type="date" class="receive-expiry" data-index="${index}">
+                </td>
+            `;
+      
+      tbody.appendChild(row);
+    });
+    
+    document.getElementById('receive-modal').classList.remove('hidden');
+  }).catch(err => {
+    console.error('Error loading purchase order:', err);
+    showToast('Gagal memuat purchase order', 'error');
+  });
+}
+
+// Add received goods to stock and update the purchase order, all in one transaction
+function receivePurchaseOrder(id, lines, updateCost) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.PURCHASE_ORDERS, STORES.PRODUCTS, STORES.STOCK_MOVEMENTS], 'readwrite');
+    const orderStore = transaction.objectStore(STORES.PURCHASE_ORDERS);
+    const productStore = transaction.objectStore(STORES.PRODUCTS);
+    const movementStore = transaction.objectStore(STORES.STOCK_MOVEMENTS);
+    const request = orderStore.get(id);
+    let order;
+    
+    request.onsuccess = () => {
+      order = request.result;
+      
+      lines.forEach(line => {
+        const item = order.items[line.index];
+        item.receivedQuantity = roundQuantity((item.receivedQuantity || 0) + line.quantity, item.unit);
+        
+        const productRequest = productStore.get(item.productId);
+        
+        productRequest.onsuccess = () => {
+          const product = productRequest.result;
+          
+          // Deleted products have nothing to restock
+          if (!product) {
+            return;
+          }
+          
+          // Goods ordered by the pack are stocked and costed in the base unit
+          const factor = item.factor || 1;
+          const before = product.stock;
+          product.stock = roundQuantity(product.stock + line.quantity * factor, product.unit);
+          if (updateCost) {
+            product.cost = line.unitCost / factor;
+          }
+          if (line.lot || line.expiry) {
+            addBatch(product, line.lot, line.expiry, roundQuantity(line.quantity * factor, product.unit));
+          }
+          product.updatedAt = new Date();
+          productStore.put(product);
+          addStockMovement(movementStore, product, before, 'purchase', order.number, order.supplierName);
+        };
+      });
+      
+      order.receipts = [...(order.receipts || []), {
+        date: new Date(),
+        user: getCurrentUser(),
+        lines: lines.map(line => ({
+          productId: order.items[line.index].productId,
+          quantity: line.quantity,
+          unit: order.items[line.index].unit,
+          unitCost: line.unitCost,
+          lot: line.lot || '',
+          expiry: line.expiry || ''
+        }))
+      }];
+      order.status = getPurchaseOrderStatus(order);
+      if (order.status === 'received') {
+        order.receivedAt = new Date();
       }
+      order.updatedAt = new Date();
+      orderStore.put(order);
     };
+    
+    transaction.oncomplete = () => resolve(order);
+    transaction.onerror = (event) => reject(event.target.error);
+    transaction.onabort = (event) => reject(event.target.error);
+  });
+}
+
+// Save the goods receiving form
+function saveReceivedGoods(e) {
+  e.preventDefault();
+  clearFormErrors('receive-form');
+  
+  const lines = Array.from(document.querySelectorAll('#receive-lines .receive-quantity'))
+    .map(input => {
+      const index = parseInt(input.getAttribute('data-index'));
+      
+      return {
+        index,
+        quantity: roundQuantity(parseFloat(input.value) || 0, activePurchaseOrder.items[index].unit),
+        unitCost: parseFloat(document.querySelector(`#receive-lines .receive-cost[data-index="${index}"]`).value) || 0,
+        lot: document.querySelector(`#receive-lines .receive-lot[data-index="${index}"]`).value.trim(),
+        expiry: document.querySelector(`#receive-lines .receive-expiry[data-index="${index}"]`).value
+      };
+    })
+    .filter(line => line.quantity > 0);
+  
+  if (lines.length === 0) {
+    showError('receive-lines-error', 'Masukkan jumlah barang yang diterima');
+    return;
   }
+  
+  const updateCost = document.getElementById('receive-update-cost').checked;
+  
+  receivePurchaseOrder(activePurchaseOrder.id, lines, updateCost).then(order => {
+    showToast(order.status === 'received' ? 'Semua barang telah diterima' : 'Penerimaan sebagian dicatat', 'success');
+    document.getElementById('receive-modal').classList.add('hidden');
+    loadPurchaseOrders();
+    loadDashboard();
+    loadCashierProducts();
+  }).catch(err => {
+    console.error('Error receiving goods:', err);
+    showToast('Gagal mencatat penerimaan barang', 'error');
+  });
+}
+
+// Build the purchase order document sent to the supplier
+function buildPurchaseOrderHTML(order, store, supplier) {
+  const rows = order.items.map((item, index) => `
+        <tr>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(item.code)}</td>
+            <td>${escapeHtml(item.name)}</td>
+            <td class="text-right">${formatQuantity(item.quantity, item.unit)}</td>
+            <td class="text-right">${formatCurrencySync(item.unitCost)}</td>
+            <td class="text-right">${formatCurrencySync(item.quantity * item.unitCost)}</td>
+        </tr>
+    `).join('');
+  
+  return `
+        <div class="document-header">
+            <div>
+                <strong>${escapeHtml(store.name || '')}</strong>
+                <div>${escapeMultiline(store.address || '')}</div>
+                ${store.phone ? `<div>Telp: ${escapeHtml(store.phone)}</div>` : ''}
+            </div>
+            <div class="text-right">
+                <h2>PURCHASE ORDER</h2>
+                <div>No: ${order.number}</div>
+                <div>Tanggal: ${new Date(order.date).toLocaleDateString('id-ID')}</div>
+                ${order.expectedDate ? `<div>Estimasi tiba: ${new Date(order.expectedDate).toLocaleDateString('id-ID')}</div>` : ''}
+                <div>Status: ${PURCHASE_ORDER_STATUSES[order.status]}</div>
+            </div>
+        </div>
+        <div class="document-party">
+            <div>Kepada:</div>
+            <strong>${escapeHtml(supplier ? supplier.name : order.supplierName)}</strong>
+            ${supplier ? `
+            <div>${escapeMultiline(supplier.address)}</div>
+            <div>${escapeHtml(supplier.contact)}${supplier.phone ? ` - ${escapeHtml(supplier.phone)}` : ''}</div>
+            ${supplier.email ? `<div>${escapeHtml(supplier.email)}</div>` : ''}` : ''}
+        </div>
+        <table class="document-table">
+            <thead>
+                <tr>
+                    <th>No</th>
+                    <th>Kode</th>
+                    <th>Nama Barang</th>
+                    <th class="text-right">Jumlah</th>
+                    <th class="text-right">Harga Satuan</th>
+                    <th class="text-right">Subtotal</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+            <tfoot>
+                <tr>
+                    <th colspan="5" class="text-right">TOTAL</th>
+                    <th class="text-right">${formatCurrencySync(order.total)}</th>
+                </tr>
+            </tfoot>
+        </table>
+        ${order.note ? `<p>Catatan: ${escapeMultiline(order.note)}</p>` : ''}
+        <div class="document-signatures">
+            <div>Dipesan oleh,<br><br><br>${escapeHtml(order.createdBy || '')}</div>
+            <div>Disetujui supplier,<br><br><br>(..................)</div>
+        </div>
+    `;
+}
+
+// Show the printable purchase order document
+function showPurchaseOrderDocument(id) {
+  Promise.all([getRecord(STORES.PURCHASE_ORDERS, id), getRecord(STORES.SETTINGS, 'store')]).then(([order, store]) => {
+    return (order.supplierId ? getRecord(STORES.SUPPLIERS, order.supplierId) : Promise.resolve(null)).then(supplier => {
+      activePurchaseOrder = order;
+      document.getElementById('purchase-document').innerHTML = buildPurchaseOrderHTML(order, store || {}, supplier);
+      document.getElementById('purchase-document-modal').classList.remove('hidden');
+    });
+  }).catch(err => {
+    console.error('Error loading purchase order document:', err);
+    showToast('Gagal memuat dokumen purchase order', 'error');
+  });
+}
+
+// Download the purchase order shown in the document view as CSV
+function exportPurchaseOrder() {
+  const order = activePurchaseOrder;
+  const rows = [
+    ['No PO', order.number],
+    ['Tanggal', new Date(order.date).toLocaleDateString('id-ID')],
+    ['Supplier', order.supplierName],
+    [],
+    ['Kode', 'Nama Barang', 'Jumlah', 'Satuan', 'Harga Satuan', 'Subtotal'],
+    ...order.items.map(item => [item.code, item.name, item.quantity, item.unit || '', item.unitCost, item.quantity * item.unitCost]),
+    [],
+    ['', '', '', '', 'TOTAL', order.total]
+  ];
+  
+  downloadBlob(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), `${order.number}.csv`);
 }
 
 // ==================== SETTINGS ====================
@@ -1596,8 +11193,14 @@ function showSettingsTab(tabId) {
   document.getElementById(tabId).classList.add('active');
   
   // Load settings if needed
-  if (tabId === 'store-settings' || tabId === 'receipt-settings') {
+  if (tabId === 'store-settings' || tabId === 'receipt-settings' || tabId === 'printer-settings') {
     loadSettings();
+  } else if (tabId === 'unit-settings') {
+    displayUnitSettings();
+  } else if (tabId === 'expiry-settings') {
+    displayExpirySettings();
+  } else if (tabId === 'supervisor-settings') {
+    displaySupervisorSettings();
   }
 }
 
@@ -1620,7 +11223,21 @@ function loadSettings() {
       document.getElementById('receipt-header').value = settings.header;
       document.getElementById('receipt-footer').value = settings.footer;
       document.getElementById('receipt-tax').checked = settings.showTax;
+      document.getElementById('receipt-paper').value = getReceiptPaperSize(settings);
+    }
+  });
+  
+  // Load printer settings
+  getRecord(STORES.SETTINGS, 'printer').then(settings => {
+    if (settings) {
+      document.getElementById('printer-mode').value = settings.mode;
+      document.getElementById('printer-transport').value = settings.transport;
+      document.getElementById('printer-paper').value = settings.paperSize;
+      document.getElementById('printer-baud-rate').value = settings.baudRate || 9600;
+      document.getElementById('printer-cut').checked = settings.autoCut !== false;
+      document.getElementById('printer-drawer').checked = !!settings.openDrawer;
     }
+    updatePrinterTransportFields();
   });
   
   // Load tax rate
@@ -1686,7 +11303,8 @@ function saveReceiptSettings(e) {
     id: 'receipt',
     header: document.getElementById('receipt-header').value.trim(),
     footer: document.getElementById('receipt-footer').value.trim(),
-    showTax: document.getElementById('receipt-tax').checked
+    showTax: document.getElementById('receipt-tax').checked,
+    paperSize: document.getElementById('receipt-paper').value
   };
   
   // Handle logo upload if needed
@@ -1709,7 +11327,11 @@ function saveReceiptSettings(e) {
     
     reader.readAsDataURL(file);
   } else {
-    updateRecord(STORES.SETTINGS, settings).then(() => {
+    // Keep the previously uploaded logo
+    getRecord(STORES.SETTINGS, 'receipt').then(existing => {
+      settings.logo = existing ? existing.logo || null : null;
+      return updateRecord(STORES.SETTINGS, settings);
+    }).then(() => {
       showToast('Pengaturan struk berhasil disimpan', 'success');
     }).catch(err => {
       console.error('Error saving receipt settings:', err);
@@ -1718,11 +11340,89 @@ function saveReceiptSettings(e) {
   }
 }
 
+// Read the printer settings form
+function getPrinterFormSettings() {
+  return {
+    id: 'printer',
+    mode: document.getElementById('printer-mode').value,
+    transport: document.getElementById('printer-transport').value,
+    paperSize: document.getElementById('printer-paper').value,
+    baudRate: parseInt(document.getElementById('printer-baud-rate').value) || 9600,
+    autoCut: document.getElementById('printer-cut').checked,
+    openDrawer: document.getElementById('printer-drawer').checked
+  };
+}
+
+// Show the fields that apply to the selected printer transport
+function updatePrinterTransportFields() {
+  const transport = document.getElementById('printer-transport').value;
+  const supported = PRINTER_TRANSPORTS[transport] && PRINTER_TRANSPORTS[transport].isSupported();
+  
+  document.getElementById('printer-baud-rate-group').classList.toggle('hidden', transport !== 'serial');
+  document.getElementById('printer-connect-btn').classList.toggle('hidden', transport === 'download');
+  document.getElementById('printer-support-warning').classList.toggle('hidden', supported);
+}
+
+// Save printer settings
+function savePrinterSettings(e) {
+  e.preventDefault();
+  
+  updateRecord(STORES.SETTINGS, getPrinterFormSettings()).then(() => {
+    showToast('Pengaturan printer berhasil disimpan', 'success');
+  }).catch(err => {
+    console.error('Error saving printer settings:', err);
+    showToast('Gagal menyimpan pengaturan printer', 'error');
+  });
+}
+
+// Ask the browser for access to the printer
+function connectPrinter() {
+  const printer = getPrinterFormSettings();
+  
+  try {
+    getPrinterTransport(printer).connect().then(() => {
+      showToast('Printer berhasil dihubungkan', 'success');
+    }).catch(err => {
+      console.error('Error connecting printer:', err);
+      showToast('Printer tidak dihubungkan', 'warning');
+    });
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// Print a sample receipt with the settings in the form
+function testPrinter() {
+  const printer = getPrinterFormSettings();
+  const sample = {
+    invoice: 'TES-CETAK',
+    date: new Date(),
+    items: [
+      { name: 'Contoh Produk', price: 10000, quantity: 2 }
+    ],
+    subtotal: 20000,
+    discount: 0,
+    tax: 0,
+    total: 20000,
+    paymentMethod: 'cash',
+    amountReceived: 20000,
+    change: 0
+  };
+  
+  loadReceiptContext().then(context => {
+    return printEscPosReceipt(sample, { ...context, printer: { ...printer, openDrawer: false } });
+  }).then(() => {
+    showToast('Tes cetak dikirim ke printer', 'success');
+  }).catch(err => {
+    console.error('Error printing test receipt:', err);
+    showToast(`Tes cetak gagal: ${err.message}`, 'error');
+  });
+}
+
 // Backup data
 function backupData() {
   const backup = {};
-  const stores = [STORES.PRODUCTS, STORES.TRANSACTIONS, STORES.SUPPLIERS, STORES.SETTINGS];
-  const promises = stores.map(store => {
+  const promises = BACKUP_STORES.map(store => {
     return new Promise((resolve) => {
       const transaction = db.transaction(store, 'readonly');
       const objectStore = transaction.objectStore(store);
@@ -1735,15 +11435,13 @@ function backupData() {
     });
   });
   
-  Promise.all(promises).then(() => {
+  Promise.all(promises).then(() => getPhotoBackup()).then(photos => {
+    backup[STORES.PRODUCT_PHOTOS] = photos;
+    
+    // Photos make the file large; a Blob download avoids building it again as a data URI
     const dataStr = JSON.stringify(backup, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
     const exportName = `kasir-pos-backup-${new Date().toISOString().split('T')[0]}.json`;
-    
-    const linkElement = document.createElement('a');
-    linkElement.setAttribute('href', dataUri);
-    linkElement.setAttribute('download', exportName);
-    linkElement.click();
+    downloadBlob(new Blob([dataStr], { type: 'application/json' }), exportName);
     
     showToast('Backup data berhasil dibuat', 'success');
   }).catch(err => {
@@ -1752,6 +11450,75 @@ function backupData() {
   });
 }
 
+// Check a backup before anything is replaced; returns why it cannot be restored, or '' when it can
+function getBackupError(backup) {
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return 'Format file backup tidak dikenali';
+  }
+  
+  const stores = [...BACKUP_STORES, STORES.PRODUCT_PHOTOS].filter(store => backup[store] !== undefined);
+  const invalid = stores.find(store => !Array.isArray(backup[store]) || backup[store].some(record => !record || typeof record !== 'object'));
+  if (invalid) {
+    return `Data ${invalid} tidak berupa daftar data`;
+  }
+  
+  if ((backup[STORES.SETTINGS] || []).some(setting => !setting.id)) {
+    return 'Setiap pengaturan harus memiliki id';
+  }
+  if ((backup[STORES.PRODUCTS] || []).some(product => !product.code || !product.name)) {
+    return 'Setiap produk harus memiliki kode dan nama';
+  }
+  if ((backup[STORES.PRODUCT_PHOTOS] || []).some(photo => photo.productId === undefined || !photo.photo)) {
+    return 'Setiap foto produk harus memiliki produk dan foto';
+  }
+  
+  for (const store of stores) {
+    for (const field of BACKUP_UNIQUE_FIELDS[store] || []) {
+      const values = backup[store].map(record => record[field]).filter(value => value !== undefined);
+      if (new Set(values).size !== values.length) {
+        return `Nilai ${field} ganda di data ${store}`;
+      }
+    }
+  }
+  
+  return '';
+}
+
+// Replace all backed-up data in one transaction, so a failed write leaves the current data untouched
+function replaceBackupData(backup, photos) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([...BACKUP_STORES, STORES.PRODUCT_PHOTOS], 'readwrite');
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error || new Error('Restore dibatalkan'));
+    
+    try {
+      BACKUP_STORES.forEach(store => {
+        const objectStore = transaction.objectStore(store);
+        objectStore.clear();
+        (backup[store] || []).forEach(item => objectStore.add(item));
+      });
+      
+      const photoStore = transaction.objectStore(STORES.PRODUCT_PHOTOS);
+      photoStore.clear();
+      photos.forEach(record => photoStore.put(record));
+      
+      // Backups made before the stock ledger existed start it from the restored stock
+      if (!backup[STORES.STOCK_MOVEMENTS]) {
+        addOpeningMovements(transaction);
+      }
+      
+      // Backups made before categories were records still hold free-text categories
+      if (!backup[STORES.CATEGORIES]) {
+        migrateCategories(transaction);
+      }
+    } catch (err) {
+      transaction.abort();
+      reject(err);
+    }
+  });
+}
+
 // Restore data
 function restoreData() {
   const fileInput = document.getElementById('restore-file');
@@ -1769,56 +11536,40 @@ function restoreData() {
   const reader = new FileReader();
   
   reader.onload = (e) => {
+    let backup;
     try {
-      const backup = JSON.parse(e.target.result);
-      const stores = [STORES.PRODUCTS, STORES.TRANSACTIONS, STORES.SUPPLIERS, STORES.SETTINGS];
-      
-      // Clear existing data first
-      const clearPromises = stores.map(store => {
-        return new Promise((resolve) => {
-          const transaction = db.transaction(store, 'readwrite');
-          const objectStore = transaction.objectStore(store);
-          const request = objectStore.clear();
-          
-          request.onsuccess = () => resolve();
-        });
-      });
-      
-      Promise.all(clearPromises).then(() => {
-        // Restore data
-        const restorePromises = stores.map(store => {
-          if (backup[store]) {
-            return new Promise((resolve) => {
-              const transaction = db.transaction(store, 'readwrite');
-              const objectStore = transaction.objectStore(store);
-              
-              backup[store].forEach(item => {
-                objectStore.add(item);
-              });
-              
-              transaction.oncomplete = () => resolve();
-            });
-          }
-          return Promise.resolve();
-        });
-        
-        Promise.all(restorePromises).then(() => {
-          showToast('Data berhasil direstore', 'success');
-          document.getElementById('restore-file-name').textContent = 'Belum ada file dipilih';
-          fileInput.value = '';
-          
-          // Reload all pages
-          loadDashboard();
-          loadProducts();
-          loadSuppliers();
-          loadSettings();
-          loadCashierProducts();
-        });
-      });
+      backup = JSON.parse(e.target.result);
     } catch (error) {
       console.error('Error processing backup file:', error);
       showToast('Gagal memproses file backup', 'error');
+      return;
+    }
+    
+    const message = getBackupError(backup);
+    if (message) {
+      showToast(`File backup tidak valid: ${message}`, 'error');
+      return;
     }
+    
+    // Backups made before product photos existed simply leave the product photos empty
+    preparePhotoBackup(backup[STORES.PRODUCT_PHOTOS] || []).then(photos => {
+      return replaceBackupData(backup, photos);
+    }).then(() => Promise.all([loadCategories(), loadProductThumbnails(), loadCurrentShift()])).then(() => {
+      showToast('Data berhasil direstore', 'success');
+      document.getElementById('restore-file-name').textContent = 'Belum ada file dipilih';
+      fileInput.value = '';
+      
+      // Reload all pages
+      loadDashboard();
+      loadProducts();
+      loadSuppliers();
+      loadSettings();
+      renderCashierCategoryTabs();
+      loadCashierProducts();
+    }).catch(err => {
+      console.error('Error restoring backup:', err);
+      showToast(`Gagal merestore data: ${err.message}`, 'error');
+    });
   };
   
   reader.readAsText(file);
@@ -1854,7 +11605,9 @@ function loadDashboard() {
   const request = index.getAll(range);
   
   request.onsuccess = () => {
-    const todaySales = request.result.reduce((sum, t) => sum + t.total, 0);
+    const todaySales = request.result
+      .filter(isActiveTransaction)
+      .reduce((sum, t) => sum + t.total, 0);
     formatCurrency(todaySales).then(formatted => {
       document.getElementById('today-sales').textContent = formatted;
     });
@@ -1869,19 +11622,15 @@ function loadDashboard() {
     document.getElementById('total-products').textContent = productCount.result;
   };
   
-  // Load out of stock products
-  const outOfStockIndex = productStore.index('stock');
-  const outOfStockCount = outOfStockIndex.count(0);
-  
-  outOfStockCount.onsuccess = () => {
-    document.getElementById('out-of-stock').textContent = outOfStockCount.result;
-  };
-  
-  // Load products that need restocking
+  // Load out of stock products and products that need restocking
   const restockRequest = productStore.getAll();
   
   restockRequest.onsuccess = () => {
-    const restockProducts = restockRequest.result.filter(p => p.stock <= p.minStock);
+    document.getElementById('out-of-stock').textContent = restockRequest.result.filter(p => hasOwnStock(p) && p.stock <= 0).length;
+    
+    displayExpiringBatches(restockRequest.result);
+    
+    const restockProducts = restockRequest.result.filter(needsRestock);
     const container = document.getElementById('restock-products');
     container.innerHTML = '';
     
@@ -1894,7 +11643,7 @@ function loadDashboard() {
         
         item.innerHTML = `
                     <div class="product-name">${product.name}</div>
-                    <div class="product-stock">Stok: ${product.stock} (min: ${product.minStock})</div>
+                    <div class="product-stock">Stok: ${formatQuantity(product.stock, product.unit)} (min: ${formatQuantity(product.minStock, product.unit)})</div>
                 `;
         
         container.appendChild(item);
@@ -1904,6 +11653,8 @@ function loadDashboard() {
   
   // Load popular products (top 5 by sales)
   loadPopularProducts();
+  
+  displaySalesCharts('dashboard', getReportPeriod(document.getElementById('dashboard-chart-range').value));
 }
 
 // Load popular products
@@ -1915,12 +11666,12 @@ function loadPopularProducts() {
   request.onsuccess = () => {
     const productSales = {};
     
-    request.result.forEach(transaction => {
+    request.result.filter(isActiveTransaction).forEach(transaction => {
       transaction.items.forEach(item => {
         if (!productSales[item.productId]) {
           productSales[item.productId] = 0;
         }
-        productSales[item.productId] += item.quantity;
+        productSales[item.productId] += getBaseQuantity(item);
       });
     });
     
@@ -1976,7 +11727,7 @@ function displayPopularProducts(products) {
     
     item.innerHTML = `
             <div class="product-name">${product.name}</div>
-            <div class="product-sales">Terjual: ${product.quantitySold}</div>
+            <div class="product-sales">Terjual: ${formatQuantity(product.quantitySold, product.unit)}</div>
         `;
     
     container.appendChild(item);
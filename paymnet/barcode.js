@@ -0,0 +1,188 @@
+// Code 128 and EAN-13 barcode encoding
+// Loaded before app.js, which renders the modules as SVG labels; exported for the Node tests
+
+// Code 128 bar/space widths for symbol values 0-106 (103-105 are start codes, 106 is stop)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_CODE_B = 100;
+const CODE128_CODE_C = 99;
+const CODE128_STOP = 106;
+
+// EAN-13 digit encodings (R is the bitwise complement of L)
+const EAN13_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN13_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN13_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+// L/G parity of the left half, chosen by the first digit
+const EAN13_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Turn bar/space widths into modules ('1' = bar, '0' = space)
+function widthsToModules(widths) {
+  let modules = '';
+  
+  for (let i = 0; i < widths.length; i++) {
+    modules += (i % 2 === 0 ? '1' : '0').repeat(parseInt(widths[i]));
+  }
+  
+  return modules;
+}
+
+// Encode text as Code 128 symbol values, using code set C for runs of digits
+function getCode128Values(text) {
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code < 32 || code > 126) {
+      throw new Error(`Karakter "${char}" tidak dapat dibuat barcode Code 128`);
+    }
+  }
+  
+  const values = [];
+  let set = null;
+  let i = 0;
+  
+  while (i < text.length) {
+    const digits = text.slice(i).match(/^\d*/)[0].length;
+    
+    // Digit pairs are cheaper in code set C when the run is long enough
+    const useC = digits >= 4 || (set === 'C' && digits >= 2);
+    
+    if (useC) {
+      if (set === null) {
+        values.push(CODE128_START_C);
+      } else if (set !== 'C') {
+        values.push(CODE128_CODE_C);
+      }
+      set = 'C';
+      
+      const pairs = Math.floor(digits / 2);
+      for (let p = 0; p < pairs; p++) {
+        values.push(parseInt(text.substr(i, 2)));
+        i += 2;
+      }
+    } else {
+      if (set === null) {
+        values.push(CODE128_START_B);
+      } else if (set !== 'B') {
+        values.push(CODE128_CODE_B);
+      }
+      set = 'B';
+      
+      values.push(text.charCodeAt(i) - 32);
+      i += 1;
+    }
+  }
+  
+  // Checksum: start value plus each value weighted by its position
+  const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  values.push(checksum, CODE128_STOP);
+  
+  return values;
+}
+
+// Encode text as Code 128 modules
+function encodeCode128(text) {
+  if (!text) {
+    throw new Error('Kode barcode kosong');
+  }
+  
+  return getCode128Values(text).map(value => widthsToModules(CODE128_PATTERNS[value])).join('');
+}
+
+// Calculate the EAN-13 check digit of the first 12 digits
+function calculateEan13CheckDigit(digits) {
+  const sum = digits.slice(0, 12).split('').reduce((total, digit, index) => {
+    return total + parseInt(digit) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+  
+  return (10 - (sum % 10)) % 10;
+}
+
+// Check whether a code is a valid 13-digit EAN-13 number
+function isValidEan13(code) {
+  return /^\d{13}$/.test(code) && calculateEan13CheckDigit(code) === parseInt(code[12]);
+}
+
+// Complete a 12-digit code with its check digit, or check a 13-digit one
+function normalizeEan13(code) {
+  if (/^\d{12}$/.test(code)) {
+    return code + calculateEan13CheckDigit(code);
+  }
+  
+  if (!/^\d{13}$/.test(code)) {
+    throw new Error('EAN-13 membutuhkan 12 atau 13 digit angka');
+  }
+  
+  if (!isValidEan13(code)) {
+    throw new Error('Check digit EAN-13 tidak valid');
+  }
+  
+  return code;
+}
+
+// Encode a 12 or 13 digit code as EAN-13 modules
+function encodeEan13(code) {
+  const digits = normalizeEan13(code);
+  const parity = EAN13_PARITY[parseInt(digits[0])];
+  let modules = '101';
+  
+  for (let i = 1; i <= 6; i++) {
+    const table = parity[i - 1] === 'L' ? EAN13_L : EAN13_G;
+    modules += table[parseInt(digits[i])];
+  }
+  
+  modules += '01010';
+  
+  for (let i = 7; i <= 12; i++) {
+    modules += EAN13_R[parseInt(digits[i])];
+  }
+  
+  return modules + '101';
+}
+
+// Pick the symbology for a product code
+// Only codes that are already valid EAN-13 numbers get EAN-13, so the label scans as the stored code
+function getBarcodeSymbology(code, preferred = 'auto') {
+  if (preferred !== 'auto') {
+    return preferred;
+  }
+  
+  return isValidEan13(code) ? 'ean13' : 'code128';
+}
+
+// Encode a product code with the given symbology
+// Returns the modules and the human-readable text printed under the bars
+function encodeBarcode(code, symbology = 'auto') {
+  if (getBarcodeSymbology(code, symbology) === 'ean13') {
+    return { modules: encodeEan13(code), text: normalizeEan13(code) };
+  }
+  
+  return { modules: encodeCode128(code), text: code };
+}
+
+// Export for the Node tests; in the browser these stay globals shared with app.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    widthsToModules,
+    getCode128Values,
+    encodeCode128,
+    calculateEan13CheckDigit,
+    isValidEan13,
+    normalizeEan13,
+    encodeEan13,
+    getBarcodeSymbology,
+    encodeBarcode
+  };
+}
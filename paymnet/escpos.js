@@ -0,0 +1,238 @@
+// ESC/POS commands and byte encoding for thermal receipt printers
+// Loaded before app.js, which prints receipts with these; exported for the Node tests
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Raw ESC/POS commands
+const ESC_POS = {
+  INIT: [ESC, 0x40],
+  ALIGN_LEFT: [ESC, 0x61, 0x00],
+  ALIGN_CENTER: [ESC, 0x61, 0x01],
+  ALIGN_RIGHT: [ESC, 0x61, 0x02],
+  BOLD_ON: [ESC, 0x45, 0x01],
+  BOLD_OFF: [ESC, 0x45, 0x00],
+  SIZE_NORMAL: [GS, 0x21, 0x00],
+  SIZE_DOUBLE: [GS, 0x21, 0x11],
+  LINE_FEED: [0x0a],
+  CUT: [GS, 0x56, 0x42, 0x00],
+  DRAWER_KICK: [ESC, 0x70, 0x00, 0x19, 0xfa]
+};
+
+// Characters per line and printable dots per paper width
+const ESC_POS_PAPER = {
+  '58mm': { columns: 32, dots: 384 },
+  '80mm': { columns: 48, dots: 576 }
+};
+
+// Get the paper definition of the printer settings, falling back to 58 mm
+function getEscPosPaper(paperSize) {
+  return ESC_POS_PAPER[paperSize] || ESC_POS_PAPER['58mm'];
+}
+
+// Encode text as single-byte characters the printer's default code page can print
+function encodeEscPosText(text) {
+  const plain = String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const bytes = [];
+  
+  for (const char of plain) {
+    const code = char.charCodeAt(0);
+    if (char === '\n' || (code >= 0x20 && code < 0x7f)) {
+      bytes.push(code);
+    } else if (char === '\u00a0') {
+      bytes.push(0x20);
+    } else {
+      bytes.push(0x3f);
+    }
+  }
+  
+  return bytes;
+}
+
+// Break text into lines no wider than the given number of columns
+function wrapEscPosText(text, columns) {
+  const lines = [];
+  
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    
+    paragraph.split(' ').forEach(word => {
+      while (word.length > columns) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, columns));
+        word = word.slice(columns);
+      }
+      
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= columns) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    
+    lines.push(line);
+  });
+  
+  return lines;
+}
+
+// Lay out a label on the left and a value on the right of one line
+function formatEscPosColumns(left, right, columns) {
+  const space = columns - right.length;
+  
+  if (left.length + 1 > space) {
+    return `${left}\n${right.padStart(columns)}`;
+  }
+  
+  return left.padEnd(space) + right;
+}
+
+// Convert RGBA pixel data to a 1-bit bitmap (true = black dot)
+function toMonochromeBitmap(rgba, width, height, threshold = 128) {
+  const pixels = new Array(width * height);
+  
+  for (let i = 0; i < width * height; i++) {
+    const r = rgba[i * 4];
+    const g = rgba[i * 4 + 1];
+    const b = rgba[i * 4 + 2];
+    const alpha = rgba[i * 4 + 3] / 255;
+    
+    // Transparent pixels are printed as white paper
+    const luminance = (0.299 * r + 0.587 * g + 0.114 * b) * alpha + 255 * (1 - alpha);
+    pixels[i] = luminance < threshold;
+  }
+  
+  return { width, height, pixels };
+}
+
+// Encode a 1-bit bitmap as a GS v 0 raster image command
+function encodeEscPosRaster(bitmap) {
+  const bytesPerRow = Math.ceil(bitmap.width / 8);
+  const bytes = [
+    GS, 0x76, 0x30, 0x00,
+    bytesPerRow & 0xff, (bytesPerRow >> 8) & 0xff,
+    bitmap.height & 0xff, (bitmap.height >> 8) & 0xff
+  ];
+  
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let col = 0; col < bytesPerRow; col++) {
+      let byte = 0;
+      
+      for (let bit = 0; bit < 8; bit++) {
+        const x = col * 8 + bit;
+        if (x < bitmap.width && bitmap.pixels[y * bitmap.width + x]) {
+          byte |= 0x80 >> bit;
+        }
+      }
+      
+      bytes.push(byte);
+    }
+  }
+  
+  return bytes;
+}
+
+// Encode a transaction as ESC/POS receipt bytes
+// options: { paperSize, logo (bitmap), cut, openDrawer }
+// format: { formatCurrency, formatQuantity, getMetaRows, getTotalRows }, the receipt formatting of app.js
+function encodeEscPosReceipt(transaction, store, receipt, options = {}, format) {
+  const { columns } = getEscPosPaper(options.paperSize);
+  const separator = '-'.repeat(columns);
+  const bytes = [];
+  
+  const push = (...commands) => commands.forEach(command => bytes.push(...command));
+  const line = (text = '') => push(encodeEscPosText(text), ESC_POS.LINE_FEED);
+  const wrapped = text => wrapEscPosText(text, columns).forEach(part => line(part));
+  const columnsLine = (left, right) => line(formatEscPosColumns(left, right, columns));
+  
+  push(ESC_POS.INIT, ESC_POS.ALIGN_CENTER);
+  
+  if (options.logo) {
+    push(encodeEscPosRaster(options.logo), ESC_POS.LINE_FEED);
+  }
+  
+  push(ESC_POS.BOLD_ON, ESC_POS.SIZE_DOUBLE);
+  wrapEscPosText(store.name || 'Toko Saya', Math.floor(columns / 2)).forEach(part => line(part));
+  push(ESC_POS.SIZE_NORMAL, ESC_POS.BOLD_OFF);
+  
+  if (store.address) {
+    wrapped(store.address);
+  }
+  if (store.phone) {
+    wrapped(`Telp: ${store.phone}`);
+  }
+  if (store.taxId) {
+    wrapped(`NPWP: ${store.taxId}`);
+  }
+  if (receipt.header) {
+    wrapped(receipt.header);
+  }
+  
+  push(ESC_POS.ALIGN_LEFT);
+  line(separator);
+  format.getMetaRows(transaction).forEach(row => columnsLine(row.label, row.value));
+  line(separator);
+  
+  transaction.items.forEach(item => {
+    wrapped(item.name);
+    columnsLine(
+      `  ${format.formatQuantity(item.quantity, item.unit)} x ${format.formatCurrency(item.price)}`,
+      format.formatCurrency(item.price * item.quantity)
+    );
+    if (item.discount > 0) {
+      columnsLine(`  ${item.promotions.join(', ')}`, `-${format.formatCurrency(item.discount)}`);
+    }
+  });
+  
+  line(separator);
+  
+  format.getTotalRows(transaction, receipt).forEach(row => {
+    if (row.strong) {
+      push(ESC_POS.BOLD_ON);
+      columnsLine(row.label, row.value);
+      push(ESC_POS.BOLD_OFF);
+    } else {
+      columnsLine(row.label, row.value);
+    }
+  });
+  
+  if (receipt.footer) {
+    line(separator);
+    push(ESC_POS.ALIGN_CENTER);
+    wrapped(receipt.footer);
+    push(ESC_POS.ALIGN_LEFT);
+  }
+  
+  // Feed past the cutter before cutting
+  push(ESC_POS.LINE_FEED, ESC_POS.LINE_FEED, ESC_POS.LINE_FEED);
+  
+  if (options.cut) {
+    push(ESC_POS.CUT);
+  }
+  if (options.openDrawer) {
+    push(ESC_POS.DRAWER_KICK);
+  }
+  
+  return new Uint8Array(bytes);
+}
+
+// Export for the Node tests; in the browser these stay globals shared with app.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ESC_POS,
+    ESC_POS_PAPER,
+    getEscPosPaper,
+    encodeEscPosText,
+    wrapEscPosText,
+    formatEscPosColumns,
+    toMonochromeBitmap,
+    encodeEscPosRaster,
+    encodeEscPosReceipt
+  };
+}
@@ -1,8 +1,10 @@
-const CACHE_NAME = 'kasir-pos-v2';
+const CACHE_NAME = 'kasir-pos-v3';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/style.css',
+  '/escpos.js',
+  '/barcode.js',
   '/app.js',
   '/icons/icon-72x72.png',
   '/icons/icon-96x96.png',
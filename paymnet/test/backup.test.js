@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./helpers/load-app.js');
+
+const saved = { code: 'K1', name: 'Kopi', price: 5000, stock: 8, unit: 'pcs' };
+
+// Pick a backup file in the restore form and start the restore
+function restoreFile(window, backup) {
+  const file = new window.File([JSON.stringify(backup)], 'backup.json', { type: 'application/json' });
+  Object.defineProperty(window.document.getElementById('restore-file'), 'files', { value: [file] });
+  window.restoreData();
+}
+
+// Codes of the products in the app's database
+function getProductCodes(app) {
+  return new Promise(resolve => {
+    const request = app.evaluate('db').transaction('products').objectStore('products').getAll();
+    request.onsuccess = () => resolve(request.result.map(product => product.code));
+  });
+}
+
+test('a backup that fails validation leaves the current data untouched', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  await window.addRecord('products', saved);
+  
+  // Two products with the same code break the unique code index
+  restoreFile(window, {
+    products: [
+      { id: 1, code: 'A', name: 'Satu', price: 1000, stock: 1 },
+      { id: 2, code: 'A', name: 'Dua', price: 1000, stock: 1 }
+    ]
+  });
+  await settle(300);
+  
+  const toast = window.document.getElementById('toast-notification');
+  assert.match(toast.className, /error/);
+  assert.match(toast.textContent, /File backup tidak valid/);
+  assert.deepStrictEqual(await getProductCodes(app), ['K1']);
+  await app.close();
+});
+
+test('a backup that fails while being written is rolled back', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  await window.addRecord('products', saved);
+  
+  // A boolean is not a valid key, so the write fails after the stores were cleared
+  restoreFile(window, {
+    products: [{ id: 7, code: 'B', name: 'Beras', price: 12000, stock: 3 }],
+    suppliers: [{ id: true, code: 'S1', name: 'Toko Tani' }]
+  });
+  await settle(300);
+  
+  assert.match(window.document.getElementById('toast-notification').textContent, /Gagal merestore data/);
+  assert.deepStrictEqual(await getProductCodes(app), ['K1']);
+  await app.close();
+});
+
+test('a valid backup is restored', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  await window.addRecord('products', saved);
+  
+  restoreFile(window, { products: [{ id: 7, code: 'B', name: 'Beras', price: 12000, stock: 3 }] });
+  await settle(300);
+  
+  assert.strictEqual((await window.getRecord('products', 7)).name, 'Beras');
+  assert.deepStrictEqual(await getProductCodes(app), ['B']);
+  assert.match(window.document.getElementById('toast-notification').textContent, /berhasil direstore/);
+  await app.close();
+});
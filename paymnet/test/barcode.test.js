@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app.js');
+
+const {
+  getCode128Values,
+  encodeCode128,
+  calculateEan13CheckDigit,
+  isValidEan13,
+  normalizeEan13,
+  encodeEan13,
+  getBarcodeSymbology,
+  encodeBarcode
+} = require('../barcode.js');
+
+test('EAN-13 check digits of known numbers', () => {
+  assert.strictEqual(calculateEan13CheckDigit('400638133393'), 1);
+  assert.strictEqual(calculateEan13CheckDigit('590123412345'), 7);
+  assert.strictEqual(calculateEan13CheckDigit('899999999999'), 5);
+  assert.ok(isValidEan13('4006381333931'));
+  assert.ok(!isValidEan13('4006381333932'));
+});
+
+test('EAN-13 completes 12 digits and rejects a wrong check digit', () => {
+  assert.strictEqual(normalizeEan13('400638133393'), '4006381333931');
+  assert.throws(() => normalizeEan13('4006381333932'), /Check digit/);
+  assert.throws(() => normalizeEan13('40063813'), /12 atau 13 digit/);
+});
+
+test('EAN-13 modules of 4006381333931', () => {
+  // First digit 4 gives the LGLLGG parity for the left half
+  const expected = '101' +
+    '0001101' + '0100111' + '0101111' + '0111101' + '0001001' + '0110011' +
+    '01010' +
+    '1000010' + '1000010' + '1000010' + '1110100' + '1000010' + '1100110' +
+    '101';
+  
+  assert.strictEqual(encodeEan13('4006381333931'), expected);
+  assert.strictEqual(expected.length, 95);
+});
+
+test('Code 128 uses code set B for text with its checksum and stop', () => {
+  // 104 + 48x1 + 42x2 + 42x3 + 17x4 + 18x5 + 19x6 + 35x7 = 879, 879 mod 103 = 55
+  assert.deepStrictEqual(getCode128Values('PJJ123C'), [104, 48, 42, 42, 17, 18, 19, 35, 55, 106]);
+});
+
+test('Code 128 packs digit runs in code set C', () => {
+  assert.deepStrictEqual(getCode128Values('123456'), [105, 12, 34, 56, 44, 106]);
+  assert.deepStrictEqual(getCode128Values('AB1234'), [104, 33, 34, 99, 12, 34, 102, 106]);
+});
+
+test('Code 128 modules start with the start symbol and end with the stop symbol', () => {
+  const modules = encodeCode128('PJJ123C');
+  
+  assert.ok(modules.startsWith('11010010000'));
+  assert.ok(modules.endsWith('1100011101011'));
+  assert.strictEqual(modules.length, 9 * 11 + 13);
+  assert.throws(() => encodeCode128(''), /kosong/);
+  assert.throws(() => encodeCode128('Caf\u00e9'), /Code 128/);
+});
+
+test('product codes pick EAN-13 only when they are valid EAN numbers', () => {
+  assert.strictEqual(getBarcodeSymbology('4006381333931'), 'ean13');
+  assert.strictEqual(getBarcodeSymbology('4006381333932'), 'code128');
+  assert.strictEqual(getBarcodeSymbology('BRG-001'), 'code128');
+  // A 12-digit code is printed as it is stored rather than with an added check digit
+  assert.strictEqual(getBarcodeSymbology('400638133393'), 'code128');
+  assert.strictEqual(encodeBarcode('400638133393').text, '400638133393');
+  assert.strictEqual(encodeBarcode('400638133393', 'ean13').text, '4006381333931');
+});
+
+test('a printed label scans back to its product', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const codes = ['400638133393', '5901234123457', 'BRG-001'];
+  
+  for (const code of codes) {
+    await window.addRecord('products', { code, name: `Produk ${code}`, price: 1000, stock: 1, unit: 'pcs' });
+  }
+  
+  for (const code of codes) {
+    for (const symbology of ['auto', 'code128', 'ean13']) {
+      if (symbology === 'ean13' && !/^\d{12,13}$/.test(code)) {
+        continue;
+      }
+      
+      // The scanner types the text under the bars
+      const { text } = window.encodeBarcode(code, symbology);
+      const match = await window.getSaleUnitByCode(text);
+      assert.strictEqual(match && match.product.code, code, `${code} as ${symbology}`);
+    }
+  }
+  await app.close();
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app.js');
+
+const {
+  ESC_POS,
+  getEscPosPaper,
+  encodeEscPosText,
+  wrapEscPosText,
+  formatEscPosColumns,
+  toMonochromeBitmap,
+  encodeEscPosRaster,
+  encodeEscPosReceipt
+} = require('../escpos.js');
+
+test('commands use the standard ESC/POS bytes', () => {
+  assert.deepStrictEqual(ESC_POS.INIT, [0x1b, 0x40]);
+  assert.deepStrictEqual(ESC_POS.ALIGN_LEFT, [0x1b, 0x61, 0x00]);
+  assert.deepStrictEqual(ESC_POS.ALIGN_CENTER, [0x1b, 0x61, 0x01]);
+  assert.deepStrictEqual(ESC_POS.ALIGN_RIGHT, [0x1b, 0x61, 0x02]);
+  assert.deepStrictEqual(ESC_POS.BOLD_ON, [0x1b, 0x45, 0x01]);
+  assert.deepStrictEqual(ESC_POS.BOLD_OFF, [0x1b, 0x45, 0x00]);
+  assert.deepStrictEqual(ESC_POS.CUT, [0x1d, 0x56, 0x42, 0x00]);
+  assert.deepStrictEqual(ESC_POS.DRAWER_KICK, [0x1b, 0x70, 0x00, 0x19, 0xfa]);
+});
+
+test('paper size falls back to 58 mm', () => {
+  assert.strictEqual(getEscPosPaper('80mm').columns, 48);
+  assert.strictEqual(getEscPosPaper('58mm').columns, 32);
+  assert.strictEqual(getEscPosPaper('A4').columns, 32);
+});
+
+test('text is encoded in the single-byte code page', () => {
+  assert.deepStrictEqual(encodeEscPosText('Rp 1.000'), [0x52, 0x70, 0x20, 0x31, 0x2e, 0x30, 0x30, 0x30]);
+  // Accents are dropped, a non-breaking space prints as a space
+  assert.deepStrictEqual(encodeEscPosText('Caf\u00e9\u00a0A'), [0x43, 0x61, 0x66, 0x65, 0x20, 0x41]);
+  // Anything else the printer cannot show becomes a question mark
+  assert.deepStrictEqual(encodeEscPosText('\u20ac\t'), [0x3f, 0x3f]);
+  assert.ok(encodeEscPosText('Nasi goreng \u2013 pedas').every(byte => byte < 0x80));
+});
+
+test('long text wraps to the paper width', () => {
+  assert.deepStrictEqual(wrapEscPosText('Kopi susu gula aren', 10), ['Kopi susu', 'gula aren']);
+  assert.deepStrictEqual(wrapEscPosText('ABCDEFGHIJKL', 5), ['ABCDE', 'FGHIJ', 'KL']);
+  assert.deepStrictEqual(wrapEscPosText('Baris 1\nBaris 2', 32), ['Baris 1', 'Baris 2']);
+});
+
+test('label and value share one line when they fit', () => {
+  assert.strictEqual(formatEscPosColumns('Total', 'Rp 5.000', 20), 'Total       Rp 5.000');
+  assert.strictEqual(formatEscPosColumns('Nama produk panjang', 'Rp 5.000', 20), 'Nama produk panjang\n            Rp 5.000');
+});
+
+test('bitmaps are encoded as a GS v 0 raster image', () => {
+  // 10 x 2 pixels: first row black, second row white apart from the last pixel
+  const rgba = [];
+  for (let i = 0; i < 20; i++) {
+    const black = i < 10 || i === 19;
+    rgba.push(black ? 0 : 255, black ? 0 : 255, black ? 0 : 255, 255);
+  }
+  const bitmap = toMonochromeBitmap(rgba, 10, 2);
+  
+  assert.deepStrictEqual(encodeEscPosRaster(bitmap), [
+    0x1d, 0x76, 0x30, 0x00, 0x02, 0x00, 0x02, 0x00,
+    0xff, 0xc0,
+    0x00, 0x40
+  ]);
+});
+
+test('transparent pixels print as white paper', () => {
+  const bitmap = toMonochromeBitmap([0, 0, 0, 0, 0, 0, 0, 255], 2, 1);
+  assert.deepStrictEqual(bitmap.pixels, [false, true]);
+});
+
+// Receipt formatting as app.js passes it in, kept simple for readable expectations
+const format = {
+  formatCurrency: amount => `Rp ${amount}`,
+  formatQuantity: (value, unit) => `${value} ${unit}`,
+  getMetaRows: transaction => [{ label: 'No', value: transaction.invoice }],
+  getTotalRows: transaction => [
+    { label: 'Subtotal', value: `Rp ${transaction.subtotal}` },
+    { label: 'Diskon', value: `-Rp ${transaction.discount}` },
+    { label: 'TOTAL', value: `Rp ${transaction.total}`, strong: true },
+    { label: 'Tunai', value: `Rp ${transaction.amountReceived}` },
+    { label: 'Kembalian', value: `Rp ${transaction.change}` }
+  ]
+};
+
+const sale = {
+  invoice: 'INV-1',
+  subtotal: 20000,
+  discount: 2000,
+  total: 18000,
+  amountReceived: 20000,
+  change: 2000,
+  items: [{ name: 'Kopi', price: 10000, quantity: 2, unit: 'pcs', discount: 2000, promotions: ['Promo'] }]
+};
+
+// Bytes of one printed line of text
+function textLine(text) {
+  return [...Buffer.from(text, 'ascii'), 0x0a];
+}
+
+test('a receipt is encoded with its items, totals, payment, cut and drawer kick', () => {
+  const bytes = encodeEscPosReceipt(sale, { name: 'Toko' }, { footer: 'Terima kasih' }, { paperSize: '58mm', cut: true, openDrawer: true }, format);
+  const separator = textLine('-'.repeat(32));
+  
+  assert.deepStrictEqual([...bytes], [
+    0x1b, 0x40, 0x1b, 0x61, 0x01,
+    0x1b, 0x45, 0x01, 0x1d, 0x21, 0x11, ...textLine('Toko'), 0x1d, 0x21, 0x00, 0x1b, 0x45, 0x00,
+    0x1b, 0x61, 0x00,
+    ...separator,
+    ...textLine('No                         INV-1'),
+    ...separator,
+    ...textLine('Kopi'),
+    ...textLine('  2 pcs x Rp 10000      Rp 20000'),
+    ...textLine('  Promo                 -Rp 2000'),
+    ...separator,
+    ...textLine('Subtotal                Rp 20000'),
+    ...textLine('Diskon                  -Rp 2000'),
+    0x1b, 0x45, 0x01, ...textLine('TOTAL                   Rp 18000'), 0x1b, 0x45, 0x00,
+    ...textLine('Tunai                   Rp 20000'),
+    ...textLine('Kembalian                Rp 2000'),
+    ...separator,
+    0x1b, 0x61, 0x01, ...textLine('Terima kasih'), 0x1b, 0x61, 0x00,
+    0x0a, 0x0a, 0x0a,
+    0x1d, 0x56, 0x42, 0x00,
+    0x1b, 0x70, 0x00, 0x19, 0xfa
+  ]);
+});
+
+test('a receipt without cut or drawer kick ends with the paper feed', () => {
+  const bytes = encodeEscPosReceipt(sale, {}, {}, {}, format);
+  
+  // The last line's feed, then the feed past the cutter
+  assert.deepStrictEqual([...bytes.slice(-4)], [0x0a, 0x0a, 0x0a, 0x0a]);
+  assert.ok(!Buffer.from(bytes).includes(Buffer.from(ESC_POS.CUT)));
+  assert.ok(!Buffer.from(bytes).includes(Buffer.from(ESC_POS.DRAWER_KICK)));
+});
+
+test('receipts printed by the app carry its promotion, discount and payment rows', async () => {
+  const app = await loadApp();
+  const transaction = {
+    ...sale,
+    date: new Date(2024, 0, 2, 9, 30),
+    discount: 3000,
+    promotions: [{ name: 'Hemat', amount: 1000 }],
+    manualDiscount: 2000,
+    tax: 1700,
+    total: 18700,
+    payments: [{ method: 'cash', amount: 10000, reference: null }, { method: 'debit', amount: 8700, reference: '1234' }],
+    change: 0
+  };
+  const bytes = app.window.encodeEscPosReceipt(transaction, {}, { showTax: true }, { paperSize: '58mm' }, app.evaluate('ESC_POS_RECEIPT_FORMAT'));
+  const text = Buffer.from(bytes).toString('latin1');
+  
+  assert.match(text, /Hemat +-Rp 1\.000\n/);
+  assert.match(text, /Diskon +-Rp 2\.000\n/);
+  assert.match(text, /Pajak +Rp 1\.700\n/);
+  assert.match(text, /\x1bE\x01TOTAL +Rp 18\.700\n\x1bE\x00/);
+  assert.match(text, /Tunai +Rp 10\.000\n/);
+  assert.match(text, /Kartu Debit \(1234\) +Rp 8\.700\n/);
+  await app.close();
+});
@@ -0,0 +1,51 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['escpos.js', 'barcode.js', 'app.js'].map(file => new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }));
+const HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script[^>]*><\/script>/g, '');
+
+// Wait until the database callbacks started by the app have run
+function settle(ms = 100) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Start the app in a fresh page, like opening or reloading it in the browser
+// Pass the same indexedDB to a second call to see what survives a reload
+// Errors the app logs are collected in `errors` instead of being printed
+async function loadApp({ indexedDB = new IDBFactory() } = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+  
+  const dom = new JSDOM(HTML, { url: 'http://localhost/', runScripts: 'outside-only', virtualConsole });
+  const { window } = dom;
+  
+  window.indexedDB = indexedDB;
+  window.IDBKeyRange = IDBKeyRange;
+  window.structuredClone = structuredClone;
+  window.confirm = () => true;
+  window.alert = () => {};
+  window.scrollTo = () => {};
+  window.URL.createObjectURL = blob => `blob:${blob.size}`;
+  window.URL.revokeObjectURL = () => {};
+  
+  // Scripts share one global scope like <script> tags, so app.js sees the constants of escpos.js
+  // The page is still loading, so the app starts on DOMContentLoaded as in the browser
+  const context = dom.getInternalVMContext();
+  SCRIPTS.forEach(script => script.runInContext(context));
+  await settle();
+  
+  // Read page state, including let/const globals that are not window properties
+  const evaluate = code => new vm.Script(code).runInContext(context);
+  
+  // Let pending database callbacks finish before the page goes away
+  const close = () => settle().then(() => window.close());
+  
+  return { window, indexedDB, evaluate, errors, close };
+}
+
+module.exports = { loadApp, settle };
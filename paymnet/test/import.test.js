@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app.js');
+
+// Records of a store in the app's database
+function getAll(app, store) {
+  return new Promise(resolve => {
+    const request = app.evaluate('db').transaction(store).objectStore(store).getAll();
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+test('an import whose product was deleted after the dry run changes nothing', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const kopi = { code: 'K1', name: 'Kopi', price: 5000, cost: 4000, stock: 8, minStock: 0, unit: 'pcs' };
+  const teh = { code: 'T1', name: 'Teh', price: 3000, cost: 2000, stock: 5, minStock: 0, unit: 'pcs' };
+  kopi.id = await window.addRecord('products', kopi);
+  teh.id = await window.addRecord('products', teh);
+  
+  // Planned against both products, then Teh is deleted before the import is saved
+  const entries = [
+    { action: 'update', product: { ...kopi, price: 6000 } },
+    { action: 'update', product: { ...teh, price: 3500 } },
+    { action: 'new', product: { code: 'G1', name: 'Gula', price: 15000, cost: 12000, stock: 2, minStock: 0, unit: 'pcs' } }
+  ];
+  await window.deleteRecord('products', teh.id);
+  
+  await assert.rejects(window.saveProductImport(entries, 'produk.csv'), { name: 'ImportTargetMissingError', message: 'Produk T1 sudah dihapus' });
+  
+  const products = await getAll(app, 'products');
+  assert.deepStrictEqual(products.map(product => [product.code, product.price]), [['K1', 5000]]);
+  assert.strictEqual((await getAll(app, 'product_imports')).length, 0);
+  await app.close();
+});
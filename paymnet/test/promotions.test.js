@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app.js');
+
+const bogo = { id: 1, name: 'Beli 2 Gratis 1', type: 'bogo', active: true, productIds: [1, 2], buyQuantity: 2, getQuantity: 1 };
+const bundle = { id: 2, name: 'Paket 3', type: 'bundle', active: true, productIds: [1], bundleQuantity: 3, bundlePrice: 2500 };
+const percent = { id: 3, name: 'Diskon 10%', type: 'item_percent', active: true, productIds: [3], value: 10 };
+
+test('buy-X-get-Y groups take the dearest units and give the cheapest away', async () => {
+  const app = await loadApp();
+  const result = app.window.applyPromotions([
+    { id: 1, price: 1000, quantity: 2 },
+    { id: 2, price: 3000, quantity: 1 }
+  ], [bogo]);
+  
+  assert.deepStrictEqual(result.lines.map(line => line.discount), [1000, 0]);
+  assert.deepStrictEqual([...result.lines[0].promotions], ['Beli 2 Gratis 1']);
+  assert.strictEqual(result.total, 1000);
+  await app.close();
+});
+
+test('bundle discounts are spread over the units by price', async () => {
+  const app = await loadApp();
+  const result = app.window.applyPromotions([{ id: 1, price: 1000, quantity: 7 }], [bundle]);
+  
+  // Two bundles of three; the seventh unit pays full price
+  assert.strictEqual(result.lines[0].discount, 1000);
+  assert.deepStrictEqual(Array.from(result.applied, applied => ({ ...applied })), [{ promotionId: 2, name: 'Paket 3', amount: 1000 }]);
+  await app.close();
+});
+
+test('a weighed remainder keeps only its item-level discount', async () => {
+  const app = await loadApp();
+  const result = app.window.applyPromotions([{ id: 3, price: 10000, quantity: 2.5 }], [percent]);
+  
+  assert.strictEqual(result.lines[0].discount, 2500);
+  await app.close();
+});
+
+test('large quantities are grouped without one step per unit', async () => {
+  const app = await loadApp();
+  const started = Date.now();
+  const result = app.window.applyPromotions([
+    { id: 1, price: 1000, quantity: 300000 },
+    { id: 2, price: 2000, quantity: 150000 }
+  ], [bogo, bundle]);
+  
+  assert.strictEqual(result.total, 200000000);
+  assert.ok(Date.now() - started < 1000);
+  await app.close();
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./helpers/load-app.js');
+
+// Open the quick product form for a scanned code and fill it in
+async function fillQuickProduct(window, stock, unit) {
+  await window.addRecord('categories', { name: 'Sembako', parentId: null, sortOrder: 1 });
+  await window.loadCategories();
+  window.showQuickProductForm('8991234567890');
+  
+  const { document } = window;
+  document.getElementById('quick-product-name').value = 'Gula';
+  document.getElementById('quick-product-category').selectedIndex = 1;
+  document.getElementById('quick-product-price').value = '15000';
+  document.getElementById('quick-product-unit').value = unit;
+  document.getElementById('quick-product-stock').value = stock;
+  document.getElementById('quick-product-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+}
+
+test('a product added from a scan keeps a decimal stock in its unit', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  await fillQuickProduct(window, '2.5', 'kg');
+  
+  const product = await window.getProductByCode('8991234567890');
+  assert.strictEqual(product.stock, 2.5);
+  assert.strictEqual(product.unit, 'kg');
+  await app.close();
+});
+
+test('a product added from a scan rejects more decimals than its unit allows', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  await fillQuickProduct(window, '2.5', 'pcs');
+  
+  assert.strictEqual(window.document.getElementById('quick-product-stock-error').textContent, 'Stok dalam pcs maksimal 0 desimal');
+  assert.strictEqual(await window.getProductByCode('8991234567890'), undefined);
+  await app.close();
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./helpers/load-app.js');
+
+// 2 x Apel at 10.000 with a 50% item promotion and 1 x Beras at 12.000, paid 22.000
+const sale = {
+  invoice: 'INV-1',
+  subtotal: 32000,
+  discount: 10000,
+  promoDiscount: 10000,
+  manualDiscount: 0,
+  tax: 0,
+  total: 22000,
+  items: [
+    { productId: 1, name: 'Apel', price: 10000, quantity: 2, discount: 10000, promotions: ['Apel 50%'] },
+    { productId: 2, name: 'Beras', price: 12000, quantity: 1, discount: 0, promotions: [] }
+  ]
+};
+
+test('returned lines refund what was paid for them', async () => {
+  const app = await loadApp();
+  const { buildRefundTransaction, getItemNetSales } = app.window;
+  
+  const beras = buildRefundTransaction(sale, [{ index: 1, quantity: 1 }], 'cash', '');
+  const apel = buildRefundTransaction(sale, [{ index: 0, quantity: 2 }], 'cash', '');
+  const oneApel = buildRefundTransaction(sale, [{ index: 0, quantity: 1 }], 'cash', '');
+  
+  assert.strictEqual(beras.total, -12000);
+  assert.strictEqual(apel.total, -10000);
+  assert.strictEqual(oneApel.total, -5000);
+  
+  // Refund lines carry their share of the promotion so reports net them correctly
+  assert.strictEqual(oneApel.items[0].discount, 5000);
+  assert.strictEqual(getItemNetSales(oneApel.items[0]), -5000);
+  await app.close();
+});
+
+test('manual discount and tax are shared by the returned lines', async () => {
+  const app = await loadApp();
+  const { buildRefundTransaction } = app.window;
+  
+  // 10% manual discount on 22.000 after promotions, then 10% tax
+  const taxed = { ...sale, discount: 12200, manualDiscount: 2200, tax: 1980, total: 21780 };
+  const beras = buildRefundTransaction(taxed, [{ index: 1, quantity: 1 }], 'cash', '');
+  const apel = buildRefundTransaction(taxed, [{ index: 0, quantity: 2 }], 'cash', '');
+  
+  assert.strictEqual(Math.round(beras.total), -11880);
+  assert.strictEqual(Math.round(apel.total), -9900);
+  assert.strictEqual(Math.round(beras.total + apel.total), -taxed.total);
+  await app.close();
+});
+
+test('sales made before promotions refund in proportion to their subtotal', async () => {
+  const app = await loadApp();
+  const legacy = { subtotal: 20000, discount: 2000, tax: 0, total: 18000, items: [{ price: 10000, quantity: 2 }] };
+  
+  assert.strictEqual(app.window.buildRefundTransaction(legacy, [{ index: 0, quantity: 1 }], 'cash', '').total, -9000);
+  await app.close();
+});
+
+test('returns need an open shift', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const { document } = window;
+  const productId = await window.addRecord('products', { code: 'B1', name: 'Beras', price: 12000, stock: 4, unit: 'pcs' });
+  await window.addRecord('transactions', {
+    ...sale,
+    date: new Date(),
+    items: [{ productId, name: 'Beras', price: 12000, quantity: 1, unit: 'pcs', baseUnit: 'pcs', factor: 1, discount: 0, promotions: [] }],
+    subtotal: 12000,
+    discount: 0,
+    promoDiscount: 0,
+    total: 12000
+  });
+  
+  window.showReturnForm('INV-1');
+  await settle();
+  document.querySelector('#return-items .return-quantity').value = '1';
+  window.processReturn();
+  await settle();
+  
+  assert.match(document.getElementById('toast-notification').textContent, /Buka shift terlebih dahulu/);
+  assert.ok(!document.getElementById('shift-modal').classList.contains('hidden'));
+  assert.strictEqual((await window.getTransactionByInvoice('INV-1')).items[0].returnedQuantity, undefined);
+  assert.strictEqual((await window.getRecord('products', productId)).stock, 4);
+  
+  // With a shift open the same return goes through and belongs to that shift
+  const shiftId = await window.addRecord('shifts', { number: 'SHF-1', status: 'open', openedAt: new Date(), openedBy: 'Kasir', openingFloat: 0, cashMovements: [] });
+  await window.loadCurrentShift();
+  window.processReturn();
+  await settle();
+  
+  assert.strictEqual((await window.getTransactionByInvoice('INV-1')).items[0].returnedQuantity, 1);
+  assert.strictEqual((await window.getRecord('products', productId)).stock, 5);
+  const refunds = await new Promise(resolve => {
+    const request = app.evaluate('db').transaction('transactions').objectStore('transactions').index('shiftId').getAll(shiftId);
+    request.onsuccess = () => resolve(request.result);
+  });
+  assert.deepStrictEqual(refunds.map(refund => refund.type), ['refund']);
+  await app.close();
+});
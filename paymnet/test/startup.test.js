@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./helpers/load-app.js');
+
+// Save settings in one session, then reload the page on the same database
+async function reloadWith(save) {
+  const first = await loadApp();
+  await save(first.window);
+  await first.close();
+  
+  return loadApp({ indexedDB: first.indexedDB });
+}
+
+test('startup runs every step without errors', async () => {
+  const app = await reloadWith(window => window.addRecord('notifications', { title: 'Stok menipis', read: false, date: new Date() }));
+  const badge = app.window.document.querySelector('.notification-badge');
+  
+  assert.deepStrictEqual(app.errors, []);
+  assert.strictEqual(badge.textContent, '1');
+  assert.ok(!badge.classList.contains('hidden'));
+  assert.strictEqual(app.window.document.querySelectorAll('#payment-tenders .tender-row').length, 1);
+  await app.close();
+});
+
+test('custom units and their precision survive a reload', async () => {
+  const app = await reloadWith(window => window.updateRecord('settings', {
+    id: 'units',
+    units: [{ name: 'pcs', precision: 0 }, { name: 'ons', precision: 1 }]
+  }));
+  
+  assert.strictEqual(app.window.getUnitPrecision('ons'), 1);
+  assert.strictEqual(app.window.roundQuantity(1.26, 'ons'), 1.3);
+  await app.close();
+});
+
+test('the expiry policy survives a reload and blocks expired stock', async () => {
+  const app = await reloadWith(window => window.updateRecord('settings', { id: 'expiry', policy: 'block', warningDays: 14 }));
+  const { window } = app;
+  const expired = {
+    name: 'Susu',
+    unit: 'pcs',
+    stock: 4,
+    batches: [{ lot: 'L1', expiry: '2020-01-31', quantity: 4 }]
+  };
+  
+  assert.deepStrictEqual({ ...app.evaluate('expirySettings') }, { policy: 'block', warningDays: 14 });
+  assert.strictEqual(window.getSellableStock(expired), 0);
+  assert.strictEqual(window.checkExpiredStock(expired), false);
+  await app.close();
+});
+
+test('cashier category tabs are rendered on startup', async () => {
+  const app = await reloadWith(window => window.addRecord('categories', { name: 'Minuman', parentId: null, sortOrder: 1 }));
+  
+  assert.match(app.window.document.getElementById('cashier-category-tabs').textContent, /Minuman/);
+  await app.close();
+});
+
+test('product thumbnails are loaded on startup', async () => {
+  const app = await reloadWith(window => window.updateRecord('product_photos', {
+    productId: 3,
+    photo: new Blob(['photo']),
+    thumbnail: new Blob(['thumb'])
+  }));
+  
+  assert.match(app.window.getProductThumbnailHtml({ id: 3 }), /<img class="product-thumb" src="blob:5"/);
+  await app.close();
+});
+
+test('stored promotions apply to the cart after a reload', async () => {
+  const app = await reloadWith(window => window.addRecord('promotions', { name: 'Hemat', type: 'cart_fixed', value: 1000, active: true }));
+  
+  assert.strictEqual(app.evaluate('cartPromotions').length, 1);
+  await app.close();
+});
+
+test('an open shift is picked up again after a reload', async () => {
+  const app = await reloadWith(window => window.addRecord('shifts', {
+    number: 'SHF-1',
+    status: 'open',
+    openedAt: new Date(),
+    openedBy: 'Kasir',
+    openingFloat: 100000,
+    cashMovements: []
+  }));
+  
+  assert.strictEqual(app.evaluate('currentShift').number, 'SHF-1');
+  assert.strictEqual(app.window.document.getElementById('shift-status').textContent, 'SHF-1');
+  await app.close();
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./helpers/load-app.js');
+
+test('reconcile lists only products whose stock drifted from the ledger', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const date = new Date('2026-01-01T08:00:00');
+  
+  // A chain break that still sums to the stock needs no action
+  const balanced = await window.addRecord('products', { code: 'A', name: 'Balanced', price: 1000, stock: 5 });
+  await window.addRecord('stock_movements', { productId: balanced, quantity: 3, before: 0, after: 3, date });
+  await window.addRecord('stock_movements', { productId: balanced, quantity: 2, before: 4, after: 6, date });
+  
+  const drifted = await window.addRecord('products', { code: 'B', name: 'Drifted', price: 1000, stock: 7 });
+  await window.addRecord('stock_movements', { productId: drifted, quantity: 5, before: 0, after: 5, date });
+  
+  window.showStockReconcile();
+  await settle();
+  
+  const rows = window.document.querySelectorAll('#stock-reconcile-list tr');
+  assert.strictEqual(rows.length, 1);
+  assert.match(rows[0].textContent, /Drifted/);
+  assert.strictEqual(rows[0].querySelectorAll('.btn-reconcile').length, 2);
+  assert.match(window.document.getElementById('stock-reconcile-summary').textContent, /^1 dari 2 produk/);
+  await app.close();
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, settle } = require('./helpers/load-app.js');
+
+// A sale of 2 x Kopi from a product that has 8 left
+async function addSale(window) {
+  const productId = await window.addRecord('products', { code: 'K1', name: 'Kopi', price: 5000, stock: 8, unit: 'pcs' });
+  return window.addRecord('transactions', {
+    invoice: 'INV-1',
+    date: new Date(),
+    items: [{ productId, name: 'Kopi', price: 5000, quantity: 2, unit: 'pcs', baseUnit: 'pcs', factor: 1 }],
+    subtotal: 10000,
+    discount: 0,
+    tax: 0,
+    total: 10000
+  });
+}
+
+// Open a shift for the cash drawer, as the cashier does at the start of the day
+async function openShift(window) {
+  await window.addRecord('shifts', { number: 'SHF-1', status: 'open', openedAt: new Date(), openedBy: 'Kasir', openingFloat: 100000, cashMovements: [] });
+  return window.loadCurrentShift();
+}
+
+// Fill in the void form for a transaction and submit it
+async function submitVoid(window, id, pin) {
+  window.showVoidForm(id);
+  await settle();
+  
+  const { document } = window;
+  document.getElementById('void-reason').value = 'wrong_item';
+  document.getElementById('void-actor').value = 'Supervisor';
+  document.getElementById('void-pin').value = pin;
+  document.getElementById('void-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+}
+
+test('a void is only saved with the supervisor PIN from settings', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const id = await addSale(window);
+  const shift = await openShift(window);
+  await window.updateRecord('settings', { id: 'supervisor', pin: '1234' });
+  
+  await submitVoid(window, id, '0000');
+  assert.strictEqual(window.document.getElementById('void-pin-error').textContent, 'PIN supervisor salah');
+  assert.ok(!(await window.getRecord('transactions', id)).voided);
+  
+  await submitVoid(window, id, '1234');
+  const voided = await window.getRecord('transactions', id);
+  assert.ok(voided.voided);
+  assert.strictEqual(voided.voidedBy, 'Supervisor');
+  assert.strictEqual(voided.voidShiftId, shift.id);
+  await app.close();
+});
+
+test('voids are refused until a supervisor PIN is set', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const id = await addSale(window);
+  await openShift(window);
+  
+  await submitVoid(window, id, '1234');
+  assert.match(window.document.getElementById('void-pin-error').textContent, /belum diatur/);
+  assert.ok(!(await window.getRecord('transactions', id)).voided);
+  await app.close();
+});
+
+test('voids need an open shift', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const id = await addSale(window);
+  await window.updateRecord('settings', { id: 'supervisor', pin: '1234' });
+  
+  await submitVoid(window, id, '1234');
+  assert.match(window.document.getElementById('toast-notification').textContent, /Buka shift terlebih dahulu/);
+  assert.ok(!window.document.getElementById('shift-modal').classList.contains('hidden'));
+  assert.ok(!(await window.getRecord('transactions', id)).voided);
+  await app.close();
+});
+
+test('the supervisor PIN must be 4 to 8 digits', async () => {
+  const app = await loadApp();
+  const { window } = app;
+  const { document } = window;
+  
+  document.getElementById('supervisor-pin').value = '12a';
+  document.getElementById('supervisor-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+  assert.strictEqual(await window.getRecord('settings', 'supervisor'), undefined);
+  
+  document.getElementById('supervisor-pin').value = '2468';
+  document.getElementById('supervisor-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+  await settle();
+  assert.strictEqual((await window.getRecord('settings', 'supervisor')).pin, '2468');
+  await app.close();
+});